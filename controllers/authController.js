@@ -1,15 +1,180 @@
 // AuthController: Handles authentication API logic
-exports.login = (req, res) => {
-  // TODO: Implement login logic
-  res.json({ message: 'Login endpoint (not implemented)' });
+const log = require('../utils/logger');
+const { hasUsers, createUser, runUserWrite } = require('../services/UserService');
+const { authenticate, createSession, destroySession } = require('../services/AuthService');
+const { setSessionCookie, clearSessionCookie } = require('../middleware/authMiddleware');
+const { hasPermission } = require('../utils/permissions');
+const {
+  AppError,
+  ERROR_MESSAGES,
+  ERROR_TYPES,
+  handleControllerError,
+  wantsJsonResponse,
+  asyncHandler
+} = require('../utils/errorHandler');
+
+/**
+ * Only allows redirects to paths on this site after login
+ * @param {string} target - Requested return path
+ * @returns {string} Safe local path
+ */
+const safeRedirectTarget = (target) => (
+  typeof target === 'string' && target.startsWith('/') && !target.startsWith('//') && !target.startsWith('/\\')
+    ? target
+    : '/'
+);
+
+/**
+ * Render the login page
+ * GET /auth/login
+ */
+exports.showLogin = (req, res) => {
+  if (req.user) {
+    return res.redirect(safeRedirectTarget(req.query.next));
+  }
+  // No accounts yet: the first account is created through registration
+  if (!hasUsers()) {
+    return res.redirect('/auth/register');
+  }
+  res.render('login', { error: null, formData: { next: req.query.next || '' } });
 };
 
-exports.register = (req, res) => {
-  // TODO: Implement registration logic
-  res.json({ message: 'Register endpoint (not implemented)' });
+/**
+ * Render the registration page
+ * Only used for the first account; afterwards admins add accounts on the user management page.
+ * GET /auth/register
+ */
+exports.showRegister = (req, res, next) => {
+  const firstAccount = !hasUsers();
+  if (!firstAccount && !req.user) {
+    return res.redirect('/auth/login');
+  }
+  if (!firstAccount && !hasPermission(req.user, 'users:manage')) {
+    return next(new AppError(ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS, 403, ERROR_TYPES.AUTHORIZATION));
+  }
+  if (!firstAccount) {
+    return res.redirect('/users/add');
+  }
+  res.render('register', { error: null, fieldErrors: {}, formData: {}, firstAccount });
 };
 
+/**
+ * Log in with username and password and start a session
+ * POST /auth/login, POST /auth/api/login
+ */
+exports.login = asyncHandler(async (req, res) => {
+  const authLogger = log.auth();
+  authLogger.methodEntry('login', { username: req.body && req.body.username });
+
+  try {
+    const { username, password, next } = req.body || {};
+    if (!username || !password) {
+      throw new AppError(
+        'Username and password are required.',
+        400,
+        ERROR_TYPES.VALIDATION,
+        { username: !username ? 'Username is required.' : undefined, password: !password ? 'Password is required.' : undefined }
+      );
+    }
+
+    const user = authenticate(username, password);
+
+    // Replace any session the browser already had
+    destroySession(req.sessionToken);
+    setSessionCookie(res, createSession(user));
+
+    authLogger.info('[INFO] User logged in', {
+      phase: 'LOGIN',
+      userId: user.id,
+      username: user.username,
+      role: user.role
+    });
+    authLogger.methodExit('login', { success: true });
+
+    if (wantsJsonResponse(req)) {
+      return res.json({ success: true, user });
+    }
+    return res.redirect(safeRedirectTarget(next));
+  } catch (error) {
+    return handleControllerError(error, 'AUTH', 'login', req, res, authLogger);
+  }
+});
+
+/**
+ * Create a login account
+ * The first account can be created without logging in, becomes the admin and is logged in straight away.
+ * Later accounts can only be created by admins, with the role they pick (viewer by default).
+ * POST /auth/register, POST /auth/api/register
+ */
+exports.register = asyncHandler(async (req, res) => {
+  const authLogger = log.auth();
+  authLogger.methodEntry('register', { username: req.body && req.body.username });
+
+  try {
+    const { username, name, password, confirmPassword, role } = req.body || {};
+
+    // The "first account" check and the save run under the account write lock, so two
+    // registrations arriving together cannot both become the first (admin) account
+    const { user, firstAccount } = await runUserWrite(() => {
+      const isFirstAccount = !hasUsers();
+      if (!isFirstAccount && !req.user) {
+        throw new AppError(
+          'Please log in to create more accounts.',
+          401,
+          ERROR_TYPES.AUTHENTICATION
+        );
+      }
+      if (!isFirstAccount && !hasPermission(req.user, 'users:manage')) {
+        throw new AppError(
+          ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          403,
+          ERROR_TYPES.AUTHORIZATION,
+          { role: req.user.role }
+        );
+      }
+
+      if (confirmPassword !== undefined && confirmPassword !== password) {
+        throw new AppError(
+          'Passwords do not match.',
+          400,
+          ERROR_TYPES.VALIDATION,
+          { confirmPassword: 'Passwords do not match.' }
+        );
+      }
+
+      return { user: createUser({ username, name, password, role }), firstAccount: isFirstAccount };
+    });
+
+    if (firstAccount) {
+      setSessionCookie(res, createSession(user));
+    }
+
+    authLogger.methodExit('register', { success: true, userId: user.id, firstAccount });
+
+    if (wantsJsonResponse(req)) {
+      return res.status(201).json({ success: true, user });
+    }
+    return res.redirect(firstAccount ? '/' : '/users');
+  } catch (error) {
+    return handleControllerError(error, 'AUTH', 'register', req, res, authLogger);
+  }
+});
+
+/**
+ * End the current session
+ * POST /api/auth/logout
+ */
 exports.logout = (req, res) => {
-  // TODO: Implement logout logic (clear session/cookie if needed)
-  res.json({ success: true });
+  destroySession(req.sessionToken);
+  clearSessionCookie(res);
+
+  log.auth().info('[INFO] User logged out', {
+    phase: 'LOGOUT',
+    username: req.user ? req.user.username : null
+  });
+
+  if (wantsJsonResponse(req)) {
+    return res.json({ success: true });
+  }
+  return res.redirect('/auth/login');
 };
@@ -4,6 +4,12 @@ const archiver = require('archiver');
 const extract = require('extract-zip');
 const log = require('../utils/logger');
 const { getDataPath, getDataFilePath } = require('../utils/appData');
+const { writeFileAtomic } = require('../utils/atomicFile');
+const { getProfileStore } = require('../services/ProfileStorageService');
+const { getProfiles, countProfiles, saveProfiles, getArchivedProfiles, saveArchivedProfiles } = require('../services/ProfileRepository');
+const { runProfileWrite } = require('./profileController');
+const { getPhotosDir } = require('../services/ProfilePhotoService');
+const { getAttachmentsDir } = require('../services/ProfileAttachmentService');
 const { VERSION } = require('../utils/version');
 const { 
   AppError, 
@@ -13,6 +19,29 @@ const {
   asyncHandler 
 } = require('../utils/errorHandler');
 
+// Largest backup ZIP accepted for restore (profile photos and attachments make archives much larger
+// than the JSON data)
+const MAX_BACKUP_SIZE = 200 * 1024 * 1024;
+
+// Folders of uploaded files in the data directory. Each is backed up as <name>/; a restore replaces
+// a folder only when the backup has it, so older backups leave the current files in place.
+const FILE_FOLDERS = [
+  { name: 'photos', label: 'Photo Files', countKey: 'photoFileCount', getDir: getPhotosDir },
+  { name: 'attachments', label: 'Attachment Files', countKey: 'attachmentFileCount', getDir: getAttachmentsDir }
+];
+
+/**
+ * Lists the files in a folder of uploaded files
+ * @param {string} dir - Folder path
+ * @returns {Array} File names (empty when nothing has been uploaded yet)
+ */
+function listFolderFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(name => fs.statSync(path.join(dir, name)).isFile());
+}
+
 /**
  * Create and download backup ZIP file
  * GET /backup/download
@@ -27,32 +56,14 @@ exports.createBackup = asyncHandler(async (req, res) => {
   });
 
   try {
-    const dataPath = getDataPath();
-    const profilePath = getDataFilePath('profile.json');
     const gothramPath = getDataFilePath('gothram.json');
 
-    // Check if files exist
-    if (!fs.existsSync(profilePath)) {
-      throw new AppError(
-        'Profile data file not found. Cannot create backup.',
-        404,
-        ERROR_TYPES.FILE_SYSTEM,
-        { profilePath }
-      );
-    }
-
-    // Read profile data to get count
-    let profileCount = 0;
-    try {
-      const profileData = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-      profileCount = Array.isArray(profileData) ? profileData.length : 0;
-    } catch (error) {
-      log.warn('Could not read profile count', {
-        source: 'BackupController',
-        feature: 'BACKUP',
-        error: error.message
-      });
-    }
+    // Profiles are read from the configured store (profile.json or profiles.sqlite) and always
+    // written to the archive as profile.json, so backups restore into either backend
+    const profiles = getProfiles();
+    const profileCount = profiles.length;
+    const archivedProfiles = getArchivedProfiles();
+    const folderFiles = FILE_FOLDERS.map(folder => ({ ...folder, files: listFolderFiles(folder.getDir()) }));
 
     // Create backup metadata
     const metadata = {
@@ -65,7 +76,9 @@ exports.createBackup = asyncHandler(async (req, res) => {
       platform: process.platform,
       nodeVersion: process.version,
       profileCount: profileCount,
-      filesIncluded: ['profile.json']
+      archivedCount: archivedProfiles.length,
+      ...Object.fromEntries(folderFiles.map(folder => [folder.countKey, folder.files.length])),
+      filesIncluded: ['profile.json', 'profile-archive.json']
     };
 
     // Add gothram to metadata if exists
@@ -73,6 +86,11 @@ exports.createBackup = asyncHandler(async (req, res) => {
       metadata.filesIncluded.push('gothram.json');
     }
 
+    // Profile photos (with thumbnails) and attachments
+    folderFiles.filter(folder => folder.files.length > 0).forEach(folder => {
+      metadata.filesIncluded.push(`${folder.name}/`);
+    });
+
     // Generate backup filename with timestamp
     const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
     const filename = `matrimony-backup-${timestamp}.zip`;
@@ -124,13 +142,23 @@ exports.createBackup = asyncHandler(async (req, res) => {
     archive.pipe(res);
 
     // Add profile.json to archive
-    archive.file(profilePath, { name: 'profile.json' });
+    archive.append(JSON.stringify(profiles, null, 2), { name: 'profile.json' });
+
+    // Add archived (soft-deleted) profiles, also always as JSON
+    archive.append(JSON.stringify(archivedProfiles, null, 2), { name: 'profile-archive.json' });
 
     // Add gothram.json if exists
     if (fs.existsSync(gothramPath)) {
       archive.file(gothramPath, { name: 'gothram.json' });
     }
 
+    // Add profile photos and attachments (JPEG, PNG and PDF are already compressed, so stored as they are)
+    folderFiles.forEach(folder => {
+      folder.files.forEach(name => {
+        archive.file(path.join(folder.getDir(), name), { name: `${folder.name}/${name}`, store: true });
+      });
+    });
+
     // Add metadata file
     archive.append(JSON.stringify(metadata, null, 2), {
       name: 'backup-metadata.json'
@@ -141,6 +169,8 @@ exports.createBackup = asyncHandler(async (req, res) => {
     
 Backup Date: ${metadata.backupDateFormatted}
 Profile Count: ${profileCount}
+Archived Profiles: ${archivedProfiles.length}
+${folderFiles.map(folder => `${folder.label}: ${folder.files.length}`).join('\n')}
 App Version: ${metadata.appVersion}
 
 ## Files Included:
@@ -243,16 +273,15 @@ exports.restoreBackup = asyncHandler(async (req, res) => {
       );
     }
 
-    // Validate file size (max 50MB)
-    const maxSize = 50 * 1024 * 1024; // 50MB
-    if (uploadedFile.size > maxSize) {
+    // Validate file size (max 200MB)
+    if (uploadedFile.size > MAX_BACKUP_SIZE) {
       fs.unlinkSync(uploadedFile.path);
       
       throw new AppError(
-        'Backup file is too large. Maximum size is 50MB.',
+        'Backup file is too large. Maximum size is 200MB.',
         400,
         ERROR_TYPES.VALIDATION,
-        { size: uploadedFile.size, maxSize }
+        { size: uploadedFile.size, maxSize: MAX_BACKUP_SIZE }
       );
     }
 
@@ -329,81 +358,126 @@ exports.restoreBackup = asyncHandler(async (req, res) => {
         );
       }
 
-      // Create backup of existing data before restore
-      const dataPath = getDataPath();
-      const currentProfilePath = getDataFilePath('profile.json');
-      const currentGothramPath = getDataFilePath('gothram.json');
-      
-      const preRestoreBackupDir = path.join(dataPath, `pre-restore-backup-${Date.now()}`);
-      try {
-        fs.mkdirSync(preRestoreBackupDir, { recursive: true });
-      } catch (error) {
-        log.warn('Could not create pre-restore backup directory', {
-          source: 'BackupController',
-          feature: 'BACKUP',
-          backupDir: preRestoreBackupDir,
-          error: error.message
-        });
-        // Continue without pre-restore backup if directory creation fails
+      // Archived profiles; backups made before archiving existed have none, and then the current
+      // archive is left in place (null)
+      const extractedArchivePath = path.join(tempDir, 'profile-archive.json');
+      let archiveData = null;
+      if (fs.existsSync(extractedArchivePath)) {
+        try {
+          archiveData = JSON.parse(fs.readFileSync(extractedArchivePath, 'utf8'));
+          if (!Array.isArray(archiveData)) {
+            throw new Error('Archived profile data is not an array');
+          }
+        } catch (error) {
+          throw new AppError(
+            'Invalid backup file. Archived profile data is corrupted.',
+            400,
+            ERROR_TYPES.VALIDATION,
+            { issue: error.message }
+          );
+        }
       }
 
-      // Backup current profile.json
-      if (fs.existsSync(currentProfilePath)) {
-        fs.copyFileSync(
-          currentProfilePath,
-          path.join(preRestoreBackupDir, 'profile.json.bak')
-        );
-      }
+      // The pre-restore copy and the swap run under the profile write lock, so no profile
+      // save lands in between and is lost or mixed with the restored data
+      await runProfileWrite(() => {
+        // Create backup of existing data before restore
+        const dataPath = getDataPath();
+        const currentGothramPath = getDataFilePath('gothram.json');
+      
+        const preRestoreBackupDir = path.join(dataPath, `pre-restore-backup-${Date.now()}`);
+        try {
+          fs.mkdirSync(preRestoreBackupDir, { recursive: true });
+        } catch (error) {
+          log.warn('Could not create pre-restore backup directory', {
+            source: 'BackupController',
+            feature: 'BACKUP',
+            backupDir: preRestoreBackupDir,
+            error: error.message
+          });
+          // Continue without pre-restore backup if directory creation fails
+        }
 
-      // Backup current gothram.json
-      if (fs.existsSync(currentGothramPath)) {
-        fs.copyFileSync(
-          currentGothramPath,
-          path.join(preRestoreBackupDir, 'gothram.json.bak')
+        // Backup current profiles (from whichever store is configured) as profile.json
+        fs.writeFileSync(
+          path.join(preRestoreBackupDir, 'profile.json.bak'),
+          JSON.stringify(getProfiles(), null, 2),
+          'utf8'
+        );
+        fs.writeFileSync(
+          path.join(preRestoreBackupDir, 'profile-archive.json.bak'),
+          JSON.stringify(getArchivedProfiles(), null, 2),
+          'utf8'
         );
-      }
 
-      log.info('Pre-restore backup created', {
-        source: 'BackupController',
-        feature: 'BACKUP',
-        backupDir: preRestoreBackupDir
-      });
+        // Backup current gothram.json
+        if (fs.existsSync(currentGothramPath)) {
+          fs.copyFileSync(
+            currentGothramPath,
+            path.join(preRestoreBackupDir, 'gothram.json.bak')
+          );
+        }
 
-      // Restore profile.json
-      fs.copyFileSync(extractedProfilePath, currentProfilePath);
-      log.info('Profile data restored', {
-        source: 'BackupController',
-        feature: 'BACKUP',
-        profileCount: profileData.length
-      });
+        // Keep the current photos and attachments with the pre-restore backup when the backup brings
+        // its own; backups made before a folder existed leave its current files in place
+        const foldersToRestore = FILE_FOLDERS.filter(folder => fs.existsSync(path.join(tempDir, folder.name)));
+        foldersToRestore.forEach(folder => {
+          if (fs.existsSync(folder.getDir())) {
+            fs.cpSync(folder.getDir(), path.join(preRestoreBackupDir, folder.name), { recursive: true });
+          }
+        });
+
+        log.info('Pre-restore backup created', {
+          source: 'BackupController',
+          feature: 'BACKUP',
+          backupDir: preRestoreBackupDir
+        });
 
-      // Restore gothram.json if exists in backup
-      const extractedGothramPath = path.join(tempDir, 'gothram.json');
-      if (fs.existsSync(extractedGothramPath)) {
-        fs.copyFileSync(extractedGothramPath, currentGothramPath);
-        log.info('Gothram data restored', {
+        // Restore profiles into the configured store (written atomically, so an interrupted restore
+        // never leaves a half-written file); every screen and matching see them straight away
+        saveProfiles(profileData);
+        log.info('Profile data restored', {
           source: 'BackupController',
-          feature: 'BACKUP'
+          feature: 'BACKUP',
+          profileCount: profileData.length
         });
-      }
 
-      // Reload profiles in memory (if applicable)
-      try {
-        const matchingController = require('./matchingController');
-        if (matchingController.reloadProfiles) {
-          matchingController.reloadProfiles();
-          log.debug('Profiles reloaded in matching controller', {
+        if (archiveData) {
+          saveArchivedProfiles(archiveData);
+          log.info('Archived profile data restored', {
+            source: 'BackupController',
+            feature: 'BACKUP',
+            archivedCount: archiveData.length
+          });
+        } else {
+          log.info('Backup has no archived profiles - current archive kept', {
             source: 'BackupController',
             feature: 'BACKUP'
           });
         }
-      } catch (error) {
-        log.warn('Could not reload profiles in matching controller', {
-          source: 'BackupController',
-          feature: 'BACKUP',
-          error: error.message
+
+        // Restore gothram.json if exists in backup
+        const extractedGothramPath = path.join(tempDir, 'gothram.json');
+        if (fs.existsSync(extractedGothramPath)) {
+          writeFileAtomic(currentGothramPath, fs.readFileSync(extractedGothramPath, 'utf8'), { validate: Array.isArray });
+          log.info('Gothram data restored', {
+            source: 'BackupController',
+            feature: 'BACKUP'
+          });
+        }
+
+        // Restore profile photos and attachments: each folder is replaced so it matches the restored profiles
+        foldersToRestore.forEach(folder => {
+          fs.rmSync(folder.getDir(), { recursive: true, force: true });
+          fs.cpSync(path.join(tempDir, folder.name), folder.getDir(), { recursive: true });
+          log.info('Profile files restored', {
+            source: 'BackupController',
+            feature: 'BACKUP',
+            folder: folder.name,
+            fileCount: listFolderFiles(folder.getDir()).length
+          });
         });
-      }
+      });
 
       // Clean up temporary files
       fs.unlinkSync(uploadedFile.path);
@@ -424,6 +498,7 @@ exports.restoreBackup = asyncHandler(async (req, res) => {
         message: 'Backup restored successfully',
         data: {
           profileCount: profileData.length,
+          archivedCount: archiveData ? archiveData.length : getArchivedProfiles().length,
           backupDate: metadata.backupDateFormatted,
           filesRestored: metadata.filesIncluded
         }
@@ -459,21 +534,20 @@ exports.restoreBackup = asyncHandler(async (req, res) => {
  */
 exports.getBackupInfo = asyncHandler(async (req, res) => {
   try {
-    const profilePath = getDataFilePath('profile.json');
+    const profileStore = getProfileStore();
     const gothramPath = getDataFilePath('gothram.json');
 
     let profileCount = 0;
     let profileFileSize = 0;
     let lastModified = null;
 
-    if (fs.existsSync(profilePath)) {
-      const stats = fs.statSync(profilePath);
+    if (fs.existsSync(profileStore.location)) {
+      const stats = fs.statSync(profileStore.location);
       profileFileSize = stats.size;
       lastModified = stats.mtime;
 
       try {
-        const profileData = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-        profileCount = Array.isArray(profileData) ? profileData.length : 0;
+        profileCount = countProfiles();
       } catch (error) {
         log.warn('Could not read profile data', {
           source: 'BackupController',
@@ -483,12 +557,26 @@ exports.getBackupInfo = asyncHandler(async (req, res) => {
       }
     }
 
+    let archivedCount = 0;
+    try {
+      archivedCount = getArchivedProfiles().length;
+    } catch (error) {
+      log.warn('Could not read archived profile data', {
+        source: 'BackupController',
+        feature: 'BACKUP',
+        error: error.message
+      });
+    }
+
     const info = {
       profileCount,
+      archivedCount,
+      ...Object.fromEntries(FILE_FOLDERS.map(folder => [folder.countKey, listFolderFiles(folder.getDir()).length])),
       profileFileSize,
       lastModified,
+      storageBackend: profileStore.backend,
       filesAvailable: {
-        'profile.json': fs.existsSync(profilePath),
+        [path.basename(profileStore.location)]: fs.existsSync(profileStore.location),
         'gothram.json': fs.existsSync(gothramPath)
       },
       dataPath: getDataPath()
@@ -13,6 +13,13 @@ const {
 
 // Load pdf-lib for PKG-compatible PDF generation
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { getPassedPoruthamNames } = require('../services/PoruthamService');
+const { runBatchMatching, DEFAULT_BATCH_OPTIONS } = require('../services/BatchMatchingService');
+const { validateBatchTopN, validateMinPorutham, validateDoshaRules, validateRankBy } = require('../services/ValidationService');
+const { getProfileById, getProfiles } = require('../services/ProfileRepository');
+const { parseExportOptions, filterProfilesForExport, buildExportFile } = require('../services/ProfileExportService');
+const { readProfilePhoto } = require('../services/ProfilePhotoService');
+const { getHoroscopeAttachments, readAttachmentFile } = require('../services/ProfileAttachmentService');
 
 // Load nakshatra data for name mapping
 const nakshatraData = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/nakshatra.json'), 'utf8'));
@@ -88,15 +95,149 @@ const formatPoruthamWithClassification = (porutham, matchingSource) => {
   return classification ? `${porutham}/10 (${classification})` : `${porutham}/10`;
 };
 
-// ExportController: Handles data export API logic
-exports.exportData = (req, res) => {
-  log.info('Export data endpoint called (not implemented)', {
-    method: req.method,
-    userAgent: req.get('User-Agent')
+// Helper function to format the navamsam compatibility outcome of a match
+const formatNavamsamCompatibility = (profile) => {
+  if (!profile.navamsamCompatibility) return '';
+
+  const { status, explanations } = profile.navamsamCompatibility;
+  return explanations && explanations.length > 0 ? `${status}: ${explanations.join('; ')}` : status;
+};
+
+// Helper function to check whether a match missed any soft preference (partially matching)
+const isPartialMatch = (profile) => Array.isArray(profile.missedPreferences) && profile.missedPreferences.length > 0;
+
+// Helper function to format the soft preferences a partially matching profile misses
+const formatMissedPreferences = (profile) => {
+  if (!isPartialMatch(profile)) return '';
+
+  return profile.missedPreferences.map(miss => `${miss.label}: ${miss.reason}`).join('; ');
+};
+
+// Helper function to append the candidates' horoscope attachments to a matching PDF, in the order the
+// profiles are listed: PDF pages are copied as they are (with a small label), each image gets a page
+// of its own. A file that cannot be read gets a page saying so instead of failing the export.
+const appendHoroscopePages = async (pdfDoc, profiles, { boldFont, normalFont, colors }) => {
+  let appended = 0;
+  let failed = 0;
+
+  for (const profile of profiles) {
+    const label = `Horoscope: ${sanitizeTextForPDF(profile.name)} (${sanitizeTextForPDF(profile.serial_no)})`;
+
+    for (const attachment of getHoroscopeAttachments(profile)) {
+      try {
+        const contents = readAttachmentFile(attachment.fileName);
+        if (!contents) throw new Error('File not found');
+        // Copied into its own array: pdf-lib reads from offset 0 of the underlying buffer
+        const bytes = new Uint8Array(contents);
+
+        if (attachment.contentType === 'application/pdf') {
+          const source = await PDFDocument.load(bytes, { ignoreEncryption: true });
+          const pages = await pdfDoc.copyPages(source, source.getPageIndices());
+          pages.forEach(copiedPage => {
+            pdfDoc.addPage(copiedPage);
+            copiedPage.drawText(label, {
+              x: 20,
+              y: copiedPage.getHeight() - 12,
+              size: 8,
+              font: normalFont,
+              color: colors.contactGray
+            });
+          });
+        } else {
+          const image = attachment.contentType === 'image/png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+          const page = pdfDoc.addPage();
+          const { width: pageWidth, height: pageHeight } = page.getSize();
+          page.drawText(label, { x: 20, y: pageHeight - 30, size: 12, font: boldFont, color: colors.brown });
+          if (attachment.notes) {
+            page.drawText(sanitizeTextForPDF(attachment.notes).slice(0, 110), { x: 20, y: pageHeight - 44, size: 9, font: normalFont, color: colors.gray });
+          }
+          const scaled = image.scaleToFit(pageWidth - 40, pageHeight - 90);
+          page.drawImage(image, {
+            x: (pageWidth - scaled.width) / 2,
+            y: pageHeight - 55 - scaled.height,
+            width: scaled.width,
+            height: scaled.height
+          });
+        }
+        appended++;
+      } catch (error) {
+        failed++;
+        log.warn('PDF Generation - Could not append horoscope attachment', {
+          source: 'ExportController',
+          profileId: profile.id,
+          attachmentId: attachment.id,
+          error: error.message
+        });
+        const page = pdfDoc.addPage();
+        page.drawText(label, { x: 20, y: page.getHeight() - 30, size: 12, font: boldFont, color: colors.brown });
+        page.drawText(`The horoscope file "${sanitizeTextForPDF(attachment.originalName)}" could not be added to this PDF.`, {
+          x: 20,
+          y: page.getHeight() - 48,
+          size: 10,
+          font: normalFont,
+          color: colors.black
+        });
+      }
+    }
+  }
+
+  log.info('PDF Generation - Horoscope attachments appended', {
+    source: 'ExportController',
+    appended,
+    failed
   });
-  res.json({ message: 'Export endpoint (not implemented)' });
 };
 
+// Full-database export: every profile matching the filters as Excel or CSV, with the chosen columns
+exports.exportData = asyncHandler(async (req, res) => {
+  const exportLogger = log.export();
+  const startTime = Date.now();
+
+  exportLogger.info('Full profile export requested', {
+    source: 'ExportController',
+    query: req.query,
+    userAgent: req.get('User-Agent')
+  });
+
+  try {
+    const options = parseExportOptions(req.query || {});
+    const profiles = filterProfilesForExport(getProfiles(), options.filters);
+
+    exportLogger.trace('[TRACE] Profiles selected for export', {
+      phase: 'EXPORT_FILTER',
+      format: options.format,
+      columnsCount: options.columns.length,
+      profilesCount: profiles.length
+    });
+
+    const { buffer, contentType, extension } = buildExportFile(profiles, options);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const filename = `profiles_export_${timestamp}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate, private, max-age=0');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', 'Thu, 01 Jan 1970 00:00:00 GMT');
+
+    exportLogger.info('Full profile export download initiated', {
+      filename,
+      size: buffer.length,
+      profilesCount: profiles.length
+    });
+
+    log.performance('Full profile export completed', startTime, {
+      profilesCount: profiles.length
+    });
+
+    res.send(buffer);
+
+  } catch (error) {
+    return handleControllerError(error, 'EXPORT', 'exportData', req, res, exportLogger);
+  }
+});
+
 // Export matching profiles with different formats
 exports.exportMatchingProfiles = async (req, res) => {
   const startTime = Date.now();
@@ -105,6 +246,7 @@ exports.exportMatchingProfiles = async (req, res) => {
   let profiles = null;
   let format = null;
   let seekerInfo = {};
+  let includeHoroscopes = false;
   
   try {
     log.info('Export request received', {
@@ -123,6 +265,7 @@ exports.exportMatchingProfiles = async (req, res) => {
         profiles = jsonData.profiles || null;
         format = jsonData.format || null;
         seekerInfo = jsonData.seekerInfo || {};
+        includeHoroscopes = jsonData.includeHoroscopes === true || jsonData.includeHoroscopes === 'true';
         log.debug('Parsed JSON request data', {
           hasProfiles: !!profiles,
           hasFormat: !!format,
@@ -138,6 +281,7 @@ exports.exportMatchingProfiles = async (req, res) => {
         profiles = req.body.profiles ? JSON.parse(req.body.profiles) : null;
         seekerInfo = req.body.seekerInfo ? JSON.parse(req.body.seekerInfo) : {};
         format = req.body.format || null; // Ensure format is explicitly assigned
+        includeHoroscopes = req.body.includeHoroscopes === 'true';
         
         log.debug('Parsed form-encoded request data', {
           hasProfiles: !!profiles,
@@ -251,10 +395,18 @@ exports.exportMatchingProfiles = async (req, res) => {
       });
     }
     
+    // Results may have been found (or shortlisted) before a profile was edited: export the saved
+    // details, keeping the match-specific fields (porutham, rank, missed preferences) from the request
+    profiles = profiles.map(profile => {
+      const current = profile.id !== undefined ? getProfileById(profile.id) : null;
+      return current ? { ...profile, ...current } : profile;
+    });
+    
     log.info('All parameter validation passed', { 
       source: 'ExportController',
       format, 
       profilesCount: profiles.length,
+      includeHoroscopes,
       hasSeekerInfo: !!seekerInfo && !!seekerInfo.name,
       sampleProfile: profiles[0] ? { 
         id: profiles[0].id, 
@@ -281,7 +433,8 @@ exports.exportMatchingProfiles = async (req, res) => {
     });
 
     // Unified PDF generation function using pdf-lib (PKG-compatible)
-    async function generateProfilePDF(profiles, seekerInfo) {
+    // options.includeHoroscopes appends each candidate's horoscope attachments after the profile list
+    async function generateProfilePDF(profiles, seekerInfo, options = {}) {
       // Debug: Log seekerInfo structure to understand available fields
       log.info('PDF Generation - SeekerInfo structure', {
         source: 'ExportController',
@@ -291,11 +444,14 @@ exports.exportMatchingProfiles = async (req, res) => {
         ageValue: seekerInfo ? (seekerInfo.age || seekerInfo.extractedAge) : null
       });
       
-      // Sort profiles: Three-level hierarchy
+      // Sort profiles: Three-level hierarchy, fully matching profiles before partially matching ones
       // Level 1: Match Type (Uthamam → Mathimam)
       // Level 2: Porutham Score (highest first)
       // Level 3: Nakshatra ID (lowest first as tiebreaker)
       const sortedProfiles = [...profiles].sort((a, b) => {
+        // Soft preferences: partially matching profiles go last
+        if (isPartialMatch(a) !== isPartialMatch(b)) return isPartialMatch(a) ? 1 : -1;
+        
         // Level 1: Match Type
         const getTypeOrder = (matchingSource) => {
           if (matchingSource === 'uthamam') return 1;
@@ -421,6 +577,22 @@ exports.exportMatchingProfiles = async (req, res) => {
           page = pdfDoc.addPage();
           currentY = pageHeight - 20;
         }
+        
+        // Heading before the first partially matching profile (soft preferences)
+        if (isPartialMatch(profile) && (index === 0 || !isPartialMatch(sortedProfiles[index - 1]))) {
+          if (currentY < 120) {
+            page = pdfDoc.addPage();
+            currentY = pageHeight - 20;
+          }
+          page.drawText('PARTIALLY MATCHING PROFILES', {
+            x: 20,
+            y: currentY - 4,
+            size: 12,
+            font: boldFont,
+            color: colors.brown
+          });
+          currentY -= 20;
+        }
 
         // Profile box dimensions
         const boxHeight = 95;
@@ -465,6 +637,44 @@ exports.exportMatchingProfiles = async (req, res) => {
           color: colors.gray
         });
 
+        // Soft preferences this profile misses, next to the age line
+        if (isPartialMatch(profile)) {
+          const missesText = `Misses: ${profile.missedPreferences.map(miss => miss.label).join(', ')}`;
+          page.drawText(sanitizeTextForPDF(missesText), {
+            x: pageWidth / 2 + 10,
+            y: boxY + boxHeight - 24,
+            size: 9,
+            font: boldFont,
+            color: colors.brown
+          });
+        }
+
+        // Profile photo (square thumbnail) in the top-right corner, above the porutham line
+        if (profile.photo) {
+          const thumbnail = readProfilePhoto(profile.photo, 'thumbnail');
+          if (thumbnail) {
+            try {
+              // Copied into its own array: pdf-lib reads JPEG data from offset 0 of the underlying
+              // buffer, and small files read by Node share a pooled buffer
+              const photoImage = await pdfDoc.embedJpg(new Uint8Array(thumbnail));
+              const photoSize = 55;
+              page.drawImage(photoImage, {
+                x: boxX + boxWidth - photoSize - 5,
+                y: boxY + boxHeight - photoSize - 5,
+                width: photoSize,
+                height: photoSize
+              });
+            } catch (photoError) {
+              log.warn('PDF Generation - Could not embed profile photo', {
+                source: 'ExportController',
+                profileId: profile.id,
+                photo: profile.photo,
+                error: photoError.message
+              });
+            }
+          }
+        }
+
         // Two-column layout for profile details
         const leftColumnX = 25;
         const rightColumnX = pageWidth / 2 + 10;
@@ -610,6 +820,25 @@ exports.exportMatchingProfiles = async (req, res) => {
           });
         }
 
+        // Navamsam compatibility outcome on the porutham line (only when the check was run for this search)
+        if (profile.navamsamCompatibility) {
+          const navamsamCompatible = profile.navamsamCompatibility.status === 'compatible';
+          page.drawText('Navamsam:', {
+            x: rightColumnX + 140,
+            y: rightY,
+            size: 9,
+            font: boldFont,
+            color: navamsamCompatible ? colors.green : colors.black
+          });
+          page.drawText(sanitizeTextForPDF(profile.navamsamCompatibility.status), {
+            x: rightColumnX + 190,
+            y: rightY,
+            size: 9,
+            font: normalFont,
+            color: navamsamCompatible ? colors.green : colors.black
+          });
+        }
+
         // Contact info at the bottom - include both primary and additional
         const contactInfo = [];
         if (profile.contact_no) {
@@ -641,12 +870,16 @@ exports.exportMatchingProfiles = async (req, res) => {
         currentY = boxY - 20; // Space between profile boxes
       }
 
-      // Add footer with page numbers
+      if (options.includeHoroscopes) {
+        await appendHoroscopePages(pdfDoc, sortedProfiles, { boldFont, normalFont, colors });
+      }
+
+      // Add footer with page numbers (appended horoscope pages can have their own page size)
       const pages = pdfDoc.getPages();
       const totalPages = pages.length;
       pages.forEach((currentPage, index) => {
         currentPage.drawText(`Page ${index + 1} of ${totalPages}`, {
-          x: pageWidth - 60,
+          x: currentPage.getWidth() - 60,
           y: 10,
           size: 8,
           font: normalFont,
@@ -667,11 +900,14 @@ exports.exportMatchingProfiles = async (req, res) => {
       // Create Excel file with all profile details
       const workbook = XLSX.utils.book_new();
       
-      // Sort profiles: Three-level hierarchy
+      // Sort profiles: Three-level hierarchy, fully matching profiles before partially matching ones
       // Level 1: Match Type (Uthamam → Mathimam)
       // Level 2: Porutham Score (highest first)
       // Level 3: Nakshatra ID (lowest first as tiebreaker)
       const sortedProfiles = [...profiles].sort((a, b) => {
+        // Soft preferences: partially matching profiles go last
+        if (isPartialMatch(a) !== isPartialMatch(b)) return isPartialMatch(a) ? 1 : -1;
+        
         // Level 1: Match Type
         const getTypeOrder = (matchingSource) => {
           if (matchingSource === 'uthamam') return 1;
@@ -732,6 +968,12 @@ exports.exportMatchingProfiles = async (req, res) => {
         'Siblings': profile.siblings || 'N/A',
         'Region': profile.region || '',
         'Porutham Score': formatPoruthamWithClassification(profile.porutham, profile.matchingSource),
+        'Reverse Porutham': profile.reversePorutham !== undefined ? formatPoruthamWithClassification(profile.reversePorutham, profile.reverseMatchingSource) : '',
+        'Poruthams Matched': profile.poruthamBreakdown ? getPassedPoruthamNames(profile.poruthamBreakdown).join(', ') : 'N/A',
+        'Dosha Flags': Array.isArray(profile.doshaFlags) && profile.doshaFlags.length > 0 ? profile.doshaFlags.map(flag => flag.reason).join('; ') : '',
+        'Navamsam Compatibility': formatNavamsamCompatibility(profile),
+        'Match Fit': isPartialMatch(profile) ? 'Partial' : 'Full',
+        'Missed Preferences': formatMissedPreferences(profile),
         'Created Date': profile.createdAt || 'N/A'
       }));
 
@@ -757,6 +999,12 @@ exports.exportMatchingProfiles = async (req, res) => {
         { wch: 10 },  // Siblings
         { wch: 15 },  // Region
         { wch: 10 },  // Porutham Score
+        { wch: 10 },  // Reverse Porutham
+        { wch: 40 },  // Poruthams Matched
+        { wch: 40 },  // Dosha Flags
+        { wch: 40 },  // Navamsam Compatibility
+        { wch: 10 },  // Match Fit
+        { wch: 40 },  // Missed Preferences
         { wch: 15 }   // Created Date
       ];
       worksheet['!cols'] = columnWidths;
@@ -793,8 +1041,9 @@ exports.exportMatchingProfiles = async (req, res) => {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
       const whatsappTextFilename = `${filename}_${timestamp}`;
       
-      // Sort profiles by Uthamam first, then Mathimam, then others
+      // Sort profiles by Uthamam first, then Mathimam, then others (partially matching profiles last)
       const sortedProfiles = [...profiles].sort((a, b) => {
+        if (isPartialMatch(a) !== isPartialMatch(b)) return isPartialMatch(a) ? 1 : -1;
         const getOrder = (matchingSource) => {
           if (matchingSource === 'uthamam') return 1;
           if (matchingSource === 'mathimam') return 2;
@@ -832,6 +1081,9 @@ exports.exportMatchingProfiles = async (req, res) => {
         if (profile.porutham) {
           whatsappText += `🎯 Porutham: ${formatPoruthamWithClassification(profile.porutham, profile.matchingSource)}\n`;
         }
+        if (isPartialMatch(profile)) {
+          whatsappText += `⚠️ Partial match - misses: ${formatMissedPreferences(profile)}\n`;
+        }
         whatsappText += `${'─'.repeat(30)}\n\n`;
       });
 
@@ -849,7 +1101,7 @@ exports.exportMatchingProfiles = async (req, res) => {
       const whatsappPdfFilename = `${filename}_${timestamp}`;
       
       // Use unified PDF generation (standardized on Regular PDF format)
-      const pdfBuffer = await generateProfilePDF(profiles, seekerInfo);
+      const pdfBuffer = await generateProfilePDF(profiles, seekerInfo, { includeHoroscopes });
       
       // Enhanced headers for better browser compatibility
       res.setHeader('Content-Type', 'application/pdf');
@@ -886,7 +1138,7 @@ exports.exportMatchingProfiles = async (req, res) => {
       });
       
       // Use unified PDF generation (standardized format)
-      const pdfBuffer = await generateProfilePDF(profiles, seekerInfo);
+      const pdfBuffer = await generateProfilePDF(profiles, seekerInfo, { includeHoroscopes });
       
       // Enhanced headers for better browser compatibility
       const finalFilename = `${pdfFilename}.pdf`;
@@ -943,4 +1195,190 @@ exports.exportMatchingProfiles = async (req, res) => {
       type: error.name
     });
   }
-};
\ No newline at end of file
+};
+
+// Reads a 'true'/'false' query flag, falling back to the batch default when absent
+const parseBatchFlag = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  return value === 'true' || value === true;
+};
+
+// Batch "match everyone" report: top N matches for every active profile as Excel
+exports.exportBatchMatchingReport = asyncHandler(async (req, res) => {
+  const exportLogger = log.export();
+  const startTime = Date.now();
+  
+  exportLogger.info('Batch matching report requested', {
+    source: 'ExportController',
+    query: req.query,
+    userAgent: req.get('User-Agent')
+  });
+  
+  try {
+    const query = req.query || {};
+    const doshaRules = { rajju: query.rajjuDosha || '', vedhai: query.vedhaiDosha || '' };
+    validateDoshaRules(doshaRules, exportLogger);
+    
+    const batchOptions = {
+      topN: query.topN !== undefined ? validateBatchTopN(query.topN, exportLogger) : DEFAULT_BATCH_OPTIONS.topN,
+      includeMathimam: parseBatchFlag(query.includeMathimam, DEFAULT_BATCH_OPTIONS.includeMathimam),
+      includeRemarried: parseBatchFlag(query.includeRemarried, DEFAULT_BATCH_OPTIONS.includeRemarried),
+      enableRasiCompatibility: parseBatchFlag(query.enableRasiCompatibility, DEFAULT_BATCH_OPTIONS.enableRasiCompatibility),
+      enableNavamsamCompatibility: parseBatchFlag(query.enableNavamsamCompatibility, DEFAULT_BATCH_OPTIONS.enableNavamsamCompatibility),
+      mutualMatch: parseBatchFlag(query.mutualMatch, DEFAULT_BATCH_OPTIONS.mutualMatch),
+      doshaRules,
+      ...(query.minPorutham !== undefined && query.minPorutham !== '' && {
+        minPorutham: validateMinPorutham(query.minPorutham, exportLogger)
+      }),
+      ...(query.rankBy !== undefined && query.rankBy !== '' && {
+        rankBy: validateRankBy(query.rankBy, exportLogger)
+      })
+    };
+    
+    const report = await runBatchMatching(batchOptions, exportLogger);
+    const { options, rows, summary } = report;
+    
+    const formatMatchName = (profile) => `${profile.name || 'N/A'} (${profile.serial_no || 'N/A'})`;
+    const formatDoshaFlags = (profile) => Array.isArray(profile.doshaFlags) && profile.doshaFlags.length > 0
+      ? profile.doshaFlags.map(flag => flag.reason).join('; ')
+      : '';
+    
+    // Sheet 1: one row per seeker/match pair
+    const topMatchesData = [];
+    rows.forEach(row => {
+      const seekerColumns = {
+        'Seeker': formatMatchName(row.seeker),
+        'Seeker Gender': row.seeker.gender || '',
+        'Seeker Nakshatra': getNakshatraName(row.seeker.nakshatraid) || 'N/A',
+        'Seeker Contact': row.seeker.contact_no || 'N/A'
+      };
+      
+      if (row.topMatches.length === 0) {
+        topMatchesData.push({
+          ...seekerColumns,
+          'Rank': '',
+          'Match': row.error ? `Error: ${row.error}` : 'No matches',
+          'Age': '',
+          'Nakshatra': '',
+          'Rasi/Lagnam': '',
+          'Region': '',
+          'Contact No': '',
+          'Porutham Score': '',
+          'Reverse Porutham': '',
+          'Poruthams Matched': '',
+          'Navamsam Compatibility': '',
+          'Dosha Flags': ''
+        });
+        return;
+      }
+      
+      row.topMatches.forEach((match, index) => {
+        topMatchesData.push({
+          ...seekerColumns,
+          'Rank': index + 1,
+          'Match': formatMatchName(match),
+          'Age': match.age || '',
+          'Nakshatra': getNakshatraName(match.nakshatraid) || 'N/A',
+          'Rasi/Lagnam': match.rasi_lagnam || '',
+          'Region': match.region || '',
+          'Contact No': match.contact_no || 'N/A',
+          'Porutham Score': formatPoruthamWithClassification(match.porutham, match.matchingSource),
+          'Reverse Porutham': match.reversePorutham !== undefined ? formatPoruthamWithClassification(match.reversePorutham, match.reverseMatchingSource) : '',
+          'Poruthams Matched': match.poruthamBreakdown ? getPassedPoruthamNames(match.poruthamBreakdown).join(', ') : 'N/A',
+          'Navamsam Compatibility': formatNavamsamCompatibility(match),
+          'Dosha Flags': formatDoshaFlags(match)
+        });
+      });
+    });
+    
+    // Sheet 2: matrix with one row per seeker and one column per rank
+    const matrixData = rows.map(row => {
+      const matrixRow = {
+        'Seeker': formatMatchName(row.seeker),
+        'Gender': row.seeker.gender || '',
+        'Total Matches': row.totalMatches
+      };
+      for (let rank = 1; rank <= options.topN; rank++) {
+        const match = row.topMatches[rank - 1];
+        matrixRow[`Match ${rank}`] = match ? `${formatMatchName(match)} - ${match.porutham}` : '';
+      }
+      return matrixRow;
+    });
+    
+    // Sheet 3: report parameters and summary
+    const infoData = [
+      { 'Setting': 'Generated', 'Value': new Date(report.generatedAt).toLocaleString('en-IN') },
+      { 'Setting': 'Top Matches Per Member', 'Value': options.topN },
+      { 'Setting': 'Minimum Porutham', 'Value': options.minPorutham },
+      { 'Setting': 'Include Mathimam', 'Value': options.includeMathimam ? 'Yes' : 'No' },
+      { 'Setting': 'Include Remarried', 'Value': options.includeRemarried ? 'Yes' : 'No' },
+      { 'Setting': 'Rasi/Lagnam Compatibility', 'Value': options.enableRasiCompatibility ? 'Yes' : 'No' },
+      { 'Setting': 'Navamsam Compatibility', 'Value': options.enableNavamsamCompatibility ? 'Yes' : 'No' },
+      { 'Setting': 'Mutual Match', 'Value': options.mutualMatch ? 'Yes' : 'No' },
+      { 'Setting': 'Ranked By', 'Value': options.rankBy === 'composite' ? 'Composite score' : 'Porutham' },
+      { 'Setting': 'Rajju Dosha', 'Value': doshaRules.rajju || 'flag' },
+      { 'Setting': 'Vedhai Dosha', 'Value': doshaRules.vedhai || 'flag' },
+      { 'Setting': 'Members Processed', 'Value': summary.seekersProcessed },
+      { 'Setting': 'Members With Matches', 'Value': summary.seekersWithMatches },
+      { 'Setting': 'Members Failed', 'Value': summary.seekersFailed }
+    ];
+    
+    const workbook = XLSX.utils.book_new();
+    
+    const topMatchesSheet = XLSX.utils.json_to_sheet(topMatchesData);
+    topMatchesSheet['!cols'] = [
+      { wch: 25 },  // Seeker
+      { wch: 10 },  // Seeker Gender
+      { wch: 18 },  // Seeker Nakshatra
+      { wch: 15 },  // Seeker Contact
+      { wch: 6 },   // Rank
+      { wch: 25 },  // Match
+      { wch: 6 },   // Age
+      { wch: 18 },  // Nakshatra
+      { wch: 15 },  // Rasi/Lagnam
+      { wch: 15 },  // Region
+      { wch: 15 },  // Contact No
+      { wch: 18 },  // Porutham Score
+      { wch: 18 },  // Reverse Porutham
+      { wch: 40 },  // Poruthams Matched
+      { wch: 40 },  // Navamsam Compatibility
+      { wch: 40 }   // Dosha Flags
+    ];
+    XLSX.utils.book_append_sheet(workbook, topMatchesSheet, 'Top Matches');
+    
+    const matrixSheet = XLSX.utils.json_to_sheet(matrixData);
+    matrixSheet['!cols'] = [{ wch: 25 }, { wch: 10 }, { wch: 14 }]
+      .concat(Array.from({ length: options.topN }, () => ({ wch: 30 })));
+    XLSX.utils.book_append_sheet(workbook, matrixSheet, 'Match Matrix');
+    
+    const infoSheet = XLSX.utils.json_to_sheet(infoData);
+    infoSheet['!cols'] = [{ wch: 28 }, { wch: 25 }];
+    XLSX.utils.book_append_sheet(workbook, infoSheet, 'Report Info');
+    
+    const excelBuffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const excelFilename = `batch_matching_report_${timestamp}.xlsx`;
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${excelFilename}"`);
+    res.setHeader('Content-Length', excelBuffer.length);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate, private, max-age=0');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', 'Thu, 01 Jan 1970 00:00:00 GMT');
+    
+    exportLogger.info('Batch matching report download initiated', {
+      filename: excelFilename,
+      size: excelBuffer.length,
+      ...summary
+    });
+    
+    log.performance('Batch matching report completed', startTime, {
+      seekersProcessed: summary.seekersProcessed
+    });
+    
+    res.send(excelBuffer);
+    
+  } catch (error) {
+    return handleControllerError(error, 'EXPORT', 'exportBatchMatchingReport', req, res, exportLogger);
+  }
+});
@@ -0,0 +1,289 @@
+// ImportController: Bulk profile import from Excel/CSV files (column mapping, dry run, commit)
+const log = require('../utils/logger');
+const profileController = require('./profileController');
+const { getProfiles } = require('../services/ProfileRepository');
+const { serialKey } = require('../services/storage/JsonProfileStore');
+const { findDuplicateProfiles } = require('../services/DuplicateDetectionService');
+const {
+  IMPORT_FIELDS,
+  readImportFile,
+  suggestColumnMapping,
+  validateColumnMapping,
+  convertImportRow
+} = require('../services/ProfileImportService');
+const { VALIDATION_CONFIG } = require('../utils/validationConfig');
+const {
+  AppError,
+  ERROR_TYPES,
+  handleControllerError,
+  handleValidationError,
+  asyncHandler
+} = require('../utils/errorHandler');
+
+// Rows shown as a sample under the column mapping
+const SAMPLE_ROW_COUNT = 3;
+
+/**
+ * Gets the uploaded import file
+ * @param {Object} req - Express request (after multer)
+ * @returns {Object} Multer file { buffer, originalname }
+ * @throws {AppError} 400 if no file was uploaded
+ */
+function requireImportFile(req) {
+  if (!req.file) {
+    throw new AppError(
+      'Choose an .xlsx or .csv file to import',
+      400,
+      ERROR_TYPES.VALIDATION,
+      { field: 'file' }
+    );
+  }
+  return req.file;
+}
+
+/**
+ * Reads the column mapping sent with the file
+ * @param {Object} req - Express request; body.mapping is a JSON array of field names ('' skips a column)
+ * @param {number} columnCount - Number of columns in the file
+ * @param {Object} importLogger - Logger instance
+ * @returns {Array} Mapping
+ * @throws {AppError} 400 if the mapping is missing or invalid
+ */
+function parseColumnMapping(req, columnCount, importLogger) {
+  let mapping;
+  try {
+    mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+  } catch (error) {
+    mapping = null;
+  }
+  const errors = validateColumnMapping(mapping, columnCount);
+  if (errors.length > 0) {
+    throw handleValidationError(errors, 'IMPORT_PROFILES', importLogger);
+  }
+  return mapping;
+}
+
+/**
+ * Lists the required profile fields no column is mapped to
+ * @param {Array} mapping - Column mapping
+ * @returns {Array} Field names
+ */
+function unmappedRequiredFields(mapping) {
+  return VALIDATION_CONFIG.REQUIRED_FIELDS.filter(field => !mapping.includes(field));
+}
+
+/**
+ * Converts and validates every row of an import file without saving anything (the dry run)
+ * Each row gets status 'error' (conversion or validation errors, including serial numbers already
+ * in use or repeated in the file), 'duplicate' (valid, but probably the same person as an existing
+ * profile or an earlier row) or 'valid'.
+ * @param {Object} file - Uploaded file { buffer, originalname }
+ * @param {Object} req - Express request (body.mapping holds the column mapping)
+ * @param {Object} importLogger - Logger instance
+ * @returns {Object} { fileName, mapping, unmappedRequired, rows, summary }
+ */
+function buildImportReport(file, req, importLogger) {
+  const { headers, rows } = readImportFile(file.buffer, file.originalname);
+  const mapping = parseColumnMapping(req, headers.length, importLogger);
+
+  const serialRows = new Map();
+  const results = rows.map(({ rowNumber, values }) => {
+    const { data, errors, warnings } = convertImportRow(values, mapping);
+    // Conversion errors replace the validator's message for the same field; the validator can
+    // also report one field twice (birth_time is checked as required and as optional)
+    const rowErrors = [...errors];
+    profileController.validateProfileDataRaw(data, { operation: 'CREATE' }).forEach(error => {
+      const reported = rowErrors.some(existing => existing.field === error.field &&
+        (errors.includes(existing) || existing.message === error.message));
+      if (!reported) rowErrors.push(error);
+    });
+
+    const key = serialKey(data.serial_no);
+    if (key && serialRows.has(key)) {
+      rowErrors.push({ field: 'serial_no', message: `Same serial number as row ${serialRows.get(key)}` });
+    } else if (key) {
+      serialRows.set(key, rowNumber);
+    }
+
+    return { rowNumber, data, errors: rowErrors, warnings, duplicates: [] };
+  });
+
+  // Suspected duplicates of existing profiles and of earlier rows, among the rows that are valid
+  const candidates = new Map(results.filter(result => result.errors.length === 0).map(result => [result.data, result]));
+  findDuplicateProfiles([...getProfiles(), ...candidates.keys()]).forEach(({ score, profiles: [a, b] }) => {
+    const rowA = candidates.get(a);
+    const rowB = candidates.get(b);
+    if (rowA && rowB) {
+      const [earlier, later] = rowA.rowNumber < rowB.rowNumber ? [rowA, rowB] : [rowB, rowA];
+      later.duplicates.push({ rowNumber: earlier.rowNumber, serial_no: earlier.data.serial_no, name: earlier.data.name, score });
+    } else if (rowA || rowB) {
+      const existing = rowA ? b : a;
+      (rowA || rowB).duplicates.push({ profileId: existing.id, serial_no: existing.serial_no, name: existing.name, score });
+    }
+  });
+
+  results.forEach(result => {
+    result.status = result.errors.length > 0 ? 'error' : result.duplicates.length > 0 ? 'duplicate' : 'valid';
+  });
+
+  const summary = {
+    total: results.length,
+    valid: results.filter(result => result.status === 'valid').length,
+    duplicate: results.filter(result => result.status === 'duplicate').length,
+    error: results.filter(result => result.status === 'error').length
+  };
+
+  return {
+    fileName: file.originalname,
+    mapping,
+    unmappedRequired: unmappedRequiredFields(mapping),
+    rows: results,
+    summary
+  };
+}
+
+/**
+ * Read the columns of an import file and suggest a mapping to profile fields
+ * POST /api/profile/import/columns (multipart, field "file")
+ */
+exports.readImportColumns = asyncHandler(async (req, res) => {
+  const importLogger = log.profile();
+  importLogger.methodEntry('readImportColumns', { fileName: req.file && req.file.originalname });
+
+  try {
+    const file = requireImportFile(req);
+    const { sheetName, headers, rows } = readImportFile(file.buffer, file.originalname);
+    const mapping = suggestColumnMapping(headers);
+
+    importLogger.methodExit('readImportColumns', {
+      success: true,
+      columnsCount: headers.length,
+      rowsCount: rows.length,
+      mappedColumns: mapping.filter(Boolean).length
+    });
+
+    res.json({
+      success: true,
+      fileName: file.originalname,
+      sheetName,
+      headers,
+      mapping,
+      fields: IMPORT_FIELDS,
+      requiredFields: VALIDATION_CONFIG.REQUIRED_FIELDS,
+      unmappedRequired: unmappedRequiredFields(mapping),
+      rowCount: rows.length,
+      sampleRows: rows.slice(0, SAMPLE_ROW_COUNT).map(row => row.values.map(value => String(value)))
+    });
+  } catch (error) {
+    return handleControllerError(error, 'IMPORT_PROFILES', 'readImportColumns', req, res, importLogger);
+  }
+});
+
+/**
+ * Dry run: convert and validate every row and report errors and suspected duplicates; nothing is saved
+ * POST /api/profile/import/preview (multipart, fields "file" and "mapping")
+ */
+exports.previewImport = asyncHandler(async (req, res) => {
+  const importLogger = log.profile();
+
+  const startTime = Date.now();
+  importLogger.featureStart('IMPORT_PROFILES', {
+    source: 'ImportController',
+    operation: 'PREVIEW_IMPORT',
+    method: req.method,
+    endpoint: '/api/profile/import/preview',
+    fileName: req.file && req.file.originalname
+  });
+
+  try {
+    const report = buildImportReport(requireImportFile(req), req, importLogger);
+
+    importLogger.featureEnd('IMPORT_PROFILES', {
+      success: true,
+      dryRun: true,
+      ...report.summary,
+      statusCode: 200
+    }, Date.now() - startTime);
+
+    res.json({ success: true, dryRun: true, ...report });
+  } catch (error) {
+    importLogger.featureEnd('IMPORT_PROFILES', {
+      success: false,
+      dryRun: true,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    }, Date.now() - startTime);
+
+    return handleControllerError(error, 'IMPORT_PROFILES', 'previewImport', req, res, importLogger);
+  }
+});
+
+/**
+ * Import the valid rows of a file (the same checks as the dry run are repeated first)
+ * Rows flagged as suspected duplicates are only imported when includeDuplicates is 'true'.
+ * POST /api/profile/import/commit (multipart, fields "file", "mapping" and optional "includeDuplicates")
+ */
+exports.commitImport = asyncHandler(async (req, res) => {
+  const importLogger = log.profile();
+
+  const startTime = Date.now();
+  importLogger.featureStart('IMPORT_PROFILES', {
+    source: 'ImportController',
+    operation: 'COMMIT_IMPORT',
+    method: req.method,
+    endpoint: '/api/profile/import/commit',
+    fileName: req.file && req.file.originalname
+  });
+
+  try {
+    const report = buildImportReport(requireImportFile(req), req, importLogger);
+    const includeDuplicates = String(req.body.includeDuplicates) === 'true';
+    const rowsToImport = report.rows.filter(row => row.status === 'valid' || (includeDuplicates && row.status === 'duplicate'));
+
+    importLogger.trace('[TRACE] Creating imported profiles', {
+      phase: 'FILE_WRITE',
+      rowsToImport: rowsToImport.length,
+      includeDuplicates
+    });
+
+    const { created, skipped } = await profileController.createProfilesRaw(
+      rowsToImport.map(({ rowNumber, data }) => ({ rowNumber, data })),
+      req.user,
+      { source: 'import', fileName: report.fileName }
+    );
+
+    importLogger.featureEnd('IMPORT_PROFILES', {
+      success: true,
+      dryRun: false,
+      ...report.summary,
+      imported: created.length,
+      skippedAtSave: skipped.length,
+      statusCode: 200
+    }, Date.now() - startTime);
+
+    res.json({
+      success: true,
+      dryRun: false,
+      fileName: report.fileName,
+      summary: report.summary,
+      imported: created.length,
+      importedSerials: created.map(profile => profile.serial_no),
+      skipped
+    });
+  } catch (error) {
+    importLogger.featureEnd('IMPORT_PROFILES', {
+      success: false,
+      dryRun: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    }, Date.now() - startTime);
+
+    return handleControllerError(error, 'IMPORT_PROFILES', 'commitImport', req, res, importLogger);
+  }
+});
+
+log.info('Import controller initialized', {
+  source: 'ImportController',
+  availableFunctions: ['readImportColumns', 'previewImport', 'commitImport'],
+  dependentServices: ['ProfileImportService', 'DuplicateDetectionService', 'ProfileRepository']
+});
@@ -8,7 +8,7 @@ const {
 } = require('../utils/errorHandler');
 
 // Phase 2: Import data access services
-const { getProfiles, reloadProfiles } = require('../services/ProfileService');
+const { getProfiles } = require('../services/ProfileRepository');
 
 // Phase 4: Import matching orchestrator services
 const { findMatches, findMatchesByNakshatraGender } = require('../services/MatchingOrchestratorService');
@@ -21,28 +21,26 @@ const {
   validateNakshatraId,
   validateGender,
   validateSeekerRasi,
-  validateSeekerAge,
-  validateQualification,
-  validateRegion,
-  validateRegions,
-  validateIncomeRange,
-  validateNakshatraPreferences
+  validateDoshaRules,
+  validateMinPorutham,
+  validateMutualMatch,
+  validateRankBy,
+  validateRankingWeights,
+  validateSoftFilters,
+  MIN_PORUTHAM_RANGE,
+  VALID_RANK_BY,
+  RANKING_WEIGHT_RANGE
 } = require('../services/ValidationService');
 
-// Phase 5.2: Import matching filter services
+// Filter and ranking stages applied to the algorithm's matches
+const { applyMatchingPipeline } = require('../services/MatchingPipelineService');
+
+// Import explain-mode exclusion tracking
 const {
-  calculateAgeForMatches,
-  applyGothramCompatibilityFilter,
-  applyAgeFilter,
-  applyAgePreferenceFilter,
-  applyQualificationFilter,
-  applyRegionFilter,
-  applyIncomeFilter,
-  applyRemarriedFilter,
-  applyRasiCompatibilityFilter,
-  applyNakshatraPreferenceFilter,
-  sortMatchesByPorutham
-} = require('../services/MatchingFilterService');
+  recordExclusion,
+  explainNakshatraMatchStage,
+  buildMatchExplanation
+} = require('../services/MatchExplanationService');
 
 // Phase 5.3: Import response formatting services
 const {
@@ -53,8 +51,17 @@ const {
 // Import form parsing utilities
 const { createFormObject } = require('../utils/FormParser');
 
-// Export reloadProfiles function from ProfileService
-exports.reloadProfiles = reloadProfiles;
+// Import persisted matching configuration
+const { getMatchingConfig, updateMatchingConfig } = require('../utils/matchingConfig');
+
+// Import rasi compatibility rule engine
+const {
+  SEVERITY_LEVELS,
+  evaluateRasiCompatibility,
+  validateRuleSet,
+  getActiveRuleSet
+} = require('../services/RasiCompatibilityService');
+const { saveRasiRules, getRasiRulesFilePath } = require('../utils/rasiRulesConfig');
 
 // MatchingController: Handles nakshatra matching API logic with comprehensive error handling
 exports.findMatching = asyncHandler(async (req, res) => {
@@ -145,6 +152,14 @@ exports.findMatching = asyncHandler(async (req, res) => {
       maxIncome,
       agePreference,
       enableRasiCompatibility,
+      enableNavamsamCompatibility,
+      mutualMatch,
+      rajjuDosha,
+      vedhaiDosha,
+      minPorutham,
+      rankBy,
+      softFilters,
+      explain,
       searchMode
     } = formData;
     
@@ -192,10 +207,34 @@ exports.findMatching = asyncHandler(async (req, res) => {
     });
     
     let matches = [];
+    // Profiles returned by the nakshatra matching algorithm, before any filter
+    let algorithmMatches = [];
+    // Explain mode: every filter records the candidates it drops and why
+    const exclusions = explain ? [] : null;
     
     // Validate search mode
     validateSearchMode(searchMode, matchingLogger);
     
+    // Validate Rajju / Vedhai dosha rule actions (applied after all other filters)
+    const doshaRules = { rajju: rajjuDosha, vedhai: vedhaiDosha };
+    validateDoshaRules(doshaRules, matchingLogger);
+    
+    // Resolve minimum porutham (per-search override, otherwise the admin-configured default)
+    const minPoruthamScore = minPorutham !== ''
+      ? validateMinPorutham(minPorutham, matchingLogger)
+      : getMatchingConfig().minPorutham;
+    
+    // Resolve result ordering (per-search choice, otherwise the admin-configured default)
+    const resolvedRankBy = rankBy !== ''
+      ? validateRankBy(rankBy, matchingLogger)
+      : getMatchingConfig().rankBy;
+    
+    // Preference filters that keep near misses (tagged with missedPreferences) instead of dropping them
+    const resolvedSoftFilters = validateSoftFilters(softFilters, matchingLogger);
+    
+    // Mutual matching re-checks each candidate against the seeker profile (serial mode only)
+    validateMutualMatch(mutualMatch, searchMode, matchingLogger);
+    
     if (searchMode === 'serial') {
       // --- Flow 1: serial_no (profile-based) ---
       matchingLogger.trace('[TRACE] Using serial number search mode', {
@@ -214,7 +253,8 @@ exports.findMatching = asyncHandler(async (req, res) => {
       
       // Call findMatches with error handling
       try {
-        matches = findMatches(profileId, includeMathimam, matchingLogger) || [];
+        matches = findMatches(profileId, includeMathimam, matchingLogger, minPoruthamScore) || [];
+        algorithmMatches = matches;
         // Extract serial numbers safely
         const matchingSerialNos = matches.map(m => m.serial_no || 'N/A').join(', ');
         matchingLogger.trace('[TRACE] Found initial matches by profile', {
@@ -243,7 +283,11 @@ exports.findMatching = asyncHandler(async (req, res) => {
       // Optionally filter by gender/nakshatraid if provided
       if (gender && gender !== '') {
         const beforeCount = matches.length;
-        matches = matches.filter(p => p.gender === gender);
+        matches = matches.filter(p => {
+          if (p.gender === gender) return true;
+          recordExclusion(exclusions, 'GENDER', p, `Gender ${p.gender || 'not recorded'} is not ${gender}`);
+          return false;
+        });
         matchingLogger.trace('[TRACE] Applied additional gender filter', {
           phase: 'ADDITIONAL_FILTERING',
           filter: 'gender',
@@ -254,7 +298,11 @@ exports.findMatching = asyncHandler(async (req, res) => {
       
       if (nakshatraid && nakshatraid !== '') {
         const beforeCount = matches.length;
-        matches = matches.filter(p => p.nakshatraid && p.nakshatraid.toString() === nakshatraid.toString());
+        matches = matches.filter(p => {
+          if (p.nakshatraid && p.nakshatraid.toString() === nakshatraid.toString()) return true;
+          recordExclusion(exclusions, 'NAKSHATRA', p, 'Nakshatra does not match the selected nakshatra');
+          return false;
+        });
         matchingLogger.trace('[TRACE] Applied additional nakshatra filter', {
           phase: 'ADDITIONAL_FILTERING',
           filter: 'nakshatraid',
@@ -277,7 +325,8 @@ exports.findMatching = asyncHandler(async (req, res) => {
       validateSeekerRasi(enableRasiCompatibility, seekerRasi, searchMode, matchingLogger);
       
       try {
-        matches = findMatchesByNakshatraGender(nakshatraid, gender, includeMathimam, seekerRasi, enableRasiCompatibility, matchingLogger) || [];
+        matches = findMatchesByNakshatraGender(nakshatraid, gender, includeMathimam, seekerRasi, enableRasiCompatibility, matchingLogger, minPoruthamScore) || [];
+        algorithmMatches = matches;
         // Extract serial numbers safely
         const matchingSerialNos = matches.map(m => m.serial_no || 'N/A').join(', ');
         matchingLogger.trace('[TRACE] Found matches by nakshatra and gender', {
@@ -306,35 +355,6 @@ exports.findMatching = asyncHandler(async (req, res) => {
       }
     }
 
-    // If no matches found after initial search
-    if (!matches || matches.length === 0) {
-      const errorMsg = serialNo ? 
-        'No matches found for the given Serial No.' : 
-        'No matches found for the given Nakshatra and Gender.';
-        
-      matchingLogger.warn('[WARN] No initial matches found', {
-        phase: 'MATCHING_RESULTS',
-        searchMode,
-        serialNo,
-        nakshatraid,
-        gender,
-        matchesCount: 0
-      });
-      
-      throw new AppError(
-        ERROR_MESSAGES.NO_MATCHING_PROFILES,
-        404,
-        ERROR_TYPES.BUSINESS_LOGIC,
-        { searchMode, serialNo, nakshatraid, gender }
-      );
-    }
-
-    // Continue with advanced filtering logic with comprehensive error handling
-    matchingLogger.trace('[TRACE] Starting advanced filtering', {
-      phase: 'ADVANCED_FILTERING START',
-      initialMatchesCount: matches.length
-    });
-
     // Seeker profile lookup for filtering and final processing (moved earlier for gothram filtering)
     let seekerProfile = null;
     if (searchMode === 'serial' && (profileId || serialNo)) {
@@ -347,11 +367,14 @@ exports.findMatching = asyncHandler(async (req, res) => {
       });
       
       try {
-        seekerProfile = profiles.find(p => 
+        const storedSeekerProfile = profiles.find(p => 
           p.id === profileId || 
           p.id === parseInt(profileId) ||
           (serialNo && p.serial_no && p.serial_no.toString().trim().toLowerCase() === serialNo.toString().trim().toLowerCase())
         );
+        // Work on a copy: the stored profile is shared through the repository cache, and the
+        // extracted age and gender added below belong to this search only
+        seekerProfile = storedSeekerProfile ? { ...storedSeekerProfile } : null;
         
         if (seekerProfile) {
           matchingLogger.trace('[TRACE] Seeker profile found for filtering', {
@@ -442,111 +465,64 @@ exports.findMatching = asyncHandler(async (req, res) => {
       });
     }
 
-    // Gothram compatibility filtering (FIRST FILTER - mandatory when gothram is available)
-    if (seekerGothram && seekerGothram.trim() !== '') {
-      try {
-        matchingLogger.info('[DEBUG] About to apply mandatory gothram filter', {
-          phase: 'GOTHRAM_FILTERING',
-          searchMode,
-          seekerGothram: seekerGothram,
-          beforeCount: matches.length,
-          candidateGothrams: matches.slice(0, 3).map(p => ({
-            id: p.id,
-            name: p.name,
-            gothram: p.gothram,
-            gothramType: typeof p.gothram
-          }))
-        });
-        
-        matches = applyGothramCompatibilityFilter(matches, seekerGothram, matchingLogger);
-        
-        matchingLogger.info('[DEBUG] Mandatory gothram filtering completed', {
-          phase: 'GOTHRAM_FILTERING',
-          afterCount: matches.length,
-          filteredOut: matches.length > 0 ? 'SOME_REMAINED' : 'ALL_FILTERED'
-        });
-      } catch (gothramError) {
-        matchingLogger.error('[ERROR] Gothram compatibility filtering failed', {
-          phase: 'GOTHRAM_FILTERING',
-          searchMode,
-          seekerGothram,
-          errorMessage: gothramError.message
-        }, gothramError);
-        
-        // Don't throw error for gothram compatibility - just log and continue
-        matchingLogger.warn('[WARN] Continuing without gothram compatibility filter due to error', {
-          phase: 'GOTHRAM_FILTERING'
-        });
-      }
-    } else {
-      matchingLogger.info('[INFO] No gothram provided - skipping gothram filtering', {
-        phase: 'GOTHRAM_FILTERING',
-        searchMode,
-        seekerGothram: seekerGothram || 'null'
+    // Explain mode: account for every profile of the candidate gender the algorithm did not return
+    let candidatesConsidered = 0;
+    if (exclusions) {
+      const seekerGender = searchMode === 'serial' ? (seekerProfile && seekerProfile.gender) : gender;
+      const candidateGender = seekerGender === 'Male' ? 'Female' : seekerGender === 'Female' ? 'Male' : null;
+      const candidatePool = profiles.filter(p =>
+        p.gender === candidateGender && !(seekerProfile && p.id === seekerProfile.id)
+      );
+      candidatesConsidered = candidatePool.length;
+      
+      explainNakshatraMatchStage(candidatePool, algorithmMatches, {
+        seekerNakshatraId: searchMode === 'serial' ? (seekerProfile && seekerProfile.nakshatraid) : nakshatraid,
+        includeMathimam,
+        minPorutham: minPoruthamScore,
+        seekerRasi: searchMode === 'nakshatra' && enableRasiCompatibility ? seekerRasi : null
+      }, exclusions);
+      
+      matchingLogger.trace('[TRACE] Explained nakshatra matching stage', {
+        phase: 'MATCH_EXPLANATION',
+        candidatesConsidered,
+        algorithmMatches: algorithmMatches.length,
+        excludedByAlgorithm: exclusions.length
       });
     }
 
-    // Apply nakshatra preference filter (if specified)
-    try {
-      if (nakshatraPreferences && Array.isArray(nakshatraPreferences) && nakshatraPreferences.length > 0) {
-        matchingLogger.trace('[TRACE] Applying nakshatra preference filter', {
-          phase: 'NAKSHATRA_PREFERENCE_FILTERING',
-          searchMode,
-          nakshatraPreferences,
-          beforeCount: matches.length
-        });
-        
-        validateNakshatraPreferences(nakshatraPreferences, matchingLogger);
-        matches = applyNakshatraPreferenceFilter(matches, nakshatraPreferences, matchingLogger);
+    // If no matches found after initial search (checked once the explanation covers the algorithm stage)
+    if (!matches || matches.length === 0) {
+      const errorMsg = serialNo ? 
+        'No matches found for the given Serial No.' : 
+        'No matches found for the given Nakshatra and Gender.';
         
-        matchingLogger.info('[DEBUG] Nakshatra preference filtering completed', {
-          phase: 'NAKSHATRA_PREFERENCE_FILTERING',
-          nakshatraPreferences,
-          afterCount: matches.length,
-          filteredOut: matches.length > 0 ? 'SOME_REMAINED' : 'ALL_FILTERED'
-        });
-      } else {
-        matchingLogger.trace('[TRACE] No nakshatra preference filter applied', {
-          phase: 'NAKSHATRA_PREFERENCE_FILTERING',
-          reason: 'no_preferences_specified'
-        });
-      }
-    } catch (nakshatraPreferenceError) {
-      matchingLogger.error('[ERROR] Nakshatra preference filtering failed', {
-        phase: 'NAKSHATRA_PREFERENCE_FILTERING',
+      matchingLogger.warn('[WARN] No initial matches found', {
+        phase: 'MATCHING_RESULTS',
         searchMode,
-        nakshatraPreferences,
-        errorMessage: nakshatraPreferenceError.message
-      }, nakshatraPreferenceError);
-      
-      // Don't throw error for nakshatra preference filter - just log and continue
-      matchingLogger.warn('[WARN] Continuing without nakshatra preference filter due to error', {
-        phase: 'NAKSHATRA_PREFERENCE_FILTERING'
+        serialNo,
+        nakshatraid,
+        gender,
+        matchesCount: 0
       });
+      
+      throw new AppError(
+        ERROR_MESSAGES.NO_MATCHING_PROFILES,
+        404,
+        ERROR_TYPES.BUSINESS_LOGIC,
+        {
+          searchMode,
+          serialNo,
+          nakshatraid,
+          gender,
+          ...(exclusions && { explanation: buildMatchExplanation(exclusions, 0, candidatesConsidered) })
+        }
+      );
     }
 
-    // Calculate age for all matching profiles from birthdate with error handling
-    const beforeAgeCalc = matches.length;
-    matches = calculateAgeForMatches(matches, matchingLogger);
-    const afterAgeCalc = matches.length;
-    
-    matchingLogger.info('Age calculation completed', {
-      phase: 'AGE_CALCULATION',
-      beforeCount: beforeAgeCalc,
-      afterCount: afterAgeCalc,
-      profilesWithValidAge: afterAgeCalc,
-      profilesWithInvalidAge: beforeAgeCalc - afterAgeCalc
-    });
-    
-    matchingLogger.info('[DEBUG] After age calculation', {
-      phase: 'AGE_CALCULATION_DEBUG',
-      matchesCount: matches.length,
-      remainingProfiles: matches.map(p => ({
-        id: p.id,
-        name: p.name,
-        age: p.age,
-        gothram: p.gothram
-      }))
+    // Continue with advanced filtering logic with comprehensive error handling
+    matchingLogger.trace('[TRACE] Starting advanced filtering', {
+      phase: 'ADVANCED_FILTERING START',
+      initialMatchesCount: matches.length
     });
 
     // Extract seeker age and gender for age preference filtering
@@ -613,274 +589,32 @@ exports.findMatching = asyncHandler(async (req, res) => {
       }
     }
 
-    // Age filtering with error handling (works for both serial and nakshatra modes)
-    if (actualSeekerAge && actualSeekerAge.trim() !== '') {
-      try {
-        const seekerAgeNum = validateSeekerAge(actualSeekerAge, matchingLogger);
-        matches = applyAgeFilter(matches, seekerAgeNum, actualGender, matchingLogger);
-        
-        // Apply age preference filter (additional constraint on top of default age filtering)
-        matchingLogger.info('[DEBUG] Age preference check', {
-          phase: 'AGE_PREFERENCE_DEBUG',
-          searchMode: searchMode,
-          agePreference: agePreference,
-          agePreferenceExists: !!agePreference,
-          agePreferenceTrimmed: agePreference ? agePreference.trim() : 'N/A',
-          seekerAge: actualSeekerAge,
-          seekerAgeNum: seekerAgeNum,
-          gender: actualGender
-        });
-        
-        if (agePreference && agePreference.trim() !== '') {
-          const agePreferenceNum = parseInt(agePreference, 10);
-          matchingLogger.info('[DEBUG] Age preference parsing', {
-            phase: 'AGE_PREFERENCE_PARSING',
-            originalValue: agePreference,
-            parsedValue: agePreferenceNum,
-            isValid: !isNaN(agePreferenceNum)
-          });
-          
-          if (!isNaN(agePreferenceNum)) {
-            const beforeFilterCount = matches.length;
-            matches = applyAgePreferenceFilter(matches, seekerAgeNum, actualGender, agePreferenceNum, matchingLogger);
-            
-            matchingLogger.info('[DEBUG] Age preference filter applied', {
-              phase: 'AGE_PREFERENCE_APPLIED',
-              beforeCount: beforeFilterCount,
-              afterCount: matches.length,
-              filtered: beforeFilterCount - matches.length,
-              seekerAge: seekerAgeNum,
-              agePreference: agePreferenceNum,
-              gender: actualGender
-            });
-          } else {
-            matchingLogger.warn('[WARN] Invalid age preference value, skipping preference filter', {
-              phase: 'AGE_PREFERENCE_FILTERING',
-              agePreference,
-              reason: 'Not a valid number'
-            });
-          }
-        } else {
-          matchingLogger.info('[DEBUG] Age preference not provided or empty', {
-            phase: 'AGE_PREFERENCE_SKIPPED',
-            agePreference: agePreference,
-            reason: 'Empty or undefined value'
-          });
-        }
-      } catch (ageFilterError) {
-        matchingLogger.error('[ERROR] Age filtering failed', {
-          phase: 'AGE_FILTERING',
-          seekerAge,
-          errorMessage: ageFilterError.message
-        }, ageFilterError);
-        
-        if (ageFilterError instanceof AppError) {
-          throw ageFilterError;
-        } else {
-          throw new AppError(
-            ERROR_MESSAGES.INVALID_SEARCH_CRITERIA,
-            400,
-            ERROR_TYPES.VALIDATION,
-            { filter: 'age', value: seekerAge }
-          );
-        }
-      }
-    }
-
-    // Qualification filtering with error handling
-    if (qualification && qualification.trim() !== '') {
-      const beforeQualFilter = matches.length;
-      try {
-        validateQualification(qualification, matchingLogger);
-        matches = applyQualificationFilter(matches, qualification, exactQualification, matchingLogger);
-        const afterQualFilter = matches.length;
-        
-        matchingLogger.info('Qualification filtering completed', {
-          phase: 'QUALIFICATION_FILTERING',
-          beforeCount: beforeQualFilter,
-          afterCount: afterQualFilter,
-          filteredOut: beforeQualFilter - afterQualFilter,
-          qualification: qualification,
-          exactMatch: exactQualification
-        });
-      } catch (qualificationError) {
-        matchingLogger.error('[ERROR] Qualification filtering failed', {
-          phase: 'QUALIFICATION_FILTERING',
-          qualification,
-          exactQualification,
-          errorMessage: qualificationError.message
-        }, qualificationError);
-        
-        if (qualificationError instanceof AppError) {
-          throw qualificationError;
-        } else {
-          throw new AppError(
-            ERROR_MESSAGES.INVALID_SEARCH_CRITERIA,
-            400,
-            ERROR_TYPES.VALIDATION,
-            { filter: 'qualification', value: qualification }
-          );
-        }
-      }
-    }
-
-    // Multi-region filtering with error handling (supports both single region and array)
-    if (regions && Array.isArray(regions) && regions.length > 0) {
-      const beforeRegionFilter = matches.length;
-      try {
-        validateRegions(regions, matchingLogger);
-        matches = applyRegionFilter(matches, regions, matchingLogger);
-        const afterRegionFilter = matches.length;
-        
-        matchingLogger.info('Multi-region filtering completed', {
-          phase: 'REGION_FILTERING',
-          beforeCount: beforeRegionFilter,
-          afterCount: afterRegionFilter,
-          filteredOut: beforeRegionFilter - afterRegionFilter,
-          regions: regions,
-          regionCount: regions.length
-        });
-      } catch (regionError) {
-        matchingLogger.error('[ERROR] Multi-region filtering failed', {
-          phase: 'REGION_FILTERING',
-          regions,
-          regionCount: regions?.length || 0,
-          errorMessage: regionError.message
-        }, regionError);
-        
-        if (regionError instanceof AppError) {
-          throw regionError;
-        } else {
-          throw new AppError(
-            ERROR_MESSAGES.INVALID_SEARCH_CRITERIA,
-            400,
-            ERROR_TYPES.VALIDATION,
-            { filter: 'regions', values: regions }
-          );
-        }
-      }
-    } else if (region && region.trim() !== '') {
-      // Backward compatibility: handle single region parameter
-      const beforeSingleRegionFilter = matches.length;
-      try {
-        validateRegion(region, matchingLogger);
-        matches = applyRegionFilter(matches, region, matchingLogger);
-        const afterSingleRegionFilter = matches.length;
-        
-        matchingLogger.info('Single region filtering completed', {
-          phase: 'REGION_FILTERING',
-          beforeCount: beforeSingleRegionFilter,
-          afterCount: afterSingleRegionFilter,
-          filteredOut: beforeSingleRegionFilter - afterSingleRegionFilter,
-          region: region
-        });
-      } catch (regionError) {
-        matchingLogger.error('[ERROR] Single region filtering failed', {
-          phase: 'REGION_FILTERING',
-          region,
-          errorMessage: regionError.message
-        }, regionError);
-        
-        if (regionError instanceof AppError) {
-          throw regionError;
-        } else {
-          throw new AppError(
-            ERROR_MESSAGES.INVALID_SEARCH_CRITERIA,
-            400,
-            ERROR_TYPES.VALIDATION,
-            { filter: 'region', value: region }
-          );
-        }
-      }
-    }
-
-    // Income filtering with error handling
-    if ((minIncome && minIncome.trim() !== '') || (maxIncome && maxIncome.trim() !== '')) {
-      const beforeIncomeFilter = matches.length;
-      try {
-        const { minIncomeNum, maxIncomeNum } = validateIncomeRange(minIncome, maxIncome, matchingLogger);
-        matches = applyIncomeFilter(matches, minIncomeNum, maxIncomeNum, matchingLogger);
-        const afterIncomeFilter = matches.length;
-        
-        matchingLogger.info('Income filtering completed', {
-          phase: 'INCOME_FILTERING',
-          beforeCount: beforeIncomeFilter,
-          afterCount: afterIncomeFilter,
-          filteredOut: beforeIncomeFilter - afterIncomeFilter,
-          incomeRange: `${minIncomeNum || 0}-${maxIncomeNum || 'unlimited'}`,
-          minIncome: minIncomeNum,
-          maxIncome: maxIncomeNum
-        });
-      } catch (incomeError) {
-        matchingLogger.error('[ERROR] Income filtering failed', {
-          phase: 'INCOME_FILTERING',
-          minIncome,
-          maxIncome,
-          errorMessage: incomeError.message
-        }, incomeError);
-        
-        if (incomeError instanceof AppError) {
-          throw incomeError;
-        } else {
-          throw new AppError(
-            ERROR_MESSAGES.INVALID_SEARCH_CRITERIA,
-            400,
-            ERROR_TYPES.VALIDATION,
-            { filter: 'income', minIncome, maxIncome }
-          );
-        }
-      }
-    }
-
-    // Remarried status filtering with error handling
-    const beforeRemarriedFilter = matches.length;
-    try {
-      matches = applyRemarriedFilter(matches, includeRemarried, matchingLogger);
-      const afterRemarriedFilter = matches.length;
-      
-      matchingLogger.info('Remarried filtering completed', {
-        phase: 'REMARRIED_FILTERING',
-        beforeCount: beforeRemarriedFilter,
-        afterCount: afterRemarriedFilter,
-        filteredOut: beforeRemarriedFilter - afterRemarriedFilter,
-        includeRemarried: includeRemarried
-      });
-    } catch (remarriedError) {
-      matchingLogger.error('[ERROR] Remarried filtering failed', {
-        phase: 'REMARRIED_FILTERING',
-        includeRemarried,
-        errorMessage: remarriedError.message
-      }, remarriedError);
-      
-      throw new AppError(
-        'Error applying remarried status filter.',
-        500,
-        ERROR_TYPES.BUSINESS_LOGIC,
-        { filter: 'remarried', includeRemarried }
-      );
-    }
-
-    // Seeker profile already looked up earlier for gothram filtering - reuse the same profile
-
-    // Rasi compatibility filtering with error handling
-    try {
-      matches = applyRasiCompatibilityFilter(matches, enableRasiCompatibility, seekerProfile, searchMode, matchingLogger);
-    } catch (rasiError) {
-      matchingLogger.error('[ERROR] Rasi compatibility filtering failed', {
-        phase: 'RASI_FILTERING',
-        profileId,
-        serialNo,
-        errorMessage: rasiError.message
-      }, rasiError);
-      
-      // Don't throw error for rasi compatibility - just log and continue
-      matchingLogger.warn('[WARN] Continuing without rasi compatibility filter due to error', {
-        phase: 'RASI_FILTERING'
-      });
-    }
-    
-    // Sort matches by porutham score using MatchingFilterService
-    matches = sortMatchesByPorutham(matches, matchingLogger);
+    // Filter and ranking stages (MatchingPipelineService, shared with the batch matching report)
+    matches = applyMatchingPipeline(matches, {
+      searchMode,
+      seekerProfile,
+      seekerGothram,
+      seekerAge: actualSeekerAge,
+      gender: actualGender,
+      nakshatraid,
+      nakshatraPreferences,
+      agePreference,
+      qualification,
+      exactQualification,
+      region,
+      regions,
+      minIncome,
+      maxIncome,
+      includeMathimam,
+      includeRemarried,
+      enableRasiCompatibility,
+      enableNavamsamCompatibility,
+      mutualMatch,
+      minPorutham: minPoruthamScore,
+      doshaRules,
+      rankBy: resolvedRankBy,
+      softFilters: resolvedSoftFilters
+    }, matchingLogger, exclusions);
     
     // Check if matches were filtered out completely
     if (!matches || matches.length === 0) {
@@ -900,7 +634,12 @@ exports.findMatching = asyncHandler(async (req, res) => {
           incomeFilter: (minIncome && minIncome.trim() !== '') || (maxIncome && maxIncome.trim() !== ''),
           nakshatraPreferenceFilter: nakshatraPreferences && nakshatraPreferences.length > 0,
           nakshatraPreferenceCount: nakshatraPreferences ? nakshatraPreferences.length : 0,
-          rasiCompatibility: enableRasiCompatibility
+          rasiCompatibility: enableRasiCompatibility,
+          navamsamCompatibility: enableNavamsamCompatibility,
+          mutualMatch,
+          rajjuDosha: rajjuDosha || 'default',
+          vedhaiDosha: vedhaiDosha || 'default',
+          minPorutham: minPoruthamScore
         }
       });
       
@@ -914,7 +653,8 @@ exports.findMatching = asyncHandler(async (req, res) => {
           nakshatraid, 
           gender,
           finalMatchesCount: 0,
-          suggestion: 'Try adjusting age range, qualification level, or disable Rasi compatibility filter'
+          suggestion: 'Try adjusting age range, qualification level, or disable Rasi compatibility filter',
+          ...(exclusions && { explanation: buildMatchExplanation(exclusions, 0, candidatesConsidered) })
         }
       );
     }
@@ -950,11 +690,18 @@ exports.findMatching = asyncHandler(async (req, res) => {
       includeMathimam,
       includeRemarried,
       enableRasiCompatibility,
+      enableNavamsamCompatibility,
+      mutualMatch,
       seekerGothram,
       minIncome,
       maxIncome,
       agePreference,
-      nakshatraPreferences
+      nakshatraPreferences,
+      rajjuDosha,
+      vedhaiDosha,
+      minPorutham: minPoruthamScore,
+      rankBy: resolvedRankBy,
+      softFilters: resolvedSoftFilters
     });
 
     // Log find matching process completion
@@ -970,6 +717,7 @@ exports.findMatching = asyncHandler(async (req, res) => {
       template: 'find-matching',
       seekerProfile: seekerProfile || null,
       searchCriteria,
+      explanation: exclusions ? buildMatchExplanation(exclusions, matches.length, candidatesConsidered) : null,
       enrichments: ['nakshatra']
     }, req, res, matchingLogger);
 
@@ -990,3 +738,210 @@ exports.findMatching = asyncHandler(async (req, res) => {
   }
 });
 
+
+// Returns the persisted matching settings (minimum porutham default)
+exports.getMatchingSettings = asyncHandler(async (req, res) => {
+  log.debug('Matching settings API endpoint called', {
+    source: 'MatchingController'
+  });
+  
+  try {
+    const { minPorutham, rankBy, rankingWeights, lastUpdated } = getMatchingConfig();
+    
+    res.json({
+      success: true,
+      data: {
+        minPorutham,
+        rankBy,
+        rankingWeights,
+        lastUpdated,
+        validRange: MIN_PORUTHAM_RANGE,
+        validRankBy: VALID_RANK_BY,
+        weightRange: RANKING_WEIGHT_RANGE
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    return handleControllerError(error, 'FIND_MATCHING', 'getMatchingSettings', req, res, log);
+  }
+});
+
+// Updates the persisted matching settings (admin)
+exports.updateMatchingSettings = asyncHandler(async (req, res) => {
+  const matchingLogger = log.findMatching();
+  
+  matchingLogger.debug('Update matching settings API endpoint called', {
+    source: 'MatchingController',
+    body: req.body
+  });
+  
+  try {
+    const body = req.body || {};
+    const updates = {};
+    
+    // Each setting is optional; only the ones sent are validated and changed
+    if (body.minPorutham !== undefined) {
+      updates.minPorutham = validateMinPorutham(body.minPorutham, matchingLogger);
+    }
+    if (body.rankBy !== undefined) {
+      updates.rankBy = validateRankBy(body.rankBy, matchingLogger);
+    }
+    if (body.rankingWeights !== undefined) {
+      updates.rankingWeights = validateRankingWeights(body.rankingWeights, matchingLogger);
+    }
+    
+    if (Object.keys(updates).length === 0) {
+      throw new AppError(
+        'No matching settings provided. Send minPorutham, rankBy or rankingWeights.',
+        400,
+        ERROR_TYPES.VALIDATION,
+        { validSettings: ['minPorutham', 'rankBy', 'rankingWeights'] }
+      );
+    }
+    
+    let updatedConfig;
+    try {
+      updatedConfig = updateMatchingConfig(updates);
+    } catch (saveError) {
+      throw new AppError(
+        'Failed to save matching settings.',
+        500,
+        ERROR_TYPES.FILE_SYSTEM,
+        { updates, errorMessage: saveError.message }
+      );
+    }
+    
+    matchingLogger.info('Matching settings updated', {
+      source: 'MatchingController',
+      updatedSettings: Object.keys(updates),
+      minPorutham: updatedConfig.minPorutham,
+      rankBy: updatedConfig.rankBy,
+      rankingWeights: updatedConfig.rankingWeights
+    });
+    
+    res.json({
+      success: true,
+      message: 'Matching settings updated successfully',
+      data: {
+        minPorutham: updatedConfig.minPorutham,
+        rankBy: updatedConfig.rankBy,
+        rankingWeights: updatedConfig.rankingWeights,
+        lastUpdated: updatedConfig.lastUpdated
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    return handleControllerError(error, 'FIND_MATCHING', 'updateMatchingSettings', req, res, matchingLogger);
+  }
+});
+
+// Returns the active rasi compatibility rule set
+exports.getRasiRules = asyncHandler(async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getActiveRuleSet(),
+      ruleFile: getRasiRulesFilePath(),
+      severityLevels: SEVERITY_LEVELS,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    return handleControllerError(error, 'FIND_MATCHING', 'getRasiRules', req, res, log);
+  }
+});
+
+// Replaces the rasi compatibility rule set (admin)
+exports.updateRasiRules = asyncHandler(async (req, res) => {
+  const matchingLogger = log.findMatching();
+  
+  try {
+    const ruleSet = req.body;
+    const errors = validateRuleSet(ruleSet);
+    if (errors.length > 0) {
+      throw new AppError(
+        'Invalid rasi compatibility rule set.',
+        400,
+        ERROR_TYPES.VALIDATION,
+        { errors }
+      );
+    }
+    
+    try {
+      saveRasiRules(ruleSet);
+    } catch (saveError) {
+      throw new AppError(
+        'Failed to save rasi compatibility rules.',
+        500,
+        ERROR_TYPES.FILE_SYSTEM,
+        { errorMessage: saveError.message }
+      );
+    }
+    
+    matchingLogger.info('Rasi compatibility rules updated', {
+      source: 'MatchingController',
+      ruleSetName: ruleSet.name,
+      ruleCount: ruleSet.rules.length
+    });
+    
+    res.json({
+      success: true,
+      message: 'Rasi compatibility rules updated successfully',
+      data: getActiveRuleSet(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    return handleControllerError(error, 'FIND_MATCHING', 'updateRasiRules', req, res, matchingLogger);
+  }
+});
+
+// Tests a male/female rasi_lagnam pair against the active rule set (or a draft rule set in the body)
+exports.testRasiRules = asyncHandler(async (req, res) => {
+  const matchingLogger = log.findMatching();
+  
+  try {
+    const { maleRasi, femaleRasi, ruleSet } = req.body || {};
+    
+    if (!maleRasi || typeof maleRasi !== 'string' || !femaleRasi || typeof femaleRasi !== 'string') {
+      throw new AppError(
+        'Both maleRasi and femaleRasi are required.',
+        400,
+        ERROR_TYPES.VALIDATION,
+        { maleRasi, femaleRasi }
+      );
+    }
+    
+    if (ruleSet !== undefined) {
+      const errors = validateRuleSet(ruleSet);
+      if (errors.length > 0) {
+        throw new AppError(
+          'Invalid rasi compatibility rule set.',
+          400,
+          ERROR_TYPES.VALIDATION,
+          { errors }
+        );
+      }
+    }
+    
+    const evaluation = ruleSet !== undefined
+      ? evaluateRasiCompatibility(maleRasi, femaleRasi, ruleSet)
+      : evaluateRasiCompatibility(maleRasi, femaleRasi);
+    
+    matchingLogger.debug('Rasi compatibility rule test', {
+      source: 'MatchingController',
+      maleRasi,
+      femaleRasi,
+      draftRuleSet: ruleSet !== undefined,
+      compatible: evaluation.compatible
+    });
+    
+    res.json({
+      success: true,
+      data: { maleRasi, femaleRasi, ...evaluation },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    return handleControllerError(error, 'FIND_MATCHING', 'testRasiRules', req, res, matchingLogger);
+  }
+});
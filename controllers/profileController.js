@@ -13,16 +13,310 @@ const {
 } = require('../utils/errorHandler');
 const { VALIDATION_CONFIG } = require('../utils/validationConfig');
 const { FieldValidator } = require('../utils/validationHelpers');
-const { getDataFilePath, ensureDirectoryExists, getDataPath } = require('../utils/appData');
+const { ensureDirectoryExists, getDataPath } = require('../utils/appData');
+const { getProfileStore } = require('../services/ProfileStorageService');
+const { serialKey } = require('../services/storage/JsonProfileStore');
+const {
+  getProfiles,
+  getProfileById,
+  findProfileBySerialNo,
+  countProfiles,
+  saveProfiles,
+  getArchivedProfiles,
+  getArchivedProfileById,
+  saveArchivedProfiles
+} = require('../services/ProfileRepository');
+const { AUDIT_ACTIONS, recordProfileChange, getProfileHistory, actionForUpdate, diffProfiles } = require('../services/AuditService');
+const { recordRevisions, listRevisions, getRevision } = require('../services/ProfileRevisionService');
+const { DUPLICATE_THRESHOLD, MERGEABLE_FIELDS, findDuplicateProfiles, mergeProfileFields } = require('../services/DuplicateDetectionService');
+const { processPhoto, saveProfilePhoto, deleteProfilePhoto, getProfilePhotoPath } = require('../services/ProfilePhotoService');
+const {
+  MAX_ATTACHMENTS_PER_PROFILE,
+  prepareAttachment,
+  saveProfileAttachment,
+  deleteAttachmentFile,
+  getAttachmentPath
+} = require('../services/ProfileAttachmentService');
+const { createMutex } = require('../utils/mutex');
 
 // Create feature-specific logger for Profile functionality
 const profileLogger = log.profile();
 
+// Serializes read-modify-write cycles on profile.json so concurrent saves cannot drop each other's changes
+const profileWriteLock = createMutex();
+
+// Fields pointing at stored files: they change only through their own endpoints, and a revert keeps
+// the current value (replaced and removed files are deleted)
+const FILE_FIELDS = ['photo', 'attachments'];
+
+/**
+ * Runs fn while holding the profile write lock, so no other profile save (create, update, archive,
+ * import, attachments) runs in between. Used by backup restore to replace all profile data at once.
+ * @param {Function} fn - Work to run (may be async)
+ * @returns {Promise<*>} What fn returns
+ */
+exports.runProfileWrite = function(fn) {
+  return profileWriteLock.runExclusive(fn);
+};
+
 // Return all profiles as a JS array (for internal use)
 exports.listProfilesRaw = function() {
   return readProfiles();
 };
 
+/**
+ * Filters profiles by the /api/profile/filter query parameters (for internal use)
+ * Shared by the filter API and the /profile/showall page so both list exactly the same profiles.
+ * @param {Object} query - { serial_no, name, gender, birth_date, contact_no, is_active }; omitted criteria match everything
+ * @param {Object} [searchLogger] - Feature logger of the calling request
+ * @returns {Array} Matching profiles, in saved order
+ */
+exports.filterProfilesRaw = function(query, searchLogger = log.profile()) {
+  const { serial_no, name, gender, birth_date, contact_no, is_active } = query;
+
+  // Validate search criteria
+  const hasValidCriteria = serial_no || name || gender || birth_date || contact_no || is_active;
+  if (!hasValidCriteria) {
+    searchLogger.warn('[WARN] No search criteria provided', {
+      phase: 'PARAMETER_VALIDATION',
+      query: query,
+      source: 'ProfileController'
+    });
+    // Return all profiles if no criteria provided (for backward compatibility)
+  }
+
+  searchLogger.trace('[TRACE] Search criteria extracted', {
+    phase: 'PARAMETER_EXTRACTION',
+    criteria: log.maskSensitive({
+      serial_no,
+      name,
+      gender,
+      birth_date,
+      contact_no,
+      is_active
+    }),
+    source: 'ProfileController'
+  });
+
+  searchLogger.trace('[TRACE] Loading profiles for filtering', {
+    phase: 'DATA_LOADING',
+    source: 'ProfileController'
+  });
+
+  const profiles = readProfiles();
+
+  if (!Array.isArray(profiles)) {
+    throw new AppError(
+      ERROR_MESSAGES.DATA_CORRUPTION,
+      500,
+      ERROR_TYPES.FILE_SYSTEM,
+      { issue: 'Profiles data is not an array' }
+    );
+  }
+
+  let filtered = profiles;
+
+  searchLogger.trace('[TRACE] Initial profiles loaded', {
+    phase: 'DATA_LOADING',
+    totalProfiles: profiles.length,
+    source: 'ProfileController'
+  });
+
+  // Apply filters with detailed logging and error handling
+  if (serial_no && serial_no.trim() !== '') {
+    const beforeCount = filtered.length;
+    try {
+      const serialNoLower = String(serial_no).trim().toLowerCase();
+      filtered = filtered.filter(p => {
+        const profileSerialNo = String(p.serial_no || '').trim().toLowerCase();
+        return profileSerialNo.includes(serialNoLower);
+      });
+
+      searchLogger.trace('[TRACE] Applied serial number filter', {
+        phase: 'FILTERING',
+        filter: 'serial_no',
+        beforeCount,
+        afterCount: filtered.length,
+        filteredOut: beforeCount - filtered.length,
+        source: 'ProfileController'
+      });
+    } catch (filterError) {
+      searchLogger.error('[ERROR] Serial number filter failed', {
+        phase: 'FILTERING',
+        filter: 'serial_no',
+        value: serial_no,
+        errorMessage: filterError.message,
+        source: 'ProfileController'
+      }, filterError);
+      // Continue with other filters
+    }
+  }
+
+  if (name && name.trim() !== '') {
+    const beforeCount = filtered.length;
+    try {
+      const nameLower = name.toLowerCase();
+      filtered = filtered.filter(p => {
+        return p.name && p.name.toLowerCase().includes(nameLower);
+      });
+
+      searchLogger.trace('[TRACE] Applied name filter', {
+        phase: 'FILTERING',
+        filter: 'name',
+        beforeCount,
+        afterCount: filtered.length,
+        filteredOut: beforeCount - filtered.length,
+        source: 'ProfileController'
+      });
+    } catch (filterError) {
+      searchLogger.error('[ERROR] Name filter failed', {
+        phase: 'FILTERING',
+        filter: 'name',
+        value: name,
+        errorMessage: filterError.message,
+        source: 'ProfileController'
+      }, filterError);
+    }
+  }
+
+  if (gender && gender.trim() !== '') {
+    const beforeCount = filtered.length;
+    try {
+      if (!['Male', 'Female'].includes(gender)) {
+        searchLogger.warn('[WARN] Invalid gender value provided', {
+          phase: 'FILTERING',
+          filter: 'gender',
+          value: gender,
+          source: 'ProfileController'
+        });
+      } else {
+        filtered = filtered.filter(p => p.gender === gender);
+
+        searchLogger.trace('[TRACE] Applied gender filter', {
+          phase: 'FILTERING',
+          filter: 'gender',
+          beforeCount,
+          afterCount: filtered.length,
+          filteredOut: beforeCount - filtered.length,
+          source: 'ProfileController'
+        });
+      }
+    } catch (filterError) {
+      searchLogger.error('[ERROR] Gender filter failed', {
+        phase: 'FILTERING',
+        filter: 'gender',
+        value: gender,
+        errorMessage: filterError.message,
+        source: 'ProfileController'
+      }, filterError);
+    }
+  }
+
+  if (birth_date && birth_date.trim() !== '') {
+    const beforeCount = filtered.length;
+    try {
+      // Validate date format
+      const testDate = new Date(birth_date);
+      if (isNaN(testDate.getTime())) {
+        searchLogger.warn('[WARN] Invalid birth date format provided', {
+          phase: 'FILTERING',
+          filter: 'birth_date',
+          value: birth_date,
+          source: 'ProfileController'
+        });
+      } else {
+        filtered = filtered.filter(p => p.birth_date === birth_date);
+
+        searchLogger.trace('[TRACE] Applied birth date filter', {
+          phase: 'FILTERING',
+          filter: 'birth_date',
+          beforeCount,
+          afterCount: filtered.length,
+          filteredOut: beforeCount - filtered.length,
+          source: 'ProfileController'
+        });
+      }
+    } catch (filterError) {
+      searchLogger.error('[ERROR] Birth date filter failed', {
+        phase: 'FILTERING',
+        filter: 'birth_date',
+        value: birth_date,
+        errorMessage: filterError.message,
+        source: 'ProfileController'
+      }, filterError);
+    }
+  }
+
+  if (contact_no && contact_no.trim() !== '') {
+    const beforeCount = filtered.length;
+    try {
+      const contactNoClean = contact_no.replace(/\D/g, ''); // Remove non-digits
+      filtered = filtered.filter(p => {
+        const profileContact = String(p.contact_no || '').replace(/\D/g, '');
+        return profileContact.includes(contactNoClean);
+      });
+
+      searchLogger.trace('[TRACE] Applied contact number filter', {
+        phase: 'FILTERING',
+        filter: 'contact_no',
+        beforeCount,
+        afterCount: filtered.length,
+        filteredOut: beforeCount - filtered.length,
+        source: 'ProfileController'
+      });
+    } catch (filterError) {
+      searchLogger.error('[ERROR] Contact number filter failed', {
+        phase: 'FILTERING',
+        filter: 'contact_no',
+        value: contact_no,
+        errorMessage: filterError.message,
+        source: 'ProfileController'
+      }, filterError);
+    }
+  }
+
+  // Filter by active status
+  if (is_active && is_active.trim() !== '') {
+    const beforeCount = filtered.length;
+    try {
+      const isActiveValue = is_active === 'true';
+      filtered = filtered.filter(p => {
+        // Handle various storage formats: boolean, string 'true'/'false', or undefined (default to active)
+        const profileIsActive = p.is_active === true || p.is_active === 'true' || p.is_active === undefined;
+        return isActiveValue ? profileIsActive : !profileIsActive;
+      });
+
+      searchLogger.trace('[TRACE] Applied is_active filter', {
+        phase: 'FILTERING',
+        filter: 'is_active',
+        value: is_active,
+        beforeCount,
+        afterCount: filtered.length,
+        filteredOut: beforeCount - filtered.length,
+        source: 'ProfileController'
+      });
+    } catch (filterError) {
+      searchLogger.error('[ERROR] is_active filter failed', {
+        phase: 'FILTERING',
+        filter: 'is_active',
+        value: is_active,
+        errorMessage: filterError.message,
+        source: 'ProfileController'
+      }, filterError);
+    }
+  }
+
+  searchLogger.trace('[TRACE] Search filtering completed', {
+    phase: 'FILTERING_COMPLETE',
+    initialCount: profiles.length,
+    finalCount: filtered.length,
+    filtersApplied: Object.keys(query).length,
+    source: 'ProfileController'
+  });
+
+  return filtered;
+};
+
 // GET /api/profile - List all profiles
 exports.listProfiles = asyncHandler(async (req, res) => {
   // Create feature-specific logger for Search Profile functionality
@@ -91,9 +385,10 @@ exports.listProfiles = asyncHandler(async (req, res) => {
     let ageCalculationsCount = 0;
     const processedProfiles = profiles.map(p => {
       try {
+        // Copy rather than set p.age: profiles are shared with the repository cache
         if (typeof p.age === 'undefined' && p.birth_date) {
-          p.age = calculateAge(p.birth_date);
           ageCalculationsCount++;
+          return { ...p, age: calculateAge(p.birth_date) };
         }
         return p;
       } catch (error) {
@@ -179,14 +474,13 @@ exports.getProfile = asyncHandler(async (req, res) => {
       requestedId: profileId
     });
     
-    const profiles = readProfiles();
-    const profile = profiles.find(p => p.id == profileId);
+    const profile = getProfileById(profileId);
     
     if (!profile) {
       profileLogger.warn('[WARN] Profile not found', {
         phase: 'DATA_SEARCH',
         requestedId: profileId,
-        totalProfiles: profiles.length
+        totalProfiles: countProfiles()
       });
       
       throw new AppError(
@@ -228,195 +522,793 @@ exports.getProfile = asyncHandler(async (req, res) => {
   }
 });
 
-// PUT /api/profile - Update a profile by id in body
-exports.updateProfile = asyncHandler(async (req, res) => {
+/**
+ * Get the audit history of a profile (newest first)
+ * GET /api/profile/:id/history
+ */
+exports.getProfileHistory = asyncHandler(async (req, res) => {
   const profileLogger = log.profile();
   
-  const startTime = Date.now();
-  profileLogger.featureStart('UPDATE_PROFILE', {
-    source: 'ProfileController',
-    operation: 'UPDATE_PROFILE',
-    method: req.method,
-    endpoint: '/api/profile',
-    requestId: req.headers['x-request-id'] || 'unknown'
-  });
-  
-  profileLogger.methodEntry('updateProfile', {
-    body: log.maskSensitive(req.body),
-    headers: req.headers,
-    userAgent: req.get('User-Agent'),
-    ip: req.ip || req.connection.remoteAddress
-  });
+  profileLogger.methodEntry('getProfileHistory', { profileId: req.params.id });
   
   try {
-    const { id } = req.body;
+    const profileId = req.params.id;
+    // Archived profiles keep their history
+    const profile = getProfileById(profileId) || getArchivedProfileById(profileId);
     
-    if (!id) {
+    if (!profile) {
       throw new AppError(
-        'Profile id is required in request body',
-        400,
+        ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
         ERROR_TYPES.VALIDATION,
-        { field: 'id' }
+        { profileId }
       );
     }
     
-    profileLogger.trace('[TRACE] Loading profiles for update', {
-      phase: 'DATA_LOADING',
-      profileId: id
+    const history = getProfileHistory(profile.id);
+    
+    profileLogger.methodExit('getProfileHistory', {
+      success: true,
+      profileId,
+      entries: history.length
     });
     
-    const profiles = readProfiles();
-    const idx = profiles.findIndex(p => p.id == id);
+    res.json({ success: true, profileId: String(profile.id), history });
     
-    if (idx === -1) {
+  } catch (error) {
+    profileLogger.methodExit('getProfileHistory', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    });
+    
+    return handleControllerError(error, 'GET_PROFILE', 'getProfileHistory', req, res, profileLogger);
+  }
+});
+
+// GET /api/profile/:id/revisions - Prior versions of a profile, newest first
+exports.getProfileRevisions = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  profileLogger.methodEntry('getProfileRevisions', { profileId: req.params.id });
+
+  try {
+    const profileId = req.params.id;
+    const profile = getProfileById(profileId);
+
+    if (!profile) {
       throw new AppError(
         ERROR_MESSAGES.PROFILE_NOT_FOUND,
         404,
         ERROR_TYPES.VALIDATION,
-        { profileId: id }
+        { profileId }
       );
     }
-    
-    // Extract update data (exclude id, timestamps, and serial_no for security)
-    const updateData = { ...req.body };
-    delete updateData.id;
-    delete updateData.createdAt;
-    delete updateData.updatedAt;
-    delete updateData.serial_no; // Prevent serial_no updates for security
-    
-    profileLogger.debug('[DEBUG] Starting validation for profile update', {
-      phase: 'VALIDATION_START',
-      profileId: id,
-      updateFields: Object.keys(updateData),
-      excludedFields: ['id', 'createdAt', 'updatedAt', 'serial_no'],
-      formData: log.maskSensitive(updateData)
-    });
-    
-    // Merge existing profile with update data for validation
-    const mergedProfileData = { ...profiles[idx], ...updateData };
-    
-    // Validate the complete merged profile using existing validation logic
-    profileLogger.trace('[TRACE] Validating merged profile data', {
-      phase: 'VALIDATION_PROCESSING',
-      profileId: id
-    });
-    
-    const validationErrors = validateProfileData(mergedProfileData, {
-      operation: 'UPDATE',
-      profileId: id
+
+    // changes lists what reverting to each revision would change in the current profile
+    const revisions = listRevisions(profile.id).map(revision => ({
+      ...revision,
+      changes: diffProfiles(profile, revision.profile).filter(change => !FILE_FIELDS.includes(change.field))
+    }));
+
+    profileLogger.methodExit('getProfileRevisions', {
+      success: true,
+      profileId,
+      revisions: revisions.length
     });
-    
-    if (validationErrors.length > 0) {
-      profileLogger.error('[ERROR] Profile update validation failed', {
-        phase: 'VALIDATION_FAILED',
-        profileId: id,
-        validationErrors,
-        updateData: log.maskSensitive(updateData)
-      });
-      
-      throw handleValidationError(validationErrors, 'UPDATE_PROFILE', profileLogger);
-    }
-    
-    profileLogger.debug('[DEBUG] Profile update validation passed', {
-      phase: 'VALIDATION_SUCCESS',
-      profileId: id,
-      validatedFields: Object.keys(updateData)
+
+    res.json({ success: true, profileId: String(profile.id), revisions });
+
+  } catch (error) {
+    profileLogger.methodExit('getProfileRevisions', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
     });
-    
-    const now = new Date();
-    
-    // Always normalize is_remarried
-    let updateBody = { ...updateData };
-    let isRemarried = updateBody.is_remarried;
-    
-    profileLogger.debug('Profile update - remarried status handling', {
-      profileId: id,
-      incomingRemarried: isRemarried,
-      incomingType: typeof isRemarried
-    });
-    
-    if (
-      isRemarried === undefined || isRemarried === null || isRemarried === '' ||
-      isRemarried === false || isRemarried === 0 ||
-      isRemarried === 'No' || isRemarried === 'no'
-    ) {
-      isRemarried = 'false';
-    } else if (
-      isRemarried === true || isRemarried === 1 ||
-      isRemarried === 'Yes' || isRemarried === 'yes' ||
-      isRemarried === 'true' || isRemarried === 'on'
-    ) {
-      isRemarried = 'true';
-    } else {
-      isRemarried = 'false';
+
+    return handleControllerError(error, 'GET_PROFILE', 'getProfileRevisions', req, res, profileLogger);
+  }
+});
+
+// POST /api/profile/:id/revert/:rev - Restore a profile to one of its prior revisions
+exports.revertProfile = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  const startTime = Date.now();
+  profileLogger.featureStart('REVERT_PROFILE', {
+    source: 'ProfileController',
+    operation: 'REVERT_PROFILE',
+    method: req.method,
+    endpoint: '/api/profile/:id/revert/:rev',
+    profileId: req.params.id,
+    rev: req.params.rev
+  });
+
+  profileLogger.methodEntry('revertProfile', { profileId: req.params.id, rev: req.params.rev });
+
+  let releaseWriteLock;
+  try {
+    const { id: profileId, rev } = req.params;
+    releaseWriteLock = await profileWriteLock.acquire();
+    const profiles = readProfiles();
+    const idx = profiles.findIndex(p => p.id == profileId);
+
+    if (idx === -1) {
+      throw new AppError(
+        ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
+        ERROR_TYPES.VALIDATION,
+        { profileId }
+      );
     }
-    
-    updateBody.is_remarried = isRemarried;
-    
-    profileLogger.debug('Profile update - normalized remarried status', {
-      profileId: id,
-      normalizedRemarried: isRemarried,
-      finalType: typeof isRemarried
-    });
-    
-    // Apply validated update data to profile
-    const updated = { ...profiles[idx], ...updateBody, updatedAt: now };
-    profiles[idx] = updated;
-    
-    profileLogger.trace('[TRACE] Profile data updated successfully', {
-      phase: 'DATA_UPDATE',
-      profileId: updated.id,
-      modifiedFields: Object.keys(updateBody)
-    });
-    
-    profileLogger.trace('[TRACE] Writing updated profiles to file system', {
+
+    const revision = getRevision(profiles[idx].id, rev);
+    const previous = profiles[idx];
+
+    // The id, createdAt, photo and attachments stay as they are (FILE_FIELDS); the current
+    // version becomes a revision of its own when written, so a revert can itself be reverted
+    const reverted = {
+      ...revision.profile,
+      id: previous.id,
+      createdAt: previous.createdAt,
+      photo: previous.photo,
+      attachments: previous.attachments,
+      updatedAt: new Date().toISOString()
+    };
+    profiles[idx] = reverted;
+
+    profileLogger.trace('[TRACE] Writing reverted profile to file system', {
       phase: 'FILE_WRITE',
-      profileId: id
+      profileId,
+      rev: revision.rev
     });
-    
+
     writeProfiles(profiles);
-    
-    // Refresh in-memory profiles in matchingController
-    try {
-      require('./matchingController').reloadProfiles();
-      profileLogger.trace('[TRACE] Successfully reloaded profiles in matching controller', {
-        phase: 'CACHE_REFRESH_SUCCESS'
-      });
-    } catch (e) {
-      profileLogger.warn('[WARN] Failed to reload profiles in matching controller after update', {
-        phase: 'CACHE_REFRESH_ERROR',
-        errorMessage: e.message
-      }, e);
-    }
-    
-    profileLogger.featureEnd('UPDATE_PROFILE', {
+
+    auditProfileChange({
+      action: AUDIT_ACTIONS.REVERT,
+      actor: req.user,
+      before: previous,
+      after: reverted,
+      details: { revertedToRev: revision.rev }
+    }, profileLogger);
+
+    profileLogger.featureEnd('REVERT_PROFILE', {
       success: true,
-      profileId: updated.id,
+      profileId,
+      rev: revision.rev,
       statusCode: 200
     }, Date.now() - startTime);
-    
-    profileLogger.methodExit('updateProfile', {
+
+    profileLogger.methodExit('revertProfile', {
       success: true,
-      profileId: updated.id,
-      statusCode: 200
+      profileId,
+      rev: revision.rev
     });
-    
-    res.json(updated);
-    
+
+    res.json({ success: true, revertedToRev: revision.rev, profile: reverted });
+
   } catch (error) {
-    profileLogger.featureEnd('UPDATE_PROFILE', {
+    profileLogger.featureEnd('REVERT_PROFILE', {
       success: false,
       error: error.message,
       statusCode: error.statusCode || 500
     }, Date.now() - startTime);
-    
-    profileLogger.methodExit('updateProfile', {
+
+    profileLogger.methodExit('revertProfile', {
       success: false,
       error: error.message,
       statusCode: error.statusCode || 500
     });
-    
-    return handleControllerError(error, 'UPDATE_PROFILE', 'updateProfile', req, res, profileLogger);
+
+    return handleControllerError(error, 'UPDATE_PROFILE', 'revertProfile', req, res, profileLogger);
+  } finally {
+    if (releaseWriteLock) releaseWriteLock();
+  }
+});
+
+// GET /api/profile/archive - List archived (soft-deleted) profiles, most recently archived first
+exports.listArchivedProfiles = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  profileLogger.methodEntry('listArchivedProfiles', { query: req.query });
+
+  try {
+    const archived = exports.listArchivedProfilesRaw();
+
+    profileLogger.methodExit('listArchivedProfiles', {
+      success: true,
+      archivedCount: archived.length
+    });
+
+    res.json({ success: true, profiles: archived });
+
+  } catch (error) {
+    return handleControllerError(error, 'ARCHIVE_PROFILE', 'listArchivedProfiles', req, res, profileLogger);
+  }
+});
+
+// Return archived profiles, most recently archived first (for internal use)
+exports.listArchivedProfilesRaw = function() {
+  return getArchivedProfiles().reverse();
+};
+
+// DELETE /api/profile/:id - Archive (soft-delete) a profile with a reason
+exports.archiveProfile = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  const startTime = Date.now();
+  profileLogger.featureStart('ARCHIVE_PROFILE', {
+    source: 'ProfileController',
+    operation: 'ARCHIVE_PROFILE',
+    method: req.method,
+    endpoint: '/api/profile/:id',
+    profileId: req.params.id
+  });
+
+  profileLogger.methodEntry('archiveProfile', { profileId: req.params.id, body: req.body });
+
+  let releaseWriteLock;
+  try {
+    const profileId = req.params.id;
+    const { reason, note } = validateArchiveRequest(req.body || {}, profileLogger);
+
+    releaseWriteLock = await profileWriteLock.acquire();
+    const profiles = readProfiles();
+    const idx = profiles.findIndex(p => p.id == profileId);
+
+    if (idx === -1) {
+      throw new AppError(
+        ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
+        ERROR_TYPES.VALIDATION,
+        { profileId }
+      );
+    }
+
+    const previous = profiles[idx];
+    const archived = {
+      ...previous,
+      archive: {
+        reason,
+        note,
+        archivedAt: new Date().toISOString(),
+        archivedBy: req.user ? { id: req.user.id, username: req.user.username, name: req.user.name } : null
+      }
+    };
+
+    profileLogger.trace('[TRACE] Moving profile to archive', {
+      phase: 'FILE_WRITE',
+      profileId,
+      reason
+    });
+
+    // Archive first, then remove from the active profiles: if the second write fails the profile
+    // is in both (and can simply be archived again), never in neither
+    const archivedProfiles = getArchivedProfiles().filter(p => String(p.id) !== String(previous.id));
+    archivedProfiles.push(archived);
+    saveArchivedProfiles(archivedProfiles);
+
+    profiles.splice(idx, 1);
+    writeProfiles(profiles);
+
+    auditProfileChange({
+      action: AUDIT_ACTIONS.ARCHIVE,
+      actor: req.user,
+      before: previous,
+      after: archived,
+      details: { reason }
+    }, profileLogger);
+
+    profileLogger.featureEnd('ARCHIVE_PROFILE', {
+      success: true,
+      profileId,
+      reason,
+      statusCode: 200
+    }, Date.now() - startTime);
+
+    profileLogger.methodExit('archiveProfile', {
+      success: true,
+      profileId,
+      reason
+    });
+
+    res.json({ success: true, profileId: previous.id, archive: archived.archive });
+
+  } catch (error) {
+    profileLogger.featureEnd('ARCHIVE_PROFILE', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    }, Date.now() - startTime);
+
+    profileLogger.methodExit('archiveProfile', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    });
+
+    return handleControllerError(error, 'ARCHIVE_PROFILE', 'archiveProfile', req, res, profileLogger);
+  } finally {
+    if (releaseWriteLock) releaseWriteLock();
+  }
+});
+
+// POST /api/profile/:id/restore - Move an archived profile back to the active profiles
+exports.restoreProfile = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  const startTime = Date.now();
+  profileLogger.featureStart('RESTORE_PROFILE', {
+    source: 'ProfileController',
+    operation: 'RESTORE_PROFILE',
+    method: req.method,
+    endpoint: '/api/profile/:id/restore',
+    profileId: req.params.id
+  });
+
+  profileLogger.methodEntry('restoreProfile', { profileId: req.params.id });
+
+  let releaseWriteLock;
+  try {
+    const profileId = req.params.id;
+    releaseWriteLock = await profileWriteLock.acquire();
+
+    const archivedEntry = getArchivedProfileById(profileId);
+    if (!archivedEntry) {
+      throw new AppError(
+        ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
+        ERROR_TYPES.VALIDATION,
+        { profileId, issue: 'Profile is not archived' }
+      );
+    }
+
+    const profiles = readProfiles();
+    const alreadyActive = profiles.some(p => String(p.id) === String(archivedEntry.id));
+
+    // The serial number may have been given to a new profile while this one was archived
+    const serialOwner = findProfileBySerialNo(archivedEntry.serial_no);
+    if (!alreadyActive && serialOwner) {
+      throw new AppError(
+        ERROR_MESSAGES.ARCHIVED_SERIAL_IN_USE,
+        409,
+        ERROR_TYPES.BUSINESS_LOGIC,
+        { profileId, serial_no: archivedEntry.serial_no, usedByProfileId: serialOwner.id }
+      );
+    }
+
+    const { archive, ...profile } = archivedEntry;
+    const restored = { ...profile, updatedAt: new Date().toISOString() };
+
+    profileLogger.trace('[TRACE] Moving profile out of archive', {
+      phase: 'FILE_WRITE',
+      profileId,
+      archivedReason: archive.reason,
+      alreadyActive
+    });
+
+    // Add back first, then remove from the archive (same ordering as archiving). A profile left
+    // active by an interrupted archive only needs its archive entry removed.
+    if (!alreadyActive) {
+      profiles.push(restored);
+      writeProfiles(profiles);
+    }
+    saveArchivedProfiles(getArchivedProfiles().filter(p => String(p.id) !== String(archivedEntry.id)));
+
+    if (!alreadyActive) {
+      auditProfileChange({
+        action: AUDIT_ACTIONS.RESTORE,
+        actor: req.user,
+        before: archivedEntry,
+        after: restored,
+        details: { reason: archive.reason }
+      }, profileLogger);
+    }
+
+    profileLogger.featureEnd('RESTORE_PROFILE', {
+      success: true,
+      profileId,
+      statusCode: 200
+    }, Date.now() - startTime);
+
+    profileLogger.methodExit('restoreProfile', {
+      success: true,
+      profileId
+    });
+
+    res.json({ success: true, profile: alreadyActive ? getProfileById(archivedEntry.id) : restored });
+
+  } catch (error) {
+    profileLogger.featureEnd('RESTORE_PROFILE', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    }, Date.now() - startTime);
+
+    profileLogger.methodExit('restoreProfile', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    });
+
+    return handleControllerError(error, 'ARCHIVE_PROFILE', 'restoreProfile', req, res, profileLogger);
+  } finally {
+    if (releaseWriteLock) releaseWriteLock();
+  }
+});
+
+// GET /api/profile/duplicates - Suspected duplicate profile pairs (optional ?threshold=1-100)
+exports.listDuplicateProfiles = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  profileLogger.methodEntry('listDuplicateProfiles', { query: req.query });
+
+  try {
+    const threshold = parseDuplicateThreshold(req.query.threshold);
+    const pairs = exports.findDuplicateProfilesRaw(threshold);
+
+    profileLogger.methodExit('listDuplicateProfiles', {
+      success: true,
+      threshold,
+      pairsCount: pairs.length
+    });
+
+    res.json({ success: true, threshold, pairs });
+
+  } catch (error) {
+    return handleControllerError(error, 'MERGE_PROFILES', 'listDuplicateProfiles', req, res, profileLogger);
+  }
+});
+
+// Return suspected duplicate pairs among the active profiles, highest score first (for internal use)
+exports.findDuplicateProfilesRaw = function(threshold = DUPLICATE_THRESHOLD) {
+  return findDuplicateProfiles(readProfiles(), { threshold });
+};
+
+// POST /api/profile/merge - Merge a duplicate profile into another and archive the duplicate
+exports.mergeProfiles = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  const startTime = Date.now();
+  profileLogger.featureStart('MERGE_PROFILES', {
+    source: 'ProfileController',
+    operation: 'MERGE_PROFILES',
+    method: req.method,
+    endpoint: '/api/profile/merge',
+    keepId: req.body && req.body.keepId,
+    duplicateId: req.body && req.body.duplicateId
+  });
+
+  profileLogger.methodEntry('mergeProfiles', { body: log.maskSensitive(req.body || {}) });
+
+  let releaseWriteLock;
+  try {
+    const request = validateMergeRequest(req.body || {}, profileLogger);
+
+    releaseWriteLock = await profileWriteLock.acquire();
+    const profiles = readProfiles();
+    const keepIdx = profiles.findIndex(p => p.id == request.keepId);
+    const duplicateIdx = profiles.findIndex(p => p.id == request.duplicateId);
+
+    [[keepIdx, request.keepId], [duplicateIdx, request.duplicateId]].forEach(([idx, profileId]) => {
+      if (idx === -1) {
+        throw new AppError(
+          ERROR_MESSAGES.PROFILE_NOT_FOUND,
+          404,
+          ERROR_TYPES.VALIDATION,
+          { profileId }
+        );
+      }
+    });
+
+    const keep = profiles[keepIdx];
+    const duplicate = profiles[duplicateIdx];
+
+    // Optimistic locking, as for edits: both profiles must still be the versions that were reviewed
+    [[keep, request.keepUpdatedAt], [duplicate, request.duplicateUpdatedAt]].forEach(([profile, expectedUpdatedAt]) => {
+      if (profileVersion(profile.updatedAt) !== profileVersion(expectedUpdatedAt)) {
+        throw new AppError(
+          ERROR_MESSAGES.MERGE_CONFLICT,
+          409,
+          ERROR_TYPES.BUSINESS_LOGIC,
+          { profileId: profile.id, currentUpdatedAt: profile.updatedAt || '' }
+        );
+      }
+    });
+
+    const { merged: mergedFields, takenFields } = mergeProfileFields(keep, duplicate, request.fields);
+    const merged = { ...mergedFields, updatedAt: new Date().toISOString() };
+
+    profileLogger.trace('[TRACE] Validating merged profile data', {
+      phase: 'VALIDATION_PROCESSING',
+      keepId: keep.id,
+      duplicateId: duplicate.id,
+      takenFields
+    });
+
+    const validationErrors = validateProfileData(merged, {
+      operation: 'MERGE',
+      profileId: keep.id,
+      storedProfiles: [keep, duplicate]
+    });
+    if (validationErrors.length > 0) {
+      throw handleValidationError(validationErrors, 'MERGE_PROFILES', profileLogger);
+    }
+
+    const archived = {
+      ...duplicate,
+      archive: {
+        reason: 'duplicate',
+        note: request.note || `Merged into ${merged.serial_no} (${merged.name})`,
+        archivedAt: merged.updatedAt,
+        archivedBy: req.user ? { id: req.user.id, username: req.user.username, name: req.user.name } : null,
+        mergedIntoId: keep.id
+      }
+    };
+
+    profileLogger.trace('[TRACE] Writing merged profile and archiving duplicate', {
+      phase: 'FILE_WRITE',
+      keepId: keep.id,
+      duplicateId: duplicate.id
+    });
+
+    // Archive first, then save the merged profile without the duplicate (same ordering as archiving)
+    const archivedProfiles = getArchivedProfiles().filter(p => String(p.id) !== String(duplicate.id));
+    archivedProfiles.push(archived);
+    saveArchivedProfiles(archivedProfiles);
+
+    profiles[keepIdx] = merged;
+    profiles.splice(duplicateIdx, 1);
+    writeProfiles(profiles);
+
+    auditProfileChange({
+      action: AUDIT_ACTIONS.MERGE,
+      actor: req.user,
+      before: keep,
+      after: merged,
+      details: { duplicateId: duplicate.id, duplicateSerialNo: duplicate.serial_no, takenFields }
+    }, profileLogger);
+
+    auditProfileChange({
+      action: AUDIT_ACTIONS.ARCHIVE,
+      actor: req.user,
+      before: duplicate,
+      after: archived,
+      details: { reason: 'duplicate', mergedIntoId: keep.id }
+    }, profileLogger);
+
+    profileLogger.featureEnd('MERGE_PROFILES', {
+      success: true,
+      keepId: keep.id,
+      duplicateId: duplicate.id,
+      takenFieldsCount: takenFields.length,
+      statusCode: 200
+    }, Date.now() - startTime);
+
+    profileLogger.methodExit('mergeProfiles', {
+      success: true,
+      keepId: keep.id,
+      duplicateId: duplicate.id
+    });
+
+    res.json({ success: true, profile: merged, archivedProfileId: duplicate.id, takenFields });
+
+  } catch (error) {
+    profileLogger.featureEnd('MERGE_PROFILES', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    }, Date.now() - startTime);
+
+    profileLogger.methodExit('mergeProfiles', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    });
+
+    return handleControllerError(error, 'MERGE_PROFILES', 'mergeProfiles', req, res, profileLogger);
+  } finally {
+    if (releaseWriteLock) releaseWriteLock();
+  }
+});
+
+// PUT /api/profile - Update a profile by id in body
+exports.updateProfile = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+  
+  const startTime = Date.now();
+  profileLogger.featureStart('UPDATE_PROFILE', {
+    source: 'ProfileController',
+    operation: 'UPDATE_PROFILE',
+    method: req.method,
+    endpoint: '/api/profile',
+    requestId: req.headers['x-request-id'] || 'unknown'
+  });
+  
+  profileLogger.methodEntry('updateProfile', {
+    body: log.maskSensitive(req.body),
+    headers: req.headers,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip || req.connection.remoteAddress
+  });
+  
+  let releaseWriteLock;
+  try {
+    const { id, updatedAt: expectedUpdatedAt } = req.body;
+    
+    if (!id) {
+      throw new AppError(
+        'Profile id is required in request body',
+        400,
+        ERROR_TYPES.VALIDATION,
+        { field: 'id' }
+      );
+    }
+    
+    // Optimistic locking: the editor sends back the updatedAt of the version it loaded
+    if (expectedUpdatedAt === undefined) {
+      throw new AppError(
+        'The updatedAt of the profile version being edited is required.',
+        400,
+        ERROR_TYPES.VALIDATION,
+        { field: 'updatedAt' }
+      );
+    }
+    
+    profileLogger.trace('[TRACE] Loading profiles for update', {
+      phase: 'DATA_LOADING',
+      profileId: id
+    });
+    
+    releaseWriteLock = await profileWriteLock.acquire();
+    const profiles = readProfiles();
+    const idx = profiles.findIndex(p => p.id == id);
+    
+    if (idx === -1) {
+      throw new AppError(
+        ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
+        ERROR_TYPES.VALIDATION,
+        { profileId: id }
+      );
+    }
+    
+    // Extract update data (exclude id, timestamps, and serial_no for security)
+    const updateData = { ...req.body };
+    delete updateData.id;
+    delete updateData.createdAt;
+    delete updateData.updatedAt;
+    delete updateData.serial_no; // Prevent serial_no updates for security
+    delete updateData.photo; // Photos change only through /api/profile/:id/photo
+    delete updateData.attachments; // Attachments change only through /api/profile/:id/attachments
+    
+    if (profileVersion(profiles[idx].updatedAt) !== profileVersion(expectedUpdatedAt)) {
+      const changes = diffProfiles(profiles[idx], { ...profiles[idx], ...updateData })
+        .map(change => ({ field: change.field, current: change.from, yours: change.to }));
+      
+      profileLogger.warn('[WARN] Profile update rejected - changed since it was loaded', {
+        phase: 'VERSION_CONFLICT',
+        profileId: id,
+        expectedUpdatedAt,
+        currentUpdatedAt: profiles[idx].updatedAt,
+        conflictingFields: changes.map(change => change.field)
+      });
+      
+      throw new AppError(
+        ERROR_MESSAGES.PROFILE_EDIT_CONFLICT,
+        409,
+        ERROR_TYPES.BUSINESS_LOGIC,
+        { profileId: id, currentUpdatedAt: profiles[idx].updatedAt || '', changes }
+      );
+    }
+    
+    profileLogger.debug('[DEBUG] Starting validation for profile update', {
+      phase: 'VALIDATION_START',
+      profileId: id,
+      updateFields: Object.keys(updateData),
+      excludedFields: ['id', 'createdAt', 'updatedAt', 'serial_no'],
+      formData: log.maskSensitive(updateData)
+    });
+    
+    // Merge existing profile with update data for validation
+    const mergedProfileData = { ...profiles[idx], ...updateData };
+    
+    // Validate the complete merged profile using existing validation logic
+    profileLogger.trace('[TRACE] Validating merged profile data', {
+      phase: 'VALIDATION_PROCESSING',
+      profileId: id
+    });
+    
+    const validationErrors = validateProfileData(mergedProfileData, {
+      operation: 'UPDATE',
+      profileId: id,
+      storedProfiles: [profiles[idx]]
+    });
+    
+    if (validationErrors.length > 0) {
+      profileLogger.error('[ERROR] Profile update validation failed', {
+        phase: 'VALIDATION_FAILED',
+        profileId: id,
+        validationErrors,
+        updateData: log.maskSensitive(updateData)
+      });
+      
+      throw handleValidationError(validationErrors, 'UPDATE_PROFILE', profileLogger);
+    }
+    
+    profileLogger.debug('[DEBUG] Profile update validation passed', {
+      phase: 'VALIDATION_SUCCESS',
+      profileId: id,
+      validatedFields: Object.keys(updateData)
+    });
+    
+    const now = new Date();
+    
+    // Always normalize is_remarried
+    const updateBody = { ...updateData, is_remarried: normalizeRemarried(updateData.is_remarried) };
+    
+    profileLogger.debug('Profile update - normalized remarried status', {
+      profileId: id,
+      incomingRemarried: updateData.is_remarried,
+      normalizedRemarried: updateBody.is_remarried
+    });
+    
+    // Apply validated update data to profile
+    const previous = profiles[idx];
+    const updated = { ...previous, ...updateBody, updatedAt: now };
+    profiles[idx] = updated;
+    
+    profileLogger.trace('[TRACE] Profile data updated successfully', {
+      phase: 'DATA_UPDATE',
+      profileId: updated.id,
+      modifiedFields: Object.keys(updateBody)
+    });
+    
+    profileLogger.trace('[TRACE] Writing updated profiles to file system', {
+      phase: 'FILE_WRITE',
+      profileId: id
+    });
+    
+    writeProfiles(profiles);
+    
+    auditProfileChange({
+      action: actionForUpdate(previous, updated),
+      actor: req.user,
+      before: previous,
+      after: updated
+    }, profileLogger);
+    
+    profileLogger.featureEnd('UPDATE_PROFILE', {
+      success: true,
+      profileId: updated.id,
+      statusCode: 200
+    }, Date.now() - startTime);
+    
+    profileLogger.methodExit('updateProfile', {
+      success: true,
+      profileId: updated.id,
+      statusCode: 200
+    });
+    
+    res.json(updated);
+    
+  } catch (error) {
+    profileLogger.featureEnd('UPDATE_PROFILE', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    }, Date.now() - startTime);
+    
+    profileLogger.methodExit('updateProfile', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    });
+    
+    return handleControllerError(error, 'UPDATE_PROFILE', 'updateProfile', req, res, profileLogger);
+  } finally {
+    if (releaseWriteLock) releaseWriteLock();
   }
 });
 
@@ -425,9 +1317,7 @@ exports.updateProfile = asyncHandler(async (req, res) => {
  * Handles profile creation with detailed logging of form validation, file operations, and error handling
  */
 
-// Get profile file path from AppData/data directory
-const profileFile = getDataFilePath('profile.json');
-
+// Profiles are loaded and saved through the ProfileRepository (profile.json or profiles.sqlite, see ProfileStorageService)
 function ensureDataDir() {
   try {
     const dir = getDataPath();
@@ -445,45 +1335,16 @@ function ensureDataDir() {
  * Enhanced readProfiles function with comprehensive error handling
  */
 function readProfiles() {
+  const store = getProfileStore();
   try {
     ensureDataDir();
-    if (!fs.existsSync(profileFile)) {
-      log.debug('Profile file does not exist, returning empty array', { 
-        source: 'ProfileController',
-        profileFile 
-      });
-      return [];
-    }
-    
-    const fileContent = fs.readFileSync(profileFile, 'utf8');
-    
-    if (!fileContent.trim()) {
-      log.warn('Profile file is empty, returning empty array', { 
-        source: 'ProfileController',
-        profileFile 
-      });
-      return [];
-    }
     
-    const profiles = JSON.parse(fileContent);
-    
-    if (!Array.isArray(profiles)) {
-      log.error('Profile file does not contain a valid array', { 
-        source: 'ProfileController',
-        profileFile, 
-        contentType: typeof profiles 
-      });
-      throw new AppError(
-        ERROR_MESSAGES.DATA_CORRUPTION,
-        500,
-        ERROR_TYPES.FILE_SYSTEM,
-        { profileFile, issue: 'Not an array' }
-      );
-    }
+    const profiles = getProfiles();
     
     log.debug('Successfully read profiles', { 
       source: 'ProfileController',
-      profileFile, 
+      storage: store.backend,
+      location: store.location,
       profilesCount: profiles.length 
     });
     
@@ -494,26 +1355,12 @@ function readProfiles() {
       throw error;
     }
     
-    if (error instanceof SyntaxError) {
-      log.error('Profile file contains invalid JSON', {
-        source: 'ProfileController',
-        profileFile,
-        errorMessage: error.message
-      }, error);
-      
-      throw new AppError(
-        ERROR_MESSAGES.DATA_CORRUPTION,
-        500,
-        ERROR_TYPES.FILE_SYSTEM,
-        { profileFile, issue: 'Invalid JSON' }
-      );
-    }
-    
-    throw handleFileSystemError(error, 'readProfiles', profileFile, 'PROFILE_MANAGEMENT');
+    throw handleFileSystemError(error, 'readProfiles', store.location, 'PROFILE_MANAGEMENT');
   }
 }
 
 function writeProfiles(profiles) {
+  const store = getProfileStore();
   try {
     ensureDataDir();
     
@@ -526,14 +1373,15 @@ function writeProfiles(profiles) {
       );
     }
     
-    const jsonContent = JSON.stringify(profiles, null, 2);
-    fs.writeFileSync(profileFile, jsonContent, 'utf8');
+    recordPriorRevisions(profiles);
+    
+    saveProfiles(profiles);
     
     log.debug('Successfully wrote profiles', { 
       source: 'ProfileController',
-      profileFile, 
-      profilesCount: profiles.length,
-      fileSize: jsonContent.length
+      storage: store.backend,
+      location: store.location,
+      profilesCount: profiles.length
     });
     
   } catch (error) {
@@ -541,8 +1389,208 @@ function writeProfiles(profiles) {
       throw error;
     }
     
-    throw handleFileSystemError(error, 'writeProfiles', profileFile, 'PROFILE_MANAGEMENT');
+    throw handleFileSystemError(error, 'writeProfiles', store.location, 'PROFILE_MANAGEMENT');
+  }
+}
+
+/**
+ * Keeps the on-disk version of every record that the coming write changes or removes
+ * Revisions are a safety net, so failing to store them is logged and does not block the save.
+ * @param {Array} profiles - Profiles about to be written
+ */
+function recordPriorRevisions(profiles) {
+  try {
+    const recorded = recordRevisions(readProfiles(), profiles);
+    if (recorded > 0) {
+      log.debug('Stored prior profile revisions', {
+        source: 'ProfileController',
+        revisionsRecorded: recorded
+      });
+    }
+  } catch (error) {
+    log.error('Failed to store prior profile revisions', {
+      source: 'ProfileController',
+      errorMessage: error.message
+    }, error);
+  }
+}
+
+/**
+ * Normalizes an updatedAt value for optimistic-lock comparison
+ * Stored values may be ISO strings or serialized Dates; profiles saved before timestamps existed have none.
+ * @param {string|Date|undefined} updatedAt - updatedAt value
+ * @returns {string} ISO timestamp, the raw value if it is not a date, or '' if missing
+ */
+function profileVersion(updatedAt) {
+  if (!updatedAt) return '';
+  const date = new Date(updatedAt);
+  return isNaN(date.getTime()) ? String(updatedAt) : date.toISOString();
+}
+
+/**
+ * Records a profile change in the audit log
+ * The profile has already been saved at this point, so a failed audit write is logged
+ * rather than failing the request.
+ * @param {Object} change - { action, actor, before, after } (see AuditService.recordProfileChange)
+ * @param {Object} profileLogger - Logger instance for debugging and tracing
+ */
+function auditProfileChange(change, profileLogger) {
+  try {
+    const entry = recordProfileChange(change);
+    profileLogger.trace('[TRACE] Profile change audited', {
+      phase: 'AUDIT',
+      action: change.action,
+      profileId: change.after.id,
+      changedFields: entry ? entry.changes.map(c => c.field) : []
+    });
+  } catch (error) {
+    profileLogger.error('[ERROR] Failed to write profile audit entry', {
+      phase: 'AUDIT_ERROR',
+      action: change.action,
+      profileId: change.after.id,
+      errorMessage: error.message
+    }, error);
+  }
+}
+
+/**
+ * Validates the reason and optional note given when archiving a profile
+ * @param {Object} body - Request body { reason, note }
+ * @param {Object} profileLogger - Logger instance for debugging and tracing
+ * @returns {Object} { reason, note } with the note trimmed ('' if not given)
+ * @throws {AppError} 400 if the reason is missing or unknown, or the note is too long
+ */
+function validateArchiveRequest(body, profileLogger) {
+  const reasons = VALIDATION_CONFIG.ENUMS.archive_reason;
+  const maxNoteLength = VALIDATION_CONFIG.FIELD_LENGTHS.archive_note;
+  const reason = typeof body.reason === 'string' ? body.reason.trim().toLowerCase() : '';
+  const note = typeof body.note === 'string' ? body.note.trim() : '';
+  const errors = [];
+
+  if (!reasons.includes(reason)) {
+    errors.push({ field: 'reason', message: `Reason must be one of: ${reasons.join(', ')}` });
+  }
+  if (note.length > maxNoteLength) {
+    errors.push({ field: 'note', message: `Note must be at most ${maxNoteLength} characters` });
   }
+  if (errors.length > 0) {
+    throw handleValidationError(errors, 'ARCHIVE_PROFILE', profileLogger);
+  }
+
+  return { reason, note };
+}
+
+/**
+ * Reads the ?threshold= of the duplicate list
+ * @param {string} value - Query value
+ * @returns {number} Threshold between 1 and 100, DUPLICATE_THRESHOLD if missing or invalid
+ */
+function parseDuplicateThreshold(value) {
+  const threshold = parseInt(value, 10);
+  return threshold >= 1 && threshold <= 100 ? threshold : DUPLICATE_THRESHOLD;
+}
+
+/**
+ * Validates a merge request
+ * @param {Object} body - Request body { keepId, duplicateId, keepUpdatedAt, duplicateUpdatedAt, fields, note }
+ *   where fields maps profile fields to 'keep' or 'duplicate' (the side whose value the merged profile gets)
+ * @param {Object} profileLogger - Logger instance for debugging and tracing
+ * @returns {Object} The request with fields defaulted to {} and the note trimmed
+ * @throws {AppError} 400 listing every invalid part of the request
+ */
+function validateMergeRequest(body, profileLogger) {
+  const maxNoteLength = VALIDATION_CONFIG.FIELD_LENGTHS.archive_note;
+  const fields = body.fields || {};
+  const note = typeof body.note === 'string' ? body.note.trim() : '';
+  const errors = [];
+
+  ['keepId', 'duplicateId'].forEach(field => {
+    if (body[field] === undefined || body[field] === null || body[field] === '') {
+      errors.push({ field, message: `${field} is required` });
+    }
+  });
+  // '' is allowed: profiles saved before timestamps existed have no updatedAt
+  ['keepUpdatedAt', 'duplicateUpdatedAt'].forEach(field => {
+    if (body[field] === undefined) {
+      errors.push({ field, message: `${field} is required` });
+    }
+  });
+  if (body.keepId !== undefined && String(body.keepId) === String(body.duplicateId)) {
+    errors.push({ field: 'duplicateId', message: 'A profile cannot be merged into itself' });
+  }
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push({ field: 'fields', message: 'Fields must map profile fields to "keep" or "duplicate"' });
+  } else {
+    Object.entries(fields).forEach(([field, side]) => {
+      if (!MERGEABLE_FIELDS.includes(field)) {
+        errors.push({ field: `fields.${field}`, message: `${field} cannot be merged` });
+      } else if (side !== 'keep' && side !== 'duplicate') {
+        errors.push({ field: `fields.${field}`, message: 'Must be "keep" or "duplicate"' });
+      }
+    });
+  }
+  if (note.length > maxNoteLength) {
+    errors.push({ field: 'note', message: `Note must be at most ${maxNoteLength} characters` });
+  }
+  if (errors.length > 0) {
+    throw handleValidationError(errors, 'MERGE_PROFILES', profileLogger);
+  }
+
+  return { ...body, fields, note };
+}
+
+/**
+ * Normalizes the remarried flag from form input to the stored 'true' / 'false'
+ * @param {*} value - Submitted value (checkbox 'on', yes/no, booleans...)
+ * @returns {string} 'true' or 'false'
+ */
+function normalizeRemarried(value) {
+  if (
+    value === true || value === 1 ||
+    value === 'Yes' || value === 'yes' ||
+    value === 'true' || value === 'on'
+  ) {
+    return 'true';
+  }
+  return 'false';
+}
+
+/**
+ * Builds the record saved for a new profile from validated form values
+ * @param {Object} input - Form values (as validated by validateProfileData)
+ * @param {number} newId - Id for the profile
+ * @param {Date} now - Creation time
+ * @returns {Object} Profile data with defaults applied
+ */
+function buildNewProfile(input, newId, now) {
+  return {
+    id: String(newId),
+    serial_no: input.serial_no.trim(),
+    name: input.name.trim(),
+    father_name: input.father_name || '',
+    mother_name: input.mother_name || '',
+    siblings: input.siblings || '',
+    gothram: input.gothram || '',
+    birth_date: input.birth_date,
+    birth_time: input.birth_time || '',
+    birth_place: input.birth_place || '',
+    qualification: input.qualification || '',
+    job_details: input.job_details || '',
+    monthly_income: input.monthly_income || '',
+    address: input.address || '',
+    contact_no: input.contact_no.replace(/\D/g, ''), // Store only digits
+    gender: input.gender,
+    region: input.region || 'Chennai',
+    additional_contact_no: input.additional_contact_no || '', // Keep original format for flexibility
+    qualification_details: input.qualification_details || '',
+    is_active: input.is_active !== undefined ? input.is_active : true,
+    nakshatraid: parseInt(input.nakshatraid),
+    is_remarried: normalizeRemarried(input.is_remarried),
+    rasi_lagnam: input.rasi_lagnam || 'Suth',
+    navamsam_lagnam: input.navamsam_lagnam || '',
+    createdAt: now,
+    updatedAt: now
+  };
 }
 
 // Helper function to validate profile data using validation helpers
@@ -628,11 +1676,8 @@ function validateProfileData(data, context = {}) {
   // Note: UPDATE operations exclude serial_no, so no duplicate check needed
   if (context.operation === 'CREATE' && data.serial_no && data.serial_no.trim() !== '') {
     try {
-      const profiles = readProfiles();
-      const existingProfile = profiles.find(p => 
-        p.serial_no && 
-        p.serial_no.toString().trim().toLowerCase() === data.serial_no.toString().trim().toLowerCase()
-      );
+      // Indexed lookup (trimmed, case-insensitive) in the profile store
+      const existingProfile = findProfileBySerialNo(data.serial_no);
       
       profileLogger.debug('[DEBUG] Duplicate serial check for CREATE', {
         phase: 'DUPLICATE_CHECK_CREATE',
@@ -687,6 +1732,16 @@ function validateProfileData(data, context = {}) {
     }
   });
   
+  // Lagnam choices are checked only for values the request sets: a value already stored on the
+  // profile(s) being saved is kept as it is, so profiles holding older values stay editable
+  const storedProfiles = context.storedProfiles || [];
+  ['rasi_lagnam', 'navamsam_lagnam'].forEach(field => {
+    const value = data[field];
+    if (value !== undefined && !storedProfiles.some(profile => profile && profile[field] === value)) {
+      errors.push(...FieldValidator.validateEnum(value, field, VALIDATION_CONFIG.ENUMS.lagnam));
+    }
+  });
+  
   // Length constraint validations for text fields
   const lengthConstraintFields = [
     'address', 'qualification_details', 'job_details', 'siblings', 'birth_place'
@@ -713,7 +1768,7 @@ function validateProfileData(data, context = {}) {
     }, {}),
     validationSummary: {
       requiredFieldsChecked: requiredFields,
-      optionalFieldsValidated: Object.keys(optionalFieldValidators),
+      optionalFieldsValidated: Object.keys(optionalFieldValidators).concat(['rasi_lagnam', 'navamsam_lagnam']),
       booleanFieldsValidated: ['is_active', 'is_remarried'],
       lengthConstraintsChecked: lengthConstraintFields,
       helperFunctionsUsed: Object.keys(requiredFieldValidators).concat(Object.keys(optionalFieldValidators))
@@ -764,6 +1819,7 @@ exports.createProfile = asyncHandler(async (req, res) => {
     providedFields: Object.keys(req.body).filter(key => req.body[key] && req.body[key].trim() !== '')
   });
 
+  let releaseWriteLock;
   try {
     // Input validation
     profileLogger.trace('[TRACE] Starting input validation', {
@@ -860,6 +1916,7 @@ exports.createProfile = asyncHandler(async (req, res) => {
       phase: 'DATA_LOADING'
     });
     
+    releaseWriteLock = await profileWriteLock.acquire();
     const profiles = readProfiles();
     
     const newId = profiles.length > 0 ? Math.max(...profiles.map(p => p.id || 0)) + 1 : 1;
@@ -878,22 +1935,7 @@ exports.createProfile = asyncHandler(async (req, res) => {
       valueType: typeof req.body.is_remarried
     });
     
-    let isRemarried = req.body.is_remarried;
-    if (
-      isRemarried === undefined || isRemarried === null || isRemarried === '' ||
-      isRemarried === false || isRemarried === 0 ||
-      isRemarried === 'No' || isRemarried === 'no'
-    ) {
-      isRemarried = 'false';
-    } else if (
-      isRemarried === true || isRemarried === 1 ||
-      isRemarried === 'Yes' || isRemarried === 'yes' ||
-      isRemarried === 'true' || isRemarried === 'on'
-    ) {
-      isRemarried = 'true';
-    } else {
-      isRemarried = 'false';
-    }
+    const isRemarried = normalizeRemarried(req.body.is_remarried);
     
     profileLogger.trace('[TRACE] Completed remarried status normalization', {
       phase: 'DATA_VALIDATION',
@@ -906,34 +1948,7 @@ exports.createProfile = asyncHandler(async (req, res) => {
       profileId: newId
     });
     
-    const data = {
-      id: String(newId),
-      serial_no: req.body.serial_no.trim(),
-      name: req.body.name.trim(),
-      father_name: req.body.father_name || '',
-      mother_name: req.body.mother_name || '',
-      siblings: req.body.siblings || '',
-      gothram: req.body.gothram || '',
-      birth_date: req.body.birth_date,
-      birth_time: req.body.birth_time || '',
-      birth_place: req.body.birth_place || '',
-      qualification: req.body.qualification || '',
-      job_details: req.body.job_details || '',
-      monthly_income: req.body.monthly_income || '',
-      address: req.body.address || '',
-      contact_no: req.body.contact_no.replace(/\D/g, ''), // Store only digits
-      gender: req.body.gender,
-      region: req.body.region || 'Chennai',
-      additional_contact_no: req.body.additional_contact_no || '', // Keep original format for flexibility
-      qualification_details: req.body.qualification_details || '',
-      is_active: req.body.is_active !== undefined ? req.body.is_active : true,
-      nakshatraid: parseInt(req.body.nakshatraid),
-      is_remarried: isRemarried,
-      rasi_lagnam: req.body.rasi_lagnam || 'Suth',
-      navamsam_lagnam: req.body.navamsam_lagnam || '',
-      createdAt: now,
-      updatedAt: now
-    };
+    const data = buildNewProfile(req.body, newId, now);
     
     profileLogger.trace('[TRACE] Profile data object constructed', {
       phase: 'DATA_CONSTRUCTION',
@@ -992,23 +2007,12 @@ exports.createProfile = asyncHandler(async (req, res) => {
       writeAttempts
     });
 
-    // Refresh in-memory profiles in matchingController
-    profileLogger.trace('[TRACE] Refreshing in-memory profiles cache', {
-      phase: 'CACHE_REFRESH'
-    });
-    
-    try {
-      require('./matchingController').reloadProfiles();
-      profileLogger.trace('[TRACE] Successfully reloaded profiles in matching controller', {
-        phase: 'CACHE_REFRESH_SUCCESS'
-      });
-    } catch (e) {
-      profileLogger.warn('[WARN] Failed to reload profiles in matching controller after creation', {
-        phase: 'CACHE_REFRESH_ERROR',
-        errorMessage: e.message
-      }, e);
-      // Don't throw here as profile creation was successful
-    }
+    auditProfileChange({
+      action: AUDIT_ACTIONS.CREATE,
+      actor: req.user,
+      before: null,
+      after: { ...profile }
+    }, profileLogger);
     
     // Return successful response
     profileLogger.trace('[TRACE] Sending successful response', {
@@ -1044,6 +2048,496 @@ exports.createProfile = asyncHandler(async (req, res) => {
     });
     
     return handleControllerError(error, 'CREATE_PROFILE', 'createProfile', req, res, profileLogger);
+  } finally {
+    if (releaseWriteLock) releaseWriteLock();
+  }
+});
+
+// Validate profile form values as the create form does; returns [{ field, message }] (for internal use)
+exports.validateProfileDataRaw = function(data, context = { operation: 'CREATE' }) {
+  return validateProfileData(data, context);
+};
+
+/**
+ * Creates several profiles in one write (for the bulk import; rows must already be validated)
+ * Serial numbers are checked again under the write lock, so a profile created while the import
+ * was being reviewed is never duplicated; such rows are skipped.
+ * @param {Array} rows - [{ rowNumber, data }] validated form values
+ * @param {Object} actor - Logged-in user, recorded in the audit log
+ * @param {Object} details - Audit details for each created profile (e.g. { source: 'import', fileName })
+ * @returns {Promise<Object>} { created: [profile], skipped: [{ rowNumber, serial_no, message }] }
+ */
+exports.createProfilesRaw = async function(rows, actor, details) {
+  const releaseWriteLock = await profileWriteLock.acquire();
+  try {
+    const profiles = readProfiles();
+    const usedSerials = new Set(profiles.map(p => serialKey(p.serial_no)));
+    let nextId = profiles.length > 0 ? Math.max(...profiles.map(p => p.id || 0)) + 1 : 1;
+    const now = new Date();
+    const created = [];
+    const skipped = [];
+
+    rows.forEach(({ rowNumber, data }) => {
+      const key = serialKey(data.serial_no);
+      if (usedSerials.has(key)) {
+        skipped.push({ rowNumber, serial_no: data.serial_no, message: 'Serial number already exists' });
+        return;
+      }
+      usedSerials.add(key);
+      const profile = new Profile(buildNewProfile(data, nextId++, now));
+      profiles.push(profile);
+      created.push(profile);
+    });
+
+    if (created.length > 0) {
+      writeProfiles(profiles);
+      created.forEach(profile => auditProfileChange({
+        action: AUDIT_ACTIONS.CREATE,
+        actor,
+        before: null,
+        after: { ...profile },
+        details
+      }, profileLogger));
+    }
+
+    return { created, skipped };
+  } finally {
+    releaseWriteLock();
+  }
+};
+
+/**
+ * Sets or removes the photo of a profile (for the photo endpoints and the create/update forms)
+ * The profile's updatedAt changes and the change is audited like an edit. Replaced photo files are deleted.
+ * @param {string|number} profileId - Profile id
+ * @param {Object|null} processed - Result of ProfilePhotoService.processPhoto(), or null to remove the photo
+ * @param {Object} actor - Logged-in user, recorded in the audit log
+ * @returns {Promise<Object>} Updated profile
+ * @throws {AppError} 404 if the profile does not exist
+ */
+exports.setProfilePhotoRaw = async function(profileId, processed, actor) {
+  const releaseWriteLock = await profileWriteLock.acquire();
+  try {
+    const profiles = readProfiles();
+    const idx = profiles.findIndex(p => p.id == profileId);
+
+    if (idx === -1) {
+      throw new AppError(
+        ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
+        ERROR_TYPES.VALIDATION,
+        { profileId }
+      );
+    }
+
+    const previous = profiles[idx];
+    if (!processed && !previous.photo) {
+      return previous;
+    }
+
+    const updated = {
+      ...previous,
+      photo: processed ? saveProfilePhoto(previous.id, processed) : '',
+      updatedAt: new Date()
+    };
+    profiles[idx] = updated;
+
+    profileLogger.trace('[TRACE] Writing profile photo change', {
+      phase: 'FILE_WRITE',
+      profileId,
+      photo: updated.photo || 'removed'
+    });
+
+    try {
+      writeProfiles(profiles);
+    } catch (error) {
+      deleteProfilePhoto(processed ? updated.photo : '');
+      throw error;
+    }
+    deleteProfilePhoto(previous.photo);
+
+    auditProfileChange({
+      action: AUDIT_ACTIONS.UPDATE,
+      actor,
+      before: previous,
+      after: updated
+    }, profileLogger);
+
+    return updated;
+  } finally {
+    releaseWriteLock();
+  }
+};
+
+// POST /api/profile/:id/photo - Upload (or replace) a profile photo (multipart field "photo")
+exports.uploadProfilePhoto = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  profileLogger.methodEntry('uploadProfilePhoto', {
+    profileId: req.params.id,
+    size: req.file && req.file.size
+  });
+
+  try {
+    if (!req.file) {
+      throw new AppError('Choose a photo to upload', 400, ERROR_TYPES.VALIDATION, { field: 'photo' });
+    }
+
+    // The upload is checked and scaled before the write lock is taken
+    const profile = await exports.setProfilePhotoRaw(req.params.id, processPhoto(req.file.buffer), req.user);
+
+    profileLogger.methodExit('uploadProfilePhoto', {
+      success: true,
+      profileId: req.params.id,
+      photo: profile.photo
+    });
+
+    res.json({ success: true, profileId: String(profile.id), photo: profile.photo, updatedAt: profile.updatedAt });
+
+  } catch (error) {
+    profileLogger.methodExit('uploadProfilePhoto', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    });
+
+    return handleControllerError(error, 'UPDATE_PROFILE', 'uploadProfilePhoto', req, res, profileLogger);
+  }
+});
+
+// DELETE /api/profile/:id/photo - Remove a profile photo
+exports.deleteProfilePhoto = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  profileLogger.methodEntry('deleteProfilePhoto', { profileId: req.params.id });
+
+  try {
+    const profile = await exports.setProfilePhotoRaw(req.params.id, null, req.user);
+
+    profileLogger.methodExit('deleteProfilePhoto', {
+      success: true,
+      profileId: req.params.id
+    });
+
+    res.json({ success: true, profileId: String(profile.id), photo: '', updatedAt: profile.updatedAt });
+
+  } catch (error) {
+    profileLogger.methodExit('deleteProfilePhoto', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    });
+
+    return handleControllerError(error, 'UPDATE_PROFILE', 'deleteProfilePhoto', req, res, profileLogger);
+  }
+});
+
+// GET /api/profile/:id/photo[?size=thumbnail] - The profile photo (JPEG), 404 if it has none
+exports.getProfilePhoto = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  try {
+    const profileId = req.params.id;
+    // Archived profiles keep their photo
+    const profile = getProfileById(profileId) || getArchivedProfileById(profileId);
+    const photoPath = profile && getProfilePhotoPath(profile.photo, req.query.size === 'thumbnail' ? 'thumbnail' : 'photo');
+
+    if (!photoPath) {
+      throw new AppError(
+        profile ? 'This profile has no photo' : ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
+        ERROR_TYPES.VALIDATION,
+        { profileId }
+      );
+    }
+
+    // Every upload has a new file name, so the browser only needs to revalidate
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.type('jpg');
+    res.sendFile(photoPath);
+
+  } catch (error) {
+    return handleControllerError(error, 'GET_PROFILE', 'getProfilePhoto', req, res, profileLogger);
+  }
+});
+
+/**
+ * Adds an attachment (e.g. a scanned horoscope) to a profile
+ * The profile's updatedAt changes and the change is audited like an edit.
+ * @param {string|number} profileId - Profile id
+ * @param {Object} prepared - Result of ProfileAttachmentService.prepareAttachment()
+ * @param {Object} actor - Logged-in user, recorded with the attachment and in the audit log
+ * @returns {Promise<Object>} { profile, attachment }
+ * @throws {AppError} 404 if the profile does not exist, 400 if it already has the most attachments allowed
+ */
+exports.addProfileAttachmentRaw = async function(profileId, prepared, actor) {
+  const releaseWriteLock = await profileWriteLock.acquire();
+  try {
+    const profiles = readProfiles();
+    const idx = profiles.findIndex(p => p.id == profileId);
+
+    if (idx === -1) {
+      throw new AppError(
+        ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
+        ERROR_TYPES.VALIDATION,
+        { profileId }
+      );
+    }
+
+    const previous = profiles[idx];
+    const attachments = Array.isArray(previous.attachments) ? previous.attachments : [];
+    if (attachments.length >= MAX_ATTACHMENTS_PER_PROFILE) {
+      throw new AppError(
+        `A profile can have at most ${MAX_ATTACHMENTS_PER_PROFILE} attachments. Delete one before adding another.`,
+        400,
+        ERROR_TYPES.VALIDATION,
+        { field: 'file', profileId, attachments: attachments.length }
+      );
+    }
+
+    const attachment = saveProfileAttachment(previous.id, prepared, actor);
+    const updated = {
+      ...previous,
+      attachments: [...attachments, attachment],
+      updatedAt: new Date()
+    };
+    profiles[idx] = updated;
+
+    profileLogger.trace('[TRACE] Writing profile attachment change', {
+      phase: 'FILE_WRITE',
+      profileId,
+      attachmentId: attachment.id,
+      type: attachment.type
+    });
+
+    try {
+      writeProfiles(profiles);
+    } catch (error) {
+      deleteAttachmentFile(attachment.fileName);
+      throw error;
+    }
+
+    auditProfileChange({
+      action: AUDIT_ACTIONS.UPDATE,
+      actor,
+      before: previous,
+      after: updated,
+      details: { attachmentAdded: attachment.originalName, attachmentType: attachment.type }
+    }, profileLogger);
+
+    return { profile: updated, attachment };
+  } finally {
+    releaseWriteLock();
+  }
+};
+
+/**
+ * Removes an attachment from a profile and deletes its file
+ * @param {string|number} profileId - Profile id
+ * @param {string} attachmentId - Attachment id
+ * @param {Object} actor - Logged-in user, recorded in the audit log
+ * @returns {Promise<Object>} Updated profile
+ * @throws {AppError} 404 if the profile or the attachment does not exist
+ */
+exports.removeProfileAttachmentRaw = async function(profileId, attachmentId, actor) {
+  const releaseWriteLock = await profileWriteLock.acquire();
+  try {
+    const profiles = readProfiles();
+    const idx = profiles.findIndex(p => p.id == profileId);
+
+    if (idx === -1) {
+      throw new AppError(
+        ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
+        ERROR_TYPES.VALIDATION,
+        { profileId }
+      );
+    }
+
+    const previous = profiles[idx];
+    const attachments = Array.isArray(previous.attachments) ? previous.attachments : [];
+    const attachment = attachments.find(a => a.id === attachmentId);
+    if (!attachment) {
+      throw new AppError('Attachment not found', 404, ERROR_TYPES.VALIDATION, { profileId, attachmentId });
+    }
+
+    const updated = {
+      ...previous,
+      attachments: attachments.filter(a => a !== attachment),
+      updatedAt: new Date()
+    };
+    profiles[idx] = updated;
+
+    profileLogger.trace('[TRACE] Writing profile attachment change', {
+      phase: 'FILE_WRITE',
+      profileId,
+      attachmentId,
+      removed: true
+    });
+
+    writeProfiles(profiles);
+    deleteAttachmentFile(attachment.fileName);
+
+    auditProfileChange({
+      action: AUDIT_ACTIONS.UPDATE,
+      actor,
+      before: previous,
+      after: updated,
+      details: { attachmentRemoved: attachment.originalName, attachmentType: attachment.type }
+    }, profileLogger);
+
+    return updated;
+  } finally {
+    releaseWriteLock();
+  }
+};
+
+// GET /api/profile/:id/attachments - Attachments of a profile, oldest first
+exports.listProfileAttachments = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  profileLogger.methodEntry('listProfileAttachments', { profileId: req.params.id });
+
+  try {
+    const profileId = req.params.id;
+    // Archived profiles keep their attachments
+    const profile = getProfileById(profileId) || getArchivedProfileById(profileId);
+
+    if (!profile) {
+      throw new AppError(
+        ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
+        ERROR_TYPES.VALIDATION,
+        { profileId }
+      );
+    }
+
+    const attachments = Array.isArray(profile.attachments) ? profile.attachments : [];
+
+    profileLogger.methodExit('listProfileAttachments', {
+      success: true,
+      profileId,
+      attachments: attachments.length
+    });
+
+    res.json({ success: true, profileId: String(profile.id), updatedAt: profile.updatedAt, attachments });
+
+  } catch (error) {
+    profileLogger.methodExit('listProfileAttachments', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    });
+
+    return handleControllerError(error, 'GET_PROFILE', 'listProfileAttachments', req, res, profileLogger);
+  }
+});
+
+// POST /api/profile/:id/attachments - Attach a file (multipart fields "file", "type" and optional "notes")
+exports.uploadProfileAttachment = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  profileLogger.methodEntry('uploadProfileAttachment', {
+    profileId: req.params.id,
+    type: req.body.type,
+    size: req.file && req.file.size
+  });
+
+  try {
+    // The upload is checked before the write lock is taken
+    const prepared = prepareAttachment({
+      buffer: req.file && req.file.buffer,
+      originalName: req.file && req.file.originalname,
+      type: req.body.type,
+      notes: req.body.notes
+    });
+    const { profile, attachment } = await exports.addProfileAttachmentRaw(req.params.id, prepared, req.user);
+
+    profileLogger.methodExit('uploadProfileAttachment', {
+      success: true,
+      profileId: req.params.id,
+      attachmentId: attachment.id
+    });
+
+    res.status(201).json({ success: true, profileId: String(profile.id), attachment, updatedAt: profile.updatedAt });
+
+  } catch (error) {
+    profileLogger.methodExit('uploadProfileAttachment', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    });
+
+    return handleControllerError(error, 'UPDATE_PROFILE', 'uploadProfileAttachment', req, res, profileLogger);
+  }
+});
+
+// DELETE /api/profile/:id/attachments/:attachmentId - Remove an attachment
+exports.deleteProfileAttachment = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  profileLogger.methodEntry('deleteProfileAttachment', {
+    profileId: req.params.id,
+    attachmentId: req.params.attachmentId
+  });
+
+  try {
+    const profile = await exports.removeProfileAttachmentRaw(req.params.id, req.params.attachmentId, req.user);
+
+    profileLogger.methodExit('deleteProfileAttachment', {
+      success: true,
+      profileId: req.params.id,
+      attachmentId: req.params.attachmentId
+    });
+
+    res.json({ success: true, profileId: String(profile.id), updatedAt: profile.updatedAt });
+
+  } catch (error) {
+    profileLogger.methodExit('deleteProfileAttachment', {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode || 500
+    });
+
+    return handleControllerError(error, 'UPDATE_PROFILE', 'deleteProfileAttachment', req, res, profileLogger);
+  }
+});
+
+// GET /api/profile/:id/attachments/:attachmentId[?inline=true] - Download an attachment under its original name
+exports.downloadProfileAttachment = asyncHandler(async (req, res) => {
+  const profileLogger = log.profile();
+
+  try {
+    const { id: profileId, attachmentId } = req.params;
+    const profile = getProfileById(profileId) || getArchivedProfileById(profileId);
+
+    if (!profile) {
+      throw new AppError(
+        ERROR_MESSAGES.PROFILE_NOT_FOUND,
+        404,
+        ERROR_TYPES.VALIDATION,
+        { profileId }
+      );
+    }
+
+    const attachment = (Array.isArray(profile.attachments) ? profile.attachments : []).find(a => a.id === attachmentId);
+    const filePath = attachment && getAttachmentPath(attachment.fileName);
+    if (!filePath) {
+      throw new AppError('Attachment not found', 404, ERROR_TYPES.VALIDATION, { profileId, attachmentId });
+    }
+
+    // inline=true opens it in the browser (PDF viewer or image) instead of saving it
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.attachment(attachment.originalName);
+    res.type(attachment.contentType);
+    if (req.query.inline === 'true') {
+      res.setHeader('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+    }
+    res.sendFile(filePath);
+
+  } catch (error) {
+    return handleControllerError(error, 'GET_PROFILE', 'downloadProfileAttachment', req, res, profileLogger);
   }
 });
 
@@ -1077,14 +2571,8 @@ exports.checkSerialNumberExists = asyncHandler(async (req, res) => {
       });
     }
     
-    // Load profiles and check for duplicate
-    const profiles = readProfiles();
-    const serialNoLower = serialNo.toString().trim().toLowerCase();
-    
-    const existingProfile = profiles.find(p => 
-      p.serial_no && 
-      p.serial_no.toString().trim().toLowerCase() === serialNoLower
-    );
+    // Check for duplicate with an indexed (trimmed, case-insensitive) lookup in the profile store
+    const existingProfile = findProfileBySerialNo(serialNo);
     
     const exists = !!existingProfile;
     
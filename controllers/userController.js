@@ -0,0 +1,206 @@
+// UserController: Handles user account management (admins only)
+const log = require('../utils/logger');
+const {
+  listUsers,
+  getUserById,
+  createUser,
+  updateUser,
+  setUserDisabled,
+  resetPassword
+} = require('../services/UserService');
+const { destroyUserSessions } = require('../services/AuthService');
+const { ROLE_LABELS } = require('../utils/permissions');
+const { getValidationFieldErrors } = require('../utils/sanitization');
+const {
+  AppError,
+  ERROR_MESSAGES,
+  ERROR_TYPES,
+  handleControllerError,
+  wantsJsonResponse,
+  asyncHandler
+} = require('../utils/errorHandler');
+
+/**
+ * Throws a 400 with per-field messages when the express-validator rules failed
+ * @param {Object} req - Express request
+ * @throws {AppError} Validation error with { field: message } details
+ */
+function assertValidInput(req) {
+  const fieldErrors = getValidationFieldErrors(req);
+  if (fieldErrors) {
+    throw new AppError(ERROR_MESSAGES.INVALID_INPUT, 400, ERROR_TYPES.VALIDATION, fieldErrors);
+  }
+}
+
+/**
+ * Render the user list
+ * Result messages from the actions below arrive as query parameters (created, updated, ...).
+ * GET /users
+ */
+exports.listUsers = asyncHandler(async (req, res) => {
+  const authLogger = log.auth();
+
+  try {
+    const users = listUsers();
+
+    if (wantsJsonResponse(req)) {
+      return res.json({ success: true, users });
+    }
+    res.render('users', {
+      users,
+      roleLabels: ROLE_LABELS,
+      message: req.query,
+      currentUserId: req.user.id
+    });
+  } catch (error) {
+    return handleControllerError(error, 'USERS', 'listUsers', req, res, authLogger);
+  }
+});
+
+/**
+ * Render the add user form
+ * GET /users/add
+ */
+exports.showCreateUser = (req, res) => {
+  res.render('user-form', { error: null, fieldErrors: {}, formData: {}, editUser: null, roleLabels: ROLE_LABELS });
+};
+
+/**
+ * Create a user account
+ * POST /users/add
+ */
+exports.createUser = asyncHandler(async (req, res) => {
+  const authLogger = log.auth();
+  authLogger.methodEntry('createUser', { username: req.body && req.body.username, createdBy: req.user.username });
+
+  try {
+    assertValidInput(req);
+
+    const { username, name, password, role } = req.body;
+    const user = createUser({ username, name, password, role });
+
+    authLogger.methodExit('createUser', { success: true, userId: user.id, role: user.role });
+
+    if (wantsJsonResponse(req)) {
+      return res.status(201).json({ success: true, user });
+    }
+    return res.redirect(`/users?created=${encodeURIComponent(user.username)}`);
+  } catch (error) {
+    return handleControllerError(error, 'USERS', 'createUser', req, res, authLogger);
+  }
+});
+
+/**
+ * Render the edit user form
+ * GET /users/edit/:id
+ */
+exports.showEditUser = asyncHandler(async (req, res) => {
+  const authLogger = log.auth();
+
+  try {
+    const user = getUserById(req.params.id);
+    res.render('user-form', {
+      error: null,
+      fieldErrors: {},
+      formData: { name: user.name, role: user.role },
+      editUser: user,
+      roleLabels: ROLE_LABELS
+    });
+  } catch (error) {
+    return handleControllerError(error, 'USERS', 'showEditUser', req, res, authLogger);
+  }
+});
+
+/**
+ * Update a user's name and role
+ * POST /users/edit/:id
+ */
+exports.updateUser = asyncHandler(async (req, res) => {
+  const authLogger = log.auth();
+  authLogger.methodEntry('updateUser', { userId: req.params.id, updatedBy: req.user.username });
+
+  try {
+    assertValidInput(req);
+
+    const user = updateUser(req.params.id, { name: req.body.name, role: req.body.role });
+
+    authLogger.methodExit('updateUser', { success: true, userId: user.id, role: user.role });
+
+    if (wantsJsonResponse(req)) {
+      return res.json({ success: true, user });
+    }
+    return res.redirect(`/users?updated=${encodeURIComponent(user.username)}`);
+  } catch (error) {
+    return handleControllerError(error, 'USERS', 'updateUser', req, res, authLogger);
+  }
+});
+
+/**
+ * Creates the handler that disables or re-enables an account
+ * Disabling also ends the user's sessions so they are logged out straight away.
+ * @param {boolean} disabled - True for POST /users/:id/disable, false for POST /users/:id/enable
+ * @returns {Function} Express handler
+ */
+const setUserStatus = (disabled) => asyncHandler(async (req, res) => {
+  const authLogger = log.auth();
+  const operation = disabled ? 'disableUser' : 'enableUser';
+  authLogger.methodEntry(operation, { userId: req.params.id, changedBy: req.user.username });
+
+  try {
+    const user = setUserDisabled(req.params.id, disabled, req.user);
+    const endedSessions = disabled ? destroyUserSessions(user.id) : 0;
+
+    authLogger.methodExit(operation, { success: true, userId: user.id, endedSessions });
+
+    if (wantsJsonResponse(req)) {
+      return res.json({ success: true, user });
+    }
+    return res.redirect(`/users?${disabled ? 'disabled' : 'enabled'}=${encodeURIComponent(user.username)}`);
+  } catch (error) {
+    return handleControllerError(error, 'USERS', operation, req, res, authLogger);
+  }
+});
+
+exports.disableUser = setUserStatus(true);
+exports.enableUser = setUserStatus(false);
+
+/**
+ * Render the reset password form
+ * GET /users/:id/reset-password
+ */
+exports.showResetPassword = asyncHandler(async (req, res) => {
+  const authLogger = log.auth();
+
+  try {
+    const user = getUserById(req.params.id);
+    res.render('user-reset-password', { error: null, fieldErrors: {}, formData: user });
+  } catch (error) {
+    return handleControllerError(error, 'USERS', 'showResetPassword', req, res, authLogger);
+  }
+});
+
+/**
+ * Set a new password for a user
+ * The user's other sessions end, so the old password stops working everywhere.
+ * POST /users/:id/reset-password
+ */
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const authLogger = log.auth();
+  authLogger.methodEntry('resetPassword', { userId: req.params.id, resetBy: req.user.username });
+
+  try {
+    assertValidInput(req);
+
+    const user = resetPassword(req.params.id, req.body.password);
+    const endedSessions = destroyUserSessions(user.id, req.sessionToken);
+
+    authLogger.methodExit('resetPassword', { success: true, userId: user.id, endedSessions });
+
+    if (wantsJsonResponse(req)) {
+      return res.json({ success: true, user });
+    }
+    return res.redirect(`/users?passwordReset=${encodeURIComponent(user.username)}`);
+  } catch (error) {
+    return handleControllerError(error, 'USERS', 'resetPassword', req, res, authLogger);
+  }
+});
@@ -15,6 +15,13 @@ const { generalLimiter } = require('./utils/rateLimiting');
 // Version middleware import
 const { versionMiddleware } = require('./middleware/versionMiddleware');
 
+// Login session middleware imports
+const { sessionMiddleware, requireAuth } = require('./middleware/authMiddleware');
+
+// Profile storage (profile.json or embedded SQLite, opened asynchronously at startup)
+const { initializeProfileStorage } = require('./services/ProfileStorageService');
+const { watchProfileStore } = require('./services/ProfileRepository');
+
 const app = express();
 const PORT = process.env.PORT || 3131;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -54,6 +61,19 @@ app.set('views', path.join(__dirname, 'views'));
 // Version middleware - makes version info available to all views
 app.use(versionMiddleware);
 
+// Open profile storage; requests wait until it is ready (SQLite loads asynchronously).
+// Once open, profile.json is watched so edits made outside the app show up without a restart.
+const profileStorageReady = initializeProfileStorage().then(() => watchProfileStore());
+profileStorageReady.catch(error => {
+  log.error('[CRITICAL] Profile storage could not be opened', { source: 'ExpressApp', error: error.message }, error);
+});
+app.use((req, res, next) => {
+  profileStorageReady.then(() => next(), next);
+});
+
+// Session middleware - resolves the logged-in user (req.user, res.locals.currentUser)
+app.use(sessionMiddleware);
+
 // Request logging middleware
 app.use((req, res, next) => {
   const startTime = Date.now();
@@ -75,32 +95,37 @@ log.info('Express middleware configured', { source: 'ExpressApp' });
 
 // Auth routes
 const authRoutes = require('./routes/auth-routes');
+const authController = require('./controllers/authController');
 app.use('/auth', authRoutes);
+// Logout endpoint used by the navbar
+app.post('/api/auth/logout', authController.logout);
 log.debug('Auth routes mounted', { source: 'ExpressApp' });
 
+// Routes below that expose profile data require a logged-in user
+
 // Profile API routes
 const profileRoutes = require('./routes/profile-api-routes');
-app.use('/api/profile', profileRoutes);
+app.use('/api/profile', requireAuth, profileRoutes);
 log.debug('Profile API routes mounted', { source: 'ExpressApp' });
 
 // Profile EJS view routes
 const profileEjsRoutes = require('./routes/profile-ejs-routes');
-app.use('/profile', profileEjsRoutes);
+app.use('/profile', requireAuth, profileEjsRoutes);
 log.debug('Profile EJS routes mounted', { source: 'ExpressApp' });
 
 // Matching routes
 const matchingRoutes = require('./routes/matching-routes');
-app.use('/matching', matchingRoutes);
+app.use('/matching', requireAuth, matchingRoutes);
 log.debug('Matching routes mounted', { source: 'ExpressApp' });
 
 // Export routes
 const exportRoutes = require('./routes/export-routes');
-app.use('/export', exportRoutes);
+app.use('/export', requireAuth, exportRoutes);
 log.debug('Export routes mounted', { source: 'ExpressApp' });
 
 // Backup routes
 const backupRoutes = require('./routes/backup-routes');
-app.use('/backup', backupRoutes);
+app.use('/backup', requireAuth, backupRoutes);
 log.debug('Backup routes mounted', { source: 'ExpressApp' });
 
 // Common data routes
@@ -109,8 +134,8 @@ app.use('/common', commonRoutes);
 log.debug('Common routes mounted', { source: 'ExpressApp' });
 
 // Users routes (legacy/demo)
-const userRoutes = require('./routes/users');
-app.use('/users', userRoutes);
+const userRoutes = require('./routes/user-routes');
+app.use('/users', requireAuth, userRoutes);
 log.debug('User routes mounted', { source: 'ExpressApp' });
 
 log.info('All application routes configured', { source: 'ExpressApp' });
@@ -0,0 +1,127 @@
+const log = require('../utils/logger');
+const { getSessionUser } = require('../services/AuthService');
+const { AppError, ERROR_MESSAGES, ERROR_TYPES } = require('../utils/errorHandler');
+const { hasPermission } = require('../utils/permissions');
+
+const SESSION_COOKIE_NAME = 'matrimony_session';
+
+/**
+ * Reads the session token from the Cookie header
+ * @param {Object} req - Express request
+ * @returns {string|null} Session token
+ */
+function getSessionToken(req) {
+  const cookieHeader = req.headers.cookie || '';
+  const sessionCookie = cookieHeader
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${SESSION_COOKIE_NAME}=`));
+
+  return sessionCookie ? decodeURIComponent(sessionCookie.slice(SESSION_COOKIE_NAME.length + 1)) : null;
+}
+
+/**
+ * Sets the session cookie (HttpOnly, ends when the browser closes)
+ * @param {Object} res - Express response
+ * @param {string} token - Session token
+ */
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE_NAME, token, { httpOnly: true, sameSite: 'lax', path: '/' });
+}
+
+/**
+ * Clears the session cookie
+ * @param {Object} res - Express response
+ */
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE_NAME, { httpOnly: true, sameSite: 'lax', path: '/' });
+}
+
+/**
+ * Middleware that resolves the logged-in user for every request
+ * Sets req.user and res.locals.currentUser (null when not logged in) so views can show the user,
+ * and res.locals.can(permission) so views can hide actions the user's role does not allow.
+ */
+function sessionMiddleware(req, res, next) {
+  try {
+    req.sessionToken = getSessionToken(req);
+    req.user = getSessionUser(req.sessionToken);
+  } catch (error) {
+    log.error('Session middleware error', {
+      source: 'authMiddleware',
+      error: error.message
+    });
+    req.user = null;
+  }
+
+  res.locals.currentUser = req.user;
+  res.locals.can = (permission) => hasPermission(req.user, permission);
+  next();
+}
+
+/**
+ * Middleware that only lets logged-in users through
+ * Page requests are redirected to the login page (returning to the page afterwards);
+ * API and form requests get a 401.
+ */
+function requireAuth(req, res, next) {
+  if (req.user) {
+    return next();
+  }
+
+  log.auth().warn('[WARN] Unauthenticated request blocked', {
+    phase: 'ACCESS_CHECK',
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip
+  });
+
+  const isPageRequest = req.method === 'GET' && req.get('Accept') !== '*/*' && req.accepts('html') === 'html';
+  if (isPageRequest) {
+    return res.redirect(`/auth/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+
+  return next(new AppError(ERROR_MESSAGES.UNAUTHORIZED_ACCESS, 401, ERROR_TYPES.AUTHENTICATION));
+}
+
+/**
+ * Creates middleware that only lets users whose role grants a permission through
+ * Requests without a login are handled like requireAuth; logged-in users without the permission get a 403.
+ * @param {string} permission - Permission key from utils/permissions
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return requireAuth(req, res, next);
+    }
+    if (hasPermission(req.user, permission)) {
+      return next();
+    }
+
+    log.auth().warn('[WARN] Request blocked by role', {
+      phase: 'ACCESS_CHECK',
+      method: req.method,
+      url: req.originalUrl,
+      username: req.user.username,
+      role: req.user.role,
+      permission
+    });
+
+    return next(new AppError(
+      ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+      403,
+      ERROR_TYPES.AUTHORIZATION,
+      { permission, role: req.user.role }
+    ));
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE_NAME,
+  sessionMiddleware,
+  requireAuth,
+  requirePermission,
+  setSessionCookie,
+  clearSessionCookie
+};
@@ -27,6 +27,8 @@ class Profile {
     this.is_remarried = data.is_remarried;
     this.rasi_lagnam = data.rasi_lagnam;
     this.navamsam_lagnam = data.navamsam_lagnam;
+    this.photo = data.photo;
+    this.attachments = data.attachments;
   }
 }
 
@@ -158,7 +158,8 @@ export class DownloadManager {
             body: JSON.stringify({
                 profiles: profilesData,
                 format: format,
-                seekerInfo: window.seekerInfo || {}
+                seekerInfo: window.seekerInfo || {},
+                includeHoroscopes: this.includeHoroscopes()
             })
         });
 
@@ -235,6 +236,14 @@ export class DownloadManager {
         }
     }
 
+    /**
+     * Whether the candidates' horoscope attachments should be added to PDF files
+     * @returns {boolean} - State of the "Add horoscope pages" checkbox on the results page
+     */
+    includeHoroscopes() {
+        return document.getElementById('include-horoscopes')?.checked || false;
+    }
+
     /**
      * Extract seeker information from form
      * @returns {Object} - Seeker info object
@@ -299,7 +308,8 @@ export class DownloadManager {
                 body: JSON.stringify({
                     profiles: profiles,
                     format: format,
-                    seekerInfo: seekerInfo
+                    seekerInfo: seekerInfo,
+                    includeHoroscopes: this.includeHoroscopes()
                 })
             });
             
@@ -387,6 +397,13 @@ export class DownloadManager {
         formatInput.value = format;
         form.appendChild(formatInput);
 
+        // Add horoscope pages option
+        const horoscopesInput = document.createElement('input');
+        horoscopesInput.type = 'hidden';
+        horoscopesInput.name = 'includeHoroscopes';
+        horoscopesInput.value = String(this.includeHoroscopes());
+        form.appendChild(horoscopesInput);
+
         try {
             document.body.appendChild(form);
             
@@ -4,13 +4,18 @@ const router = express.Router();
 
 
 const authController = require('../controllers/authController');
+const { loginLimiter } = require('../utils/rateLimiting');
 // API endpoints
-router.post('/api/login', authController.login);
+router.post('/api/login', loginLimiter, authController.login);
 router.post('/api/register', authController.register);
 router.post('/api/auth/logout', authController.logout);
 
 // View endpoints
-router.get('/login', (req, res) => res.render('login'));
-router.get('/register', (req, res) => res.render('register'));
+router.get('/login', authController.showLogin);
+router.get('/register', authController.showRegister);
+
+// HTML form POST routes (non-API)
+router.post('/login', loginLimiter, authController.login);
+router.post('/register', authController.register);
 
 module.exports = router;
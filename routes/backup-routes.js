@@ -5,6 +5,7 @@ const path = require('path');
 const fs = require('fs');
 const backupController = require('../controllers/backupController');
 const { asyncHandler } = require('../utils/errorHandler');
+const { requirePermission } = require('../middleware/authMiddleware');
 
 // Configure multer for file upload
 // Get the actual execution directory (not the snapshot path for PKG)
@@ -46,7 +47,7 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB max file size
+    fileSize: 200 * 1024 * 1024 // 200MB max file size (backups include profile photos)
   },
   fileFilter: function (req, file, cb) {
     // Accept only ZIP files
@@ -68,19 +69,19 @@ const upload = multer({
  * GET /backup/download
  * Create and download backup ZIP file
  */
-router.get('/download', backupController.createBackup);
+router.get('/download', requirePermission('backup:download'), backupController.createBackup);
 
 /**
  * POST /backup/restore
- * Restore backup from uploaded ZIP file
+ * Restore backup from uploaded ZIP file (admin only; checked before the upload is stored)
  */
-router.post('/restore', upload.single('backup'), backupController.restoreBackup);
+router.post('/restore', requirePermission('backup:restore'), upload.single('backup'), backupController.restoreBackup);
 
 /**
  * GET /backup/info
  * Get current backup information
  */
-router.get('/info', backupController.getBackupInfo);
+router.get('/info', requirePermission('backup:download'), backupController.getBackupInfo);
 
 // ========================================
 // EJS View Routes
@@ -90,7 +91,7 @@ router.get('/info', backupController.getBackupInfo);
  * GET /backup/admin
  * Backup management admin page
  */
-router.get('/admin', asyncHandler(async (req, res) => {
+router.get('/admin', requirePermission('backup:download'), asyncHandler(async (req, res) => {
   res.render('backup-admin', {
     title: 'Data Backup & Restore',
     pageTitle: 'Data Backup & Restore'
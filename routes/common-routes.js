@@ -3,11 +3,13 @@ const express = require('express');
 const router = express.Router();
 const commonController = require('../controllers/commonController');
 const { getVersionEndpoint } = require('../middleware/versionMiddleware');
+const { requirePermission } = require('../middleware/authMiddleware');
 
 // API endpoints (mounted at /common, so these become /common/api/*)
 router.get('/api/nakshatra', commonController.getNakshatra);
 router.get('/api/gothram', commonController.getGothram);
-router.post('/api/gothram', commonController.createGothram);
+// Adding a gothram changes the shared list, so it is limited to admins (and needs a login)
+router.post('/api/gothram', requirePermission('gothram:create'), commonController.createGothram);
 
 // Version API endpoint
 router.get('/api/version', getVersionEndpoint);
@@ -2,8 +2,13 @@
 const express = require('express');
 const router = express.Router();
 const { exportLimiter } = require('../utils/rateLimiting');
+const { requirePermission } = require('../middleware/authMiddleware');
 
 const exportController = require('../controllers/exportController');
+const { EXPORT_COLUMNS } = require('../services/ProfileExportService');
+
+// Every role may export
+router.use(requirePermission('export:run'));
 
 // API endpoint with rate limiting
 router.get('/api/export', exportLimiter, exportController.exportData);
@@ -20,7 +25,14 @@ router.post('/profiles/pdf', exportController.exportMatchingProfiles);
 router.get('/profiles/excel', exportController.exportMatchingProfiles);
 router.post('/profiles/excel', exportController.exportMatchingProfiles);
 
-// View endpoint (placeholder)
-router.get('/export', (req, res) => res.send('Export functionality coming soon.'));
+// Batch "match everyone" report (Excel) - runs the matcher, so it needs the matching permission too
+router.get('/batch-matching/excel', requirePermission('matching:run'), exportLimiter, exportController.exportBatchMatchingReport);
+
+// Full-database export page (the form downloads from /export/api/export)
+router.get('/export', (req, res) => {
+  res.render('export-data', {
+    columns: EXPORT_COLUMNS.map(({ key, label }) => ({ key, label }))
+  });
+});
 
 module.exports = router;
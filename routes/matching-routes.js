@@ -3,15 +3,29 @@ const express = require('express');
 const router = express.Router();
 const { searchValidationRules, handleValidationErrors } = require('../utils/sanitization');
 const { searchLimiter } = require('../utils/rateLimiting');
+const { requirePermission } = require('../middleware/authMiddleware');
 
 const matchingController = require('../controllers/matchingController');
 const { nakshatraData } = require('../services/NakshatraService');
+const { getMatchingConfig } = require('../utils/matchingConfig');
+
+// Matching is for admins and counsellors; changing the matching settings is admin only
+router.use(requirePermission('matching:run'));
 
 // API endpoints with validation and rate limiting
 router.get('/api/find', searchLimiter, searchValidationRules, handleValidationErrors, matchingController.findMatching);
 // Boilerplate for POST find-matching
 router.post('/api/find', searchLimiter, searchValidationRules, handleValidationErrors, matchingController.findMatching);
 
+// Matching settings (persisted minimum porutham)
+router.get('/api/settings', matchingController.getMatchingSettings);
+router.put('/api/settings', requirePermission('settings:manage'), matchingController.updateMatchingSettings);
+
+// Rasi compatibility rule set (data-driven rules in AppData) and pair tester
+router.get('/api/rasi-rules', matchingController.getRasiRules);
+router.put('/api/rasi-rules', requirePermission('settings:manage'), matchingController.updateRasiRules);
+router.post('/api/rasi-rules/test', matchingController.testRasiRules);
+
 // Helper endpoint for UI: get id by serial_no
 
 // View endpoints
@@ -21,7 +35,9 @@ router.get('/find', (req, res) => {
         seekerProfile: null,
         form: {},
         error: null,
-        nakshatraData: nakshatraData
+        nakshatraData: nakshatraData,
+        defaultMinPorutham: getMatchingConfig().minPorutham,
+        defaultRankBy: getMatchingConfig().rankBy
     });
 });
 // HTML form POST route (non-API)
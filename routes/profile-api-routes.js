@@ -1,9 +1,16 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const router = express.Router();
 const profileController = require('../controllers/profileController');
+const importController = require('../controllers/importController');
+const { IMPORT_FILE_EXTENSIONS } = require('../services/ProfileImportService');
+const { PHOTO_MAX_BYTES } = require('../services/ProfilePhotoService');
+const { ATTACHMENT_MAX_BYTES } = require('../services/ProfileAttachmentService');
 const { profileValidationRules, handleValidationErrors } = require('../utils/sanitization');
 const { createProfileLimiter, searchLimiter } = require('../utils/rateLimiting');
 const log = require('../utils/logger');
+const { requirePermission } = require('../middleware/authMiddleware');
 const { 
   AppError, 
   ERROR_MESSAGES, 
@@ -12,8 +19,73 @@ const {
   asyncHandler 
 } = require('../utils/errorHandler');
 
+// Import files are only read, never stored, so they are kept in memory
+const importUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: 10 * 1024 * 1024 // 10MB max file size
+	},
+	fileFilter: function (req, file, cb) {
+		if (IMPORT_FILE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+			cb(null, true);
+		} else {
+			cb(new AppError(`Only ${IMPORT_FILE_EXTENSIONS.join(', ')} files can be imported`, 400, ERROR_TYPES.VALIDATION, { field: 'file' }), false);
+		}
+	}
+});
+
+/**
+ * Accepts the import file (field "file"), reporting upload problems such as an oversized file as a 400
+ */
+function uploadImportFile(req, res, next) {
+	importUpload.single('file')(req, res, error => {
+		if (!error) return next();
+		next(error instanceof AppError ? error : new AppError(error.message, 400, ERROR_TYPES.VALIDATION, { field: 'file' }));
+	});
+}
+
+// Photos are scaled and re-encoded before they are stored, so the upload stays in memory
+const photoUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: PHOTO_MAX_BYTES,
+		files: 1
+	}
+});
+
+/**
+ * Accepts a profile photo (field "photo"), reporting upload problems such as an oversized file as a 400
+ */
+function uploadPhotoFile(req, res, next) {
+	photoUpload.single('photo')(req, res, error => {
+		if (!error) return next();
+		const message = error.code === 'LIMIT_FILE_SIZE' ? 'Photo is too large. Maximum size is 5MB.' : error.message;
+		next(new AppError(message, 400, ERROR_TYPES.VALIDATION, { field: 'photo' }));
+	});
+}
+
+// Attachments are checked from their contents before they are stored, so the upload stays in memory
+const attachmentUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: ATTACHMENT_MAX_BYTES,
+		files: 1
+	}
+});
+
+/**
+ * Accepts a profile attachment (field "file"), reporting upload problems such as an oversized file as a 400
+ */
+function uploadAttachmentFile(req, res, next) {
+	attachmentUpload.single('file')(req, res, error => {
+		if (!error) return next();
+		const message = error.code === 'LIMIT_FILE_SIZE' ? 'File is too large. Maximum size is 10MB.' : error.message;
+		next(new AppError(message, 400, ERROR_TYPES.VALIDATION, { field: 'file' }));
+	});
+}
+
 // Filter profiles by criteria (GET with query params)
-router.get('/filter', asyncHandler(async (req, res) => {
+router.get('/filter', requirePermission('profile:view'), asyncHandler(async (req, res) => {
 	// Create unified logger for Profile functionality
 	const searchLogger = log.profile();
 	
@@ -35,247 +107,7 @@ router.get('/filter', asyncHandler(async (req, res) => {
 	});
 	
 	try {
-		const { serial_no, name, gender, birth_date, contact_no, is_active } = req.query;
-		
-		// Validate search criteria
-		const hasValidCriteria = serial_no || name || gender || birth_date || contact_no || is_active;
-		if (!hasValidCriteria) {
-			searchLogger.warn('[WARN] No search criteria provided', {
-				phase: 'PARAMETER_VALIDATION',
-				query: req.query,
-				source: 'ProfileApiRoutes'
-			});
-			// Return all profiles if no criteria provided (for backward compatibility)
-		}
-		
-		searchLogger.trace('[TRACE] Search criteria extracted', {
-			phase: 'PARAMETER_EXTRACTION',
-			criteria: log.maskSensitive({
-				serial_no,
-				name,
-				gender,
-				birth_date,
-				contact_no,
-				is_active
-			}),
-			source: 'ProfileApiRoutes'
-		});
-		
-		searchLogger.trace('[TRACE] Loading profiles for filtering', {
-			phase: 'DATA_LOADING',
-			source: 'ProfileApiRoutes'
-		});
-		
-		const profiles = require('../controllers/profileController').listProfilesRaw();
-		
-		if (!Array.isArray(profiles)) {
-			throw new AppError(
-				ERROR_MESSAGES.DATA_CORRUPTION,
-				500,
-				ERROR_TYPES.FILE_SYSTEM,
-				{ issue: 'Profiles data is not an array' }
-			);
-		}
-		
-		let filtered = profiles;
-		
-		searchLogger.trace('[TRACE] Initial profiles loaded', {
-			phase: 'DATA_LOADING',
-			totalProfiles: profiles.length,
-			source: 'ProfileApiRoutes'
-		});
-		
-		// Apply filters with detailed logging and error handling
-		if (serial_no && serial_no.trim() !== '') {
-			const beforeCount = filtered.length;
-			try {
-				const serialNoLower = String(serial_no).trim().toLowerCase();
-				filtered = filtered.filter(p => {
-					const profileSerialNo = String(p.serial_no || '').trim().toLowerCase();
-					return profileSerialNo.includes(serialNoLower);
-				});
-				
-				searchLogger.trace('[TRACE] Applied serial number filter', {
-					phase: 'FILTERING',
-					filter: 'serial_no',
-					beforeCount,
-					afterCount: filtered.length,
-					filteredOut: beforeCount - filtered.length,
-					source: 'ProfileApiRoutes'
-				});
-			} catch (filterError) {
-				searchLogger.error('[ERROR] Serial number filter failed', {
-					phase: 'FILTERING',
-					filter: 'serial_no',
-					value: serial_no,
-					errorMessage: filterError.message,
-					source: 'ProfileApiRoutes'
-				}, filterError);
-				// Continue with other filters
-			}
-		}
-		
-		if (name && name.trim() !== '') {
-			const beforeCount = filtered.length;
-			try {
-				const nameLower = name.toLowerCase();
-				filtered = filtered.filter(p => {
-					return p.name && p.name.toLowerCase().includes(nameLower);
-				});
-				
-				searchLogger.trace('[TRACE] Applied name filter', {
-					phase: 'FILTERING',
-					filter: 'name',
-					beforeCount,
-					afterCount: filtered.length,
-					filteredOut: beforeCount - filtered.length,
-					source: 'ProfileApiRoutes'
-				});
-			} catch (filterError) {
-				searchLogger.error('[ERROR] Name filter failed', {
-					phase: 'FILTERING',
-					filter: 'name',
-					value: name,
-					errorMessage: filterError.message,
-					source: 'ProfileApiRoutes'
-				}, filterError);
-			}
-		}
-		
-		if (gender && gender.trim() !== '') {
-			const beforeCount = filtered.length;
-			try {
-				if (!['Male', 'Female'].includes(gender)) {
-					searchLogger.warn('[WARN] Invalid gender value provided', {
-						phase: 'FILTERING',
-						filter: 'gender',
-						value: gender,
-						source: 'ProfileApiRoutes'
-					});
-				} else {
-					filtered = filtered.filter(p => p.gender === gender);
-					
-					searchLogger.trace('[TRACE] Applied gender filter', {
-						phase: 'FILTERING',
-						filter: 'gender',
-						beforeCount,
-						afterCount: filtered.length,
-						filteredOut: beforeCount - filtered.length,
-						source: 'ProfileApiRoutes'
-					});
-				}
-			} catch (filterError) {
-				searchLogger.error('[ERROR] Gender filter failed', {
-					phase: 'FILTERING',
-					filter: 'gender',
-					value: gender,
-					errorMessage: filterError.message,
-					source: 'ProfileApiRoutes'
-				}, filterError);
-			}
-		}
-		
-		if (birth_date && birth_date.trim() !== '') {
-			const beforeCount = filtered.length;
-			try {
-				// Validate date format
-				const testDate = new Date(birth_date);
-				if (isNaN(testDate.getTime())) {
-					searchLogger.warn('[WARN] Invalid birth date format provided', {
-						phase: 'FILTERING',
-						filter: 'birth_date',
-						value: birth_date,
-						source: 'ProfileApiRoutes'
-					});
-				} else {
-					filtered = filtered.filter(p => p.birth_date === birth_date);
-					
-					searchLogger.trace('[TRACE] Applied birth date filter', {
-						phase: 'FILTERING',
-						filter: 'birth_date',
-						beforeCount,
-						afterCount: filtered.length,
-						filteredOut: beforeCount - filtered.length,
-						source: 'ProfileApiRoutes'
-					});
-				}
-			} catch (filterError) {
-				searchLogger.error('[ERROR] Birth date filter failed', {
-					phase: 'FILTERING',
-					filter: 'birth_date',
-					value: birth_date,
-					errorMessage: filterError.message,
-					source: 'ProfileApiRoutes'
-				}, filterError);
-			}
-		}
-		
-		if (contact_no && contact_no.trim() !== '') {
-			const beforeCount = filtered.length;
-			try {
-				const contactNoClean = contact_no.replace(/\D/g, ''); // Remove non-digits
-				filtered = filtered.filter(p => {
-					const profileContact = String(p.contact_no || '').replace(/\D/g, '');
-					return profileContact.includes(contactNoClean);
-				});
-				
-				searchLogger.trace('[TRACE] Applied contact number filter', {
-					phase: 'FILTERING',
-					filter: 'contact_no',
-					beforeCount,
-					afterCount: filtered.length,
-					filteredOut: beforeCount - filtered.length,
-					source: 'ProfileApiRoutes'
-				});
-			} catch (filterError) {
-				searchLogger.error('[ERROR] Contact number filter failed', {
-					phase: 'FILTERING',
-					filter: 'contact_no',
-					value: contact_no,
-					errorMessage: filterError.message,
-					source: 'ProfileApiRoutes'
-				}, filterError);
-			}
-		}
-		
-		// Filter by active status
-		if (is_active && is_active.trim() !== '') {
-			const beforeCount = filtered.length;
-			try {
-				const isActiveValue = is_active === 'true';
-				filtered = filtered.filter(p => {
-					// Handle various storage formats: boolean, string 'true'/'false', or undefined (default to active)
-					const profileIsActive = p.is_active === true || p.is_active === 'true' || p.is_active === undefined;
-					return isActiveValue ? profileIsActive : !profileIsActive;
-				});
-				
-				searchLogger.trace('[TRACE] Applied is_active filter', {
-					phase: 'FILTERING',
-					filter: 'is_active',
-					value: is_active,
-					beforeCount,
-					afterCount: filtered.length,
-					filteredOut: beforeCount - filtered.length,
-					source: 'ProfileApiRoutes'
-				});
-			} catch (filterError) {
-				searchLogger.error('[ERROR] is_active filter failed', {
-					phase: 'FILTERING',
-					filter: 'is_active',
-					value: is_active,
-					errorMessage: filterError.message,
-					source: 'ProfileApiRoutes'
-				}, filterError);
-			}
-		}
-		
-		searchLogger.trace('[TRACE] Search filtering completed', {
-			phase: 'FILTERING_COMPLETE',
-			initialCount: profiles.length,
-			finalCount: filtered.length,
-			filtersApplied: Object.keys(req.query).length,
-			source: 'ProfileApiRoutes'
-		});
+		const filtered = profileController.filterProfilesRaw(req.query, searchLogger);
 		
 		searchLogger.featureEnd('FILTER_PROFILES', {
 			success: true,
@@ -313,11 +145,29 @@ router.get('/filter', asyncHandler(async (req, res) => {
 }));
 
 // API endpoints with enhanced error handling
-router.get('/check-serial/:serialNo', profileController.checkSerialNumberExists);
-router.get('/', profileController.listProfiles);
-router.get('/:id', profileController.getProfile);
-router.put('/', profileController.updateProfile);
-router.post('/', profileController.createProfile);
+router.get('/check-serial/:serialNo', requirePermission('profile:edit'), profileController.checkSerialNumberExists);
+router.get('/', requirePermission('profile:view'), profileController.listProfiles);
+router.get('/archive', requirePermission('profile:delete'), profileController.listArchivedProfiles);
+router.get('/duplicates', requirePermission('profile:delete'), profileController.listDuplicateProfiles);
+router.post('/merge', requirePermission('profile:delete'), profileController.mergeProfiles);
+router.post('/import/columns', requirePermission('profile:edit'), uploadImportFile, importController.readImportColumns);
+router.post('/import/preview', requirePermission('profile:edit'), uploadImportFile, importController.previewImport);
+router.post('/import/commit', requirePermission('profile:edit'), uploadImportFile, importController.commitImport);
+router.get('/:id/history', requirePermission('profile:view'), profileController.getProfileHistory);
+router.get('/:id/revisions', requirePermission('profile:view'), profileController.getProfileRevisions);
+router.get('/:id/photo', requirePermission('profile:view'), profileController.getProfilePhoto);
+router.post('/:id/photo', requirePermission('profile:edit'), uploadPhotoFile, profileController.uploadProfilePhoto);
+router.delete('/:id/photo', requirePermission('profile:edit'), profileController.deleteProfilePhoto);
+router.get('/:id/attachments', requirePermission('profile:view'), profileController.listProfileAttachments);
+router.post('/:id/attachments', requirePermission('profile:edit'), uploadAttachmentFile, profileController.uploadProfileAttachment);
+router.get('/:id/attachments/:attachmentId', requirePermission('profile:view'), profileController.downloadProfileAttachment);
+router.delete('/:id/attachments/:attachmentId', requirePermission('profile:edit'), profileController.deleteProfileAttachment);
+router.post('/:id/revert/:rev', requirePermission('profile:edit'), profileController.revertProfile);
+router.post('/:id/restore', requirePermission('profile:delete'), profileController.restoreProfile);
+router.get('/:id', requirePermission('profile:view'), profileController.getProfile);
+router.put('/', requirePermission('profile:edit'), profileController.updateProfile);
+router.post('/', requirePermission('profile:edit'), profileController.createProfile);
+router.delete('/:id', requirePermission('profile:delete'), profileController.archiveProfile);
 
 
 
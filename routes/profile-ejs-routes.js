@@ -1,17 +1,68 @@
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const log = require('../utils/logger');
+const { requirePermission } = require('../middleware/authMiddleware');
+const profileController = require('../controllers/profileController');
+const { getProfileById } = require('../services/ProfileRepository');
+const { MERGEABLE_FIELDS, scoreProfilePair } = require('../services/DuplicateDetectionService');
+const { PHOTO_MAX_BYTES, processPhoto } = require('../services/ProfilePhotoService');
+const { AppError } = require('../utils/errorHandler');
+
+// The create and update forms are multipart so they can carry a photo (field "photo")
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: PHOTO_MAX_BYTES,
+    files: 1
+  }
+});
+
+/**
+ * Accepts the form with its optional photo; upload problems are kept in req.photoError so the
+ * form can be shown again with the message under the photo field
+ */
+function acceptPhotoForm(req, res, next) {
+  photoUpload.single('photo')(req, res, error => {
+    if (error) {
+      req.photoError = error.code === 'LIMIT_FILE_SIZE' ? 'Photo is too large. Maximum size is 5MB.' : error.message;
+    }
+    next();
+  });
+}
+
+/**
+ * Checks and scales the photo chosen on a form, before the profile itself is saved
+ * @param {Object} req - Form request (after acceptPhotoForm)
+ * @returns {Object} { processed: processPhoto() result or null, error: message or null }
+ */
+function readFormPhoto(req) {
+  if (req.photoError) return { processed: null, error: req.photoError };
+  if (!req.file || req.file.size === 0) return { processed: null, error: null };
+  try {
+    return { processed: processPhoto(req.file.buffer), error: null };
+  } catch (error) {
+    return { processed: null, error: error instanceof AppError ? error.message : 'The photo could not be read.' };
+  }
+}
+
+/**
+ * Headers for the internal /api/profile calls: forwards the caller's session cookie
+ * so the API sees the same logged-in user
+ * @param {Object} req - Incoming page request
+ * @param {Object} [headers] - Additional headers
+ * @returns {Object} Request headers
+ */
+function apiHeaders(req, headers = {}) {
+  return { ...headers, Cookie: req.get('Cookie') || '' };
+}
 
 // Render search-profile with age column
 // NOTE: This search-profile page is created for future use - advanced search functionality will be implemented here
-router.get('/search-profile', async (req, res) => {
+router.get('/search-profile', requirePermission('profile:view'), async (req, res) => {
   try {
-    const fetchFn = typeof fetch === 'function' ? fetch : require('node-fetch');
-    const params = new URLSearchParams(req.query).toString();
-    const apiUrl = `${req.protocol}://${req.get('host')}/api/profile${params ? '?' + params : ''}`;
-    const response = await fetchFn(apiUrl);
-    let profiles = await response.json();
+    let profiles = profileController.listProfilesRaw();
     // Calculate age for each profile
     function calculateAge(birthdateStr) {
       if (!birthdateStr) return undefined;
@@ -40,7 +91,7 @@ router.get('/search-profile', async (req, res) => {
 
 
 // Render create profile form
-router.get('/create', (req, res) => {
+router.get('/create', requirePermission('profile:edit'), (req, res) => {
   res.render('create-profile', {
     error: null,
     fieldErrors: {},
@@ -49,19 +100,30 @@ router.get('/create', (req, res) => {
 });
 
 // Handle create profile form submission
-router.post('/create', async (req, res) => {
+router.post('/create', requirePermission('profile:edit'), acceptPhotoForm, async (req, res) => {
   log.debug('Profile creation form submitted', { 
     fieldsReceived: Object.keys(req.body).length,
+    hasPhoto: !!req.file,
     timestamp: new Date().toISOString(),
     source: 'ProfileEjsRoutes'
   });
   
+  // A photo that cannot be used stops the save, so the profile is not created without it
+  const photo = readFormPhoto(req);
+  if (photo.error) {
+    return res.render('create-profile', {
+      error: photo.error,
+      fieldErrors: { photo: photo.error },
+      formData: req.body
+    });
+  }
+  
   try {
     const fetchFn = typeof fetch === 'function' ? fetch : require('node-fetch');
     const apiUrl = `${req.protocol}://${req.get('host')}/api/profile`;
     const response = await fetchFn(apiUrl, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: apiHeaders(req, { 'Content-Type': 'application/json' }),
       body: JSON.stringify(req.body)
     });
     
@@ -110,6 +172,18 @@ router.post('/create', async (req, res) => {
     // Get the created profile data from response
     const createdProfile = await response.json();
     
+    if (photo.processed) {
+      try {
+        await profileController.setProfilePhotoRaw(createdProfile.id, photo.processed, req.user);
+      } catch (photoError) {
+        log.error('Profile created but its photo could not be saved', {
+          profileId: createdProfile.id,
+          errorMessage: photoError.message,
+          source: 'ProfileEjsRoutes'
+        });
+      }
+    }
+    
     // Build success redirect with query parameters
     const params = new URLSearchParams({
       created: 'true',
@@ -177,14 +251,29 @@ router.post('/create', async (req, res) => {
 });
 
 // Handle update profile form submission
-router.post('/update/:id', async (req, res) => {
+router.post('/update/:id', requirePermission('profile:edit'), acceptPhotoForm, async (req, res) => {
+  // The current photo, for showing the form again
+  const current = getProfileById(req.params.id);
+  const currentPhoto = current ? current.photo : '';
+  
+  const photo = readFormPhoto(req);
+  if (photo.error) {
+    return res.render('update-profile', {
+      profile: { ...req.body, id: req.params.id, photo: currentPhoto },
+      fieldErrors: { photo: photo.error },
+      formData: req.body,
+      error: photo.error
+    });
+  }
+  
   try {
     const fetchFn = typeof fetch === 'function' ? fetch : require('node-fetch');
     const apiUrl = `${req.protocol}://${req.get('host')}/api/profile`;
+    const { remove_photo: removePhoto, ...fields } = req.body;
     const response = await fetchFn(apiUrl, {
       method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ ...req.body, id: req.params.id })
+      headers: apiHeaders(req, { 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ ...fields, id: req.params.id })
     });
     
     if (!response.ok) {
@@ -201,22 +290,39 @@ router.post('/update/:id', async (req, res) => {
       if (response.status === 400 && errorData.fieldErrors) {
         // Log validation error for debugging (could use proper logger here)
         return res.render('update-profile', {
-          profile: { ...req.body, id: req.params.id },
+          profile: { ...req.body, id: req.params.id, photo: currentPhoto },
           fieldErrors: errorData.fieldErrors,
           formData: req.body,
           error: errorData.message || 'Please correct the highlighted fields and try again.'
         });
       }
       
+      // Someone else saved the profile after this form was loaded: show the differences and
+      // take the current version, so saving again deliberately keeps these values
+      if (response.status === 409 && errorData.details) {
+        return res.status(409).render('update-profile', {
+          profile: { ...req.body, id: req.params.id, photo: currentPhoto, updatedAt: errorData.details.currentUpdatedAt },
+          fieldErrors: {},
+          formData: req.body,
+          conflictChanges: errorData.details.changes || [],
+          error: errorData.message
+        });
+      }
+      
       // Handle other API errors
       return res.render('update-profile', {
-        profile: { ...req.body, id: req.params.id },
+        profile: { ...req.body, id: req.params.id, photo: currentPhoto },
         fieldErrors: {},
         formData: req.body,
         error: errorData.message || 'Failed to update profile. Please try again.'
       });
     }
     
+    // The photo is saved after the profile fields, so a rejected edit never changes it
+    if (photo.processed || removePhoto === 'true') {
+      await profileController.setProfilePhotoRaw(req.params.id, photo.processed, req.user);
+    }
+    
     // Success - redirect to show all profiles with success notification
     const params = new URLSearchParams({
       updated: 'true',
@@ -232,7 +338,7 @@ router.post('/update/:id', async (req, res) => {
       source: 'ProfileEjsRoutes'
     });
     res.render('update-profile', {
-      profile: { ...req.body, id: req.params.id },
+      profile: { ...req.body, id: req.params.id, photo: currentPhoto },
       fieldErrors: {},
       formData: req.body,
       error: 'An unexpected error occurred. Please try again.'
@@ -241,7 +347,7 @@ router.post('/update/:id', async (req, res) => {
 });
 
 // Render all profiles in EJS view by calling the API filter endpoint
-router.get('/showall', async (req, res) => {
+router.get('/showall', requirePermission('profile:view'), async (req, res) => {
   try {
     // ===== PHASE 1: PAGINATION PARAMETERS =====
     // Extract and validate pagination parameters
@@ -261,19 +367,8 @@ router.get('/showall', async (req, res) => {
     });
     
     // ===== FETCH ALL PROFILES WITH FILTERS =====
-    const fetchFn = typeof fetch === 'function' ? fetch : require('node-fetch');
-    
-    // Build query params for API call (exclude pagination params)
-    const apiParams = new URLSearchParams();
-    for (const [key, value] of Object.entries(req.query)) {
-      if (key !== 'page' && key !== 'limit' && key !== 'created' && key !== 'updated' && key !== 'sno' && key !== 'pname') {
-        apiParams.append(key, value);
-      }
-    }
-    
-    const apiUrl = `${req.protocol}://${req.get('host')}/api/profile/filter${apiParams.toString() ? '?' + apiParams.toString() : ''}`;
-    const response = await fetchFn(apiUrl);
-    let allProfiles = await response.json();
+    // Same filtering as /api/profile/filter (pagination and banner params are ignored by it)
+    const allProfiles = profileController.filterProfilesRaw(req.query);
     
     // ===== CALCULATE TOTALS BEFORE PAGINATION =====
     const totalProfiles = allProfiles.length;
@@ -424,14 +519,60 @@ router.get('/showall', async (req, res) => {
 });
 
 
+// Render the archive of soft-deleted profiles (admin), with restore buttons
+router.get('/archive', requirePermission('profile:delete'), (req, res) => {
+  try {
+    const profiles = profileController.listArchivedProfilesRaw();
+    log.info('Profile archive rendered', { archivedCount: profiles.length, source: 'ProfileEjsRoutes' });
+    res.render('profile-archive', { profiles });
+  } catch (err) {
+    log.error('Failed to load archived profiles', { error: err.message, source: 'ProfileEjsRoutes' });
+    res.render('profile-archive', { profiles: [], error: 'Failed to load archived profiles.' });
+  }
+});
+
+// Render the bulk import wizard (the steps run against /api/profile/import/*)
+router.get('/import', requirePermission('profile:edit'), (req, res) => {
+  res.render('profile-import');
+});
+
+// Render suspected duplicate profile pairs (admin), each linking to the merge page
+router.get('/duplicates', requirePermission('profile:delete'), (req, res) => {
+  try {
+    const pairs = profileController.findDuplicateProfilesRaw();
+    log.info('Duplicate profiles rendered', { pairsCount: pairs.length, source: 'ProfileEjsRoutes' });
+    res.render('profile-duplicates', { pairs, merged: req.query.merged || '' });
+  } catch (err) {
+    log.error('Failed to find duplicate profiles', { error: err.message, source: 'ProfileEjsRoutes' });
+    res.render('profile-duplicates', { pairs: [], merged: '', error: 'Failed to check for duplicate profiles.' });
+  }
+});
+
+// Render the side-by-side merge page for two profiles (?keep=<id>&duplicate=<id>)
+router.get('/duplicates/merge', requirePermission('profile:delete'), (req, res) => {
+  const keep = getProfileById(req.query.keep);
+  const duplicate = getProfileById(req.query.duplicate);
+  if (!keep || !duplicate || String(keep.id) === String(duplicate.id)) {
+    return res.render('profile-merge', {
+      keep: null,
+      duplicate: null,
+      fields: MERGEABLE_FIELDS,
+      error: 'Both profiles must exist and be different. They may already have been merged or archived.'
+    });
+  }
+  res.render('profile-merge', {
+    keep,
+    duplicate,
+    fields: MERGEABLE_FIELDS,
+    match: scoreProfilePair(keep, duplicate)
+  });
+});
+
 // Render update profile form with pre-filled data
-router.get('/update/:id', async (req, res) => {
+router.get('/update/:id', requirePermission('profile:edit'), async (req, res) => {
   try {
-    const fetchFn = typeof fetch === 'function' ? fetch : require('node-fetch');
-    const apiUrl = `${req.protocol}://${req.get('host')}/api/profile/${req.params.id}`;
-    const response = await fetchFn(apiUrl);
-    if (!response.ok) throw new Error('Profile not found');
-    const profile = await response.json();
+    const profile = getProfileById(req.params.id);
+    if (!profile) throw new Error('Profile not found');
     res.render('update-profile', { 
       profile,
       fieldErrors: {},
@@ -0,0 +1,35 @@
+// UserController: Handles user account management
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware');
+const {
+  userCreateValidationRules,
+  userUpdateValidationRules,
+  passwordResetValidationRules
+} = require('../utils/sanitization');
+
+const userController = require('../controllers/userController');
+
+// Only admins manage accounts
+router.use(requirePermission('users:manage'));
+
+// User list
+router.get('/', userController.listUsers);
+
+// Add user
+router.get('/add', userController.showCreateUser);
+router.post('/add', userCreateValidationRules, userController.createUser);
+
+// Edit name and role
+router.get('/edit/:id', userController.showEditUser);
+router.post('/edit/:id', userUpdateValidationRules, userController.updateUser);
+
+// Disable / re-enable
+router.post('/:id/disable', userController.disableUser);
+router.post('/:id/enable', userController.enableUser);
+
+// Reset password
+router.get('/:id/reset-password', userController.showResetPassword);
+router.post('/:id/reset-password', passwordResetValidationRules, userController.resetPassword);
+
+module.exports = router;
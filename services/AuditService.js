@@ -0,0 +1,200 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const log = require('../utils/logger');
+const { AppError, ERROR_MESSAGES, ERROR_TYPES } = require('../utils/errorHandler');
+const { getDataFilePath, ensureDirectoryExists, getDataPath } = require('../utils/appData');
+
+/**
+ * Audit Service
+ * Append-only audit trail of profile changes, kept as JSON Lines (one entry per line) in
+ * profile-audit.jsonl in the AppData data directory. Each entry records who made the change,
+ * when, which profile, and a field-level diff, so edits to phone numbers, income etc. can be traced.
+ * Entries are only ever appended; nothing in the application rewrites or deletes them.
+ */
+
+const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  ACTIVATE: 'activate',
+  DEACTIVATE: 'deactivate',
+  REVERT: 'revert',
+  ARCHIVE: 'archive',
+  RESTORE: 'restore',
+  MERGE: 'merge'
+};
+
+// Bookkeeping fields that change on every write and are not shown in diffs
+const IGNORED_DIFF_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+/**
+ * Get the audit log path in AppData/data
+ */
+function getAuditLogPath() {
+  return getDataFilePath('profile-audit.jsonl');
+}
+
+/**
+ * Normalizes a field value for comparison, so form strings and stored numbers/booleans
+ * with the same meaning ("5" and 5, "true" and true, "" and missing) are not reported as changes
+ * @param {*} value - Field value
+ * @returns {string} Comparable value
+ */
+function comparableValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Lists the fields that differ between two versions of a profile
+ * @param {Object|null} before - Profile before the change (null for a new profile)
+ * @param {Object} after - Profile after the change
+ * @returns {Array} [{ field, from, to }] in field order of the new profile
+ */
+function diffProfiles(before, after) {
+  const previous = before || {};
+  const fields = [...new Set([...Object.keys(after || {}), ...Object.keys(previous)])];
+
+  return fields
+    .filter(field => !IGNORED_DIFF_FIELDS.includes(field))
+    .filter(field => comparableValue(previous[field]) !== comparableValue(after[field]))
+    .map(field => ({
+      field,
+      from: previous[field] === undefined ? null : previous[field],
+      to: after[field] === undefined ? null : after[field]
+    }));
+}
+
+/**
+ * Works out the audit action for an update: switching is_active is recorded as activate/deactivate
+ * @param {Object} before - Profile before the change
+ * @param {Object} after - Profile after the change
+ * @returns {string} One of AUDIT_ACTIONS
+ */
+function actionForUpdate(before, after) {
+  const wasActive = comparableValue(before.is_active) !== 'false';
+  const isActive = comparableValue(after.is_active) !== 'false';
+  if (wasActive && !isActive) return AUDIT_ACTIONS.DEACTIVATE;
+  if (!wasActive && isActive) return AUDIT_ACTIONS.ACTIVATE;
+  return AUDIT_ACTIONS.UPDATE;
+}
+
+/**
+ * Appends one profile change to the audit log
+ * @param {Object} change - { action, actor, before, after, details }
+ *   actor is the logged-in user ({ id, username, name }) or null;
+ *   before is null for a new profile;
+ *   details is optional extra context stored with the entry (e.g. { revertedToRev } for a revert)
+ * @returns {Object|null} The entry written, or null if nothing changed
+ */
+function recordProfileChange({ action, actor, before, after, details }) {
+  const changes = diffProfiles(before, after);
+  if (action !== AUDIT_ACTIONS.CREATE && changes.length === 0) {
+    return null;
+  }
+
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    timestamp: new Date().toISOString(),
+    action,
+    actor: actor ? { id: actor.id, username: actor.username, name: actor.name } : null,
+    profileId: String(after.id),
+    serial_no: after.serial_no || null,
+    profileName: after.name || null,
+    changes
+  };
+  if (details) {
+    entry.details = details;
+  }
+
+  try {
+    ensureDirectoryExists(getDataPath());
+    fs.appendFileSync(getAuditLogPath(), JSON.stringify(entry) + '\n', 'utf8');
+  } catch (error) {
+    throw new AppError(
+      ERROR_MESSAGES.FILE_WRITE_ERROR,
+      500,
+      ERROR_TYPES.FILE_SYSTEM,
+      { file: 'profile-audit.jsonl', reason: error.message }
+    );
+  }
+
+  log.info('[INFO] Profile change audited', {
+    source: 'AuditService',
+    auditId: entry.id,
+    action,
+    profileId: entry.profileId,
+    actor: entry.actor ? entry.actor.username : null,
+    changedFields: changes.map(change => change.field)
+  });
+
+  return entry;
+}
+
+/**
+ * Reads the audit entries for one profile, newest first
+ * Lines that cannot be parsed (e.g. a write cut short by a crash) are skipped.
+ * @param {string|number} profileId - Profile id
+ * @returns {Array} Audit entries
+ */
+function getProfileHistory(profileId) {
+  const auditLogPath = getAuditLogPath();
+  if (!fs.existsSync(auditLogPath)) {
+    return [];
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(auditLogPath, 'utf8');
+  } catch (error) {
+    throw new AppError(
+      ERROR_MESSAGES.FILE_READ_ERROR,
+      500,
+      ERROR_TYPES.FILE_SYSTEM,
+      { file: 'profile-audit.jsonl', reason: error.message }
+    );
+  }
+
+  const entries = [];
+  let skippedLines = 0;
+  content.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.profileId === String(profileId)) {
+        entries.push(entry);
+      }
+    } catch (error) {
+      skippedLines++;
+    }
+  });
+
+  if (skippedLines > 0) {
+    log.warn('[WARN] Skipped unreadable audit log lines', {
+      source: 'AuditService',
+      skippedLines
+    });
+  }
+
+  return entries.reverse();
+}
+
+// Initialize service
+log.info('Audit service initialized', {
+  source: 'AuditService',
+  auditLog: getAuditLogPath(),
+  availableFunctions: ['recordProfileChange', 'getProfileHistory', 'diffProfiles', 'actionForUpdate'],
+  dependentServices: []
+});
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordProfileChange,
+  getProfileHistory,
+  diffProfiles,
+  actionForUpdate
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+const {
+  findUserByUsername,
+  getUserRecordById,
+  recordLogin,
+  toPublicUser,
+  hashPassword,
+  verifyPassword
+} = require('./UserService');
+const log = require('../utils/logger');
+
+/**
+ * Authentication Service
+ * Checks login credentials against the accounts managed by UserService and keeps the
+ * in-memory login sessions.
+ * A session is a random token kept in an HttpOnly cookie and looked up here on each request.
+ * Sessions live in memory, so restarting the application logs everyone out.
+ */
+
+// A session ends after this long without a request
+const SESSION_IDLE_TIMEOUT_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Active sessions: token -> { userId, username, createdAt, lastSeenAt }
+ */
+const sessions = new Map();
+
+/**
+ * Checks a username and password and records the login time
+ * @param {string} username - Username
+ * @param {string} password - Plain text password
+ * @returns {Object} Authenticated user (without password hash)
+ * @throws {AppError} 401 if the credentials are wrong or the account is disabled
+ */
+function authenticate(username, password) {
+  const user = findUserByUsername(username);
+
+  // Hash the password even for unknown usernames so both failures take the same time
+  const passwordMatches = verifyPassword(String(password || ''), user ? user.passwordHash : hashPassword('unused'));
+  if (!user || !passwordMatches) {
+    log.auth().warn('[WARN] Login failed', {
+      phase: 'LOGIN',
+      username: String(username || ''),
+      reason: user ? 'wrong_password' : 'unknown_username'
+    });
+    throw new AppError('Invalid username or password.', 401, ERROR_TYPES.AUTHENTICATION);
+  }
+  if (user.disabled) {
+    log.auth().warn('[WARN] Login failed', {
+      phase: 'LOGIN',
+      username: user.username,
+      reason: 'account_disabled'
+    });
+    throw new AppError('This account has been disabled. Please contact an admin.', 401, ERROR_TYPES.AUTHENTICATION);
+  }
+
+  recordLogin(user.id);
+  return toPublicUser({ ...user, lastLoginAt: new Date().toISOString() });
+}
+
+/**
+ * Starts a session for a user
+ * @param {Object} user - Authenticated user
+ * @returns {string} Session token for the session cookie
+ */
+function createSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  sessions.set(token, { userId: user.id, username: user.username, createdAt: now, lastSeenAt: now });
+  return token;
+}
+
+/**
+ * Resolves a session token to its user, extending the idle timeout
+ * The user is looked up on every call (from UserService's cached copy of users.json, refreshed
+ * when the file changes) so disabled accounts and role changes take effect immediately.
+ * @param {string} token - Session token from the cookie
+ * @returns {Object|null} User (without password hash), or null if the session is unknown or expired
+ */
+function getSessionUser(token) {
+  const session = token ? sessions.get(token) : null;
+  if (!session) {
+    return null;
+  }
+
+  if (Date.now() - session.lastSeenAt > SESSION_IDLE_TIMEOUT_MS) {
+    sessions.delete(token);
+    return null;
+  }
+
+  const user = getUserRecordById(session.userId);
+  if (!user || user.disabled) {
+    sessions.delete(token);
+    return null;
+  }
+
+  session.lastSeenAt = Date.now();
+  return toPublicUser(user);
+}
+
+/**
+ * Ends a session
+ * @param {string} token - Session token from the cookie
+ */
+function destroySession(token) {
+  if (token) {
+    sessions.delete(token);
+  }
+}
+
+/**
+ * Ends every session of one user (after their password is reset or the account is disabled)
+ * @param {number|string} userId - User id
+ * @param {string} [exceptToken] - Session to keep (the admin's own session when resetting their own password)
+ * @returns {number} Number of sessions ended
+ */
+function destroyUserSessions(userId, exceptToken) {
+  let ended = 0;
+  for (const [token, session] of sessions) {
+    if (String(session.userId) === String(userId) && token !== exceptToken) {
+      sessions.delete(token);
+      ended++;
+    }
+  }
+  return ended;
+}
+
+// Initialize service
+log.info('Auth service initialized', {
+  source: 'AuthService',
+  sessionIdleTimeoutMinutes: SESSION_IDLE_TIMEOUT_MS / 60000,
+  availableFunctions: [
+    'authenticate',
+    'createSession',
+    'getSessionUser',
+    'destroySession',
+    'destroyUserSessions'
+  ],
+  dependentServices: ['UserService']
+});
+
+module.exports = {
+  authenticate,
+  createSession,
+  getSessionUser,
+  destroySession,
+  destroyUserSessions
+};
@@ -0,0 +1,172 @@
+const { getProfiles } = require('./ProfileRepository');
+const { findMatches } = require('./MatchingOrchestratorService');
+const { applyMatchingPipeline } = require('./MatchingPipelineService');
+const { calculateAge } = require('../utils/AgeCalculator');
+const { getMatchingConfig } = require('../utils/matchingConfig');
+const log = require('../utils/logger');
+
+/**
+ * Batch Matching Service
+ * Runs the serial-mode matching pipeline (algorithm + MatchingPipelineService stages) for
+ * every active profile and keeps the top N matches per seeker for reporting.
+ *
+ * Search-form-only filters (qualification, region, income, nakshatra and age preferences)
+ * have no per-member value and are not applied.
+ */
+
+// Default batch options when the request does not specify them
+const DEFAULT_BATCH_OPTIONS = {
+  topN: 5,
+  includeMathimam: true,
+  includeRemarried: false,
+  enableRasiCompatibility: true,
+  enableNavamsamCompatibility: false,
+  mutualMatch: false,
+  doshaRules: {}
+};
+
+/**
+ * Checks whether a profile is active (profiles without the flag are treated as active)
+ * @param {Object} profile - Profile object
+ * @returns {boolean} True if the profile is active
+ */
+function isActiveProfile(profile) {
+  return profile.is_active !== false && profile.is_active !== 'false';
+}
+
+/**
+ * Runs the matching pipeline for a single seeker profile
+ * Same stages as a serial search in matchingController.findMatching, with the seeker's own
+ * gothram, age and gender and no search-form preferences.
+ * @param {Object} seekerProfile - The seeker's profile object
+ * @param {Object} options - Batch options (see DEFAULT_BATCH_OPTIONS) plus resolved minPorutham and rankBy
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {Array} Ranked matches for the seeker
+ */
+function matchSingleProfile(seekerProfile, options, logger) {
+  const {
+    includeMathimam,
+    includeRemarried,
+    enableRasiCompatibility,
+    enableNavamsamCompatibility,
+    mutualMatch,
+    doshaRules,
+    minPorutham,
+    rankBy
+  } = options;
+
+  let matches = findMatches(seekerProfile.id, includeMathimam, logger, minPorutham) || [];
+
+  // Only propose active members
+  matches = matches.filter(isActiveProfile);
+
+  const seekerAge = calculateAge(seekerProfile.birth_date, seekerProfile.id, 'Seeker');
+
+  return applyMatchingPipeline(matches, {
+    searchMode: 'serial',
+    seekerProfile,
+    seekerGothram: seekerProfile.gothram,
+    seekerAge: seekerAge !== undefined ? seekerAge.toString() : '',
+    gender: seekerProfile.gender,
+    includeMathimam,
+    includeRemarried,
+    enableRasiCompatibility,
+    enableNavamsamCompatibility,
+    mutualMatch,
+    minPorutham,
+    doshaRules,
+    rankBy
+  }, logger);
+}
+
+/**
+ * Runs matching for every active profile and keeps the top N matches per seeker
+ * A failure for one seeker is recorded on that seeker's row and does not stop the batch.
+ * Yields to the event loop between seekers so other requests are served while a large batch runs.
+ * @param {Object} batchOptions - { topN, includeMathimam, includeRemarried, enableRasiCompatibility,
+ *                                enableNavamsamCompatibility, mutualMatch, doshaRules, minPorutham,
+ *                                rankBy } (already validated)
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {Promise<Object>} { generatedAt, options, rows, summary } where each row is
+ *                            { seeker, totalMatches, topMatches, error }
+ */
+async function runBatchMatching(batchOptions, logger) {
+  const startTime = Date.now();
+  const options = {
+    ...DEFAULT_BATCH_OPTIONS,
+    ...batchOptions,
+    minPorutham: batchOptions.minPorutham || getMatchingConfig().minPorutham,
+    rankBy: batchOptions.rankBy || getMatchingConfig().rankBy
+  };
+
+  const seekers = getProfiles().filter(p => isActiveProfile(p) && (p.gender === 'Male' || p.gender === 'Female'));
+
+  logger.info('[INFO] Batch matching started', {
+    phase: 'BATCH_MATCHING',
+    seekerCount: seekers.length,
+    options
+  });
+
+  const rows = [];
+  for (const seekerProfile of seekers) {
+    await new Promise(resolve => setImmediate(resolve));
+
+    try {
+      const matches = matchSingleProfile(seekerProfile, options, logger);
+      rows.push({
+        seeker: seekerProfile,
+        totalMatches: matches.length,
+        topMatches: matches.slice(0, options.topN),
+        error: null
+      });
+    } catch (seekerError) {
+      logger.error('[ERROR] Batch matching failed for profile', {
+        phase: 'BATCH_MATCHING',
+        profileId: seekerProfile.id,
+        serialNo: seekerProfile.serial_no,
+        errorMessage: seekerError.message
+      }, seekerError);
+
+      rows.push({
+        seeker: seekerProfile,
+        totalMatches: 0,
+        topMatches: [],
+        error: seekerError.message
+      });
+    }
+  }
+
+  const summary = {
+    seekersProcessed: rows.length,
+    seekersWithMatches: rows.filter(r => r.totalMatches > 0).length,
+    seekersFailed: rows.filter(r => r.error).length,
+    processingTime: Date.now() - startTime
+  };
+
+  logger.info('[INFO] Batch matching completed', {
+    phase: 'BATCH_MATCHING',
+    ...summary
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    options,
+    rows,
+    summary
+  };
+}
+
+// Initialize service
+log.info('Batch matching service initialized', {
+  source: 'BatchMatchingService',
+  defaultOptions: DEFAULT_BATCH_OPTIONS,
+  availableFunctions: ['runBatchMatching', 'matchSingleProfile', 'isActiveProfile'],
+  dependentServices: ['ProfileRepository', 'MatchingOrchestratorService', 'MatchingPipelineService', 'AgeCalculator', 'matchingConfig']
+});
+
+module.exports = {
+  DEFAULT_BATCH_OPTIONS,
+  runBatchMatching,
+  matchSingleProfile,
+  isActiveProfile
+};
@@ -10,6 +10,8 @@ const {
  * Data Loader Service
  * Extracted from matchingController.js - maintains exact same functionality
  * Handles JSON file loading with comprehensive error handling
+ * Used for the bundled reference data (nakshatra and porutham tables); profiles are loaded
+ * through ProfileRepository.
  */
 
 // Helper function to safely load JSON files
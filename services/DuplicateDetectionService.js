@@ -0,0 +1,291 @@
+const Profile = require('../models/profile');
+const log = require('../utils/logger');
+
+/**
+ * Duplicate Detection Service
+ * Finds profiles that are probably the same person registered twice (typically by different
+ * relatives, under different serial numbers). The serial number check on create cannot catch these.
+ *
+ * Each pair of profiles is scored out of 100 on normalized values:
+ *   name         30   letters and digits only, case-insensitive, word order and initials ignored; near matches
+ *                     (at least 80% similar, e.g. one typo) score in proportion
+ *   father_name  20   as name
+ *   birth_date   25   same date
+ *   birth_time   10   same time (10:30, 10.30 and 10:30 AM are the same)
+ *   contact_no   15   any shared phone number (last 10 digits of contact_no or additional_contact_no)
+ * Pairs scoring DUPLICATE_THRESHOLD or more are reported. Profiles of different gender are never
+ * paired. Only pairs that share a birth date, a phone number or a name are compared, so the
+ * scan stays fast on large profile lists; every pair that can reach the threshold shares one of these.
+ *
+ * mergeProfileFields() builds the surviving profile of a merge from per-field choices; the
+ * profile controller saves it and archives the other profile as a duplicate.
+ */
+
+const DUPLICATE_FIELD_WEIGHTS = {
+  name: 30,
+  father_name: 20,
+  birth_date: 25,
+  birth_time: 10,
+  contact_no: 15
+};
+
+// Lowest score reported as a suspected duplicate, and the score from which a pair is "likely"
+const DUPLICATE_THRESHOLD = 60;
+const LIKELY_DUPLICATE_SCORE = 80;
+
+// Names less similar than this score nothing
+const MIN_NAME_SIMILARITY = 0.8;
+
+// Profile fields whose value can be taken from either side of a merge (not id or timestamps; photo
+// and attachment files belong to their own profile, so the kept profile keeps its own and the
+// archived duplicate keeps its)
+const MERGEABLE_FIELDS = Object.keys(new Profile({}))
+  .filter(field => !['id', 'createdAt', 'updatedAt', 'photo', 'attachments'].includes(field));
+
+/**
+ * Normalizes a name for comparison: lower case, letters and digits only, single-letter initials dropped,
+ * words sorted (so "K. Ramesh Kumar" and "Ramesh Kumar K" compare equal)
+ * @param {string} value - Name
+ * @returns {string} Normalized name ('' if none)
+ */
+function normalizeName(value) {
+  const words = String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s.]/g, ' ')
+    .split(/[\s.]+/)
+    .filter(Boolean);
+  const significant = words.filter(word => word.length > 1 || /\d/.test(word));
+  return (significant.length > 0 ? significant : words).sort().join(' ');
+}
+
+/**
+ * Normalizes a birth date to YYYY-MM-DD
+ * @param {string} value - Date as stored (YYYY-MM-DD, or anything Date can parse)
+ * @returns {string} Normalized date ('' if none)
+ */
+function normalizeDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return '';
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? text : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalizes a birth time to 24-hour H:MM
+ * @param {string} value - Time as entered (10:30, 10.30, 10:30 PM...)
+ * @returns {string} Normalized time ('' if none or unreadable)
+ */
+function normalizeTime(value) {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d{1,2})[:.](\d{2})\s*(am|pm)?/);
+  if (!match) return '';
+  let hours = parseInt(match[1], 10) % 24;
+  if (match[3] === 'pm' && hours < 12) hours += 12;
+  if (match[3] === 'am' && hours === 12) hours = 0;
+  return `${hours}:${match[2]}`;
+}
+
+/**
+ * Gets the phone numbers of a profile as their last 10 digits (so +91 and leading 0 are ignored)
+ * @param {Object} profile - Profile
+ * @returns {Array} Phone numbers with at least 6 digits
+ */
+function normalizePhones(profile) {
+  return [profile.contact_no, profile.additional_contact_no]
+    .map(value => String(value || '').replace(/\D/g, '').slice(-10))
+    .filter(digits => digits.length >= 6);
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        previousRow[j] + 1,
+        row[j - 1] + 1,
+        previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previousRow = row;
+  }
+  return previousRow[b.length];
+}
+
+/**
+ * Similarity of two normalized names, 0 to 1
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number} 1 for equal names, 0 if either is empty or their digits differ
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  // Numbers in names ("Kumar 2") are never typos
+  if (a.replace(/\D/g, '') !== b.replace(/\D/g, '')) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Precomputes the normalized values used to compare a profile
+ * @param {Object} profile - Profile
+ * @returns {Object} { profile, name, fatherName, birthDate, birthTime, phones, gender }
+ */
+function toComparable(profile) {
+  return {
+    profile,
+    name: normalizeName(profile.name),
+    fatherName: normalizeName(profile.father_name),
+    birthDate: normalizeDate(profile.birth_date),
+    birthTime: normalizeTime(profile.birth_time),
+    phones: normalizePhones(profile),
+    gender: String(profile.gender || '').trim().toLowerCase()
+  };
+}
+
+/**
+ * Scores two comparable profiles
+ * @param {Object} a - Result of toComparable
+ * @param {Object} b - Result of toComparable
+ * @returns {Object} { score, matches: [{ field, score, similarity }] }
+ */
+function scoreComparables(a, b) {
+  const matches = [];
+  const addName = (field, valueA, valueB) => {
+    const similarity = nameSimilarity(valueA, valueB);
+    if (similarity >= MIN_NAME_SIMILARITY) {
+      matches.push({ field, score: Math.round(DUPLICATE_FIELD_WEIGHTS[field] * similarity), similarity: Math.round(similarity * 100) / 100 });
+    }
+  };
+
+  addName('name', a.name, b.name);
+  addName('father_name', a.fatherName, b.fatherName);
+  if (a.birthDate && a.birthDate === b.birthDate) {
+    matches.push({ field: 'birth_date', score: DUPLICATE_FIELD_WEIGHTS.birth_date, similarity: 1 });
+  }
+  if (a.birthTime && a.birthTime === b.birthTime) {
+    matches.push({ field: 'birth_time', score: DUPLICATE_FIELD_WEIGHTS.birth_time, similarity: 1 });
+  }
+  if (a.phones.some(phone => b.phones.includes(phone))) {
+    matches.push({ field: 'contact_no', score: DUPLICATE_FIELD_WEIGHTS.contact_no, similarity: 1 });
+  }
+
+  return {
+    score: matches.reduce((total, match) => total + match.score, 0),
+    matches
+  };
+}
+
+/**
+ * Scores how likely two profiles are the same person
+ * @param {Object} profileA - Profile
+ * @param {Object} profileB - Profile
+ * @returns {Object} { score (0-100), matches: [{ field, score, similarity }] }
+ */
+function scoreProfilePair(profileA, profileB) {
+  return scoreComparables(toComparable(profileA), toComparable(profileB));
+}
+
+/**
+ * Finds suspected duplicate pairs among profiles
+ * @param {Array} profiles - Profiles to check
+ * @param {Object} options - { threshold } lowest score to report (default DUPLICATE_THRESHOLD)
+ * @returns {Array} [{ score, level: 'likely'|'possible', matches, profiles: [a, b] }], highest score first
+ */
+function findDuplicateProfiles(profiles, { threshold = DUPLICATE_THRESHOLD } = {}) {
+  const comparables = profiles.map(toComparable);
+
+  // Candidate pairs: profiles sharing a birth date, phone number or normalized name
+  const blocks = new Map();
+  const addToBlock = (key, index) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  };
+  comparables.forEach((item, index) => {
+    if (item.birthDate) addToBlock(`date:${item.birthDate}`, index);
+    if (item.name) addToBlock(`name:${item.name}`, index);
+    new Set(item.phones).forEach(phone => addToBlock(`phone:${phone}`, index));
+  });
+
+  const compared = new Set();
+  const pairs = [];
+  blocks.forEach(indexes => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const pairKey = `${indexes[i]}:${indexes[j]}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const a = comparables[indexes[i]];
+        const b = comparables[indexes[j]];
+        if (a.gender && b.gender && a.gender !== b.gender) continue;
+
+        const { score, matches } = scoreComparables(a, b);
+        if (score >= threshold) {
+          pairs.push({
+            score,
+            level: score >= LIKELY_DUPLICATE_SCORE ? 'likely' : 'possible',
+            matches,
+            profiles: [a.profile, b.profile]
+          });
+        }
+      }
+    }
+  });
+
+  pairs.sort((x, y) => y.score - x.score);
+
+  log.debug('Duplicate profile scan completed', {
+    source: 'DuplicateDetectionService',
+    profilesCount: profiles.length,
+    pairsCompared: compared.size,
+    duplicatesFound: pairs.length,
+    threshold
+  });
+
+  return pairs;
+}
+
+/**
+ * Builds the surviving profile of a merge
+ * @param {Object} keepProfile - Profile that survives (keeps its id and createdAt)
+ * @param {Object} duplicateProfile - Profile merged into it
+ * @param {Object} choices - { field: 'keep'|'duplicate' } for MERGEABLE_FIELDS; fields not listed keep their value
+ * @returns {Object} { merged, takenFields } - the merged profile and the fields taken from duplicateProfile
+ */
+function mergeProfileFields(keepProfile, duplicateProfile, choices = {}) {
+  const merged = { ...keepProfile };
+  const takenFields = MERGEABLE_FIELDS.filter(field => choices[field] === 'duplicate');
+  takenFields.forEach(field => {
+    if (duplicateProfile[field] === undefined) {
+      delete merged[field];
+    } else {
+      merged[field] = duplicateProfile[field];
+    }
+  });
+  return { merged, takenFields };
+}
+
+// Initialize service
+log.info('Duplicate detection service initialized', {
+  source: 'DuplicateDetectionService',
+  availableFunctions: ['findDuplicateProfiles', 'scoreProfilePair', 'mergeProfileFields', 'normalizeName'],
+  dependentServices: []
+});
+
+module.exports = {
+  DUPLICATE_FIELD_WEIGHTS,
+  DUPLICATE_THRESHOLD,
+  LIKELY_DUPLICATE_SCORE,
+  MERGEABLE_FIELDS,
+  findDuplicateProfiles,
+  scoreProfilePair,
+  mergeProfileFields,
+  normalizeName
+};
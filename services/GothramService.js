@@ -3,6 +3,7 @@ const path = require('path');
 const log = require('../utils/logger');
 const { FieldValidator } = require('../utils/validationHelpers');
 const { getDataFilePath, ensureDirectoryExists, getDataPath } = require('../utils/appData');
+const { readJsonWithRecovery, writeFileAtomic, writeJsonAtomic } = require('../utils/atomicFile');
 
 /**
  * Gothram Service
@@ -34,7 +35,7 @@ function initializeGothramFile() {
     if (fs.existsSync(defaultGothramPath)) {
       // Copy default gothram data to AppData
       const defaultData = fs.readFileSync(defaultGothramPath, 'utf8');
-      fs.writeFileSync(gothramPath, defaultData, 'utf8');
+      writeFileAtomic(gothramPath, defaultData);
       
       log.info('Initialized gothram.json in AppData from default data', {
         source: 'GothramService',
@@ -43,7 +44,7 @@ function initializeGothramFile() {
       });
     } else {
       // Create empty array if no default data exists
-      fs.writeFileSync(gothramPath, JSON.stringify([], null, 2), 'utf8');
+      writeJsonAtomic(gothramPath, []);
       
       log.warn('No default gothram data found, created empty gothram.json', {
         source: 'GothramService',
@@ -67,8 +68,8 @@ function loadGothramData() {
       throw new Error(`Gothram data file not found at: ${gothramPath}`);
     }
     
-    const gothramData = fs.readFileSync(gothramPath, 'utf8');
-    gothrams = JSON.parse(gothramData);
+    // Falls back to gothram.json.bak if the file was left empty or corrupt (e.g. by a power cut)
+    gothrams = readJsonWithRecovery(gothramPath, { validate: Array.isArray });
     
     // Validate data structure
     if (!Array.isArray(gothrams)) {
@@ -227,12 +228,10 @@ function addGothram(name) {
       name: trimmedName
     };
     
-    // Add to in-memory array
-    gothrams.push(newGothram);
-    
-    // Save to file in AppData
+    // Save to file in AppData, then add to the in-memory array once the write has succeeded
     const gothramPath = getGothramPath();
-    fs.writeFileSync(gothramPath, JSON.stringify(gothrams, null, 2), 'utf8');
+    writeJsonAtomic(gothramPath, [...gothrams, newGothram], { validate: Array.isArray });
+    gothrams.push(newGothram);
     
     log.info('New gothram added successfully', {
       source: 'GothramService',
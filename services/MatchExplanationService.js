@@ -0,0 +1,134 @@
+const { getNakshatraName } = require('./NakshatraService');
+const { findReversePorutham } = require('./MatchingAlgorithmService');
+const log = require('../utils/logger');
+
+/**
+ * Match Explanation Service
+ * Collects, for explain-mode searches, which stage excluded each candidate and why.
+ * Filters in MatchingFilterService accept an optional exclusions array and call
+ * recordExclusion for every profile they drop; this service turns that list into the
+ * explanation payload returned by /matching/api/find and shown on the results page.
+ */
+
+// Matching pipeline stages that can exclude a candidate, in pipeline order
+const EXCLUSION_STAGES = {
+  NAKSHATRA_MATCH: 'Nakshatra match',
+  GENDER: 'Gender filter',
+  NAKSHATRA: 'Nakshatra filter',
+  GOTHRAM: 'Gothram',
+  NAKSHATRA_PREFERENCE: 'Nakshatra preference',
+  AGE: 'Age',
+  AGE_PREFERENCE: 'Age preference',
+  QUALIFICATION: 'Qualification',
+  REGION: 'Region',
+  INCOME: 'Income',
+  REMARRIED: 'Remarried',
+  RASI: 'Rasi/Lagnam compatibility',
+  MUTUAL_MATCH: 'Mutual match',
+  DOSHA: 'Rajju/Vedhai dosha'
+};
+
+/**
+ * Records why a candidate was excluded (no-op when explain mode is off)
+ * @param {Array|null} exclusions - Exclusion list for the current search, or null when not explaining
+ * @param {string} stage - Stage key from EXCLUSION_STAGES
+ * @param {Object} profile - The excluded candidate profile
+ * @param {string} reason - Human readable reason
+ */
+function recordExclusion(exclusions, stage, profile, reason) {
+  if (!exclusions) {
+    return;
+  }
+
+  exclusions.push({
+    profileId: profile.id,
+    serialNo: profile.serial_no || '',
+    name: profile.name || '',
+    nakshatraid: profile.nakshatraid,
+    stage,
+    stageLabel: EXCLUSION_STAGES[stage] || stage,
+    reason
+  });
+}
+
+/**
+ * Explains candidates that the nakshatra matching algorithm did not return
+ * Every profile of the candidate gender is considered; for those missing from the initial
+ * matches the porutham tables are consulted to say whether the pair is no match at all,
+ * below the minimum score, a mathimam match with mathimam excluded, or (nakshatra mode only)
+ * dropped by the rasi check built into the algorithm.
+ * @param {Array} candidatePool - All profiles of the candidate gender (seeker excluded)
+ * @param {Array} initialMatches - Profiles returned by the matching algorithm
+ * @param {Object} context - { seekerNakshatraId, includeMathimam, minPorutham, seekerRasi }
+ * @param {Array} exclusions - Exclusion list to append to
+ */
+function explainNakshatraMatchStage(candidatePool, initialMatches, context, exclusions) {
+  const { seekerNakshatraId, includeMathimam, minPorutham, seekerRasi } = context;
+  const matchedIds = new Set(initialMatches.map(p => p.id));
+  const seekerNakshatraName = getNakshatraName(seekerNakshatraId);
+
+  candidatePool.forEach(candidate => {
+    if (matchedIds.has(candidate.id)) {
+      return;
+    }
+
+    const candidateNakshatraName = getNakshatraName(candidate.nakshatraid);
+    // Lowest possible minimum and both tables: finds the pair's porutham whatever the search settings
+    const porutham = findReversePorutham(candidate.gender, candidate.nakshatraid, seekerNakshatraId, true, 1);
+
+    let reason;
+    if (!porutham) {
+      reason = `${candidateNakshatraName} is not a porutham match for ${seekerNakshatraName}`;
+    } else if (porutham.value < minPorutham) {
+      reason = `Porutham ${porutham.value} (${porutham.source}) is below the minimum of ${minPorutham}`;
+    } else if (porutham.source === 'mathimam' && !includeMathimam) {
+      reason = `Mathimam match (porutham ${porutham.value}) - mathimam matches were not included`;
+    } else if (seekerRasi) {
+      reason = `Rasi/Lagnam ${candidate.rasi_lagnam || 'not recorded'} is not compatible with ${seekerRasi}`;
+    } else {
+      reason = 'Not returned by the nakshatra matching algorithm';
+    }
+
+    recordExclusion(exclusions, 'NAKSHATRA_MATCH', candidate, reason);
+  });
+}
+
+/**
+ * Builds the explanation payload for a search
+ * @param {Array} exclusions - Exclusions recorded during the search
+ * @param {number} includedCount - Number of profiles in the final results
+ * @param {number} candidatesConsidered - Number of profiles of the candidate gender
+ * @returns {Object} { candidatesConsidered, includedCount, excludedCount, excludedByStage, excluded }
+ */
+function buildMatchExplanation(exclusions, includedCount, candidatesConsidered) {
+  const stageOrder = Object.keys(EXCLUSION_STAGES);
+  const excluded = [...exclusions].sort((a, b) => stageOrder.indexOf(a.stage) - stageOrder.indexOf(b.stage));
+
+  const excludedByStage = {};
+  excluded.forEach(exclusion => {
+    excludedByStage[exclusion.stage] = (excludedByStage[exclusion.stage] || 0) + 1;
+  });
+
+  return {
+    candidatesConsidered,
+    includedCount,
+    excludedCount: excluded.length,
+    excludedByStage,
+    excluded
+  };
+}
+
+// Initialize service
+log.info('Match explanation service initialized', {
+  source: 'MatchExplanationService',
+  stages: Object.keys(EXCLUSION_STAGES),
+  availableFunctions: ['recordExclusion', 'explainNakshatraMatchStage', 'buildMatchExplanation'],
+  dependentServices: ['NakshatraService', 'MatchingAlgorithmService']
+});
+
+module.exports = {
+  EXCLUSION_STAGES,
+  recordExclusion,
+  explainNakshatraMatchStage,
+  buildMatchExplanation
+};
@@ -1,4 +1,4 @@
-const { getProfiles } = require('./ProfileService');
+const { findProfiles } = require('./ProfileRepository');
 const { 
   maleUthamamData, 
   maleMathimamData, 
@@ -6,6 +6,8 @@ const {
   femaleMathimamData 
 } = require('./MatchingDataService');
 const { checkSingleCompatibility } = require('./RasiCompatibilityService');
+const { calculatePoruthams } = require('./PoruthamService');
+const { getMatchingConfig } = require('../utils/matchingConfig');
 const log = require('../utils/logger');
 
 /**
@@ -14,9 +16,6 @@ const log = require('../utils/logger');
  * Handles nakshatra-based matching algorithms with porutham calculations
  */
 
-// Threshold constant for matching algorithms
-const threshold = 3;
-
 /**
  * Female → Male matching algorithm
  * @param {number} femaleNakshatraId - The nakshatra ID of the female seeker
@@ -24,17 +23,16 @@ const threshold = 3;
  * @param {string|null} seekerRasi - Rasi/Lagnam of the seeker for compatibility check
  * @param {boolean} enableRasiCompatibility - Whether to apply rasi compatibility filtering
  * @param {Object} logger - Logger instance for debugging and tracing
- * @returns {Array} Array of matching male profiles with porutham scores
+ * @param {number} [minPorutham] - Minimum porutham value to include; defaults to the configured minimum
+ * @returns {Array} Array of matching male profiles with porutham scores and per-porutham breakdown
  */
-function findMatchingMales(femaleNakshatraId, includeMathimam, seekerRasi = null, enableRasiCompatibility = false, logger) {
-  const profiles = getProfiles(); // Get fresh profile data
-  
+function findMatchingMales(femaleNakshatraId, includeMathimam, seekerRasi = null, enableRasiCompatibility = false, logger, minPorutham = getMatchingConfig().minPorutham) {
   logger.debug('Finding matching males', { 
     femaleNakshatraId, 
     includeMathimam,
     seekerRasi,
     enableRasiCompatibility,
-    totalProfiles: profiles.length 
+    minPorutham
   });
   
   // Build a map of nakshatraid to porutham value with source tracking
@@ -44,7 +42,7 @@ function findMatchingMales(femaleNakshatraId, includeMathimam, seekerRasi = null
   );
   if (uthamamRow) {
     uthamamRow.matching.forEach((m) => {
-      if (m.value > threshold) poruthamMap[m.male_nakshatra_id] = { value: m.value, source: 'uthamam' };
+      if (m.value >= minPorutham) poruthamMap[m.male_nakshatra_id] = { value: m.value, source: 'uthamam' };
     });
   }
   if (includeMathimam) {
@@ -53,7 +51,7 @@ function findMatchingMales(femaleNakshatraId, includeMathimam, seekerRasi = null
     );
     if (mathimamRow) {
       mathimamRow.matching.forEach((m) => {
-        if (m.value > threshold && !poruthamMap[m.male_nakshatra_id]) {
+        if (m.value >= minPorutham && !poruthamMap[m.male_nakshatra_id]) {
           poruthamMap[m.male_nakshatra_id] = { value: m.value, source: 'mathimam' };
         }
       });
@@ -61,18 +59,18 @@ function findMatchingMales(femaleNakshatraId, includeMathimam, seekerRasi = null
   }
   
   // Find matching males and enrich with porutham and source
-  let matchingMales = profiles
-    .filter(
-      (p) =>
-        p.gender === "Male" &&
-        poruthamMap[parseInt(p.nakshatraid, 10)] !== undefined
-    )
+  // Only profiles of the right gender with a matching nakshatra are loaded (indexed lookup)
+  const candidates = findProfiles({ gender: "Male", nakshatraIds: Object.keys(poruthamMap) });
+  let matchingMales = candidates
     .map(p => {
       const matchInfo = poruthamMap[parseInt(p.nakshatraid, 10)];
+      const poruthamDetails = calculatePoruthams(femaleNakshatraId, p.nakshatraid);
       return { 
         ...p, 
         porutham: matchInfo.value,
-        matchingSource: matchInfo.source
+        matchingSource: matchInfo.source,
+        poruthamBreakdown: poruthamDetails ? poruthamDetails.breakdown : null,
+        poruthamPassedCount: poruthamDetails ? poruthamDetails.passedCount : null
       };
     });
   
@@ -113,7 +111,7 @@ function findMatchingMales(femaleNakshatraId, includeMathimam, seekerRasi = null
   
   logger.debug('Male matching process completed', {
     femaleNakshatraId,
-    candidatesCount: profiles.filter(p => p.gender === 'Male').length,
+    candidatesCount: candidates.length,
     matchingMalesFound: matchingMales.length,
     poruthamMapSize: Object.keys(poruthamMap).length,
     rasiFilterApplied: enableRasiCompatibility && seekerRasi
@@ -129,17 +127,16 @@ function findMatchingMales(femaleNakshatraId, includeMathimam, seekerRasi = null
  * @param {string|null} seekerRasi - Rasi/Lagnam of the seeker for compatibility check
  * @param {boolean} enableRasiCompatibility - Whether to apply rasi compatibility filtering
  * @param {Object} logger - Logger instance for debugging and tracing
- * @returns {Array} Array of matching female profiles with porutham scores
+ * @param {number} [minPorutham] - Minimum porutham value to include; defaults to the configured minimum
+ * @returns {Array} Array of matching female profiles with porutham scores and per-porutham breakdown
  */
-function findMatchingFemales(maleNakshatraId, includeMathimam, seekerRasi = null, enableRasiCompatibility = false, logger) {
-  const profiles = getProfiles(); // Get fresh profile data
-  
+function findMatchingFemales(maleNakshatraId, includeMathimam, seekerRasi = null, enableRasiCompatibility = false, logger, minPorutham = getMatchingConfig().minPorutham) {
   logger.debug('Finding matching females', { 
     maleNakshatraId, 
     includeMathimam,
     seekerRasi,
     enableRasiCompatibility,
-    totalProfiles: profiles.length 
+    minPorutham
   });
   
   // Build a map of nakshatraid to porutham value with source tracking
@@ -149,7 +146,7 @@ function findMatchingFemales(maleNakshatraId, includeMathimam, seekerRasi = null
   );
   if (uthamamRow) {
     uthamamRow.matching.forEach((f) => {
-      if (f.value > threshold) poruthamMap[f.female_nakshatra_id] = { value: f.value, source: 'uthamam' };
+      if (f.value >= minPorutham) poruthamMap[f.female_nakshatra_id] = { value: f.value, source: 'uthamam' };
     });
   }
   if (includeMathimam) {
@@ -158,7 +155,7 @@ function findMatchingFemales(maleNakshatraId, includeMathimam, seekerRasi = null
     );
     if (mathimamRow) {
       mathimamRow.matching.forEach((f) => {
-        if (f.value > threshold && !poruthamMap[f.female_nakshatra_id]) {
+        if (f.value >= minPorutham && !poruthamMap[f.female_nakshatra_id]) {
           poruthamMap[f.female_nakshatra_id] = { value: f.value, source: 'mathimam' };
         }
       });
@@ -166,18 +163,18 @@ function findMatchingFemales(maleNakshatraId, includeMathimam, seekerRasi = null
   }
   
   // Find matching females and enrich with porutham and source
-  let matchingFemales = profiles
-    .filter(
-      (p) =>
-        p.gender === "Female" &&
-        poruthamMap[parseInt(p.nakshatraid, 10)] !== undefined
-    )
+  // Only profiles of the right gender with a matching nakshatra are loaded (indexed lookup)
+  const candidates = findProfiles({ gender: "Female", nakshatraIds: Object.keys(poruthamMap) });
+  let matchingFemales = candidates
     .map(p => {
       const matchInfo = poruthamMap[parseInt(p.nakshatraid, 10)];
+      const poruthamDetails = calculatePoruthams(p.nakshatraid, maleNakshatraId);
       return { 
         ...p, 
         porutham: matchInfo.value,
-        matchingSource: matchInfo.source
+        matchingSource: matchInfo.source,
+        poruthamBreakdown: poruthamDetails ? poruthamDetails.breakdown : null,
+        poruthamPassedCount: poruthamDetails ? poruthamDetails.passedCount : null
       };
     });
   
@@ -218,7 +215,7 @@ function findMatchingFemales(maleNakshatraId, includeMathimam, seekerRasi = null
   
   logger.debug('Female matching process completed', {
     maleNakshatraId,
-    candidatesCount: profiles.filter(p => p.gender === 'Female').length,
+    candidatesCount: candidates.length,
     matchingFemalesFound: matchingFemales.length,
     poruthamMapSize: Object.keys(poruthamMap).length,
     rasiFilterApplied: enableRasiCompatibility && seekerRasi
@@ -227,15 +224,61 @@ function findMatchingFemales(maleNakshatraId, includeMathimam, seekerRasi = null
   return matchingFemales;
 }
 
+/**
+ * Reverse porutham lookup for mutual matching
+ * Checks the candidate's own row in the opposite-gender table: a male candidate's row in the
+ * female tables (keyed by male nakshatra) must list the seeker's nakshatra, and vice versa.
+ * @param {string} candidateGender - Gender of the candidate ('Male' or 'Female')
+ * @param {string|number} candidateNakshatraId - Nakshatra ID of the candidate
+ * @param {string|number} seekerNakshatraId - Nakshatra ID of the seeker
+ * @param {boolean} includeMathimam - Whether mathimam matches count as compatible
+ * @param {number} [minPorutham] - Minimum porutham value; defaults to the configured minimum
+ * @returns {Object|null} { value, source } from the candidate's side, or null if not compatible
+ */
+function findReversePorutham(candidateGender, candidateNakshatraId, seekerNakshatraId, includeMathimam, minPorutham = getMatchingConfig().minPorutham) {
+  const candidateId = parseInt(candidateNakshatraId, 10);
+  const seekerId = parseInt(seekerNakshatraId, 10);
+  
+  let tables;
+  let rowKey;
+  let matchKey;
+  if (candidateGender === 'Male') {
+    tables = [{ data: femaleUthamamData, source: 'uthamam' }, { data: femaleMathimamData, source: 'mathimam' }];
+    rowKey = 'male_nakshatra_id';
+    matchKey = 'female_nakshatra_id';
+  } else if (candidateGender === 'Female') {
+    tables = [{ data: maleUthamamData, source: 'uthamam' }, { data: maleMathimamData, source: 'mathimam' }];
+    rowKey = 'female_nakshatra_id';
+    matchKey = 'male_nakshatra_id';
+  } else {
+    return null;
+  }
+  
+  if (!includeMathimam) {
+    tables = tables.slice(0, 1);
+  }
+  
+  for (const { data, source } of tables) {
+    const row = data.find((r) => r[rowKey] === candidateId);
+    const entry = row && row.matching.find((m) => m[matchKey] === seekerId);
+    if (entry && entry.value >= minPorutham) {
+      return { value: entry.value, source };
+    }
+  }
+  
+  return null;
+}
+
 // Initialize service
 log.info('Matching algorithm service initialized', {
   source: 'MatchingAlgorithmService',
-  threshold,
-  availableFunctions: ['findMatchingMales', 'findMatchingFemales'],
-  dependentServices: ['ProfileService', 'MatchingDataService', 'RasiCompatibilityService']
+  minPorutham: getMatchingConfig().minPorutham,
+  availableFunctions: ['findMatchingMales', 'findMatchingFemales', 'findReversePorutham'],
+  dependentServices: ['ProfileRepository', 'MatchingDataService', 'RasiCompatibilityService', 'PoruthamService', 'matchingConfig']
 });
 
 module.exports = {
   findMatchingMales,
-  findMatchingFemales
+  findMatchingFemales,
+  findReversePorutham
 };
\ No newline at end of file
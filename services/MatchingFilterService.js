@@ -1,4 +1,8 @@
-const { checkSingleCompatibility } = require('./RasiCompatibilityService');
+const { checkSingleCompatibility, evaluateRasiCompatibility } = require('./RasiCompatibilityService');
+const { describeDoshas } = require('./PoruthamService');
+const { findReversePorutham } = require('./MatchingAlgorithmService');
+const { getNakshatraName } = require('./NakshatraService');
+const { recordExclusion } = require('./MatchExplanationService');
 const { calculateAge } = require('../utils/AgeCalculator');
 const { 
   validateQualification,
@@ -17,8 +21,17 @@ const log = require('../utils/logger');
  * Matching Filter Service
  * Extracted from matchingController.js - maintains exact same functionality
  * Handles all advanced filtering operations on match results
+ *
+ * Filters that drop candidates take an optional trailing `exclusions` array; when given
+ * (explain mode) each dropped profile is recorded with the stage and reason.
  */
 
+// Default dosha rules when the request does not specify an action
+const DEFAULT_DOSHA_RULES = {
+  rajju: 'flag',
+  vedhai: 'flag'
+};
+
 /**
  * Calculates age for all matching profiles with error handling
  * @param {Array} matches - The matches array to process
@@ -62,9 +75,10 @@ function calculateAgeForMatches(matches, logger) {
  * @param {Array} matches - The matches array to filter
  * @param {Object} seekerProfile - The seeker profile object containing gothram
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
  * @returns {Array} Filtered matches array with same gothram profiles removed
  */
-function applyGothramCompatibilityFilter(matches, seekerGothram, logger) {
+function applyGothramCompatibilityFilter(matches, seekerGothram, logger, exclusions = null) {
   const beforeCount = matches.length;
   
   // If seeker gothram is missing/null, consider all profiles as non-compatible (return empty array)
@@ -77,6 +91,7 @@ function applyGothramCompatibilityFilter(matches, seekerGothram, logger) {
       reason: 'Missing seeker gothram makes all profiles incompatible'
     });
     
+    matches.forEach(p => recordExclusion(exclusions, 'GOTHRAM', p, 'Seeker gothram is missing'));
     return []; // Return empty array - no compatible matches when seeker gothram is missing
   }
   
@@ -94,6 +109,7 @@ function applyGothramCompatibilityFilter(matches, seekerGothram, logger) {
       const isCompatible = candidateGothram !== normalizedSeekerGothram;
       
       if (!isCompatible) {
+        recordExclusion(exclusions, 'GOTHRAM', profile, `Same gothram as the seeker (${profile.gothram})`);
         logger.warn('Profile filtered due to same gothram', {
           phase: 'GOTHRAM_FILTERING',
           candidateId: profile.id,
@@ -136,9 +152,10 @@ function applyGothramCompatibilityFilter(matches, seekerGothram, logger) {
  * @param {number} seekerAgeNum - The validated seeker age number
  * @param {string} seekerGender - The gender of the seeker ('Male' or 'Female')
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
  * @returns {Array} Filtered matches array
  */
-function applyAgeFilter(matches, seekerAgeNum, seekerGender, logger) {
+function applyAgeFilter(matches, seekerAgeNum, seekerGender, logger, exclusions = null) {
   const beforeCount = matches.length;
   
   let minAge, maxAge, filterLogic;
@@ -161,8 +178,15 @@ function applyAgeFilter(matches, seekerAgeNum, seekerGender, logger) {
   }
   
   const filteredMatches = matches.filter(p => {
-    if (p.age === undefined || p.age === null) return false;
-    return p.age >= minAge && p.age <= maxAge;
+    if (p.age === undefined || p.age === null) {
+      recordExclusion(exclusions, 'AGE', p, 'Age unknown (birth date missing or invalid)');
+      return false;
+    }
+    if (p.age < minAge || p.age > maxAge) {
+      recordExclusion(exclusions, 'AGE', p, `Age ${p.age} is outside ${minAge}-${maxAge} (${filterLogic})`);
+      return false;
+    }
+    return true;
   });
   
   logger.trace('[TRACE] Applied Indian standard age filter', {
@@ -188,10 +212,11 @@ function applyAgeFilter(matches, seekerAgeNum, seekerGender, logger) {
  * @param {string} seekerGender - The seeker's gender ('Male' or 'Female')
  * @param {number|null} agePreference - User's age preference (optional)
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
  * @returns {Array} Further filtered matches array
  */
-function applyAgePreferenceFilter(matches, seekerAge, seekerGender, agePreference, logger) {
-  logger.info('[DEBUG] Age preference filter called', {
+function applyAgePreferenceFilter(matches, seekerAge, seekerGender, agePreference, logger, exclusions = null) {
+  logger.debug('[DEBUG] Age preference filter called', {
     phase: 'AGE_PREFERENCE_FILTER_START',
     seekerAge,
     seekerGender,
@@ -217,7 +242,11 @@ function applyAgePreferenceFilter(matches, seekerAge, seekerGender, agePreferenc
     // Now: agePreference to seekerAge
     filteredMatches = matches.filter(p => {
       if (p.age === undefined || p.age === null) return false;
-      return p.age >= agePreference && p.age <= seekerAge;
+      const inRange = p.age >= agePreference && p.age <= seekerAge;
+      if (!inRange) {
+        recordExclusion(exclusions, 'AGE_PREFERENCE', p, `Age ${p.age} is outside the preferred ${agePreference}-${seekerAge}`);
+      }
+      return inRange;
     });
     filterLogic = `Female candidates ${agePreference}-${seekerAge} (user preference)`;
   } else if (seekerGender === 'Female') {
@@ -226,7 +255,11 @@ function applyAgePreferenceFilter(matches, seekerAge, seekerGender, agePreferenc
     // Now: seekerAge to agePreference
     filteredMatches = matches.filter(p => {
       if (p.age === undefined || p.age === null) return false;
-      return p.age >= seekerAge && p.age <= agePreference;
+      const inRange = p.age >= seekerAge && p.age <= agePreference;
+      if (!inRange) {
+        recordExclusion(exclusions, 'AGE_PREFERENCE', p, `Age ${p.age} is outside the preferred ${seekerAge}-${agePreference}`);
+      }
+      return inRange;
     });
     filterLogic = `Male candidates ${seekerAge}-${agePreference} (user preference)`;
   } else {
@@ -257,9 +290,10 @@ function applyAgePreferenceFilter(matches, seekerAge, seekerGender, agePreferenc
  * @param {string} qualification - The qualification to filter by
  * @param {boolean} exactQualification - Whether to use exact matching or hierarchical
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
  * @returns {Array} Filtered matches array
  */
-function applyQualificationFilter(matches, qualification, exactQualification, logger) {
+function applyQualificationFilter(matches, qualification, exactQualification, logger, exclusions = null) {
   const beforeCount = matches.length;
   
   // Use ValidationService for validation
@@ -268,7 +302,11 @@ function applyQualificationFilter(matches, qualification, exactQualification, lo
   let filteredMatches;
   
   if (exactQualification) {
-    filteredMatches = matches.filter(p => p.qualification === qualification);
+    filteredMatches = matches.filter(p => {
+      if (p.qualification === qualification) return true;
+      recordExclusion(exclusions, 'QUALIFICATION', p, `Qualification ${p.qualification || 'not recorded'} is not ${qualification}`);
+      return false;
+    });
   } else {
     // Hierarchical matching: "X or higher" means X and all higher qualifications
     const qualificationHierarchy = {
@@ -281,9 +319,12 @@ function applyQualificationFilter(matches, qualification, exactQualification, lo
     };
     
     const acceptableQualifications = qualificationHierarchy[qualification] || [qualification];
-    filteredMatches = matches.filter(p => 
-      p.qualification && acceptableQualifications.includes(p.qualification)
-    );
+    filteredMatches = matches.filter(p => {
+      if (p.qualification && acceptableQualifications.includes(p.qualification)) return true;
+      recordExclusion(exclusions, 'QUALIFICATION', p,
+        `Qualification ${p.qualification || 'not recorded'} is not one of ${acceptableQualifications.join(', ')}`);
+      return false;
+    });
   }
   
   logger.trace('[TRACE] Applied qualification filter', {
@@ -303,9 +344,10 @@ function applyQualificationFilter(matches, qualification, exactQualification, lo
  * @param {Array} matches - The matches array to filter
  * @param {string|Array} regions - The region(s) to filter by
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
  * @returns {Array} Filtered matches array
  */
-function applyRegionFilter(matches, regions, logger) {
+function applyRegionFilter(matches, regions, logger, exclusions = null) {
   const beforeCount = matches.length;
   
   // Handle null/undefined input
@@ -362,9 +404,12 @@ function applyRegionFilter(matches, regions, logger) {
   validateRegions(regionsArray, logger);
   
   // Filter matches where profile region is in the selected regions array
-  const filteredMatches = matches.filter(profile => 
-    regionsArray.includes(profile.region)
-  );
+  const filteredMatches = matches.filter(profile => {
+    if (regionsArray.includes(profile.region)) return true;
+    recordExclusion(exclusions, 'REGION', profile,
+      `Region ${profile.region || 'not recorded'} is not in the selected regions (${regionsArray.join(', ')})`);
+    return false;
+  });
   
   logger.trace('[TRACE] Applied multi-region filter', {
     phase: 'REGION_FILTERING',
@@ -385,10 +430,11 @@ function applyRegionFilter(matches, regions, logger) {
  * @param {number|null} minIncomeNum - Minimum income (null if not specified)
  * @param {number|null} maxIncomeNum - Maximum income (null if not specified)
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
  * @returns {Array} Filtered matches array
  * @throws {AppError} If minimum income is greater than maximum income
  */
-function applyIncomeFilter(matches, minIncomeNum, maxIncomeNum, logger) {
+function applyIncomeFilter(matches, minIncomeNum, maxIncomeNum, logger, exclusions = null) {
   const beforeCount = matches.length;
   
   if (minIncomeNum !== null && maxIncomeNum !== null && minIncomeNum > maxIncomeNum) {
@@ -424,10 +470,12 @@ function applyIncomeFilter(matches, minIncomeNum, maxIncomeNum, logger) {
     
     if (minIncomeNum !== null && profileIncome < minIncomeNum) {
       outOfRangeCount++;
+      recordExclusion(exclusions, 'INCOME', p, `Monthly income ${profileIncome} is below the minimum of ${minIncomeNum}`);
       return false;
     }
     if (maxIncomeNum !== null && profileIncome > maxIncomeNum) {
       outOfRangeCount++;
+      recordExclusion(exclusions, 'INCOME', p, `Monthly income ${profileIncome} is above the maximum of ${maxIncomeNum}`);
       return false;
     }
     
@@ -457,19 +505,21 @@ function applyIncomeFilter(matches, minIncomeNum, maxIncomeNum, logger) {
  * @param {Array} matches - The matches array to filter
  * @param {boolean} includeRemarried - Whether to include remarried profiles
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
  * @returns {Array} Filtered matches array
  */
-function applyRemarriedFilter(matches, includeRemarried, logger) {
+function applyRemarriedFilter(matches, includeRemarried, logger, exclusions = null) {
   if (includeRemarried) {
     return matches; // No filtering needed
   }
   
   const beforeCount = matches.length;
   
-  const filteredMatches = matches.filter(p => 
-    p.is_remarried !== 'true' && 
-    p.is_remarried !== true
-  );
+  const filteredMatches = matches.filter(p => {
+    if (p.is_remarried !== 'true' && p.is_remarried !== true) return true;
+    recordExclusion(exclusions, 'REMARRIED', p, 'Remarried profile (remarried profiles were not included)');
+    return false;
+  });
   
   logger.trace('[TRACE] Applied remarried filter', {
     phase: 'REMARRIED_FILTERING',
@@ -489,9 +539,10 @@ function applyRemarriedFilter(matches, includeRemarried, logger) {
  * @param {Object|null} seekerProfile - The seeker's profile object with rasi_lagnam, or null
  * @param {string} searchMode - The current search mode (only applies to 'serial' mode)
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
  * @returns {Array} Filtered matches array (unfiltered if not serial mode or seekerProfile is null)
  */
-function applyRasiCompatibilityFilter(matches, enableRasiCompatibility, seekerProfile, searchMode, logger) {
+function applyRasiCompatibilityFilter(matches, enableRasiCompatibility, seekerProfile, searchMode, logger, exclusions = null) {
   // Restore original business rule: only apply in serial mode with valid seeker profile
   if (!enableRasiCompatibility || searchMode !== 'serial' || !seekerProfile) {
     return matches; // No filtering needed
@@ -508,11 +559,30 @@ function applyRasiCompatibilityFilter(matches, enableRasiCompatibility, seekerPr
     return matches; // Return unfiltered if seeker rasi missing
   }
   
-  const filteredMatches = matches.filter(p => {
-    if (!p.rasi_lagnam) return false;
+  const filteredMatches = [];
+  
+  matches.forEach(p => {
+    if (!p.rasi_lagnam) {
+      recordExclusion(exclusions, 'RASI', p, 'Rasi/Lagnam not recorded');
+      return;
+    }
     
     try {
-      return checkSingleCompatibility(seekerProfile.rasi_lagnam, p.rasi_lagnam);
+      const evaluation = evaluateRasiCompatibility(seekerProfile.rasi_lagnam, p.rasi_lagnam);
+      if (!evaluation.compatible) {
+        recordExclusion(exclusions, 'RASI', p, evaluation.violations
+          .filter(v => v.severity === 'reject')
+          .map(v => v.explanation)
+          .join('; '));
+        return;
+      }
+      
+      // Non-rejecting rule failures (warning / info severity) travel with the match
+      if (evaluation.violations.length > 0) {
+        filteredMatches.push({ ...p, rasiWarnings: evaluation.violations });
+      } else {
+        filteredMatches.push(p);
+      }
     } catch (compatibilityError) {
       logger.warn('[WARN] Rasi compatibility check failed for profile', {
         phase: 'RASI_FILTERING',
@@ -521,7 +591,7 @@ function applyRasiCompatibilityFilter(matches, enableRasiCompatibility, seekerPr
         matchRasi: p.rasi_lagnam,
         errorMessage: compatibilityError.message
       });
-      return false;
+      recordExclusion(exclusions, 'RASI', p, 'Rasi/Lagnam compatibility could not be evaluated');
     }
   });
   
@@ -537,6 +607,279 @@ function applyRasiCompatibilityFilter(matches, enableRasiCompatibility, seekerPr
   return filteredMatches;
 }
 
+/**
+ * Evaluates navamsam lagnam compatibility for serial search mode (annotation only, no filtering)
+ * Uses the same rasi compatibility rule set as rasi lagnam, with the groom's value first.
+ * Each match gets navamsamCompatibility: { status: 'compatible'|'incompatible'|'unknown', explanations }.
+ * @param {Array} matches - The matches array to annotate
+ * @param {boolean} enableNavamsamCompatibility - Whether the navamsam check is enabled
+ * @param {Object|null} seekerProfile - The seeker's profile object with navamsam_lagnam, or null
+ * @param {string} searchMode - The current search mode (only applies to 'serial' mode)
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {Array} Matches annotated with navamsamCompatibility (unchanged if not applicable)
+ */
+function applyNavamsamCompatibilityCheck(matches, enableNavamsamCompatibility, seekerProfile, searchMode, logger) {
+  if (!enableNavamsamCompatibility || searchMode !== 'serial' || !seekerProfile) {
+    return matches; // No navamsam check needed
+  }
+  
+  const seekerNavamsam = seekerProfile.navamsam_lagnam;
+  const counts = { compatible: 0, incompatible: 0, unknown: 0 };
+  
+  const annotatedMatches = matches.map(p => {
+    let navamsamCompatibility;
+    
+    if (!seekerNavamsam || !p.navamsam_lagnam) {
+      navamsamCompatibility = {
+        status: 'unknown',
+        explanations: [!seekerNavamsam ? 'Seeker navamsam lagnam not recorded' : 'Navamsam lagnam not recorded']
+      };
+    } else {
+      const [maleNavamsam, femaleNavamsam] = seekerProfile.gender === 'Female'
+        ? [p.navamsam_lagnam, seekerNavamsam]
+        : [seekerNavamsam, p.navamsam_lagnam];
+      
+      try {
+        const evaluation = evaluateRasiCompatibility(maleNavamsam, femaleNavamsam);
+        navamsamCompatibility = {
+          status: evaluation.compatible ? 'compatible' : 'incompatible',
+          explanations: evaluation.violations.map(v => v.explanation)
+        };
+      } catch (compatibilityError) {
+        logger.warn('[WARN] Navamsam compatibility check failed for profile', {
+          phase: 'NAVAMSAM_CHECK',
+          profileId: p.id,
+          seekerNavamsam,
+          matchNavamsam: p.navamsam_lagnam,
+          errorMessage: compatibilityError.message
+        });
+        navamsamCompatibility = { status: 'unknown', explanations: ['Navamsam compatibility could not be evaluated'] };
+      }
+    }
+    
+    counts[navamsamCompatibility.status]++;
+    return { ...p, navamsamCompatibility };
+  });
+  
+  logger.info('[INFO] Applied navamsam compatibility check', {
+    phase: 'NAVAMSAM_CHECK',
+    seekerProfileId: seekerProfile.id,
+    seekerNavamsam: seekerNavamsam || 'missing',
+    matchesCount: matches.length,
+    ...counts
+  });
+  
+  return annotatedMatches;
+}
+
+/**
+ * Applies Rajju and Vedhai dosha rules to match results
+ * Each rule either excludes the candidate ('exclude'), keeps the candidate with the
+ * reason recorded in doshaFlags ('flag'), or is skipped ('off').
+ * @param {Array} matches - The matches array to filter
+ * @param {string|number} seekerNakshatraId - Nakshatra ID of the seeker
+ * @param {Object} doshaRules - Actions per dosha { rajju, vedhai } (defaults applied for missing values)
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
+ * @returns {Array} Matches without excluded candidates; flagged candidates carry doshaFlags
+ */
+function applyDoshaFilter(matches, seekerNakshatraId, doshaRules, logger, exclusions = null) {
+  const rules = {
+    rajju: (doshaRules && doshaRules.rajju) || DEFAULT_DOSHA_RULES.rajju,
+    vedhai: (doshaRules && doshaRules.vedhai) || DEFAULT_DOSHA_RULES.vedhai
+  };
+  
+  if (rules.rajju === 'off' && rules.vedhai === 'off') {
+    logger.trace('[TRACE] Dosha rules disabled, skipping dosha filter', {
+      phase: 'DOSHA_FILTERING',
+      doshaRules: rules
+    });
+    return matches;
+  }
+  
+  if (!seekerNakshatraId) {
+    logger.warn('[WARN] Seeker nakshatra missing for dosha check', {
+      phase: 'DOSHA_FILTERING',
+      doshaRules: rules
+    });
+    return matches; // Return unfiltered if seeker nakshatra missing
+  }
+  
+  const beforeCount = matches.length;
+  let excludedCount = 0;
+  let flaggedCount = 0;
+  
+  const filteredMatches = [];
+  
+  matches.forEach(p => {
+    const doshas = describeDoshas(seekerNakshatraId, p.nakshatraid);
+    
+    if (!doshas) {
+      logger.warn('[WARN] Dosha check skipped for profile with unknown nakshatra', {
+        phase: 'DOSHA_FILTERING',
+        profileId: p.id,
+        seekerNakshatraId,
+        nakshatraid: p.nakshatraid
+      });
+      filteredMatches.push(p);
+      return;
+    }
+    
+    const doshaFlags = [];
+    let excluded = false;
+    
+    Object.keys(rules).forEach(dosha => {
+      const action = rules[dosha];
+      const reason = doshas[dosha];
+      if (!reason || action === 'off') return;
+      
+      if (action === 'exclude') {
+        excluded = true;
+        logger.trace('[TRACE] Profile excluded by dosha rule', {
+          phase: 'DOSHA_FILTERING',
+          profileId: p.id,
+          dosha,
+          reason
+        });
+      }
+      doshaFlags.push({ dosha, action, reason });
+    });
+    
+    if (excluded) {
+      excludedCount++;
+      recordExclusion(exclusions, 'DOSHA', p, doshaFlags
+        .filter(flag => flag.action === 'exclude')
+        .map(flag => flag.reason)
+        .join('; '));
+      return;
+    }
+    
+    if (doshaFlags.length > 0) {
+      flaggedCount++;
+      filteredMatches.push({ ...p, doshaFlags });
+    } else {
+      filteredMatches.push(p);
+    }
+  });
+  
+  logger.info('[INFO] Applied dosha rules', {
+    phase: 'DOSHA_FILTERING',
+    seekerNakshatraId,
+    doshaRules: rules,
+    beforeCount,
+    afterCount: filteredMatches.length,
+    excluded: excludedCount,
+    flagged: flaggedCount
+  });
+  
+  return filteredMatches;
+}
+
+/**
+ * Applies mutual-match verification (serial searches only)
+ * Keeps only candidates that are also compatible from their own side:
+ * - the candidate's row in the opposite-gender table lists the seeker's nakshatra
+ * - the candidate's gothram differs from the seeker's (missing candidate gothram fails, as a
+ *   missing seeker gothram does in the one-way gothram filter)
+ * - the seeker's age suits the candidate under the same Indian standard age rule
+ * - when rasi compatibility is enabled, the candidate's rasi accepts the seeker's rasi (the rules
+ *   evaluated with the candidate's value first, as the candidate's own serial search would)
+ * Kept candidates carry reversePorutham / reverseMatchingSource alongside their own score.
+ * @param {Array} matches - The matches array to filter (ages already calculated)
+ * @param {Object|null} seekerProfile - The seeker's profile object
+ * @param {Object} mutualOptions - { includeMathimam, minPorutham, enableRasiCompatibility }
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
+ * @returns {Array} Matches compatible from both sides
+ */
+function applyMutualMatchFilter(matches, seekerProfile, mutualOptions, logger, exclusions = null) {
+  const { includeMathimam, minPorutham, enableRasiCompatibility } = mutualOptions;
+  
+  if (!seekerProfile) {
+    logger.warn('[WARN] Seeker profile missing for mutual match check', {
+      phase: 'MUTUAL_MATCH_FILTERING',
+      matchesCount: matches.length
+    });
+    return matches; // Return unfiltered if seeker profile missing
+  }
+  
+  const beforeCount = matches.length;
+  const seekerAge = calculateAge(seekerProfile.birth_date, seekerProfile.id, 'Seeker');
+  const seekerGothram = (seekerProfile.gothram || '').trim().toLowerCase();
+  const rejections = { porutham: 0, gothram: 0, age: 0, rasi: 0 };
+  
+  const filteredMatches = [];
+  
+  matches.forEach(p => {
+    const reverse = findReversePorutham(p.gender, p.nakshatraid, seekerProfile.nakshatraid, includeMathimam, minPorutham);
+    if (!reverse) {
+      rejections.porutham++;
+      recordExclusion(exclusions, 'MUTUAL_MATCH', p, `Seeker's nakshatra is not a porutham match from the candidate's side (minimum ${minPorutham})`);
+      return;
+    }
+    
+    const candidateGothram = (p.gothram || '').trim().toLowerCase();
+    if (!candidateGothram || candidateGothram === seekerGothram) {
+      rejections.gothram++;
+      recordExclusion(exclusions, 'MUTUAL_MATCH', p, candidateGothram ? 'Same gothram as the seeker' : 'Candidate gothram not recorded');
+      return;
+    }
+    
+    // Candidate's view of the seeker: a groom expects a bride of his age or younger, and vice versa
+    if (seekerAge === undefined || p.age === undefined || p.age === null ||
+        (p.gender === 'Male' && seekerAge > p.age) ||
+        (p.gender === 'Female' && seekerAge < p.age)) {
+      rejections.age++;
+      recordExclusion(exclusions, 'MUTUAL_MATCH', p, seekerAge === undefined || p.age === undefined || p.age === null
+        ? 'Age unknown for the seeker or the candidate'
+        : `Seeker's age ${seekerAge} does not suit the candidate's age ${p.age}`);
+      return;
+    }
+    
+    if (enableRasiCompatibility && p.rasi_lagnam) {
+      let rasiCompatible = false;
+      try {
+        // The candidate's own search: the one-way filter puts the seeker's value first, so here the
+        // candidate's value goes first
+        rasiCompatible = !!seekerProfile.rasi_lagnam && checkSingleCompatibility(p.rasi_lagnam, seekerProfile.rasi_lagnam);
+      } catch (compatibilityError) {
+        logger.warn('[WARN] Reverse rasi compatibility check failed for profile', {
+          phase: 'MUTUAL_MATCH_FILTERING',
+          profileId: p.id,
+          seekerRasi: seekerProfile.rasi_lagnam,
+          matchRasi: p.rasi_lagnam,
+          errorMessage: compatibilityError.message
+        });
+      }
+      if (!rasiCompatible) {
+        rejections.rasi++;
+        recordExclusion(exclusions, 'MUTUAL_MATCH', p,
+          `Candidate's Rasi/Lagnam ${p.rasi_lagnam} does not accept the seeker's ${seekerProfile.rasi_lagnam || '(not recorded)'}`);
+        return;
+      }
+    }
+    
+    filteredMatches.push({
+      ...p,
+      reversePorutham: reverse.value,
+      reverseMatchingSource: reverse.source
+    });
+  });
+  
+  logger.info('[INFO] Applied mutual match filter', {
+    phase: 'MUTUAL_MATCH_FILTERING',
+    seekerProfileId: seekerProfile.id,
+    includeMathimam,
+    minPorutham,
+    enableRasiCompatibility,
+    beforeCount,
+    afterCount: filteredMatches.length,
+    rejections
+  });
+  
+  return filteredMatches;
+}
+
 /**
  * Sorts matches by three-level hierarchy: Match Type → Porutham → Nakshatra
  * Level 1: Match Type (Uthamam first, then Mathimam)
@@ -601,9 +944,10 @@ function sortMatchesByPorutham(matches, logger) {
  * @param {Array} matches - The matches array to filter
  * @param {Array} nakshatraPreferences - Array of preferred nakshatra IDs
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain-mode exclusion list
  * @returns {Array} Filtered matches array
  */
-function applyNakshatraPreferenceFilter(matches, nakshatraPreferences, logger) {
+function applyNakshatraPreferenceFilter(matches, nakshatraPreferences, logger, exclusions = null) {
   const beforeCount = matches.length;
   
   // Handle null/undefined/empty input - no filtering
@@ -648,10 +992,15 @@ function applyNakshatraPreferenceFilter(matches, nakshatraPreferences, logger) {
         profileId: profile.id || profile.serial_no,
         nakshatraid: profile.nakshatraid
       });
+      recordExclusion(exclusions, 'NAKSHATRA_PREFERENCE', profile, 'Invalid nakshatra ID');
       return false; // Exclude profiles with invalid nakshatra IDs
     }
     
-    return preferenceIds.includes(profileNakshatraId);
+    if (!preferenceIds.includes(profileNakshatraId)) {
+      recordExclusion(exclusions, 'NAKSHATRA_PREFERENCE', profile, `${getNakshatraName(profileNakshatraId)} is not a preferred nakshatra`);
+      return false;
+    }
+    return true;
   });
   
   const afterCount = filteredMatches.length;
@@ -678,6 +1027,72 @@ function applyNakshatraPreferenceFilter(matches, nakshatraPreferences, logger) {
   return filteredMatches;
 }
 
+/**
+ * Runs a preference filter in soft mode: candidates the filter would drop are kept and tagged
+ * The hard filter runs with a private exclusion list so its reasons can be reused as the
+ * missedPreferences entries; every match stays in its original order.
+ * @param {Array} matches - The matches array to check
+ * @param {string} preference - Soft filter name (qualification, region, income, agePreference)
+ * @param {Function} filterFn - Calls the hard filter with the given exclusion list and returns its result
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {Array} All matches; near misses gain missedPreferences ([{ preference, label, reason }])
+ */
+function applySoftPreference(matches, preference, filterFn, logger) {
+  const misses = [];
+  const keptIds = new Set(filterFn(misses).map(p => p.id));
+  let missedCount = 0;
+  
+  const taggedMatches = matches.map(p => {
+    if (keptIds.has(p.id)) {
+      return p;
+    }
+    
+    missedCount++;
+    const miss = misses.find(m => m.profileId === p.id);
+    return {
+      ...p,
+      missedPreferences: [
+        ...(p.missedPreferences || []),
+        {
+          preference,
+          label: miss ? miss.stageLabel : preference,
+          reason: miss ? miss.reason : 'Preference not met'
+        }
+      ]
+    };
+  });
+  
+  logger.info('[INFO] Applied soft preference filter', {
+    phase: 'SOFT_FILTERING',
+    preference,
+    matchesCount: taggedMatches.length,
+    missedCount
+  });
+  
+  return taggedMatches;
+}
+
+/**
+ * Moves partially matching profiles (any missed soft preference) after the fully matching ones
+ * The sort order inside each group is kept.
+ * @param {Array} matches - Sorted matches array
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {Array} Fully matching profiles followed by partially matching profiles
+ */
+function orderFullMatchesFirst(matches, logger) {
+  const isPartial = p => Array.isArray(p.missedPreferences) && p.missedPreferences.length > 0;
+  const fullMatches = matches.filter(p => !isPartial(p));
+  const partialMatches = matches.filter(isPartial);
+  
+  logger.trace('[TRACE] Fully matching profiles ordered before partial matches', {
+    phase: 'SOFT_FILTERING',
+    fullMatchesCount: fullMatches.length,
+    partialMatchesCount: partialMatches.length
+  });
+  
+  return [...fullMatches, ...partialMatches];
+}
+
 // Initialize service
 log.info('Matching filter service initialized', {
   source: 'MatchingFilterService',
@@ -690,7 +1105,12 @@ log.info('Matching filter service initialized', {
     'applyIncomeFilter',
     'applyRemarriedFilter',
     'applyRasiCompatibilityFilter',
+    'applyNavamsamCompatibilityCheck',
+    'applyDoshaFilter',
+    'applyMutualMatchFilter',
     'applyNakshatraPreferenceFilter',
+    'applySoftPreference',
+    'orderFullMatchesFirst',
     'sortMatchesByPorutham'
   ],
   sortingHierarchy: {
@@ -701,10 +1121,11 @@ log.info('Matching filter service initialized', {
     appliedTo: ['Web UI', 'PDF Export', 'Excel Export'],
     consistency: 'All three formats show identical ordering'
   },
-  dependentServices: ['RasiCompatibilityService', 'AgeCalculator']
+  dependentServices: ['RasiCompatibilityService', 'PoruthamService', 'MatchingAlgorithmService', 'NakshatraService', 'MatchExplanationService', 'AgeCalculator']
 });
 
 module.exports = {
+  DEFAULT_DOSHA_RULES,
   calculateAgeForMatches,
   applyGothramCompatibilityFilter,
   applyAgeFilter,
@@ -714,6 +1135,11 @@ module.exports = {
   applyIncomeFilter,
   applyRemarriedFilter,
   applyRasiCompatibilityFilter,
+  applyNavamsamCompatibilityCheck,
+  applyDoshaFilter,
+  applyMutualMatchFilter,
   applyNakshatraPreferenceFilter,
+  applySoftPreference,
+  orderFullMatchesFirst,
   sortMatchesByPorutham
 };
\ No newline at end of file
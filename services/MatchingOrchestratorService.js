@@ -1,4 +1,4 @@
-const { getProfiles } = require('./ProfileService');
+const { getProfiles } = require('./ProfileRepository');
 const { findMatchingMales, findMatchingFemales } = require('./MatchingAlgorithmService');
 const log = require('../utils/logger');
 
@@ -13,9 +13,10 @@ const log = require('../utils/logger');
  * @param {string|number} profileId - The ID of the profile to find matches for
  * @param {boolean} includeMathimam - Whether to include mathimam matches
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {number} [minPorutham] - Minimum porutham value; defaults to the configured minimum
  * @returns {Array} Array of matching profiles
  */
-function findMatches(profileId, includeMathimam = false, logger) {
+function findMatches(profileId, includeMathimam = false, logger, minPorutham) {
   const profiles = getProfiles(); // Get fresh profile data
   
   if (!Array.isArray(profiles)) {
@@ -35,13 +36,14 @@ function findMatches(profileId, includeMathimam = false, logger) {
     name: profile.name,
     gender: profile.gender,
     nakshatraId,
-    includeMathimam
+    includeMathimam,
+    minPorutham
   });
   
   if (profile.gender === "Male") {
-    return findMatchingFemales(nakshatraId, includeMathimam, null, false, logger);
+    return findMatchingFemales(nakshatraId, includeMathimam, null, false, logger, minPorutham);
   } else if (profile.gender === "Female") {
-    return findMatchingMales(nakshatraId, includeMathimam, null, false, logger);
+    return findMatchingMales(nakshatraId, includeMathimam, null, false, logger, minPorutham);
   } else {
     logger.warn('Unknown gender for profile matching', { profileId, gender: profile.gender });
     return [];
@@ -56,9 +58,10 @@ function findMatches(profileId, includeMathimam = false, logger) {
  * @param {string|null} seekerRasi - Rasi/Lagnam of the seeker for compatibility check
  * @param {boolean} enableRasiCompatibility - Whether to apply rasi compatibility filtering
  * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {number} [minPorutham] - Minimum porutham value; defaults to the configured minimum
  * @returns {Array} Array of matching profiles
  */
-function findMatchesByNakshatraGender(nakshatraId, gender, includeMathimam = false, seekerRasi = null, enableRasiCompatibility = false, logger) {
+function findMatchesByNakshatraGender(nakshatraId, gender, includeMathimam = false, seekerRasi = null, enableRasiCompatibility = false, logger, minPorutham) {
   nakshatraId = parseInt(nakshatraId, 10);
   
   logger.info('Finding matches by nakshatra and gender', {
@@ -66,13 +69,14 @@ function findMatchesByNakshatraGender(nakshatraId, gender, includeMathimam = fal
     gender,
     includeMathimam,
     seekerRasi,
-    enableRasiCompatibility
+    enableRasiCompatibility,
+    minPorutham
   });
   
   if (gender === "Male") {
-    return findMatchingFemales(nakshatraId, includeMathimam, seekerRasi, enableRasiCompatibility, logger);
+    return findMatchingFemales(nakshatraId, includeMathimam, seekerRasi, enableRasiCompatibility, logger, minPorutham);
   } else if (gender === "Female") {
-    return findMatchingMales(nakshatraId, includeMathimam, seekerRasi, enableRasiCompatibility, logger);
+    return findMatchingMales(nakshatraId, includeMathimam, seekerRasi, enableRasiCompatibility, logger, minPorutham);
   } else {
     logger.warn('Unknown gender for nakshatra matching', { nakshatraId, gender });
     return [];
@@ -83,7 +87,7 @@ function findMatchesByNakshatraGender(nakshatraId, gender, includeMathimam = fal
 log.info('Matching orchestrator service initialized', {
   source: 'MatchingOrchestratorService',
   availableFunctions: ['findMatches', 'findMatchesByNakshatraGender'],
-  dependentServices: ['ProfileService', 'MatchingAlgorithmService']
+  dependentServices: ['ProfileRepository', 'MatchingAlgorithmService']
 });
 
 module.exports = {
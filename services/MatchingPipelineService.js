@@ -0,0 +1,568 @@
+const { applyCompositeRanking, sortMatchesByRankingScore } = require('./RankingService');
+const {
+  calculateAgeForMatches,
+  applyGothramCompatibilityFilter,
+  applyAgeFilter,
+  applyAgePreferenceFilter,
+  applyQualificationFilter,
+  applyRegionFilter,
+  applyIncomeFilter,
+  applyRemarriedFilter,
+  applyRasiCompatibilityFilter,
+  applyNavamsamCompatibilityCheck,
+  applyDoshaFilter,
+  applyMutualMatchFilter,
+  applyNakshatraPreferenceFilter,
+  applySoftPreference,
+  orderFullMatchesFirst,
+  sortMatchesByPorutham
+} = require('./MatchingFilterService');
+const {
+  validateSeekerAge,
+  validateQualification,
+  validateRegion,
+  validateRegions,
+  validateIncomeRange,
+  validateNakshatraPreferences
+} = require('./ValidationService');
+const {
+  AppError,
+  ERROR_MESSAGES,
+  ERROR_TYPES
+} = require('../utils/errorHandler');
+const log = require('../utils/logger');
+
+/**
+ * Matching Pipeline Service
+ * Extracted from matchingController.js - maintains exact same functionality
+ * Runs the filter and ranking stages on the matching algorithm's results. Used by the
+ * find-matching search (both search modes) and by the batch matching report, so both
+ * apply the same stages in the same order:
+ *   gothram, nakshatra preferences, age and age preference, qualification, region, income,
+ *   remarried, rasi compatibility, navamsam check, mutual match, dosha rules, composite
+ *   ranking, sorting (porutham or composite) and soft-filter ordering
+ */
+
+/**
+ * Applies the filter and ranking stages to matches from the matching algorithm
+ * Criteria left empty skip their stage, as they do on the search form.
+ * @param {Array} matches - Matches returned by MatchingOrchestratorService
+ * @param {Object} criteria - Resolved search criteria:
+ *   { searchMode, seekerProfile, seekerGothram, seekerAge, gender, nakshatraid,
+ *     nakshatraPreferences, agePreference, qualification, exactQualification, region, regions,
+ *     minIncome, maxIncome, includeMathimam, includeRemarried, enableRasiCompatibility,
+ *     enableNavamsamCompatibility, mutualMatch, minPorutham, doshaRules, rankBy, softFilters }
+ *   seekerAge and gender are the seeker's own (taken from the profile in serial mode);
+ *   rankBy and softFilters must already be validated.
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Array|null} [exclusions] - Explain mode: collects the candidates each stage drops
+ * @returns {Array} Filtered, ranked and sorted matches
+ * @throws {AppError} 400 for invalid preference values, 500 when a mandatory stage fails
+ */
+function applyMatchingPipeline(matches, criteria, logger, exclusions = null) {
+  const {
+    searchMode,
+    seekerProfile = null,
+    seekerGothram,
+    seekerAge,
+    gender,
+    nakshatraid,
+    nakshatraPreferences,
+    agePreference,
+    qualification,
+    exactQualification,
+    region,
+    regions,
+    minIncome,
+    maxIncome,
+    includeMathimam,
+    includeRemarried,
+    enableRasiCompatibility,
+    enableNavamsamCompatibility,
+    mutualMatch,
+    minPorutham,
+    doshaRules,
+    rankBy,
+    softFilters = []
+  } = criteria;
+  const profileId = seekerProfile ? seekerProfile.id : null;
+  const serialNo = seekerProfile ? seekerProfile.serial_no : null;
+
+  // Preference filters that keep near misses (tagged with missedPreferences) instead of dropping them
+  const runPreferenceFilter = (preference, filterFn) => softFilters.includes(preference)
+    ? applySoftPreference(matches, preference, filterFn, logger)
+    : filterFn(exclusions);
+
+  // Gothram compatibility filtering (FIRST FILTER - mandatory when gothram is available)
+  if (seekerGothram && seekerGothram.trim() !== '') {
+    try {
+      logger.debug('[DEBUG] About to apply mandatory gothram filter', {
+        phase: 'GOTHRAM_FILTERING',
+        searchMode,
+        seekerGothram: seekerGothram,
+        beforeCount: matches.length,
+        candidateGothrams: matches.slice(0, 3).map(p => ({
+          id: p.id,
+          name: p.name,
+          gothram: p.gothram,
+          gothramType: typeof p.gothram
+        }))
+      });
+      
+      matches = applyGothramCompatibilityFilter(matches, seekerGothram, logger, exclusions);
+      
+      logger.debug('[DEBUG] Mandatory gothram filtering completed', {
+        phase: 'GOTHRAM_FILTERING',
+        afterCount: matches.length,
+        filteredOut: matches.length > 0 ? 'SOME_REMAINED' : 'ALL_FILTERED'
+      });
+    } catch (gothramError) {
+      logger.error('[ERROR] Gothram compatibility filtering failed', {
+        phase: 'GOTHRAM_FILTERING',
+        searchMode,
+        seekerGothram,
+        errorMessage: gothramError.message
+      }, gothramError);
+      
+      // Don't throw error for gothram compatibility - just log and continue
+      logger.warn('[WARN] Continuing without gothram compatibility filter due to error', {
+        phase: 'GOTHRAM_FILTERING'
+      });
+    }
+  } else {
+    logger.info('[INFO] No gothram provided - skipping gothram filtering', {
+      phase: 'GOTHRAM_FILTERING',
+      searchMode,
+      seekerGothram: seekerGothram || 'null'
+    });
+  }
+
+  // Apply nakshatra preference filter (if specified)
+  try {
+    if (nakshatraPreferences && Array.isArray(nakshatraPreferences) && nakshatraPreferences.length > 0) {
+      logger.trace('[TRACE] Applying nakshatra preference filter', {
+        phase: 'NAKSHATRA_PREFERENCE_FILTERING',
+        searchMode,
+        nakshatraPreferences,
+        beforeCount: matches.length
+      });
+      
+      validateNakshatraPreferences(nakshatraPreferences, logger);
+      matches = applyNakshatraPreferenceFilter(matches, nakshatraPreferences, logger, exclusions);
+      
+      logger.debug('[DEBUG] Nakshatra preference filtering completed', {
+        phase: 'NAKSHATRA_PREFERENCE_FILTERING',
+        nakshatraPreferences,
+        afterCount: matches.length,
+        filteredOut: matches.length > 0 ? 'SOME_REMAINED' : 'ALL_FILTERED'
+      });
+    } else {
+      logger.trace('[TRACE] No nakshatra preference filter applied', {
+        phase: 'NAKSHATRA_PREFERENCE_FILTERING',
+        reason: 'no_preferences_specified'
+      });
+    }
+  } catch (nakshatraPreferenceError) {
+    logger.error('[ERROR] Nakshatra preference filtering failed', {
+      phase: 'NAKSHATRA_PREFERENCE_FILTERING',
+      searchMode,
+      nakshatraPreferences,
+      errorMessage: nakshatraPreferenceError.message
+    }, nakshatraPreferenceError);
+    
+    // Don't throw error for nakshatra preference filter - just log and continue
+    logger.warn('[WARN] Continuing without nakshatra preference filter due to error', {
+      phase: 'NAKSHATRA_PREFERENCE_FILTERING'
+    });
+  }
+
+  // Calculate age for all matching profiles from birthdate with error handling
+  const beforeAgeCalc = matches.length;
+  matches = calculateAgeForMatches(matches, logger);
+  const afterAgeCalc = matches.length;
+  
+  logger.info('Age calculation completed', {
+    phase: 'AGE_CALCULATION',
+    beforeCount: beforeAgeCalc,
+    afterCount: afterAgeCalc,
+    profilesWithValidAge: afterAgeCalc,
+    profilesWithInvalidAge: beforeAgeCalc - afterAgeCalc
+  });
+  
+  logger.debug('[DEBUG] After age calculation', {
+    phase: 'AGE_CALCULATION_DEBUG',
+    matchesCount: matches.length,
+    remainingProfiles: matches.map(p => ({
+      id: p.id,
+      name: p.name,
+      age: p.age,
+      gothram: p.gothram
+    }))
+  });
+
+  // Age filtering with error handling (works for both serial and nakshatra modes)
+  if (seekerAge && seekerAge.trim() !== '') {
+    try {
+      const seekerAgeNum = validateSeekerAge(seekerAge, logger);
+      matches = applyAgeFilter(matches, seekerAgeNum, gender, logger, exclusions);
+      
+      // Apply age preference filter (additional constraint on top of default age filtering)
+      logger.debug('[DEBUG] Age preference check', {
+        phase: 'AGE_PREFERENCE_DEBUG',
+        searchMode: searchMode,
+        agePreference: agePreference,
+        agePreferenceExists: !!agePreference,
+        agePreferenceTrimmed: agePreference ? agePreference.trim() : 'N/A',
+        seekerAge: seekerAge,
+        seekerAgeNum: seekerAgeNum,
+        gender: gender
+      });
+      
+      if (agePreference && agePreference.trim() !== '') {
+        const agePreferenceNum = parseInt(agePreference, 10);
+        logger.debug('[DEBUG] Age preference parsing', {
+          phase: 'AGE_PREFERENCE_PARSING',
+          originalValue: agePreference,
+          parsedValue: agePreferenceNum,
+          isValid: !isNaN(agePreferenceNum)
+        });
+        
+        if (!isNaN(agePreferenceNum)) {
+          const beforeFilterCount = matches.length;
+          matches = runPreferenceFilter('agePreference', list =>
+            applyAgePreferenceFilter(matches, seekerAgeNum, gender, agePreferenceNum, logger, list));
+          
+          logger.debug('[DEBUG] Age preference filter applied', {
+            phase: 'AGE_PREFERENCE_APPLIED',
+            beforeCount: beforeFilterCount,
+            afterCount: matches.length,
+            filtered: beforeFilterCount - matches.length,
+            seekerAge: seekerAgeNum,
+            agePreference: agePreferenceNum,
+            gender: gender
+          });
+        } else {
+          logger.warn('[WARN] Invalid age preference value, skipping preference filter', {
+            phase: 'AGE_PREFERENCE_FILTERING',
+            agePreference,
+            reason: 'Not a valid number'
+          });
+        }
+      } else {
+        logger.debug('[DEBUG] Age preference not provided or empty', {
+          phase: 'AGE_PREFERENCE_SKIPPED',
+          agePreference: agePreference,
+          reason: 'Empty or undefined value'
+        });
+      }
+    } catch (ageFilterError) {
+      logger.error('[ERROR] Age filtering failed', {
+        phase: 'AGE_FILTERING',
+        seekerAge,
+        errorMessage: ageFilterError.message
+      }, ageFilterError);
+      
+      if (ageFilterError instanceof AppError) {
+        throw ageFilterError;
+      } else {
+        throw new AppError(
+          ERROR_MESSAGES.INVALID_SEARCH_CRITERIA,
+          400,
+          ERROR_TYPES.VALIDATION,
+          { filter: 'age', value: seekerAge }
+        );
+      }
+    }
+  }
+
+  // Qualification filtering with error handling
+  if (qualification && qualification.trim() !== '') {
+    const beforeQualFilter = matches.length;
+    try {
+      validateQualification(qualification, logger);
+      matches = runPreferenceFilter('qualification', list =>
+        applyQualificationFilter(matches, qualification, exactQualification, logger, list));
+      const afterQualFilter = matches.length;
+      
+      logger.info('Qualification filtering completed', {
+        phase: 'QUALIFICATION_FILTERING',
+        beforeCount: beforeQualFilter,
+        afterCount: afterQualFilter,
+        filteredOut: beforeQualFilter - afterQualFilter,
+        qualification: qualification,
+        exactMatch: exactQualification
+      });
+    } catch (qualificationError) {
+      logger.error('[ERROR] Qualification filtering failed', {
+        phase: 'QUALIFICATION_FILTERING',
+        qualification,
+        exactQualification,
+        errorMessage: qualificationError.message
+      }, qualificationError);
+      
+      if (qualificationError instanceof AppError) {
+        throw qualificationError;
+      } else {
+        throw new AppError(
+          ERROR_MESSAGES.INVALID_SEARCH_CRITERIA,
+          400,
+          ERROR_TYPES.VALIDATION,
+          { filter: 'qualification', value: qualification }
+        );
+      }
+    }
+  }
+
+  // Multi-region filtering with error handling (supports both single region and array)
+  if (regions && Array.isArray(regions) && regions.length > 0) {
+    const beforeRegionFilter = matches.length;
+    try {
+      validateRegions(regions, logger);
+      matches = runPreferenceFilter('region', list => applyRegionFilter(matches, regions, logger, list));
+      const afterRegionFilter = matches.length;
+      
+      logger.info('Multi-region filtering completed', {
+        phase: 'REGION_FILTERING',
+        beforeCount: beforeRegionFilter,
+        afterCount: afterRegionFilter,
+        filteredOut: beforeRegionFilter - afterRegionFilter,
+        regions: regions,
+        regionCount: regions.length
+      });
+    } catch (regionError) {
+      logger.error('[ERROR] Multi-region filtering failed', {
+        phase: 'REGION_FILTERING',
+        regions,
+        regionCount: regions?.length || 0,
+        errorMessage: regionError.message
+      }, regionError);
+      
+      if (regionError instanceof AppError) {
+        throw regionError;
+      } else {
+        throw new AppError(
+          ERROR_MESSAGES.INVALID_SEARCH_CRITERIA,
+          400,
+          ERROR_TYPES.VALIDATION,
+          { filter: 'regions', values: regions }
+        );
+      }
+    }
+  } else if (region && region.trim() !== '') {
+    // Backward compatibility: handle single region parameter
+    const beforeSingleRegionFilter = matches.length;
+    try {
+      validateRegion(region, logger);
+      matches = runPreferenceFilter('region', list => applyRegionFilter(matches, region, logger, list));
+      const afterSingleRegionFilter = matches.length;
+      
+      logger.info('Single region filtering completed', {
+        phase: 'REGION_FILTERING',
+        beforeCount: beforeSingleRegionFilter,
+        afterCount: afterSingleRegionFilter,
+        filteredOut: beforeSingleRegionFilter - afterSingleRegionFilter,
+        region: region
+      });
+    } catch (regionError) {
+      logger.error('[ERROR] Single region filtering failed', {
+        phase: 'REGION_FILTERING',
+        region,
+        errorMessage: regionError.message
+      }, regionError);
+      
+      if (regionError instanceof AppError) {
+        throw regionError;
+      } else {
+        throw new AppError(
+          ERROR_MESSAGES.INVALID_SEARCH_CRITERIA,
+          400,
+          ERROR_TYPES.VALIDATION,
+          { filter: 'region', value: region }
+        );
+      }
+    }
+  }
+
+  // Income filtering with error handling
+  if ((minIncome && minIncome.trim() !== '') || (maxIncome && maxIncome.trim() !== '')) {
+    const beforeIncomeFilter = matches.length;
+    try {
+      const { minIncomeNum, maxIncomeNum } = validateIncomeRange(minIncome, maxIncome, logger);
+      matches = runPreferenceFilter('income', list =>
+        applyIncomeFilter(matches, minIncomeNum, maxIncomeNum, logger, list));
+      const afterIncomeFilter = matches.length;
+      
+      logger.info('Income filtering completed', {
+        phase: 'INCOME_FILTERING',
+        beforeCount: beforeIncomeFilter,
+        afterCount: afterIncomeFilter,
+        filteredOut: beforeIncomeFilter - afterIncomeFilter,
+        incomeRange: `${minIncomeNum || 0}-${maxIncomeNum || 'unlimited'}`,
+        minIncome: minIncomeNum,
+        maxIncome: maxIncomeNum
+      });
+    } catch (incomeError) {
+      logger.error('[ERROR] Income filtering failed', {
+        phase: 'INCOME_FILTERING',
+        minIncome,
+        maxIncome,
+        errorMessage: incomeError.message
+      }, incomeError);
+      
+      if (incomeError instanceof AppError) {
+        throw incomeError;
+      } else {
+        throw new AppError(
+          ERROR_MESSAGES.INVALID_SEARCH_CRITERIA,
+          400,
+          ERROR_TYPES.VALIDATION,
+          { filter: 'income', minIncome, maxIncome }
+        );
+      }
+    }
+  }
+
+  // Remarried status filtering with error handling
+  const beforeRemarriedFilter = matches.length;
+  try {
+    matches = applyRemarriedFilter(matches, includeRemarried, logger, exclusions);
+    const afterRemarriedFilter = matches.length;
+    
+    logger.info('Remarried filtering completed', {
+      phase: 'REMARRIED_FILTERING',
+      beforeCount: beforeRemarriedFilter,
+      afterCount: afterRemarriedFilter,
+      filteredOut: beforeRemarriedFilter - afterRemarriedFilter,
+      includeRemarried: includeRemarried
+    });
+  } catch (remarriedError) {
+    logger.error('[ERROR] Remarried filtering failed', {
+      phase: 'REMARRIED_FILTERING',
+      includeRemarried,
+      errorMessage: remarriedError.message
+    }, remarriedError);
+    
+    throw new AppError(
+      'Error applying remarried status filter.',
+      500,
+      ERROR_TYPES.BUSINESS_LOGIC,
+      { filter: 'remarried', includeRemarried }
+    );
+  }
+
+  // Seeker profile already looked up earlier for gothram filtering - reuse the same profile
+
+  // Rasi compatibility filtering with error handling
+  try {
+    matches = applyRasiCompatibilityFilter(matches, enableRasiCompatibility, seekerProfile, searchMode, logger, exclusions);
+  } catch (rasiError) {
+    logger.error('[ERROR] Rasi compatibility filtering failed', {
+      phase: 'RASI_FILTERING',
+      profileId,
+      serialNo,
+      errorMessage: rasiError.message
+    }, rasiError);
+    
+    // Don't throw error for rasi compatibility - just log and continue
+    logger.warn('[WARN] Continuing without rasi compatibility filter due to error', {
+      phase: 'RASI_FILTERING'
+    });
+  }
+  
+  // Navamsam lagnam compatibility (annotates each match, serial mode only)
+  try {
+    matches = applyNavamsamCompatibilityCheck(matches, enableNavamsamCompatibility, seekerProfile, searchMode, logger);
+  } catch (navamsamError) {
+    logger.error('[ERROR] Navamsam compatibility check failed', {
+      phase: 'NAVAMSAM_CHECK',
+      profileId,
+      serialNo,
+      errorMessage: navamsamError.message
+    }, navamsamError);
+    
+    // Don't throw error for navamsam check - just log and continue
+    logger.warn('[WARN] Continuing without navamsam compatibility check due to error', {
+      phase: 'NAVAMSAM_CHECK'
+    });
+  }
+  
+  // Mutual match: keep only candidates that are compatible with the seeker from their side too
+  if (mutualMatch) {
+    try {
+      matches = applyMutualMatchFilter(matches, seekerProfile, {
+        includeMathimam,
+        minPorutham: minPorutham,
+        enableRasiCompatibility
+      }, logger, exclusions);
+    } catch (mutualError) {
+      logger.error('[ERROR] Mutual match filtering failed', {
+        phase: 'MUTUAL_MATCH_FILTERING',
+        profileId,
+        serialNo,
+        errorMessage: mutualError.message
+      }, mutualError);
+      
+      throw new AppError(
+        'Error verifying mutual compatibility.',
+        500,
+        ERROR_TYPES.BUSINESS_LOGIC,
+        { filter: 'mutualMatch', profileId }
+      );
+    }
+  }
+  
+  // Rajju / Vedhai dosha rules (exclude or flag candidates regardless of total score)
+  try {
+    const seekerNakshatraId = searchMode === 'serial'
+      ? (seekerProfile ? seekerProfile.nakshatraid : null)
+      : nakshatraid;
+    matches = applyDoshaFilter(matches, seekerNakshatraId, doshaRules, logger, exclusions);
+  } catch (doshaError) {
+    logger.error('[ERROR] Dosha filtering failed', {
+      phase: 'DOSHA_FILTERING',
+      doshaRules,
+      errorMessage: doshaError.message
+    }, doshaError);
+    
+    throw new AppError(
+      'Error applying Rajju/Vedhai dosha rules.',
+      500,
+      ERROR_TYPES.BUSINESS_LOGIC,
+      { filter: 'dosha', doshaRules }
+    );
+  }
+  
+  // Composite ranking score for every match (porutham blended with preference fit)
+  const parsedSeekerAge = parseInt(seekerAge, 10);
+  matches = applyCompositeRanking(matches, {
+    seekerAge: isNaN(parsedSeekerAge) ? null : parsedSeekerAge,
+    seekerGender: gender,
+    qualification,
+    minIncome: parseFloat(minIncome) || null,
+    regions: regions && regions.length > 0 ? regions : (region && region.trim() !== '' ? [region] : []),
+    seekerRegion: seekerProfile ? seekerProfile.region : null
+  }, logger);
+  
+  // Sort by composite score or by porutham score (MatchingFilterService)
+  matches = rankBy === 'composite'
+    ? sortMatchesByRankingScore(matches, logger)
+    : sortMatchesByPorutham(matches, logger);
+  
+  // Soft filters: partially matching profiles follow the fully matching ones
+  if (softFilters.length > 0) {
+    matches = orderFullMatchesFirst(matches, logger);
+  }
+
+  return matches;
+}
+
+// Initialize service
+log.info('Matching pipeline service initialized', {
+  source: 'MatchingPipelineService',
+  availableFunctions: ['applyMatchingPipeline'],
+  dependentServices: ['MatchingFilterService', 'RankingService', 'ValidationService']
+});
+
+module.exports = {
+  applyMatchingPipeline
+};
@@ -0,0 +1,265 @@
+const log = require('../utils/logger');
+const { nakshatraData } = require('./NakshatraService');
+
+/**
+ * Porutham Service
+ * Computes the ten traditional poruthams (Dasa Porutham) for a bride/groom pair
+ * from the nakshatra IDs in data/nakshatra.json.
+ *
+ * The 36 nakshatra IDs split stars that span two rasis (e.g. Karthigai_Mesham /
+ * Karthigai_Rishabam), so every ID resolves to one of the 27 traditional stars
+ * (used by the star based poruthams) and to one of the 12 rasis (used by the
+ * rasi based poruthams).
+ */
+
+// Porutham keys in traditional order with display names
+const PORUTHAM_NAMES = {
+  dinam: 'Dinam',
+  ganam: 'Ganam',
+  mahendram: 'Mahendram',
+  streeDeergham: 'Stree Deergham',
+  yoni: 'Yoni',
+  rasi: 'Rasi',
+  rasiyathipathi: 'Rasiyathipathi',
+  vasiyam: 'Vasiyam',
+  rajju: 'Rajju',
+  vedhai: 'Vedhai'
+};
+
+const PORUTHAM_KEYS = Object.keys(PORUTHAM_NAMES);
+
+// Rasi order as used in nakshatra display names (index + 1 = rasi number)
+const RASI_ORDER = [
+  'Mesham', 'Rishabam', 'Mithunam', 'Kadagam', 'Simham', 'Kanni',
+  'Thulam', 'Viruchigam', 'Dhanusu', 'Magaram', 'Kumbham', 'Meenam'
+];
+
+// Lord of each rasi (indexed by rasi number)
+const RASI_LORDS = {
+  1: 'Sevvai', 2: 'Sukran', 3: 'Budhan', 4: 'Chandran', 5: 'Suriyan', 6: 'Budhan',
+  7: 'Sukran', 8: 'Sevvai', 9: 'Guru', 10: 'Sani', 11: 'Sani', 12: 'Guru'
+};
+
+// Natural planetary enmities used for Rasiyathipathi porutham
+const PLANET_ENEMIES = {
+  Suriyan: ['Sukran', 'Sani'],
+  Chandran: [],
+  Sevvai: ['Budhan'],
+  Budhan: ['Chandran'],
+  Guru: ['Budhan', 'Sukran'],
+  Sukran: ['Suriyan', 'Chandran'],
+  Sani: ['Suriyan', 'Chandran', 'Sevvai']
+};
+
+// Vasiya rasis for each rasi (indexed by rasi number)
+const VASIYA_RASIS = {
+  1: [5, 8], 2: [4, 7], 3: [6], 4: [8, 9], 5: [7], 6: [2, 12],
+  7: [10, 6], 8: [4, 6], 9: [12], 10: [1, 11], 11: [12], 12: [10]
+};
+
+// Star attribute tables (indexed by star number 1-27, Aswini = 1 ... Revathi = 27)
+const STAR_GANAM = [
+  null,
+  'Deva', 'Manushya', 'Rakshasa', 'Manushya', 'Deva', 'Manushya', 'Deva', 'Deva', 'Rakshasa',
+  'Rakshasa', 'Manushya', 'Manushya', 'Deva', 'Rakshasa', 'Deva', 'Rakshasa', 'Deva', 'Rakshasa',
+  'Rakshasa', 'Manushya', 'Manushya', 'Deva', 'Rakshasa', 'Rakshasa', 'Manushya', 'Manushya', 'Deva'
+];
+
+const STAR_YONI = [
+  null,
+  'Horse', 'Elephant', 'Goat', 'Serpent', 'Serpent', 'Dog', 'Cat', 'Goat', 'Cat',
+  'Rat', 'Rat', 'Cow', 'Buffalo', 'Tiger', 'Buffalo', 'Tiger', 'Deer', 'Deer',
+  'Dog', 'Monkey', 'Mongoose', 'Monkey', 'Lion', 'Horse', 'Lion', 'Cow', 'Elephant'
+];
+
+const YONI_ENEMIES = [
+  ['Horse', 'Buffalo'], ['Elephant', 'Lion'], ['Goat', 'Monkey'], ['Serpent', 'Mongoose'],
+  ['Dog', 'Deer'], ['Cat', 'Rat'], ['Cow', 'Tiger']
+];
+
+const STAR_RAJJU = [
+  null,
+  'Paadha', 'Kati', 'Udhara', 'Kanta', 'Siro', 'Kanta', 'Udhara', 'Kati', 'Paadha',
+  'Paadha', 'Kati', 'Udhara', 'Kanta', 'Siro', 'Kanta', 'Udhara', 'Kati', 'Paadha',
+  'Paadha', 'Kati', 'Udhara', 'Kanta', 'Siro', 'Kanta', 'Udhara', 'Kati', 'Paadha'
+];
+
+// Mutually obstructing (vedhai) star groups
+const VEDHAI_GROUPS = [
+  [1, 18], [2, 17], [3, 16], [4, 15], [6, 22], [7, 21], [8, 20], [9, 19],
+  [10, 27], [11, 26], [12, 25], [13, 24], [5, 14, 23]
+];
+
+// Mahendram is satisfied when the groom's star is at one of these counts from the bride's star
+const MAHENDRAM_COUNTS = [4, 7, 10, 13, 16, 19, 22, 25];
+
+// Build nakshatra ID -> { star, rasi } lookup from nakshatra data
+// Star names come from the `name` prefix (Karthigai_1 / Karthigai_234 share one star)
+// Rasi names come from the `display_name` suffix (Karthigai_Mesham -> Mesham)
+const nakshatraLookup = {};
+const starNames = [null];
+let starCount = 0;
+let previousStarName = null;
+
+nakshatraData.forEach(nakshatra => {
+  const starName = nakshatra.name.split('_')[0];
+  if (starName !== previousStarName) {
+    starCount++;
+    previousStarName = starName;
+    // Full name without pada details, e.g. "Karthigai (Pada 1)" -> "Karthigai"
+    starNames[starCount] = nakshatra.full_name.replace(/\s*\(Pada[^)]*\)$/, '');
+  }
+
+  const rasiName = nakshatra.display_name.split('_').pop();
+  const rasi = RASI_ORDER.indexOf(rasiName) + 1;
+
+  if (rasi === 0) {
+    log.warn('Unknown rasi in nakshatra display name', {
+      source: 'PoruthamService',
+      nakshatraId: nakshatra.id,
+      displayName: nakshatra.display_name
+    });
+    return;
+  }
+
+  nakshatraLookup[nakshatra.id] = { star: starCount, rasi };
+});
+
+/**
+ * Counts positions from one value to another on a circular scale (inclusive of start)
+ * @param {number} from - Starting position (1-based)
+ * @param {number} to - Target position (1-based)
+ * @param {number} size - Size of the circle (27 stars or 12 rasis)
+ * @returns {number} Count from `from` to `to` (1 = same position)
+ */
+function countFrom(from, to, size) {
+  return ((to - from + size) % size) + 1;
+}
+
+/**
+ * Resolves a nakshatra ID to its star and rasi numbers
+ * @param {string|number} nakshatraId - Nakshatra ID (1-36)
+ * @returns {Object|null} { star, rasi } or null if the ID is unknown
+ */
+function resolveNakshatra(nakshatraId) {
+  const id = parseInt(nakshatraId, 10);
+  return nakshatraLookup[id] || null;
+}
+
+/**
+ * Calculates the ten poruthams for a bride/groom pair
+ * All counts are taken from the bride's star/rasi to the groom's star/rasi as per tradition.
+ * @param {string|number} brideNakshatraId - Nakshatra ID of the bride (1-36)
+ * @param {string|number} groomNakshatraId - Nakshatra ID of the groom (1-36)
+ * @returns {Object|null} { breakdown, passedCount, totalCount } or null if either ID is unknown
+ */
+function calculatePoruthams(brideNakshatraId, groomNakshatraId) {
+  const bride = resolveNakshatra(brideNakshatraId);
+  const groom = resolveNakshatra(groomNakshatraId);
+
+  if (!bride || !groom) {
+    return null;
+  }
+
+  const starCountFromBride = countFrom(bride.star, groom.star, 27);
+  const rasiCountFromBride = countFrom(bride.rasi, groom.rasi, 12);
+
+  const brideGanam = STAR_GANAM[bride.star];
+  const groomGanam = STAR_GANAM[groom.star];
+  const brideYoni = STAR_YONI[bride.star];
+  const groomYoni = STAR_YONI[groom.star];
+  const brideLord = RASI_LORDS[bride.rasi];
+  const groomLord = RASI_LORDS[groom.rasi];
+
+  const breakdown = {
+    // Count divided by 9 leaving an even remainder (2, 4, 6, 8 or 0)
+    dinam: (starCountFromBride % 9) % 2 === 0,
+    // Same ganam, or neither side Rakshasa
+    ganam: brideGanam === groomGanam || (brideGanam !== 'Rakshasa' && groomGanam !== 'Rakshasa'),
+    mahendram: MAHENDRAM_COUNTS.includes(starCountFromBride),
+    // Groom's star beyond the 13th from the bride's star
+    streeDeergham: starCountFromBride > 13,
+    yoni: !YONI_ENEMIES.some(([a, b]) =>
+      (brideYoni === a && groomYoni === b) || (brideYoni === b && groomYoni === a)
+    ),
+    // Same rasi or groom's rasi beyond the 6th from the bride's, excluding 8th (shashtashtakam) and 12th
+    rasi: rasiCountFromBride === 1 || (rasiCountFromBride > 6 && ![8, 12].includes(rasiCountFromBride)),
+    rasiyathipathi: !PLANET_ENEMIES[brideLord].includes(groomLord) && !PLANET_ENEMIES[groomLord].includes(brideLord),
+    vasiyam: VASIYA_RASIS[bride.rasi].includes(groom.rasi) || VASIYA_RASIS[groom.rasi].includes(bride.rasi),
+    rajju: STAR_RAJJU[bride.star] !== STAR_RAJJU[groom.star],
+    vedhai: !VEDHAI_GROUPS.some(group =>
+      bride.star !== groom.star && group.includes(bride.star) && group.includes(groom.star)
+    )
+  };
+
+  return {
+    breakdown,
+    passedCount: PORUTHAM_KEYS.filter(key => breakdown[key]).length,
+    totalCount: PORUTHAM_KEYS.length
+  };
+}
+
+/**
+ * Describes Rajju and Vedhai doshas for a pair of nakshatras
+ * Both doshas are symmetric, so the order of the two IDs does not matter.
+ * @param {string|number} firstNakshatraId - Nakshatra ID of one partner (1-36)
+ * @param {string|number} secondNakshatraId - Nakshatra ID of the other partner (1-36)
+ * @returns {Object|null} { rajju, vedhai } with a reason string for each dosha present (null when absent),
+ *                        or null if either ID is unknown
+ */
+function describeDoshas(firstNakshatraId, secondNakshatraId) {
+  const first = resolveNakshatra(firstNakshatraId);
+  const second = resolveNakshatra(secondNakshatraId);
+
+  if (!first || !second) {
+    return null;
+  }
+
+  const firstRajju = STAR_RAJJU[first.star];
+  const sameRajju = firstRajju === STAR_RAJJU[second.star];
+  const vedhaiPair = first.star !== second.star &&
+    VEDHAI_GROUPS.some(group => group.includes(first.star) && group.includes(second.star));
+
+  let rajjuReason = null;
+  if (sameRajju) {
+    rajjuReason = first.star === second.star
+      ? `Rajju mismatch: both partners are ${starNames[first.star]} (${firstRajju} rajju)`
+      : `Rajju mismatch: ${starNames[first.star]} and ${starNames[second.star]} are both in ${firstRajju} rajju`;
+  }
+
+  return {
+    rajju: rajjuReason,
+    vedhai: vedhaiPair
+      ? `Vedhai pair: ${starNames[first.star]} and ${starNames[second.star]} obstruct each other`
+      : null
+  };
+}
+
+/**
+ * Lists display names of passed poruthams from a breakdown map
+ * @param {Object} breakdown - Porutham pass/fail map from calculatePoruthams
+ * @returns {Array} Display names of poruthams that passed
+ */
+function getPassedPoruthamNames(breakdown) {
+  if (!breakdown) return [];
+  return PORUTHAM_KEYS.filter(key => breakdown[key]).map(key => PORUTHAM_NAMES[key]);
+}
+
+// Initialize service
+log.info('Porutham service initialized', {
+  source: 'PoruthamService',
+  nakshatraMapped: Object.keys(nakshatraLookup).length,
+  starsResolved: starCount,
+  poruthams: PORUTHAM_KEYS,
+  availableFunctions: ['calculatePoruthams', 'describeDoshas', 'getPassedPoruthamNames', 'resolveNakshatra'],
+  dependentServices: ['NakshatraService']
+});
+
+module.exports = {
+  PORUTHAM_NAMES,
+  PORUTHAM_KEYS,
+  calculatePoruthams,
+  describeDoshas,
+  getPassedPoruthamNames,
+  resolveNakshatra
+};
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('../utils/logger');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+const { ensureDirectoryExists, getDataPath } = require('../utils/appData');
+const { replaceFileAtomic } = require('../utils/atomicFile');
+
+/**
+ * Profile Attachment Service
+ * Stores documents families hand in for a profile - mainly scanned horoscope (jathagam) charts - in
+ * attachments/ in the AppData data directory. A profile can hold several attachments; each is listed
+ * in the profile's `attachments` array:
+ *   { id, type, fileName, originalName, contentType, size, notes, uploadedAt, uploadedBy }
+ * Uploads must be a PDF, JPEG or PNG (checked from the file contents, not the name) and are stored
+ * unchanged as <profile id>-<upload time>-<attachment id>.<pdf|jpg|png>.
+ */
+
+// Largest upload accepted
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+// Most attachments one profile can hold
+const MAX_ATTACHMENTS_PER_PROFILE = 20;
+
+const ATTACHMENT_NOTES_MAX_LENGTH = 500;
+
+// Attachment types; horoscope attachments can be appended to matching PDF exports
+const ATTACHMENT_TYPES = ['horoscope', 'porutham', 'other'];
+const HOROSCOPE_TYPE = 'horoscope';
+
+// Stored file formats, recognized from the first bytes of the upload
+const ATTACHMENT_FORMATS = {
+  pdf: { contentType: 'application/pdf', signature: Buffer.from('%PDF-') },
+  jpg: { contentType: 'image/jpeg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+  png: { contentType: 'image/png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) }
+};
+
+// Stored attachment names: filename-safe profile id, upload time, attachment id, format
+const ATTACHMENT_FILE_PATTERN = /^[A-Za-z0-9_-]+-\d{14}-[a-f0-9]{8}\.(pdf|jpg|png)$/;
+
+/**
+ * Get the attachments directory in AppData/data
+ */
+function getAttachmentsDir() {
+  return path.join(getDataPath(), 'attachments');
+}
+
+/**
+ * Works out the format of an uploaded file from its contents
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} 'pdf', 'jpg' or 'png', or null for anything else
+ */
+function detectAttachmentFormat(buffer) {
+  return Object.keys(ATTACHMENT_FORMATS).find(format => {
+    const { signature } = ATTACHMENT_FORMATS[format];
+    return buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+  }) || null;
+}
+
+/**
+ * Checks an upload and its type and notes before anything is stored
+ * @param {Object} upload - { buffer, originalName, type, notes }
+ * @returns {Object} { buffer, format, originalName, type, notes } with the name and notes cleaned up
+ * @throws {AppError} 400 listing every problem by field (file, type, notes)
+ */
+function prepareAttachment({ buffer, originalName, type, notes }) {
+  const errors = {};
+  const format = buffer && buffer.length > 0 ? detectAttachmentFormat(buffer) : null;
+  const cleanNotes = typeof notes === 'string' ? notes.trim() : '';
+
+  if (!buffer || buffer.length === 0) {
+    errors.file = 'Choose a file to attach';
+  } else if (buffer.length > ATTACHMENT_MAX_BYTES) {
+    errors.file = 'File is too large. Maximum size is 10MB.';
+  } else if (!format) {
+    errors.file = 'Attachments must be a PDF, JPEG or PNG file';
+  }
+  if (!ATTACHMENT_TYPES.includes(type)) {
+    errors.type = `Type must be one of: ${ATTACHMENT_TYPES.join(', ')}`;
+  }
+  if (cleanNotes.length > ATTACHMENT_NOTES_MAX_LENGTH) {
+    errors.notes = `Notes must be at most ${ATTACHMENT_NOTES_MAX_LENGTH} characters`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError(errors.file || errors.type || errors.notes, 400, ERROR_TYPES.VALIDATION, errors);
+  }
+
+  // Only the base name is kept, for the download; control characters are dropped
+  const baseName = path.basename(String(originalName || '').replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').trim();
+
+  return {
+    buffer,
+    format,
+    originalName: (baseName || `attachment.${format}`).slice(0, 200),
+    type,
+    notes: cleanNotes
+  };
+}
+
+/**
+ * Writes a checked upload for a profile
+ * @param {string|number} profileId - Profile id
+ * @param {Object} prepared - Result of prepareAttachment()
+ * @param {Object} [uploadedBy] - Logged-in user ({ id, username, name })
+ * @returns {Object} Attachment entry, to be added to profile.attachments
+ */
+function saveProfileAttachment(profileId, prepared, uploadedBy) {
+  const safeId = String(profileId).replace(/[^A-Za-z0-9_-]/g, '_');
+  const uploadedAt = new Date();
+  const stamp = uploadedAt.toISOString().replace(/\D/g, '').slice(0, 14);
+  const id = crypto.randomBytes(4).toString('hex');
+  const fileName = `${safeId}-${stamp}-${id}.${prepared.format}`;
+
+  ensureDirectoryExists(getAttachmentsDir());
+  replaceFileAtomic(path.join(getAttachmentsDir(), fileName), prepared.buffer);
+
+  log.info('Profile attachment saved', {
+    source: 'ProfileAttachmentService',
+    profileId,
+    fileName,
+    type: prepared.type,
+    size: prepared.buffer.length
+  });
+
+  return {
+    id,
+    type: prepared.type,
+    fileName,
+    originalName: prepared.originalName,
+    contentType: ATTACHMENT_FORMATS[prepared.format].contentType,
+    size: prepared.buffer.length,
+    notes: prepared.notes,
+    uploadedAt: uploadedAt.toISOString(),
+    uploadedBy: uploadedBy ? { id: uploadedBy.id, username: uploadedBy.username, name: uploadedBy.name } : null
+  };
+}
+
+/**
+ * Deletes a stored attachment file (a missing file is ignored)
+ * @param {string} fileName - Attachment file name (attachment.fileName)
+ */
+function deleteAttachmentFile(fileName) {
+  if (typeof fileName !== 'string' || !ATTACHMENT_FILE_PATTERN.test(fileName)) return;
+  try {
+    fs.rmSync(path.join(getAttachmentsDir(), fileName), { force: true });
+  } catch (error) {
+    log.warn('Could not delete profile attachment file', {
+      source: 'ProfileAttachmentService',
+      fileName,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get the path of a stored attachment
+ * @param {string} fileName - Attachment file name (attachment.fileName)
+ * @returns {string|null} File path, or null if the name is not a stored attachment name or the file is gone
+ */
+function getAttachmentPath(fileName) {
+  if (typeof fileName !== 'string' || !ATTACHMENT_FILE_PATTERN.test(fileName)) {
+    return null;
+  }
+  const filePath = path.join(getAttachmentsDir(), fileName);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Reads a stored attachment (for PDF exports)
+ * @param {string} fileName - Attachment file name (attachment.fileName)
+ * @returns {Buffer|null} File contents, or null if the file cannot be read
+ */
+function readAttachmentFile(fileName) {
+  const filePath = getAttachmentPath(fileName);
+  if (!filePath) return null;
+  try {
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    log.warn('Could not read profile attachment', {
+      source: 'ProfileAttachmentService',
+      fileName,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Lists the horoscope attachments of a profile, oldest first (the order their pages are appended)
+ * @param {Object} profile - Profile
+ * @returns {Array} Attachment entries
+ */
+function getHoroscopeAttachments(profile) {
+  return (Array.isArray(profile.attachments) ? profile.attachments : [])
+    .filter(attachment => attachment.type === HOROSCOPE_TYPE)
+    .sort((a, b) => String(a.uploadedAt).localeCompare(String(b.uploadedAt)));
+}
+
+// Initialize service
+log.info('Profile attachment service initialized', {
+  source: 'ProfileAttachmentService',
+  attachmentsDir: getAttachmentsDir(),
+  attachmentTypes: ATTACHMENT_TYPES,
+  availableFunctions: ['prepareAttachment', 'saveProfileAttachment', 'deleteAttachmentFile', 'getAttachmentPath', 'readAttachmentFile', 'getHoroscopeAttachments'],
+  dependentServices: []
+});
+
+module.exports = {
+  ATTACHMENT_MAX_BYTES,
+  MAX_ATTACHMENTS_PER_PROFILE,
+  ATTACHMENT_TYPES,
+  getAttachmentsDir,
+  prepareAttachment,
+  saveProfileAttachment,
+  deleteAttachmentFile,
+  getAttachmentPath,
+  readAttachmentFile,
+  getHoroscopeAttachments
+};
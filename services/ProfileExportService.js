@@ -0,0 +1,250 @@
+const XLSX = require('xlsx');
+const log = require('../utils/logger');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+const { VALIDATION_CONFIG } = require('../utils/validationConfig');
+const { calculateAge } = require('../utils/AgeCalculator');
+const { getNakshatraName } = require('./NakshatraService');
+const { getGothramById } = require('./GothramService');
+const { isActiveProfile } = require('./BatchMatchingService');
+
+/**
+ * Profile Export Service
+ * Builds the full-database export (Excel or CSV) used for offline reporting:
+ *   parseExportOptions()       validates the format, chosen columns and filters from the query string
+ *   filterProfilesForExport()  applies the gender, active status, region and created date filters
+ *   buildExportFile()          one row per profile with nakshatra and gothram names resolved
+ * Column headers use the same wording the import wizard recognizes, so an exported file can be
+ * edited and imported again.
+ */
+
+const EXPORT_FORMATS = ['xlsx', 'csv'];
+
+const EXPORT_STATUSES = ['all', 'active', 'inactive'];
+
+// Shown for yes/no fields
+const formatYesNo = (value) => (value === true || value === 'true' ? 'Yes' : 'No');
+
+// Shown for createdAt/updatedAt (blank for profiles saved before timestamps existed)
+const formatTimestamp = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toLocaleString('en-IN') : '';
+};
+
+// Gothram is stored by name; profiles saved with a gothram id get the name of that id
+const resolveGothramName = (value) => {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (/^\d+$/.test(text)) {
+    const gothram = getGothramById(text);
+    if (gothram) return gothram.name;
+  }
+  return text;
+};
+
+const textOf = (field) => (profile) => (profile[field] === undefined || profile[field] === null ? '' : String(profile[field]));
+
+// Every exportable column, in file order: key (used in ?columns=), header, Excel width and value
+const EXPORT_COLUMNS = [
+  { key: 'serial_no', label: 'Serial No', width: 10, value: textOf('serial_no') },
+  { key: 'name', label: 'Name', width: 25, value: textOf('name') },
+  { key: 'gender', label: 'Gender', width: 8, value: textOf('gender') },
+  { key: 'age', label: 'Age', width: 6, value: (profile) => calculateAge(profile.birth_date, profile.id) ?? '' },
+  { key: 'birth_date', label: 'Birth Date', width: 12, value: textOf('birth_date') },
+  { key: 'birth_time', label: 'Birth Time', width: 10, value: textOf('birth_time') },
+  { key: 'birth_place', label: 'Birth Place', width: 18, value: textOf('birth_place') },
+  { key: 'nakshatra', label: 'Nakshatra', width: 20, value: (profile) => (profile.nakshatraid ? getNakshatraName(profile.nakshatraid) : '') },
+  { key: 'rasi_lagnam', label: 'Rasi Lagnam', width: 14, value: textOf('rasi_lagnam') },
+  { key: 'navamsam_lagnam', label: 'Navamsam Lagnam', width: 16, value: textOf('navamsam_lagnam') },
+  { key: 'gothram', label: 'Gothram', width: 18, value: (profile) => resolveGothramName(profile.gothram) },
+  { key: 'father_name', label: 'Father Name', width: 22, value: textOf('father_name') },
+  { key: 'mother_name', label: 'Mother Name', width: 22, value: textOf('mother_name') },
+  { key: 'siblings', label: 'Siblings', width: 20, value: textOf('siblings') },
+  { key: 'qualification', label: 'Qualification', width: 12, value: textOf('qualification') },
+  { key: 'qualification_details', label: 'Qualification Details', width: 25, value: textOf('qualification_details') },
+  { key: 'job_details', label: 'Job Details', width: 25, value: textOf('job_details') },
+  { key: 'monthly_income', label: 'Monthly Income', width: 14, value: textOf('monthly_income') },
+  { key: 'region', label: 'Region', width: 18, value: textOf('region') },
+  { key: 'address', label: 'Address', width: 35, value: textOf('address') },
+  { key: 'contact_no', label: 'Contact No', width: 14, value: textOf('contact_no') },
+  { key: 'additional_contact_no', label: 'Additional Contact No', width: 14, value: textOf('additional_contact_no') },
+  { key: 'is_active', label: 'Active', width: 8, value: (profile) => (isActiveProfile(profile) ? 'Yes' : 'No') },
+  { key: 'is_remarried', label: 'Remarried', width: 10, value: (profile) => formatYesNo(profile.is_remarried) },
+  { key: 'createdAt', label: 'Created', width: 20, value: (profile) => formatTimestamp(profile.createdAt) },
+  { key: 'updatedAt', label: 'Updated', width: 20, value: (profile) => formatTimestamp(profile.updatedAt) }
+];
+
+const EXPORT_COLUMN_KEYS = EXPORT_COLUMNS.map(column => column.key);
+
+/**
+ * Reads a YYYY-MM-DD query value as the start or end of that local day
+ * @param {string} value - Date text
+ * @param {boolean} endOfDay - True for the last millisecond of the day
+ * @returns {Date|null} The date, or null if the text is not a real YYYY-MM-DD date
+ */
+function parseDay(value, endOfDay) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Validates the export query string
+ * @param {Object} query - { format, columns, gender, status, region, createdFrom, createdTo }; columns is a
+ *   comma-separated list of column keys (or repeated), every other value may be omitted
+ * @returns {Object} { format, columns: [column], filters: { gender, status, region, createdFrom, createdTo } }
+ * @throws {AppError} 400 with { field: message } details for every invalid value
+ */
+function parseExportOptions(query = {}) {
+  const errors = {};
+
+  const format = query.format ? String(query.format).toLowerCase() : 'xlsx';
+  if (!EXPORT_FORMATS.includes(format)) {
+    errors.format = `Format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+  }
+
+  const requestedKeys = query.columns === undefined || query.columns === ''
+    ? EXPORT_COLUMN_KEYS
+    : [].concat(query.columns).join(',').split(',').map(key => key.trim()).filter(Boolean);
+  const unknownKeys = requestedKeys.filter(key => !EXPORT_COLUMN_KEYS.includes(key));
+  if (requestedKeys.length === 0) {
+    errors.columns = 'Choose at least one column';
+  } else if (unknownKeys.length > 0) {
+    errors.columns = `Unknown columns: ${unknownKeys.join(', ')}`;
+  }
+
+  const gender = query.gender || '';
+  if (gender && !VALIDATION_CONFIG.ENUMS.gender.includes(gender)) {
+    errors.gender = `Gender must be one of: ${VALIDATION_CONFIG.ENUMS.gender.join(', ')}`;
+  }
+
+  const status = query.status || 'all';
+  if (!EXPORT_STATUSES.includes(status)) {
+    errors.status = `Status must be one of: ${EXPORT_STATUSES.join(', ')}`;
+  }
+
+  const region = query.region || '';
+  if (region && !VALIDATION_CONFIG.ENUMS.region.includes(region)) {
+    errors.region = 'Invalid region';
+  }
+
+  const createdFrom = query.createdFrom ? parseDay(query.createdFrom, false) : null;
+  const createdTo = query.createdTo ? parseDay(query.createdTo, true) : null;
+  if (query.createdFrom && !createdFrom) {
+    errors.createdFrom = 'Created from must be a date (YYYY-MM-DD)';
+  }
+  if (query.createdTo && !createdTo) {
+    errors.createdTo = 'Created to must be a date (YYYY-MM-DD)';
+  }
+  if (createdFrom && createdTo && createdFrom > createdTo) {
+    errors.createdTo = 'Created to must not be before created from';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new AppError('Invalid export options', 400, ERROR_TYPES.VALIDATION, errors);
+  }
+
+  return {
+    format,
+    // Chosen columns keep the file order, whatever order they were requested in
+    columns: EXPORT_COLUMNS.filter(column => requestedKeys.includes(column.key)),
+    filters: { gender, status, region, createdFrom, createdTo }
+  };
+}
+
+/**
+ * Applies the export filters
+ * Profiles without a createdAt are left out whenever a created date range is set.
+ * @param {Array} profiles - Profiles (not modified)
+ * @param {Object} filters - Filters from parseExportOptions()
+ * @returns {Array} Matching profiles, in serial number order
+ */
+function filterProfilesForExport(profiles, filters) {
+  const { gender, status, region, createdFrom, createdTo } = filters;
+  return profiles
+    .filter(profile => !gender || profile.gender === gender)
+    .filter(profile => status === 'all' || (status === 'active') === isActiveProfile(profile))
+    .filter(profile => !region || profile.region === region)
+    .filter(profile => {
+      if (!createdFrom && !createdTo) return true;
+      const created = profile.createdAt ? new Date(profile.createdAt) : null;
+      if (!created || isNaN(created.getTime())) return false;
+      return (!createdFrom || created >= createdFrom) && (!createdTo || created <= createdTo);
+    })
+    .sort((a, b) => String(a.serial_no || '').localeCompare(String(b.serial_no || ''), undefined, { numeric: true }));
+}
+
+/**
+ * Describes the applied filters for the "Export Info" sheet
+ * @param {Object} filters - Filters from parseExportOptions()
+ * @returns {Array} [{ Setting, Value }]
+ */
+function describeExportFilters(filters) {
+  const formatDay = (date) => (date ? date.toLocaleDateString('en-IN') : 'Any');
+  return [
+    { 'Setting': 'Gender', 'Value': filters.gender || 'All' },
+    { 'Setting': 'Status', 'Value': filters.status === 'all' ? 'All' : filters.status === 'active' ? 'Active only' : 'Inactive only' },
+    { 'Setting': 'Region', 'Value': filters.region || 'All' },
+    { 'Setting': 'Created From', 'Value': formatDay(filters.createdFrom) },
+    { 'Setting': 'Created To', 'Value': formatDay(filters.createdTo) }
+  ];
+}
+
+/**
+ * Builds the export file
+ * Excel files get a "Profiles" sheet and an "Export Info" sheet listing the filters; CSV files hold
+ * the profile rows only (UTF-8 with a byte order mark so Excel shows Tamil text correctly).
+ * @param {Array} profiles - Profiles to export
+ * @param {Object} options - Parsed options from parseExportOptions()
+ * @returns {Object} { buffer, contentType, extension }
+ */
+function buildExportFile(profiles, options) {
+  const { format, columns, filters } = options;
+  const rows = [
+    columns.map(column => column.label),
+    ...profiles.map(profile => columns.map(column => column.value(profile)))
+  ];
+  const profilesSheet = XLSX.utils.aoa_to_sheet(rows);
+
+  if (format === 'csv') {
+    return {
+      buffer: Buffer.from('\uFEFF' + XLSX.utils.sheet_to_csv(profilesSheet), 'utf8'),
+      contentType: 'text/csv; charset=utf-8',
+      extension: 'csv'
+    };
+  }
+
+  profilesSheet['!cols'] = columns.map(column => ({ wch: column.width }));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, profilesSheet, 'Profiles');
+
+  const infoSheet = XLSX.utils.json_to_sheet([
+    { 'Setting': 'Generated', 'Value': new Date().toLocaleString('en-IN') },
+    { 'Setting': 'Profiles', 'Value': profiles.length },
+    ...describeExportFilters(filters)
+  ]);
+  infoSheet['!cols'] = [{ wch: 20 }, { wch: 25 }];
+  XLSX.utils.book_append_sheet(workbook, infoSheet, 'Export Info');
+
+  return {
+    buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  };
+}
+
+// Initialize service
+log.info('Profile export service initialized', {
+  source: 'ProfileExportService',
+  availableFunctions: ['parseExportOptions', 'filterProfilesForExport', 'buildExportFile'],
+  dependentServices: ['NakshatraService', 'GothramService', 'BatchMatchingService']
+});
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  EXPORT_STATUSES,
+  parseExportOptions,
+  filterProfilesForExport,
+  buildExportFile
+};
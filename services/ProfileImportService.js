@@ -0,0 +1,391 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const Profile = require('../models/profile');
+const log = require('../utils/logger');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+const { VALIDATION_CONFIG } = require('../utils/validationConfig');
+const { nakshatraData } = require('./NakshatraService');
+const { getAllGothrams } = require('./GothramService');
+
+/**
+ * Profile Import Service
+ * Reads profile rows from an uploaded .xlsx, .xls or .csv file for the bulk import wizard:
+ *   readImportFile()       first sheet as { headers, rows }, one row per non-empty line
+ *   suggestColumnMapping() guesses the profile field of each column from its header
+ *   convertImportRow()     turns one row into profile form values, resolving nakshatra and gothram
+ *                          names and normalizing dates, times, phone numbers and yes/no values
+ * Validation, duplicate checks and saving are left to the import controller, which runs the same
+ * validation as the create form on every converted row.
+ */
+
+const IMPORT_FILE_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+// Most rows accepted from one file
+const MAX_IMPORT_ROWS = 5000;
+
+// Profile fields a column can be mapped to (id and timestamps are assigned on import, photos and
+// attachments are uploaded per profile)
+const IMPORT_FIELDS = Object.keys(new Profile({}))
+  .filter(field => !['id', 'createdAt', 'updatedAt', 'photo', 'attachments'].includes(field));
+
+// Header spellings recognized for each field, compared after normalizeHeader()
+const IMPORT_COLUMN_ALIASES = {
+  serial_no: ['serialno', 'serial', 'sno', 'slno', 'regno', 'registrationno', 'profileno'],
+  name: ['name', 'fullname', 'candidatename', 'brideorgroomname'],
+  father_name: ['fathername', 'fathersname', 'father'],
+  mother_name: ['mothername', 'mothersname', 'mother'],
+  siblings: ['siblings', 'brothersandsisters'],
+  gothram: ['gothram', 'gotram', 'gothra', 'gotra'],
+  birth_date: ['birthdate', 'dateofbirth', 'dob'],
+  birth_time: ['birthtime', 'timeofbirth', 'tob'],
+  birth_place: ['birthplace', 'placeofbirth', 'pob'],
+  qualification: ['qualification', 'education'],
+  job_details: ['jobdetails', 'job', 'occupation', 'profession'],
+  monthly_income: ['monthlyincome', 'income', 'salary'],
+  address: ['address'],
+  contact_no: ['contactno', 'contact', 'phone', 'phoneno', 'mobile', 'mobileno', 'contactnumber'],
+  gender: ['gender', 'sex'],
+  region: ['region', 'district', 'area'],
+  additional_contact_no: ['additionalcontactno', 'alternatecontact', 'alternatephone', 'phone2', 'mobile2'],
+  qualification_details: ['qualificationdetails', 'educationdetails', 'degree'],
+  is_active: ['isactive', 'active', 'status'],
+  nakshatraid: ['nakshatraid', 'nakshatra', 'nakshatram', 'natchathiram', 'star'],
+  is_remarried: ['isremarried', 'remarried', 'remarriage'],
+  rasi_lagnam: ['rasilagnam', 'lagnam'],
+  navamsam_lagnam: ['navamsamlagnam', 'navamsam']
+};
+
+/**
+ * Reduces a header or name to lower-case letters and digits for comparison
+ * @param {*} value - Header text
+ * @returns {string} Normalized text
+ */
+function normalizeHeader(value) {
+  return String(value === undefined || value === null ? '' : value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Reads the first sheet of an uploaded import file
+ * The first row holds the column headers; rows with no values are skipped.
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - Original file name (its extension selects the format)
+ * @returns {Object} { sheetName, headers, rows: [{ rowNumber, values: [] }] } with rowNumber as shown in Excel
+ * @throws {AppError} 400 if the file type is not supported, cannot be read, has no header row or too many rows
+ */
+function readImportFile(buffer, fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (!IMPORT_FILE_EXTENSIONS.includes(extension)) {
+    throw new AppError(
+      `Only ${IMPORT_FILE_EXTENSIONS.join(', ')} files can be imported`,
+      400,
+      ERROR_TYPES.VALIDATION,
+      { field: 'file', fileName }
+    );
+  }
+
+  let workbook;
+  try {
+    // CSV values are kept as typed text (no number or date guessing, so leading zeros survive);
+    // in Excel files dates stay serial numbers and are converted per mapped field
+    workbook = XLSX.read(buffer, extension === '.csv' ? { type: 'buffer', raw: true } : { type: 'buffer' });
+  } catch (error) {
+    throw new AppError(
+      'The file could not be read as a spreadsheet',
+      400,
+      ERROR_TYPES.VALIDATION,
+      { field: 'file', fileName, reason: error.message }
+    );
+  }
+
+  const sheetName = workbook.SheetNames[0];
+  const sheetRows = sheetName
+    ? XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: '', blankrows: true })
+    : [];
+  const headers = (sheetRows[0] || []).map(header => String(header).trim());
+  if (headers.filter(Boolean).length === 0) {
+    throw new AppError(
+      'The first row of the sheet must contain column headers',
+      400,
+      ERROR_TYPES.VALIDATION,
+      { field: 'file', fileName }
+    );
+  }
+
+  const rows = [];
+  sheetRows.slice(1).forEach((values, index) => {
+    if (values.some(value => String(value).trim() !== '')) {
+      rows.push({ rowNumber: index + 2, values });
+    }
+  });
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(
+      `A file can contain at most ${MAX_IMPORT_ROWS} profiles; split it and import the parts separately`,
+      400,
+      ERROR_TYPES.VALIDATION,
+      { field: 'file', fileName, rowCount: rows.length }
+    );
+  }
+
+  log.debug('Import file read', {
+    source: 'ProfileImportService',
+    fileName,
+    sheetName,
+    columnsCount: headers.length,
+    rowsCount: rows.length
+  });
+
+  return { sheetName, headers, rows };
+}
+
+/**
+ * Guesses the profile field of each column from its header
+ * @param {Array} headers - Column headers
+ * @returns {Array} Field name (or '' to skip the column) for each column; each field is used once
+ */
+function suggestColumnMapping(headers) {
+  const used = new Set();
+  return headers.map(header => {
+    const key = normalizeHeader(header);
+    const field = IMPORT_FIELDS.find(candidate =>
+      !used.has(candidate) && (normalizeHeader(candidate) === key || (IMPORT_COLUMN_ALIASES[candidate] || []).includes(key))
+    );
+    if (!field) return '';
+    used.add(field);
+    return field;
+  });
+}
+
+/**
+ * Checks a column mapping sent by the wizard
+ * @param {Array} mapping - Field name (or '') for each column
+ * @param {number} columnCount - Number of columns in the file
+ * @returns {Array} [{ field, message }] problems found (empty if the mapping is usable)
+ */
+function validateColumnMapping(mapping, columnCount) {
+  if (!Array.isArray(mapping) || mapping.length !== columnCount) {
+    return [{ field: 'mapping', message: `The mapping must list a field (or nothing) for each of the ${columnCount} columns` }];
+  }
+  const errors = [];
+  const seen = new Set();
+  mapping.forEach((field, column) => {
+    if (!field) return;
+    if (!IMPORT_FIELDS.includes(field)) {
+      errors.push({ field: `mapping.${column}`, message: `${field} is not a profile field` });
+    } else if (seen.has(field)) {
+      errors.push({ field: `mapping.${column}`, message: `${field} is mapped to more than one column` });
+    }
+    seen.add(field);
+  });
+  return errors;
+}
+
+/**
+ * Formats an Excel date serial number as YYYY-MM-DD
+ * @param {number} serial - Excel date value
+ * @returns {string} Date, or '' if the number is not a date
+ */
+function excelSerialToDate(serial) {
+  const parts = XLSX.SSF.parse_date_code(serial);
+  if (!parts || !parts.y) return '';
+  return `${parts.y}-${String(parts.m).padStart(2, '0')}-${String(parts.d).padStart(2, '0')}`;
+}
+
+/**
+ * Converts a birth date cell to YYYY-MM-DD
+ * Text dates are read day first (DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY) unless they are already YYYY-MM-DD.
+ * @param {*} value - Cell value
+ * @returns {string} Converted date, or the cell text unchanged if it is not recognizable (validation reports it)
+ */
+function convertDate(value) {
+  if (typeof value === 'number') {
+    return excelSerialToDate(value) || String(value);
+  }
+  const text = String(value).trim();
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) {
+    return `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+  }
+  const isoDate = text.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/);
+  if (isoDate) {
+    return `${isoDate[1]}-${isoDate[2].padStart(2, '0')}-${isoDate[3].padStart(2, '0')}`;
+  }
+  return text;
+}
+
+/**
+ * Checks that a YYYY-MM-DD date exists on the calendar (the profile validator lets 1990-02-31 roll over)
+ * @param {string} text - Converted date
+ * @returns {boolean} False only for YYYY-MM-DD text whose day or month is out of range
+ */
+function isCalendarDate(text) {
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return true;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+}
+
+/**
+ * Converts a birth time cell to 24-hour HH:MM
+ * @param {*} value - Cell value (Excel time fraction, or text such as 10:30, 10.30, 2:15 PM)
+ * @returns {string} Converted time, or the cell text unchanged if it is not recognizable (validation reports it)
+ */
+function convertTime(value) {
+  if (typeof value === 'number') {
+    const minutes = Math.round((value % 1) * 24 * 60);
+    return `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+  const text = String(value).trim();
+  const match = text.toLowerCase().match(/^(\d{1,2})[:.](\d{2})(?::\d{2})?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) return text;
+  let hours = parseInt(match[1], 10);
+  const meridiem = match[3] ? match[3].charAt(0) : '';
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Converts a phone number cell to its digits, dropping a +91 / 91 / 0 prefix from 10-digit numbers
+ * @param {*} value - Cell value
+ * @returns {string} Digits
+ */
+function convertPhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+}
+
+/**
+ * Converts a yes/no cell to 'true' or 'false' (the stored form of is_active and is_remarried)
+ * @param {*} value - Cell value (yes/no, y/n, true/false, 1/0, active/inactive)
+ * @returns {string} 'true', 'false', or the cell text unchanged if it is neither (validation reports it)
+ */
+function convertYesNo(value) {
+  const text = String(value).trim().toLowerCase();
+  if (['yes', 'y', 'true', '1', 'active'].includes(text)) return 'true';
+  if (['no', 'n', 'false', '0', 'inactive'].includes(text)) return 'false';
+  return text;
+}
+
+/**
+ * Finds a value in a list case-insensitively
+ * @param {string} value - Value to look up
+ * @param {Array} allowedValues - Allowed spellings
+ * @returns {string} The allowed spelling, or the value unchanged if there is none (validation reports it)
+ */
+function matchEnum(value, allowedValues) {
+  const key = normalizeHeader(value);
+  return allowedValues.find(allowed => normalizeHeader(allowed) === key) || value;
+}
+
+/**
+ * Resolves a nakshatra given by id, name, display name or full name ("Aswini", "Aswini_Mesham",
+ * "Karthigai (Pada 1)", "1 - Aswini_Mesham" as in the profile form)
+ * @param {*} value - Cell value
+ * @returns {string|null} Nakshatra id, or null if the value names no nakshatra
+ */
+function resolveNakshatraId(value) {
+  const text = String(value).trim();
+  const leadingId = text.match(/^(\d+)(\s*-.*)?$/);
+  if (leadingId) {
+    const nakshatra = nakshatraData.find(n => n.id === parseInt(leadingId[1], 10));
+    return nakshatra ? String(nakshatra.id) : null;
+  }
+  const key = normalizeHeader(text);
+  const nakshatra = nakshatraData.find(n =>
+    [n.name, n.display_name, n.full_name].some(name => normalizeHeader(name) === key)
+  );
+  return nakshatra ? String(nakshatra.id) : null;
+}
+
+/**
+ * Converts one row into profile form values
+ * Every value is returned as text, as the create form submits it.
+ * @param {Array} values - Cell values of the row
+ * @param {Array} mapping - Field name (or '') for each column
+ * @returns {Object} { data, errors: [{ field, message }], warnings: [{ field, message }] }
+ */
+function convertImportRow(values, mapping) {
+  const data = {};
+  const errors = [];
+  const warnings = [];
+
+  mapping.forEach((field, column) => {
+    if (!field) return;
+    const value = values[column];
+    if (value === undefined || value === null || String(value).trim() === '') return;
+
+    switch (field) {
+      case 'birth_date':
+        data[field] = convertDate(value);
+        if (!isCalendarDate(data[field])) {
+          errors.push({ field, message: `Birth date "${String(value).trim()}" is not a real date` });
+        }
+        break;
+      case 'birth_time':
+        data[field] = convertTime(value);
+        break;
+      case 'contact_no':
+      case 'additional_contact_no':
+        data[field] = convertPhone(value);
+        break;
+      case 'gender': {
+        const text = String(value).trim().toLowerCase();
+        data[field] = text === 'm' ? 'Male' : text === 'f' ? 'Female' : matchEnum(String(value).trim(), VALIDATION_CONFIG.ENUMS.gender);
+        break;
+      }
+      case 'qualification':
+      case 'region':
+        data[field] = matchEnum(String(value).trim(), VALIDATION_CONFIG.ENUMS[field]);
+        break;
+      case 'rasi_lagnam':
+      case 'navamsam_lagnam':
+        data[field] = matchEnum(String(value).trim(), VALIDATION_CONFIG.ENUMS.lagnam);
+        break;
+      case 'is_active':
+      case 'is_remarried':
+        data[field] = convertYesNo(value);
+        break;
+      case 'nakshatraid': {
+        const nakshatraId = resolveNakshatraId(value);
+        if (nakshatraId) {
+          data[field] = nakshatraId;
+        } else {
+          errors.push({ field, message: `Unknown nakshatra "${String(value).trim()}"` });
+        }
+        break;
+      }
+      case 'gothram': {
+        const text = String(value).trim().replace(/\s+/g, ' ');
+        const gothram = getAllGothrams().find(g => normalizeHeader(g.name) === normalizeHeader(text) || String(g.id) === text);
+        data[field] = gothram ? gothram.name : text;
+        if (!gothram) {
+          warnings.push({ field, message: `Gothram "${text}" is not in the gothram list; it will be saved as written` });
+        }
+        break;
+      }
+      default:
+        data[field] = String(value).trim();
+    }
+  });
+
+  return { data, errors, warnings };
+}
+
+// Initialize service
+log.info('Profile import service initialized', {
+  source: 'ProfileImportService',
+  availableFunctions: ['readImportFile', 'suggestColumnMapping', 'validateColumnMapping', 'convertImportRow'],
+  dependentServices: ['NakshatraService', 'GothramService']
+});
+
+module.exports = {
+  IMPORT_FILE_EXTENSIONS,
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  readImportFile,
+  suggestColumnMapping,
+  validateColumnMapping,
+  convertImportRow
+};
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const log = require('../utils/logger');
+const { AppError, ERROR_TYPES } = require('../utils/errorHandler');
+const { ensureDirectoryExists, getDataPath } = require('../utils/appData');
+const { replaceFileAtomic } = require('../utils/atomicFile');
+
+/**
+ * Profile Photo Service
+ * Stores one photo per profile in photos/ in the AppData data directory. Uploads (JPEG or PNG) are
+ * decoded in pure JavaScript (jpeg-js, pngjs), turned upright from the camera's EXIF orientation,
+ * scaled down and saved as two JPEG files:
+ *   <profile id>-<upload time>.jpg        at most PHOTO_MAX_SIZE pixels on the longer side
+ *   <profile id>-<upload time>-thumb.jpg  a THUMBNAIL_SIZE square cut from the middle
+ * The profile's `photo` field holds the first file name. Every upload gets a new name, so pages and
+ * PDFs never show a cached older photo, and the replaced files are deleted.
+ */
+
+// Largest upload accepted
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+
+// Longer side of the stored photo, in pixels
+const PHOTO_MAX_SIZE = 800;
+
+// Side of the square thumbnail, in pixels
+const THUMBNAIL_SIZE = 160;
+
+const JPEG_QUALITY = 85;
+
+// Stored photo names: filename-safe profile id, upload time, optional -thumb
+const PHOTO_FILE_PATTERN = /^[A-Za-z0-9_-]+-\d{14}\.jpg$/;
+
+/**
+ * Get the photos directory in AppData/data
+ */
+function getPhotosDir() {
+  return path.join(getDataPath(), 'photos');
+}
+
+/**
+ * Get the thumbnail file name of a stored photo
+ * @param {string} fileName - Photo file name (profile.photo)
+ * @returns {string} Thumbnail file name
+ */
+function getThumbnailName(fileName) {
+  return fileName.replace(/\.jpg$/, '-thumb.jpg');
+}
+
+/**
+ * Get the path of a stored photo or its thumbnail
+ * @param {string} fileName - Photo file name (profile.photo)
+ * @param {string} [variant='photo'] - 'photo' or 'thumbnail'
+ * @returns {string|null} File path, or null if the name is not a stored photo name or the file is gone
+ */
+function getProfilePhotoPath(fileName, variant = 'photo') {
+  if (typeof fileName !== 'string' || !PHOTO_FILE_PATTERN.test(fileName)) {
+    return null;
+  }
+  const filePath = path.join(getPhotosDir(), variant === 'thumbnail' ? getThumbnailName(fileName) : fileName);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Reads the EXIF orientation of a JPEG (1 = upright, 3 = upside down, 6/8 = turned a quarter)
+ * @param {Buffer} buffer - JPEG file
+ * @returns {number} Orientation, 1 when the file has none or it cannot be read
+ */
+function readJpegOrientation(buffer) {
+  try {
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+      const marker = buffer[offset + 1];
+      if (marker === 0xDA) break; // image data starts; no EXIF block before it
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker === 0xE1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+        const tiff = offset + 10;
+        const littleEndian = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+        const read16 = (position) => (littleEndian ? buffer.readUInt16LE(position) : buffer.readUInt16BE(position));
+        const read32 = (position) => (littleEndian ? buffer.readUInt32LE(position) : buffer.readUInt32BE(position));
+        const ifd = tiff + read32(tiff + 4);
+        const entries = read16(ifd);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (read16(entry) === 0x0112) return read16(entry + 8);
+        }
+        return 1;
+      }
+      offset += 2 + length;
+    }
+  } catch (error) {
+    // A damaged EXIF block only costs the rotation
+  }
+  return 1;
+}
+
+/**
+ * Turns decoded pixels upright for EXIF orientations 3, 6 and 8 (mirrored orientations are left as they are)
+ * @param {Object} image - { width, height, data } RGBA pixels
+ * @param {number} orientation - EXIF orientation
+ * @returns {Object} Upright image
+ */
+function applyOrientation(image, orientation) {
+  if (![3, 6, 8].includes(orientation)) return image;
+
+  const { width, height, data } = image;
+  const turned = orientation !== 3;
+  const outWidth = turned ? height : width;
+  const outHeight = turned ? width : height;
+  const out = new Uint8Array(outWidth * outHeight * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let outX = width - 1 - x;
+      let outY = height - 1 - y;
+      if (orientation === 6) {
+        outX = height - 1 - y;
+        outY = x;
+      } else if (orientation === 8) {
+        outX = y;
+        outY = width - 1 - x;
+      }
+      const from = (y * width + x) * 4;
+      const to = (outY * outWidth + outX) * 4;
+      out[to] = data[from];
+      out[to + 1] = data[from + 1];
+      out[to + 2] = data[from + 2];
+      out[to + 3] = data[from + 3];
+    }
+  }
+  return { width: outWidth, height: outHeight, data: out };
+}
+
+/**
+ * Decodes an uploaded JPEG or PNG into RGBA pixels (transparent PNG areas become white)
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Object} { width, height, data }
+ * @throws {AppError} 400 if the file is not a readable JPEG or PNG
+ */
+function decodeImage(buffer) {
+  const isJpeg = buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8;
+  const isPng = buffer.length > 8 && buffer.toString('latin1', 1, 4) === 'PNG';
+
+  if (!isJpeg && !isPng) {
+    throw new AppError('Photo must be a JPEG or PNG image', 400, ERROR_TYPES.VALIDATION, { field: 'photo' });
+  }
+
+  try {
+    if (isJpeg) {
+      const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: 50 });
+      return applyOrientation(image, readJpegOrientation(buffer));
+    }
+
+    const png = PNG.sync.read(buffer);
+    const data = new Uint8Array(png.data);
+    for (let i = 0; i < data.length; i += 4) {
+      const alpha = data[i + 3] / 255;
+      if (alpha < 1) {
+        data[i] = Math.round(data[i] * alpha + 255 * (1 - alpha));
+        data[i + 1] = Math.round(data[i + 1] * alpha + 255 * (1 - alpha));
+        data[i + 2] = Math.round(data[i + 2] * alpha + 255 * (1 - alpha));
+        data[i + 3] = 255;
+      }
+    }
+    return { width: png.width, height: png.height, data };
+  } catch (error) {
+    throw new AppError('The photo could not be read. Save it again as JPEG or PNG and retry.', 400, ERROR_TYPES.VALIDATION, {
+      field: 'photo',
+      reason: error.message
+    });
+  }
+}
+
+/**
+ * Scales part of an image down by averaging the source pixels under each target pixel
+ * @param {Object} image - { width, height, data } RGBA pixels
+ * @param {number} targetWidth - Width of the result
+ * @param {number} targetHeight - Height of the result
+ * @param {Object} [area] - { x, y, width, height } source area (whole image by default)
+ * @returns {Object} { width, height, data }
+ */
+function resizeImage(image, targetWidth, targetHeight, area = { x: 0, y: 0, width: image.width, height: image.height }) {
+  const out = new Uint8Array(targetWidth * targetHeight * 4);
+
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = area.y + Math.floor(ty * area.height / targetHeight);
+    const y1 = Math.max(area.y + Math.floor((ty + 1) * area.height / targetHeight), y0 + 1);
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = area.x + Math.floor(tx * area.width / targetWidth);
+      const x1 = Math.max(area.x + Math.floor((tx + 1) * area.width / targetWidth), x0 + 1);
+      let red = 0;
+      let green = 0;
+      let blue = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const from = (y * image.width + x) * 4;
+          red += image.data[from];
+          green += image.data[from + 1];
+          blue += image.data[from + 2];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const to = (ty * targetWidth + tx) * 4;
+      out[to] = Math.round(red / count);
+      out[to + 1] = Math.round(green / count);
+      out[to + 2] = Math.round(blue / count);
+      out[to + 3] = 255;
+    }
+  }
+  return { width: targetWidth, height: targetHeight, data: out };
+}
+
+/**
+ * Turns an upload into the stored photo and thumbnail
+ * @param {Buffer} buffer - Uploaded JPEG or PNG
+ * @returns {Object} { photo: Buffer, thumbnail: Buffer, width, height }
+ * @throws {AppError} 400 if the file is too large or not a readable JPEG or PNG
+ */
+function processPhoto(buffer) {
+  if (!buffer || buffer.length === 0) {
+    throw new AppError('Choose a photo to upload', 400, ERROR_TYPES.VALIDATION, { field: 'photo' });
+  }
+  if (buffer.length > PHOTO_MAX_BYTES) {
+    throw new AppError('Photo is too large. Maximum size is 5MB.', 400, ERROR_TYPES.VALIDATION, {
+      field: 'photo',
+      size: buffer.length,
+      maxSize: PHOTO_MAX_BYTES
+    });
+  }
+
+  const image = decodeImage(buffer);
+  const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(image.width, image.height));
+  const photo = scale < 1
+    ? resizeImage(image, Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)))
+    : image;
+
+  const side = Math.min(photo.width, photo.height);
+  const thumbnailSide = Math.min(THUMBNAIL_SIZE, side);
+  const thumbnail = resizeImage(photo, thumbnailSide, thumbnailSide, {
+    x: Math.floor((photo.width - side) / 2),
+    y: Math.floor((photo.height - side) / 2),
+    width: side,
+    height: side
+  });
+
+  return {
+    photo: jpeg.encode(photo, JPEG_QUALITY).data,
+    thumbnail: jpeg.encode(thumbnail, JPEG_QUALITY).data,
+    width: photo.width,
+    height: photo.height
+  };
+}
+
+/**
+ * Writes a processed photo for a profile
+ * @param {string|number} profileId - Profile id
+ * @param {Object} processed - Result of processPhoto()
+ * @returns {string} Photo file name, to be stored as profile.photo
+ */
+function saveProfilePhoto(profileId, processed) {
+  const safeId = String(profileId).replace(/[^A-Za-z0-9_-]/g, '_');
+  const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+  const fileName = `${safeId}-${stamp}.jpg`;
+
+  ensureDirectoryExists(getPhotosDir());
+  replaceFileAtomic(path.join(getPhotosDir(), getThumbnailName(fileName)), processed.thumbnail);
+  replaceFileAtomic(path.join(getPhotosDir(), fileName), processed.photo);
+
+  log.info('Profile photo saved', {
+    source: 'ProfilePhotoService',
+    profileId,
+    fileName,
+    width: processed.width,
+    height: processed.height,
+    size: processed.photo.length
+  });
+  return fileName;
+}
+
+/**
+ * Deletes a stored photo and its thumbnail (missing files are ignored)
+ * @param {string} fileName - Photo file name (profile.photo)
+ */
+function deleteProfilePhoto(fileName) {
+  if (typeof fileName !== 'string' || !PHOTO_FILE_PATTERN.test(fileName)) return;
+  [fileName, getThumbnailName(fileName)].forEach(name => {
+    try {
+      fs.rmSync(path.join(getPhotosDir(), name), { force: true });
+    } catch (error) {
+      log.warn('Could not delete profile photo file', {
+        source: 'ProfilePhotoService',
+        fileName: name,
+        error: error.message
+      });
+    }
+  });
+}
+
+/**
+ * Reads a stored photo (for PDF exports)
+ * @param {string} fileName - Photo file name (profile.photo)
+ * @param {string} [variant='photo'] - 'photo' or 'thumbnail'
+ * @returns {Buffer|null} JPEG bytes, or null if the profile has no readable photo
+ */
+function readProfilePhoto(fileName, variant = 'photo') {
+  const filePath = getProfilePhotoPath(fileName, variant);
+  if (!filePath) return null;
+  try {
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    log.warn('Could not read profile photo', {
+      source: 'ProfilePhotoService',
+      fileName,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+// Initialize service
+log.info('Profile photo service initialized', {
+  source: 'ProfilePhotoService',
+  photosDir: getPhotosDir(),
+  availableFunctions: ['processPhoto', 'saveProfilePhoto', 'deleteProfilePhoto', 'getProfilePhotoPath', 'readProfilePhoto'],
+  dependentServices: []
+});
+
+module.exports = {
+  PHOTO_MAX_BYTES,
+  getPhotosDir,
+  processPhoto,
+  saveProfilePhoto,
+  deleteProfilePhoto,
+  getProfilePhotoPath,
+  readProfilePhoto
+};
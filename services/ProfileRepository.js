@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const log = require('../utils/logger');
+const { getProfileStore, getArchiveStore } = require('./ProfileStorageService');
+const { filterProfiles, serialKey } = require('./storage/JsonProfileStore');
+
+/**
+ * Profile Repository
+ * The single place profiles are loaded from and saved to. Matching, listing, filtering, export,
+ * backup restore and profile edits all go through it, so every screen sees the same data.
+ *
+ * Profiles are read from the configured profile store (see ProfileStorageService) once and kept in
+ * memory until they change. The cache is dropped, and listeners registered with onProfilesChanged()
+ * are notified, when:
+ *   - profiles are saved through saveProfiles()
+ *   - profile.json is changed on disk by something else (watched with fs.watch, JSON backend only;
+ *     the SQLite database is only ever changed through the store)
+ *   - reloadProfiles() is called
+ *
+ * getProfiles() returns a new array on every call, but the profile objects are shared with the
+ * cache: replace records in the array (as the profile controller does), never modify them in place.
+ *
+ * Archived (soft-deleted) profiles live in a separate archive store and are not part of
+ * getProfiles(); each carries an `archive` object ({ reason, note, archivedAt, archivedBy }).
+ * The archive is read straight from its store, as it is only used by the admin archive view.
+ */
+
+// Coalesces the several fs.watch events one save produces (temp file write, rename) into one reload
+const WATCH_DEBOUNCE_MS = 100;
+
+const changeEvents = new EventEmitter();
+
+// { profiles, byId } for the current store contents, or null until next read
+let cache = null;
+let watcher = null;
+let watchTimer = null;
+
+/**
+ * Loads the profiles into the cache if they are not already there
+ * @returns {Object} { profiles, byId }
+ */
+function loadCache() {
+  if (!cache) {
+    const store = getProfileStore();
+    const profiles = store.getAll();
+    cache = {
+      profiles,
+      byId: new Map(profiles.map(p => [String(p.id), p]))
+    };
+    log.debug('Profiles loaded into repository cache', {
+      source: 'ProfileRepository',
+      storage: store.backend,
+      profilesCount: profiles.length
+    });
+  }
+  return cache;
+}
+
+/**
+ * Drops the cache and notifies change listeners
+ * @param {string} reason - 'save', 'file-change' or 'reload'
+ */
+function invalidate(reason) {
+  cache = null;
+  changeEvents.emit('change', { reason });
+}
+
+/**
+ * Gets all profiles, in saved order
+ * @returns {Array} Profiles (a new array; the profile objects must not be modified in place)
+ * @throws {AppError} If the profile store cannot be read
+ */
+function getProfiles() {
+  return loadCache().profiles.slice();
+}
+
+/**
+ * Gets one profile by id
+ * @param {string|number} id - Profile id
+ * @returns {Object|null} The profile, or null if there is none with that id
+ */
+function getProfileById(id) {
+  return loadCache().byId.get(String(id)) || null;
+}
+
+/**
+ * Finds a profile by serial number (trimmed, case-insensitive)
+ * @param {string} serialNo - Serial number
+ * @returns {Object|null} The first profile with that serial number, or null
+ */
+function findProfileBySerialNo(serialNo) {
+  const store = getProfileStore();
+  if (store.indexed) {
+    return store.findBySerialNo(serialNo);
+  }
+  const key = serialKey(serialNo);
+  return loadCache().profiles.find(p => p.serial_no && serialKey(p.serial_no) === key) || null;
+}
+
+/**
+ * Finds profiles by gender and/or nakshatra
+ * Indexed stores (SQLite) answer directly; otherwise the cached profiles are filtered.
+ * @param {Object} criteria - { gender, nakshatraIds }
+ * @returns {Array} Matching profiles
+ */
+function findProfiles(criteria) {
+  const store = getProfileStore();
+  return store.indexed ? store.find(criteria) : filterProfiles(loadCache().profiles, criteria);
+}
+
+/**
+ * Counts the profiles
+ * @returns {number} Number of profiles
+ */
+function countProfiles() {
+  return loadCache().profiles.length;
+}
+
+/**
+ * Saves the complete set of profiles and notifies change listeners
+ * @param {Array} profiles - All profiles, in the order to keep them
+ */
+function saveProfiles(profiles) {
+  try {
+    getProfileStore().replaceAll(profiles);
+  } finally {
+    // Even a failed write may have changed part of the store, so never keep serving the old cache
+    invalidate('save');
+  }
+}
+
+/**
+ * Gets all archived profiles, in the order they were archived
+ * @returns {Array} Archived profiles, each with its `archive` details
+ */
+function getArchivedProfiles() {
+  return getArchiveStore().getAll();
+}
+
+/**
+ * Gets one archived profile by id
+ * @param {string|number} id - Profile id
+ * @returns {Object|null} The archived profile, or null if there is none with that id
+ */
+function getArchivedProfileById(id) {
+  return getArchiveStore().getById(id);
+}
+
+/**
+ * Saves the complete set of archived profiles
+ * @param {Array} archivedProfiles - All archived profiles
+ */
+function saveArchivedProfiles(archivedProfiles) {
+  getArchiveStore().replaceAll(archivedProfiles);
+}
+
+/**
+ * Forces the next read to come from the profile store
+ */
+function reloadProfiles() {
+  invalidate('reload');
+  log.info('Profiles reloaded from storage', {
+    source: 'ProfileRepository'
+  });
+}
+
+/**
+ * Registers a listener called whenever the profiles change
+ * @param {Function} listener - Called with { reason }
+ * @returns {Function} Call to unregister the listener
+ */
+function onProfilesChanged(listener) {
+  changeEvents.on('change', listener);
+  return () => changeEvents.off('change', listener);
+}
+
+/**
+ * Starts watching profile.json for changes made outside the repository; call once after storage
+ * is initialized. The directory is watched rather than the file because atomic writes replace the
+ * file (rename), which ends a watch on the file itself.
+ */
+function watchProfileStore() {
+  const store = getProfileStore();
+  if (watcher || store.backend !== 'json') {
+    return;
+  }
+
+  const directory = path.dirname(store.location);
+  const fileName = path.basename(store.location);
+  try {
+    watcher = fs.watch(directory, (eventType, changedFile) => {
+      if (changedFile && changedFile !== fileName) {
+        return;
+      }
+      clearTimeout(watchTimer);
+      watchTimer = setTimeout(() => {
+        log.debug('Profile file changed on disk, dropping cached profiles', {
+          source: 'ProfileRepository',
+          location: store.location
+        });
+        invalidate('file-change');
+      }, WATCH_DEBOUNCE_MS);
+    });
+    watcher.on('error', error => {
+      log.warn('Profile file watch stopped', {
+        source: 'ProfileRepository',
+        location: store.location,
+        errorMessage: error.message
+      });
+      watcher.close();
+      watcher = null;
+      invalidate('reload');
+    });
+    watcher.unref();
+  } catch (error) {
+    log.warn('Could not watch profile file for changes; changes made outside the app need a restart', {
+      source: 'ProfileRepository',
+      location: store.location,
+      errorMessage: error.message
+    });
+  }
+}
+
+log.info('Profile repository initialized', {
+  source: 'ProfileRepository',
+  availableFunctions: ['getProfiles', 'getProfileById', 'findProfileBySerialNo', 'findProfiles', 'countProfiles', 'saveProfiles', 'getArchivedProfiles', 'getArchivedProfileById', 'saveArchivedProfiles', 'reloadProfiles', 'onProfilesChanged', 'watchProfileStore'],
+  dependentServices: ['ProfileStorageService']
+});
+
+module.exports = {
+  getProfiles,
+  getProfileById,
+  findProfileBySerialNo,
+  findProfiles,
+  countProfiles,
+  saveProfiles,
+  getArchivedProfiles,
+  getArchivedProfileById,
+  saveArchivedProfiles,
+  reloadProfiles,
+  onProfilesChanged,
+  watchProfileStore
+};
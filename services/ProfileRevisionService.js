@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('../utils/logger');
+const { AppError, ERROR_MESSAGES, ERROR_TYPES } = require('../utils/errorHandler');
+const { ensureDirectoryExists, getDataPath } = require('../utils/appData');
+
+/**
+ * Profile Revision Service
+ * Keeps the prior versions of each profile record. Whenever profile.json is written, every record
+ * that changed (or disappeared) has its previous version appended to
+ * profile-revisions/<profile id>.jsonl in the AppData data directory. Revisions are numbered
+ * 1, 2, 3... per profile in the order they were replaced, so a single record can be put back
+ * without restoring a whole backup.
+ */
+
+/**
+ * Get the revisions directory in AppData/data
+ */
+function getRevisionsDir() {
+  return path.join(getDataPath(), 'profile-revisions');
+}
+
+/**
+ * Get the revision file for one profile (the id is reduced to filename-safe characters)
+ * @param {string|number} profileId - Profile id
+ * @returns {string} File path
+ */
+function getRevisionFilePath(profileId) {
+  const safeId = String(profileId).replace(/[^A-Za-z0-9_-]/g, '_');
+  return path.join(getRevisionsDir(), `${safeId}.jsonl`);
+}
+
+/**
+ * Lists all revisions of a profile, newest first
+ * Lines that cannot be parsed (e.g. a write cut short by a crash) are skipped.
+ * @param {string|number} profileId - Profile id
+ * @returns {Array} [{ rev, profileId, replacedAt, profile }]
+ */
+function listRevisions(profileId) {
+  const revisionFile = getRevisionFilePath(profileId);
+  if (!fs.existsSync(revisionFile)) {
+    return [];
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(revisionFile, 'utf8');
+  } catch (error) {
+    throw new AppError(
+      ERROR_MESSAGES.FILE_READ_ERROR,
+      500,
+      ERROR_TYPES.FILE_SYSTEM,
+      { file: path.basename(revisionFile), reason: error.message }
+    );
+  }
+
+  const revisions = [];
+  content.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      revisions.push(JSON.parse(line));
+    } catch (error) {
+      log.warn('[WARN] Skipped unreadable profile revision line', {
+        source: 'ProfileRevisionService',
+        profileId: String(profileId)
+      });
+    }
+  });
+
+  return revisions.reverse();
+}
+
+/**
+ * Gets one revision of a profile
+ * @param {string|number} profileId - Profile id
+ * @param {string|number} rev - Revision number
+ * @returns {Object} { rev, profileId, replacedAt, profile }
+ * @throws {AppError} 404 if the revision does not exist
+ */
+function getRevision(profileId, rev) {
+  const revision = listRevisions(profileId).find(r => String(r.rev) === String(rev));
+  if (!revision) {
+    throw new AppError(
+      `Revision ${rev} of profile ${profileId} not found.`,
+      404,
+      ERROR_TYPES.VALIDATION,
+      { profileId: String(profileId), rev }
+    );
+  }
+  return revision;
+}
+
+/**
+ * Appends the previous version of every record that changed between two versions of profile.json
+ * @param {Array} previousProfiles - Profiles currently on disk
+ * @param {Array} nextProfiles - Profiles about to be written
+ * @returns {number} Number of revisions recorded
+ */
+function recordRevisions(previousProfiles, nextProfiles) {
+  const nextById = new Map(nextProfiles.map(p => [String(p.id), JSON.stringify(p)]));
+  const replaced = previousProfiles.filter(p => nextById.get(String(p.id)) !== JSON.stringify(p));
+  if (replaced.length === 0) {
+    return 0;
+  }
+
+  const replacedAt = new Date().toISOString();
+  try {
+    ensureDirectoryExists(getRevisionsDir());
+    replaced.forEach(profile => {
+      const revisionFile = getRevisionFilePath(profile.id);
+      const rev = listRevisions(profile.id).reduce((max, r) => Math.max(max, r.rev || 0), 0) + 1;
+      const entry = { rev, profileId: String(profile.id), replacedAt, profile };
+      fs.appendFileSync(revisionFile, JSON.stringify(entry) + '\n', 'utf8');
+    });
+  } catch (error) {
+    throw new AppError(
+      ERROR_MESSAGES.FILE_WRITE_ERROR,
+      500,
+      ERROR_TYPES.FILE_SYSTEM,
+      { directory: getRevisionsDir(), reason: error.message }
+    );
+  }
+
+  log.debug('Recorded profile revisions', {
+    source: 'ProfileRevisionService',
+    profileIds: replaced.map(p => String(p.id))
+  });
+
+  return replaced.length;
+}
+
+// Initialize service
+log.info('Profile revision service initialized', {
+  source: 'ProfileRevisionService',
+  revisionsDir: getRevisionsDir(),
+  availableFunctions: ['recordRevisions', 'listRevisions', 'getRevision'],
+  dependentServices: []
+});
+
+module.exports = {
+  recordRevisions,
+  listRevisions,
+  getRevision
+};
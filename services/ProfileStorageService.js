@@ -0,0 +1,151 @@
+const log = require('../utils/logger');
+const { AppError, ERROR_MESSAGES, ERROR_TYPES } = require('../utils/errorHandler');
+const { getDataFilePath, ensureDirectoryExists, getDataPath } = require('../utils/appData');
+const { loadStorageConfig } = require('../utils/storageConfig');
+const { createJsonProfileStore } = require('./storage/JsonProfileStore');
+const { createSqliteProfileStore } = require('./storage/SqliteProfileStore');
+
+/**
+ * Profile Storage Service
+ * Chooses and opens the profile stores configured in storage.json (or PROFILE_STORAGE):
+ *   json   - profile.json in the AppData data directory (services/storage/JsonProfileStore)
+ *   sqlite - profiles.sqlite in the AppData data directory (services/storage/SqliteProfileStore)
+ * Archived (soft-deleted) profiles are kept in a second store of the same kind, profile-archive.json
+ * or profile-archive.sqlite, so they never show up in listings or matching.
+ *
+ * Every store implements the same synchronous interface:
+ *   getAll()                         all profiles, in saved order
+ *   replaceAll(profiles)             save the complete set of profiles
+ *   getById(id)                      one profile or null
+ *   findBySerialNo(serialNo)         one profile or null (trimmed, case-insensitive)
+ *   find({ gender, nakshatraIds })   profiles matching all given criteria
+ *   count()                          number of profiles
+ * plus backend ('json' or 'sqlite'), location (file path) and indexed (whether find() uses indexes).
+ *
+ * The first time a SQLite store is opened it imports its JSON file, so switching backends keeps
+ * existing data. The JSON file itself is left untouched as the pre-migration copy.
+ */
+
+const PROFILE_JSON_FILE = 'profile.json';
+const PROFILE_DATABASE_FILE = 'profiles.sqlite';
+const ARCHIVE_JSON_FILE = 'profile-archive.json';
+const ARCHIVE_DATABASE_FILE = 'profile-archive.sqlite';
+const MIGRATION_META_KEY = 'migratedFromJson';
+
+let profileStore = null;
+let archiveStore = null;
+
+/**
+ * Imports a JSON profile file into a new SQLite store (runs once per database)
+ * @param {Object} sqliteStore - Opened SQLite store
+ * @param {string} jsonFileName - JSON file the store replaces (in the AppData data directory)
+ */
+function migrateFromJson(sqliteStore, jsonFileName) {
+  if (sqliteStore.getMeta(MIGRATION_META_KEY)) {
+    return;
+  }
+
+  const jsonPath = getDataFilePath(jsonFileName);
+  const profiles = sqliteStore.count() === 0 ? createJsonProfileStore(jsonPath).getAll() : [];
+  if (profiles.length > 0) {
+    sqliteStore.replaceAll(profiles);
+  }
+
+  sqliteStore.setMeta(MIGRATION_META_KEY, {
+    migratedAt: new Date().toISOString(),
+    source: jsonPath,
+    profileCount: profiles.length
+  });
+
+  log.info(`Migrated profiles from ${jsonFileName} to SQLite`, {
+    source: 'ProfileStorageService',
+    jsonPath,
+    databasePath: sqliteStore.location,
+    profileCount: profiles.length
+  });
+}
+
+/**
+ * Opens one store of the configured backend
+ * @param {string} backend - 'json' or 'sqlite'
+ * @param {string} jsonFileName - File name for the JSON backend (and SQLite migration source)
+ * @param {string} databaseFileName - File name for the SQLite backend
+ * @returns {Promise<Object>} The store
+ */
+async function openStore(backend, jsonFileName, databaseFileName) {
+  if (backend === 'sqlite') {
+    const sqliteStore = await createSqliteProfileStore(getDataFilePath(databaseFileName));
+    migrateFromJson(sqliteStore, jsonFileName);
+    return sqliteStore;
+  }
+  return createJsonProfileStore(getDataFilePath(jsonFileName));
+}
+
+/**
+ * Opens the configured profile and archive stores; call once at startup before serving requests
+ * @returns {Promise<Object>} The profile store
+ */
+async function initializeProfileStorage() {
+  const { backend } = loadStorageConfig();
+  ensureDirectoryExists(getDataPath());
+
+  profileStore = await openStore(backend, PROFILE_JSON_FILE, PROFILE_DATABASE_FILE);
+  archiveStore = await openStore(backend, ARCHIVE_JSON_FILE, ARCHIVE_DATABASE_FILE);
+
+  log.info('Profile storage opened', {
+    source: 'ProfileStorageService',
+    backend: profileStore.backend,
+    location: profileStore.location,
+    profileCount: profileStore.count(),
+    archivedCount: archiveStore.count()
+  });
+
+  return profileStore;
+}
+
+/**
+ * Gets the open profile store
+ * @returns {Object} The profile store
+ * @throws {AppError} 503 if storage has not finished opening yet
+ */
+function getProfileStore() {
+  if (!profileStore) {
+    throw new AppError(
+      ERROR_MESSAGES.SERVICE_UNAVAILABLE,
+      503,
+      ERROR_TYPES.DATABASE,
+      { issue: 'Profile storage is not initialized' }
+    );
+  }
+  return profileStore;
+}
+
+/**
+ * Gets the open archive store (archived profiles, same interface as the profile store)
+ * @returns {Object} The archive store
+ * @throws {AppError} 503 if storage has not finished opening yet
+ */
+function getArchiveStore() {
+  if (!archiveStore) {
+    throw new AppError(
+      ERROR_MESSAGES.SERVICE_UNAVAILABLE,
+      503,
+      ERROR_TYPES.DATABASE,
+      { issue: 'Profile storage is not initialized' }
+    );
+  }
+  return archiveStore;
+}
+
+// Initialize service
+log.info('Profile storage service initialized', {
+  source: 'ProfileStorageService',
+  availableFunctions: ['initializeProfileStorage', 'getProfileStore', 'getArchiveStore'],
+  dependentServices: []
+});
+
+module.exports = {
+  initializeProfileStorage,
+  getProfileStore,
+  getArchiveStore
+};
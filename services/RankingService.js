@@ -0,0 +1,236 @@
+const { getMatchingConfig, DEFAULT_MATCHING_CONFIG } = require('../utils/matchingConfig');
+const log = require('../utils/logger');
+
+/**
+ * Ranking Service
+ * Computes a composite ranking score that blends the porutham value with soft preference fit
+ * (age gap, qualification level, income, region). Each component scores 0-1; the composite is
+ * the weighted average scaled to 0-100, using the admin-configured rankingWeights in matching.json.
+ * Components that cannot be judged (missing data, no preference) get a neutral 0.5.
+ */
+
+// Highest porutham value in the matching tables
+const MAX_PORUTHAM = 11;
+
+// Groom older by about this many years scores best; the age score reaches 0 this many years away from it
+const IDEAL_AGE_GAP = 3;
+const AGE_GAP_TOLERANCE = 10;
+
+// Qualification levels used for the qualification component (unknown qualifications score neutral)
+const QUALIFICATION_LEVELS = {
+  'School': 1,
+  'Diploma': 2,
+  'UG': 3,
+  'PG': 4,
+  'PHD': 5,
+  'Doctor': 5
+};
+const MAX_QUALIFICATION_LEVEL = 5;
+
+const NEUTRAL_SCORE = 0.5;
+
+/**
+ * Porutham component: porutham value relative to the highest possible value
+ * @param {Object} profile - Candidate profile with porutham
+ * @returns {Object} { score, detail }
+ */
+function scorePorutham(profile) {
+  const porutham = parseFloat(profile.porutham) || 0;
+  return {
+    score: Math.min(1, porutham / MAX_PORUTHAM),
+    detail: `Porutham ${porutham} of ${MAX_PORUTHAM}`
+  };
+}
+
+/**
+ * Age gap component: closeness of the groom-bride age gap to IDEAL_AGE_GAP
+ * @param {Object} profile - Candidate profile with calculated age
+ * @param {Object} context - Ranking context (seekerAge, seekerGender)
+ * @returns {Object} { score, detail }
+ */
+function scoreAgeGap(profile, context) {
+  const { seekerAge, seekerGender } = context;
+  if (seekerAge === null || seekerAge === undefined || profile.age === null || profile.age === undefined ||
+      (seekerGender !== 'Male' && seekerGender !== 'Female')) {
+    return { score: NEUTRAL_SCORE, detail: 'Age unknown' };
+  }
+
+  const gap = seekerGender === 'Male' ? seekerAge - profile.age : profile.age - seekerAge;
+  const years = Math.abs(gap) === 1 ? 'year' : 'years';
+  return {
+    score: Math.max(0, 1 - Math.abs(gap - IDEAL_AGE_GAP) / AGE_GAP_TOLERANCE),
+    detail: gap >= 0 ? `Groom older by ${gap} ${years}` : `Bride older by ${-gap} ${years}`
+  };
+}
+
+/**
+ * Qualification component: candidate level against the requested level, or against the top level
+ * @param {Object} profile - Candidate profile
+ * @param {Object} context - Ranking context (qualification requested in the search)
+ * @returns {Object} { score, detail }
+ */
+function scoreQualification(profile, context) {
+  const level = QUALIFICATION_LEVELS[profile.qualification];
+  if (!level) {
+    return { score: NEUTRAL_SCORE, detail: `Qualification ${profile.qualification || 'not recorded'}` };
+  }
+
+  const requestedLevel = QUALIFICATION_LEVELS[context.qualification];
+  if (requestedLevel) {
+    return {
+      score: Math.min(1, level / requestedLevel),
+      detail: `${profile.qualification} against requested ${context.qualification}`
+    };
+  }
+
+  return {
+    score: level / MAX_QUALIFICATION_LEVEL,
+    detail: profile.qualification
+  };
+}
+
+/**
+ * Income component: income against the requested minimum, or against the highest income in the results
+ * @param {Object} profile - Candidate profile
+ * @param {Object} context - Ranking context (minIncome, highestIncome)
+ * @returns {Object} { score, detail }
+ */
+function scoreIncome(profile, context) {
+  const income = parseFloat(profile.monthly_income);
+  if (isNaN(income)) {
+    return { score: NEUTRAL_SCORE, detail: 'Income not recorded' };
+  }
+
+  if (context.minIncome) {
+    return {
+      score: Math.min(1, income / context.minIncome),
+      detail: `Income ${income} against requested minimum ${context.minIncome}`
+    };
+  }
+
+  return {
+    score: context.highestIncome > 0 ? income / context.highestIncome : NEUTRAL_SCORE,
+    detail: `Income ${income} against highest in results ${context.highestIncome}`
+  };
+}
+
+/**
+ * Region component: candidate region in the selected regions, or the seeker's own region
+ * @param {Object} profile - Candidate profile
+ * @param {Object} context - Ranking context (regions, seekerRegion)
+ * @returns {Object} { score, detail }
+ */
+function scoreRegion(profile, context) {
+  const preferredRegions = context.regions && context.regions.length > 0
+    ? context.regions
+    : (context.seekerRegion ? [context.seekerRegion] : []);
+
+  if (preferredRegions.length === 0) {
+    return { score: NEUTRAL_SCORE, detail: 'No region preference' };
+  }
+  if (!profile.region) {
+    return { score: NEUTRAL_SCORE, detail: 'Region not recorded' };
+  }
+
+  const inPreferred = preferredRegions.includes(profile.region);
+  return {
+    score: inPreferred ? 1 : 0,
+    detail: inPreferred ? `${profile.region} is a preferred region` : `${profile.region} is not a preferred region`
+  };
+}
+
+const COMPONENT_SCORERS = {
+  porutham: scorePorutham,
+  ageGap: scoreAgeGap,
+  qualification: scoreQualification,
+  income: scoreIncome,
+  region: scoreRegion
+};
+
+/**
+ * Adds rankingScore (0-100) and rankingBreakdown to every match
+ * @param {Array} matches - The matches array (ages already calculated)
+ * @param {Object} rankingContext - { seekerAge, seekerGender, qualification, minIncome, regions, seekerRegion }
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @param {Object} [rankingWeights] - Weights per component; defaults to the configured weights
+ * @returns {Array} Matches annotated with rankingScore and rankingBreakdown
+ *                  ({ component: { score, weight, points, detail } })
+ */
+function applyCompositeRanking(matches, rankingContext, logger, rankingWeights = getMatchingConfig().rankingWeights) {
+  const weights = { ...DEFAULT_MATCHING_CONFIG.rankingWeights, ...rankingWeights };
+  const totalWeight = Object.keys(COMPONENT_SCORERS).reduce((sum, key) => sum + weights[key], 0) || 1;
+
+  const incomes = matches.map(p => parseFloat(p.monthly_income)).filter(income => !isNaN(income));
+  const context = {
+    ...rankingContext,
+    highestIncome: incomes.length > 0 ? Math.max(...incomes) : 0
+  };
+
+  const rankedMatches = matches.map(p => {
+    const rankingBreakdown = {};
+    let rankingScore = 0;
+
+    Object.keys(COMPONENT_SCORERS).forEach(key => {
+      const { score, detail } = COMPONENT_SCORERS[key](p, context);
+      const points = score * weights[key] / totalWeight * 100;
+      rankingScore += points;
+      rankingBreakdown[key] = {
+        score: Math.round(score * 100) / 100,
+        weight: weights[key],
+        points: Math.round(points * 10) / 10,
+        detail
+      };
+    });
+
+    return { ...p, rankingScore: Math.round(rankingScore * 10) / 10, rankingBreakdown };
+  });
+
+  logger.trace('[TRACE] Applied composite ranking', {
+    phase: 'COMPOSITE_RANKING',
+    weights,
+    matchesCount: rankedMatches.length,
+    topScore: rankedMatches.length > 0 ? Math.max(...rankedMatches.map(p => p.rankingScore)) : 'N/A'
+  });
+
+  return rankedMatches;
+}
+
+/**
+ * Sorts matches by composite ranking score (highest first), then porutham, then nakshatra ID
+ * @param {Array} matches - Matches annotated by applyCompositeRanking
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {Array} Sorted matches array
+ */
+function sortMatchesByRankingScore(matches, logger) {
+  matches.sort((a, b) => {
+    const scoreDiff = (b.rankingScore || 0) - (a.rankingScore || 0);
+    if (scoreDiff !== 0) return scoreDiff;
+
+    const poruthamDiff = (parseFloat(b.porutham) || 0) - (parseFloat(a.porutham) || 0);
+    if (poruthamDiff !== 0) return poruthamDiff;
+
+    return (parseInt(a.nakshatraid) || 0) - (parseInt(b.nakshatraid) || 0);
+  });
+
+  logger.trace('[TRACE] Matches sorted by composite ranking score', {
+    phase: 'SORTING',
+    matchesCount: matches.length,
+    topScore: matches.length > 0 ? matches[0].rankingScore : 'N/A'
+  });
+
+  return matches;
+}
+
+// Initialize service
+log.info('Ranking service initialized', {
+  source: 'RankingService',
+  components: Object.keys(COMPONENT_SCORERS),
+  idealAgeGap: IDEAL_AGE_GAP,
+  availableFunctions: ['applyCompositeRanking', 'sortMatchesByRankingScore'],
+  dependentServices: ['matchingConfig']
+});
+
+module.exports = {
+  applyCompositeRanking,
+  sortMatchesByRankingScore
+};
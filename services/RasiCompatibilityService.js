@@ -1,42 +1,259 @@
 const log = require('../utils/logger');
+const { getRasiRules, getRasiRulesFilePath, DEFAULT_RASI_RULES } = require('../utils/rasiRulesConfig');
 
 /**
  * Rasi Compatibility Service
  * Extracted from matchingController.js - maintains exact same functionality
- * Handles traditional Rasi/Lagnam compatibility rules and logic
+ * Evaluates Rasi/Lagnam compatibility against a data-driven rule set (rasi-rules.json in AppData)
+ *
+ * Rule set format:
+ *   { name, sets: { setName: [values] }, rules: [rule, ...] }
+ * Rule:
+ *   { id, description, when?, require, severity, stop?, explanation }
+ *   - when: condition deciding whether the rule applies (always applies when omitted)
+ *   - require: condition the pair must satisfy when the rule applies
+ *   - severity: 'reject' makes the pair incompatible; 'warning' / 'info' are reported only
+ *   - stop: when the rule applies, later rules are skipped
+ *   - explanation: shown when the requirement fails; {male} / {female} are replaced with the values
+ * Condition:
+ *   { all: [conditions] } | { any: [conditions] } | { not: condition }
+ *   { side: 'male'|'female', op: 'only'|'includesAny'|'includesAll'|'excludesAll', values?|set? }
+ *   { op: 'sharesAny', values?|set? } - both sides share one of the values (any shared value when omitted)
  */
 
-// Advanced Rasi/Lagnam Compatibility Function
-function checkSingleCompatibility(maleVal, femaleVal) {
-  const toSet = (val) => new Set(val.split("/").map((v) => v.trim()));
-  const isOnly = (set, val) => set.size === 1 && set.has(val);
-  const intersects = (set1, set2) => [...set1].some((v) => set2.has(v));
+const SEVERITY_LEVELS = ['reject', 'warning', 'info'];
+const SIDE_OPERATORS = ['only', 'includesAny', 'includesAll', 'excludesAll'];
+const PAIR_OPERATORS = ['sharesAny'];
+const SIDES = ['male', 'female'];
+
+// Rule set validated on last use (revalidated whenever rasiRulesConfig returns a new object)
+let validatedRuleSet = null;
+let activeRuleSet = null;
+
+/**
+ * Splits a rasi_lagnam value ("Sani/Raaghu") into a set of trimmed items
+ * @param {string} val - Rasi/Lagnam value
+ * @returns {Set} Set of items
+ */
+const toSet = (val) => new Set(val.split("/").map((v) => v.trim()));
+
+/**
+ * Validates a condition tree
+ * @param {Object} condition - Condition to validate
+ * @param {Object} sets - Named value sets from the rule set
+ * @param {string} path - Location used in error messages
+ * @returns {Array} Validation error messages
+ */
+function validateCondition(condition, sets, path) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${path} must be an object`];
+  }
 
-  const riskItems = new Set(["Sani", "Sevai", "Kethu", "Raghu"]);
+  if (condition.all || condition.any) {
+    const key = condition.all ? 'all' : 'any';
+    if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+      return [`${path}.${key} must be a non-empty array`];
+    }
+    return condition[key].flatMap((child, index) => validateCondition(child, sets, `${path}.${key}[${index}]`));
+  }
 
-  const maleSet = toSet(maleVal);
-  const femaleSet = toSet(femaleVal);
+  if (condition.not) {
+    return validateCondition(condition.not, sets, `${path}.not`);
+  }
 
-  // Rule 1: If male is only Suth, female must also be only Suth
-  if (isOnly(maleSet, "Suth")) {
-    return isOnly(femaleSet, "Suth");
+  const errors = [];
+  if (SIDE_OPERATORS.includes(condition.op)) {
+    if (!SIDES.includes(condition.side)) {
+      errors.push(`${path}.side must be one of: ${SIDES.join(', ')}`);
+    }
+    if (!condition.values && !condition.set) {
+      errors.push(`${path} needs values or set`);
+    }
+  } else if (!PAIR_OPERATORS.includes(condition.op)) {
+    errors.push(`${path}.op must be one of: ${SIDE_OPERATORS.concat(PAIR_OPERATORS).join(', ')}`);
   }
 
-  // Rule 2: For risk items, female must have at least one of male's risk items
-  const maleRisks = new Set([...maleSet].filter((item) => riskItems.has(item)));
-  const femaleRisks = new Set(
-    [...femaleSet].filter((item) => riskItems.has(item))
-  );
+  if (condition.values && (!Array.isArray(condition.values) || condition.values.some(v => typeof v !== 'string'))) {
+    errors.push(`${path}.values must be an array of strings`);
+  }
+  if (condition.set && !(sets && Array.isArray(sets[condition.set]))) {
+    errors.push(`${path}.set refers to unknown set "${condition.set}"`);
+  }
 
-  return intersects(maleRisks, femaleRisks);
+  return errors;
+}
+
+/**
+ * Validates a rule set
+ * @param {Object} ruleSet - Rule set to validate
+ * @returns {Array} Validation error messages (empty when valid)
+ */
+function validateRuleSet(ruleSet) {
+  if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+    return ['Rule set must be an object'];
+  }
+  if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+    return ['Rule set must have a non-empty rules array'];
+  }
+  if (ruleSet.sets !== undefined && (typeof ruleSet.sets !== 'object' || Array.isArray(ruleSet.sets))) {
+    return ['sets must be an object of named value arrays'];
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+
+  ruleSet.rules.forEach((rule, index) => {
+    const path = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!rule.id || typeof rule.id !== 'string') {
+      errors.push(`${path}.id is required`);
+    } else if (seenIds.has(rule.id)) {
+      errors.push(`${path}.id "${rule.id}" is duplicated`);
+    } else {
+      seenIds.add(rule.id);
+    }
+    if (!SEVERITY_LEVELS.includes(rule.severity)) {
+      errors.push(`${path}.severity must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+    }
+    if (rule.when !== undefined) {
+      errors.push(...validateCondition(rule.when, ruleSet.sets, `${path}.when`));
+    }
+    errors.push(...validateCondition(rule.require, ruleSet.sets, `${path}.require`));
+  });
+
+  return errors;
+}
+
+/**
+ * Evaluates a condition tree against a male/female pair
+ * @param {Object} condition - Validated condition
+ * @param {Object} pair - { male: Set, female: Set }
+ * @param {Object} sets - Named value sets
+ * @returns {boolean} Whether the condition holds
+ */
+function evaluateCondition(condition, pair, sets) {
+  if (condition.all) return condition.all.every(child => evaluateCondition(child, pair, sets));
+  if (condition.any) return condition.any.some(child => evaluateCondition(child, pair, sets));
+  if (condition.not) return !evaluateCondition(condition.not, pair, sets);
+
+  const values = new Set(condition.values || (condition.set ? sets[condition.set] : []));
+
+  if (condition.op === 'sharesAny') {
+    return [...pair.male].some(item =>
+      pair.female.has(item) && (values.size === 0 || values.has(item))
+    );
+  }
+
+  const side = pair[condition.side];
+  switch (condition.op) {
+    case 'only':
+      return side.size > 0 && [...side].every(item => values.has(item));
+    case 'includesAny':
+      return [...values].some(item => side.has(item));
+    case 'includesAll':
+      return [...values].every(item => side.has(item));
+    case 'excludesAll':
+      return ![...values].some(item => side.has(item));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Returns the active rule set, falling back to the built-in defaults if the rule file is invalid
+ * @returns {Object} Valid rule set
+ */
+function getActiveRuleSet() {
+  const ruleSet = getRasiRules();
+  if (ruleSet === validatedRuleSet) {
+    return activeRuleSet;
+  }
+
+  const errors = validateRuleSet(ruleSet);
+  validatedRuleSet = ruleSet;
+  if (errors.length > 0) {
+    log.error('Invalid rasi compatibility rule file - using built-in default rules', {
+      source: 'RasiCompatibilityService',
+      ruleFile: getRasiRulesFilePath(),
+      errors
+    });
+    activeRuleSet = DEFAULT_RASI_RULES;
+  } else {
+    log.info('Rasi compatibility rules loaded', {
+      source: 'RasiCompatibilityService',
+      ruleSetName: ruleSet.name,
+      ruleCount: ruleSet.rules.length
+    });
+    activeRuleSet = ruleSet;
+  }
+  return activeRuleSet;
+}
+
+/**
+ * Evaluates a male/female Rasi/Lagnam pair against a rule set
+ * @param {string} maleVal - Groom's rasi_lagnam value (e.g. "Sani/Raaghu")
+ * @param {string} femaleVal - Bride's rasi_lagnam value
+ * @param {Object} [ruleSet] - Rule set to use (defaults to the active rule file; must be valid)
+ * @returns {Object} { compatible, ruleSetName, results, violations } where results lists every rule
+ *                   as applied/skipped with pass/fail and violations lists failed applied rules
+ */
+function evaluateRasiCompatibility(maleVal, femaleVal, ruleSet = getActiveRuleSet()) {
+  const pair = { male: toSet(maleVal), female: toSet(femaleVal) };
+  const sets = ruleSet.sets || {};
+  const results = [];
+  const violations = [];
+  let stopped = false;
+
+  ruleSet.rules.forEach(rule => {
+    if (stopped || (rule.when && !evaluateCondition(rule.when, pair, sets))) {
+      results.push({ ruleId: rule.id, description: rule.description || '', applied: false, passed: null, severity: rule.severity });
+      return;
+    }
+
+    const passed = evaluateCondition(rule.require, pair, sets);
+    const result = { ruleId: rule.id, description: rule.description || '', applied: true, passed, severity: rule.severity };
+
+    if (!passed) {
+      result.explanation = (rule.explanation || rule.description || rule.id)
+        .replace(/\{male\}/g, maleVal)
+        .replace(/\{female\}/g, femaleVal);
+      violations.push({ ruleId: rule.id, severity: rule.severity, explanation: result.explanation });
+    }
+
+    results.push(result);
+    if (rule.stop) {
+      stopped = true;
+    }
+  });
+
+  return {
+    compatible: !violations.some(v => v.severity === 'reject'),
+    ruleSetName: ruleSet.name || 'Unnamed rule set',
+    results,
+    violations
+  };
+}
+
+// Advanced Rasi/Lagnam Compatibility Function
+function checkSingleCompatibility(maleVal, femaleVal) {
+  return evaluateRasiCompatibility(maleVal, femaleVal).compatible;
 }
 
 // Initialize service
 log.info('Rasi compatibility service initialized', {
   source: 'RasiCompatibilityService',
-  availableFunctions: ['checkSingleCompatibility']
+  ruleFile: getRasiRulesFilePath(),
+  severityLevels: SEVERITY_LEVELS,
+  availableFunctions: ['checkSingleCompatibility', 'evaluateRasiCompatibility', 'validateRuleSet', 'getActiveRuleSet']
 });
 
 module.exports = {
-  checkSingleCompatibility
-};
\ No newline at end of file
+  SEVERITY_LEVELS,
+  checkSingleCompatibility,
+  evaluateRasiCompatibility,
+  validateRuleSet,
+  getActiveRuleSet
+};
@@ -1,6 +1,8 @@
 const { getNakshatraName, nakshatraData } = require('./NakshatraService');
+const { PORUTHAM_NAMES } = require('./PoruthamService');
 const { calculateAge } = require('../utils/AgeCalculator');
 const { createFormObject } = require('../utils/FormParser');
+const { getMatchingConfig } = require('../utils/matchingConfig');
 const { 
   AppError, 
   ERROR_MESSAGES, 
@@ -202,10 +204,17 @@ function buildSearchCriteriaObject(searchParams) {
     includeMathimam,
     includeRemarried,
     enableRasiCompatibility,
+    enableNavamsamCompatibility,
+    mutualMatch,
     minIncome,
     maxIncome,
     agePreference,
-    nakshatraPreferences
+    nakshatraPreferences,
+    rajjuDosha,
+    vedhaiDosha,
+    minPorutham,
+    rankBy,
+    softFilters
   } = searchParams;
   
   return {
@@ -220,10 +229,17 @@ function buildSearchCriteriaObject(searchParams) {
     includeMathimam,
     includeRemarried,
     enableRasiCompatibility,
+    minPorutham,
+    rankBy,
+    ...(enableNavamsamCompatibility && { enableNavamsamCompatibility }),
+    ...(mutualMatch && { mutualMatch }),
     ...(minIncome && { minIncome }),
     ...(maxIncome && { maxIncome }),
     ...(agePreference && { agePreference }),
-    ...(nakshatraPreferences && nakshatraPreferences.length > 0 && { nakshatraPreferences })
+    ...(nakshatraPreferences && nakshatraPreferences.length > 0 && { nakshatraPreferences }),
+    ...(softFilters && softFilters.length > 0 && { softFilters }),
+    ...(rajjuDosha && { rajjuDosha }),
+    ...(vedhaiDosha && { vedhaiDosha })
   };
 }
 
@@ -234,6 +250,7 @@ function buildSearchCriteriaObject(searchParams) {
  * @param {string} formatOptions.template - EJS template name for HTML responses
  * @param {Object} formatOptions.seekerProfile - Seeker profile data for HTML responses
  * @param {Object} formatOptions.searchCriteria - Search criteria for JSON responses
+ * @param {Object|null} formatOptions.explanation - Explain-mode exclusion report (MatchExplanationService), if requested
  * @param {Array} formatOptions.enrichments - Enrichments to apply ['nakshatra', 'age']
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -245,6 +262,7 @@ function handleResponseFormatting(data, formatOptions, req, res, logger) {
     template = 'find-matching',
     seekerProfile = null,
     searchCriteria = {},
+    explanation = null,
     enrichments = ['nakshatra']
   } = formatOptions;
   
@@ -266,7 +284,11 @@ function handleResponseFormatting(data, formatOptions, req, res, logger) {
       profiles: enrichedData,
       seekerProfile,
       form: formObject,
-      nakshatraData: nakshatraData
+      nakshatraData: nakshatraData,
+      poruthamNames: PORUTHAM_NAMES,
+      defaultMinPorutham: getMatchingConfig().minPorutham,
+      defaultRankBy: getMatchingConfig().rankBy,
+      explanation
     }, res, logger);
     
   } else {
@@ -274,7 +296,7 @@ function handleResponseFormatting(data, formatOptions, req, res, logger) {
     const jsonResponse = formatJsonResponse(data, {
       success: true,
       enrichments,
-      metadata: { searchCriteria }
+      metadata: { searchCriteria, ...(explanation && { explanation }) }
     }, logger);
     
     return res.json(jsonResponse);
@@ -292,7 +314,7 @@ log.info('Response formatter service initialized', {
     'buildSearchCriteriaObject',
     'handleResponseFormatting'
   ],
-  dependentServices: ['NakshatraService', 'AgeCalculator', 'FormParser']
+  dependentServices: ['NakshatraService', 'PoruthamService', 'AgeCalculator', 'FormParser']
 });
 
 module.exports = {
@@ -0,0 +1,479 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('../utils/logger');
+const { AppError, ERROR_MESSAGES, ERROR_TYPES } = require('../utils/errorHandler');
+const { ROLES, VALID_ROLES } = require('../utils/permissions');
+const { getDataFilePath, ensureDirectoryExists, getDataPath } = require('../utils/appData');
+const { createMutex } = require('../utils/mutex');
+
+/**
+ * User Service
+ * Manages login accounts stored in users.json in the AppData data directory
+ * (each with a role from utils/permissions): create, edit, disable/enable and password reset.
+ * Passwords are hashed with scrypt (Node's built-in crypto, so it works in pkg builds).
+ * Disabled accounts stay in the file but cannot log in.
+ * The parsed file is cached (every request resolves its session user through here) and re-read
+ * when its modification time changes.
+ */
+
+// Accounts from older versions lived in the packaged data folder; they are copied to AppData once
+const LEGACY_USERS_FILE_PATH = path.join(__dirname, '..', 'data', 'users.json');
+
+// scrypt parameters: 16 byte salt, 64 byte derived key
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Username and password rules (also used by the express-validator rules in utils/sanitization)
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Parsed users.json and the file modification time it was read at
+ */
+let cachedUsers = null;
+let loadedMtimeMs = null;
+
+// Serializes account changes whose checks depend on the current accounts (first-account registration)
+const userWriteLock = createMutex();
+
+/**
+ * Get the users file path in AppData/data
+ */
+function getUsersPath() {
+  return getDataFilePath('users.json');
+}
+
+/**
+ * Initialize users.json in AppData if it doesn't exist
+ * Login accounts from the legacy data/users.json are carried over; entries without a password
+ * (the old demo user list) are dropped since they could never log in.
+ */
+function initializeUsersFile() {
+  const usersPath = getUsersPath();
+  if (fs.existsSync(usersPath)) {
+    return;
+  }
+
+  ensureDirectoryExists(getDataPath());
+
+  let legacyAccounts = [];
+  if (fs.existsSync(LEGACY_USERS_FILE_PATH)) {
+    try {
+      const legacyUsers = JSON.parse(fs.readFileSync(LEGACY_USERS_FILE_PATH, 'utf8'));
+      legacyAccounts = Array.isArray(legacyUsers) ? legacyUsers.filter(user => user.passwordHash) : [];
+    } catch (error) {
+      log.warn('Could not read legacy users.json, starting with no accounts', {
+        source: 'UserService',
+        legacyPath: LEGACY_USERS_FILE_PATH,
+        error: error.message
+      });
+    }
+  }
+
+  fs.writeFileSync(usersPath, JSON.stringify(legacyAccounts, null, 2), 'utf8');
+
+  log.info('Initialized users.json in AppData', {
+    source: 'UserService',
+    appDataPath: usersPath,
+    migratedAccounts: legacyAccounts.length
+  });
+}
+
+/**
+ * Reads all login accounts
+ * Accounts created before roles existed get one here: the first account becomes admin,
+ * the others viewers (saved with the next write).
+ * @returns {Array} User records including password hashes
+ */
+function readUsers() {
+  initializeUsersFile();
+
+  try {
+    const mtimeMs = fs.statSync(getUsersPath()).mtimeMs;
+    if (!cachedUsers || mtimeMs !== loadedMtimeMs) {
+      const users = JSON.parse(fs.readFileSync(getUsersPath(), 'utf8'));
+      const firstAccount = Array.isArray(users) ? users[0] : null;
+      cachedUsers = Array.isArray(users)
+        ? users.map(user => (!user.role ? { ...user, role: user === firstAccount ? ROLES.ADMIN : ROLES.VIEWER } : user))
+        : [];
+      loadedMtimeMs = mtimeMs;
+    }
+
+    // Callers edit the records they get before writing them back, so they get copies
+    return cachedUsers.map(user => ({ ...user }));
+  } catch (error) {
+    throw new AppError(
+      ERROR_MESSAGES.FILE_READ_ERROR,
+      500,
+      ERROR_TYPES.FILE_SYSTEM,
+      { file: 'users.json', reason: error.message }
+    );
+  }
+}
+
+/**
+ * Writes all login accounts
+ * @param {Array} users - User records to save
+ */
+function writeUsers(users) {
+  try {
+    fs.writeFileSync(getUsersPath(), JSON.stringify(users, null, 2), 'utf8');
+    cachedUsers = users.map(user => ({ ...user }));
+    loadedMtimeMs = fs.statSync(getUsersPath()).mtimeMs;
+  } catch (error) {
+    throw new AppError(
+      ERROR_MESSAGES.FILE_WRITE_ERROR,
+      500,
+      ERROR_TYPES.FILE_SYSTEM,
+      { file: 'users.json', reason: error.message }
+    );
+  }
+}
+
+/**
+ * Strips the password hash from a user record
+ * @param {Object} user - Stored user record
+ * @returns {Object} User safe to send to views and API clients
+ */
+function toPublicUser(user) {
+  const { passwordHash, ...publicUser } = user;
+  return { ...publicUser, disabled: !!user.disabled };
+}
+
+/**
+ * Hashes a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {string} "scrypt:<salt hex>:<key hex>"
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash (constant-time comparison)
+ * @param {string} password - Plain text password
+ * @param {string} passwordHash - Hash produced by hashPassword
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, passwordHash) {
+  const [scheme, saltHex, keyHex] = String(passwordHash || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) {
+    return false;
+  }
+
+  const expectedKey = Buffer.from(keyHex, 'hex');
+  const key = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expectedKey.length);
+  return crypto.timingSafeEqual(key, expectedKey);
+}
+
+/**
+ * Whether any account exists (the first account is created through registration)
+ * @returns {boolean} True if at least one account exists
+ */
+function hasUsers() {
+  return readUsers().length > 0;
+}
+
+/**
+ * Runs fn while holding the account write lock, so a check such as "no accounts yet" and the
+ * account it leads to are not interleaved with another request doing the same
+ * @param {Function} fn - Work to run (may be async)
+ * @returns {Promise<*>} What fn returns
+ */
+function runUserWrite(fn) {
+  return userWriteLock.runExclusive(fn);
+}
+
+/**
+ * Lists all accounts
+ * @returns {Array} Users without password hashes
+ */
+function listUsers() {
+  return readUsers().map(toPublicUser);
+}
+
+/**
+ * Finds an account by id (stored record, including the password hash)
+ * @param {number|string} id - User id
+ * @returns {Object|undefined} Stored user record
+ */
+function getUserRecordById(id) {
+  return readUsers().find(user => String(user.id) === String(id));
+}
+
+/**
+ * Gets an account by id
+ * @param {number|string} id - User id
+ * @returns {Object} User without password hash
+ * @throws {AppError} 404 if no account has this id
+ */
+function getUserById(id) {
+  const user = getUserRecordById(id);
+  if (!user) {
+    throw new AppError(`User ${id} not found.`, 404, ERROR_TYPES.VALIDATION, { id });
+  }
+  return toPublicUser(user);
+}
+
+/**
+ * Finds an account by username (case-insensitive)
+ * @param {string} username - Username to look up
+ * @returns {Object|undefined} Stored user record
+ */
+function findUserByUsername(username) {
+  const normalized = String(username || '').trim().toLowerCase();
+  return readUsers().find(user => user.username && user.username.toLowerCase() === normalized);
+}
+
+/**
+ * Counts enabled admins, optionally ignoring one account
+ * @param {Array} users - Stored user records
+ * @param {number|string} [exceptId] - Account to leave out of the count
+ * @returns {number} Number of enabled admin accounts
+ */
+function countActiveAdmins(users, exceptId) {
+  return users.filter(user =>
+    user.role === ROLES.ADMIN && !user.disabled && String(user.id) !== String(exceptId)
+  ).length;
+}
+
+/**
+ * Creates a login account
+ * The first account is always an admin so someone can manage the others.
+ * @param {Object} userData - { username, name, password, role } (role defaults to viewer)
+ * @returns {Object} Created user (without password hash)
+ * @throws {AppError} 400 if the username, password or role is invalid; 409 if the username is taken
+ */
+function createUser({ username, name, password, role }) {
+  const trimmedUsername = String(username || '').trim();
+  const firstAccount = !hasUsers();
+  const resolvedRole = firstAccount ? ROLES.ADMIN : (role || ROLES.VIEWER);
+  const fieldErrors = {};
+
+  if (!USERNAME_PATTERN.test(trimmedUsername)) {
+    fieldErrors.username = 'Username must be 3-32 letters, numbers, dots, dashes or underscores.';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    fieldErrors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  if (!VALID_ROLES.includes(resolvedRole)) {
+    fieldErrors.role = `Role must be one of: ${VALID_ROLES.join(', ')}.`;
+  }
+  if (Object.keys(fieldErrors).length > 0) {
+    throw new AppError(ERROR_MESSAGES.INVALID_INPUT, 400, ERROR_TYPES.VALIDATION, fieldErrors);
+  }
+
+  if (findUserByUsername(trimmedUsername)) {
+    throw new AppError(
+      `Username "${trimmedUsername}" is already taken.`,
+      409,
+      ERROR_TYPES.VALIDATION,
+      { username: 'Username is already taken.' }
+    );
+  }
+
+  const user = {
+    id: Date.now(),
+    username: trimmedUsername,
+    name: String(name || '').trim() || trimmedUsername,
+    role: resolvedRole,
+    passwordHash: hashPassword(password),
+    disabled: false,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    lastLoginAt: null
+  };
+
+  const users = readUsers();
+  users.push(user);
+  writeUsers(users);
+
+  log.auth().info('[INFO] User account created', {
+    phase: 'USER_CREATED',
+    userId: user.id,
+    username: user.username,
+    role: user.role
+  });
+
+  return toPublicUser(user);
+}
+
+/**
+ * Updates an account's display name and role
+ * The last enabled admin cannot be demoted, so the users page always stays reachable.
+ * @param {number|string} id - User id
+ * @param {Object} changes - { name, role }
+ * @returns {Object} Updated user (without password hash)
+ * @throws {AppError} 404 if the account does not exist; 400 if the role is invalid or would remove the last admin
+ */
+function updateUser(id, { name, role }) {
+  const users = readUsers();
+  const user = users.find(u => String(u.id) === String(id));
+  if (!user) {
+    throw new AppError(`User ${id} not found.`, 404, ERROR_TYPES.VALIDATION, { id });
+  }
+
+  const newRole = role || user.role;
+  if (!VALID_ROLES.includes(newRole)) {
+    throw new AppError(
+      ERROR_MESSAGES.INVALID_INPUT,
+      400,
+      ERROR_TYPES.VALIDATION,
+      { role: `Role must be one of: ${VALID_ROLES.join(', ')}.` }
+    );
+  }
+  if (user.role === ROLES.ADMIN && newRole !== ROLES.ADMIN && !user.disabled && countActiveAdmins(users, user.id) === 0) {
+    throw new AppError(
+      'At least one active admin is required.',
+      400,
+      ERROR_TYPES.BUSINESS_LOGIC,
+      { role: 'This is the only active admin; make another user an admin first.' }
+    );
+  }
+
+  const previousRole = user.role;
+  user.name = String(name || '').trim() || user.name;
+  user.role = newRole;
+  user.updatedAt = new Date().toISOString();
+  writeUsers(users);
+
+  log.auth().info('[INFO] User account updated', {
+    phase: 'USER_UPDATED',
+    userId: user.id,
+    username: user.username,
+    previousRole,
+    role: user.role
+  });
+
+  return toPublicUser(user);
+}
+
+/**
+ * Disables or re-enables an account
+ * Users cannot disable themselves, and the last enabled admin cannot be disabled.
+ * @param {number|string} id - User id
+ * @param {boolean} disabled - True to disable, false to enable
+ * @param {Object} actingUser - Logged-in user making the change
+ * @returns {Object} Updated user (without password hash)
+ * @throws {AppError} 404 if the account does not exist; 400 if the change is not allowed
+ */
+function setUserDisabled(id, disabled, actingUser) {
+  const users = readUsers();
+  const user = users.find(u => String(u.id) === String(id));
+  if (!user) {
+    throw new AppError(`User ${id} not found.`, 404, ERROR_TYPES.VALIDATION, { id });
+  }
+
+  if (disabled) {
+    if (actingUser && String(actingUser.id) === String(user.id)) {
+      throw new AppError('You cannot disable your own account.', 400, ERROR_TYPES.BUSINESS_LOGIC, { id });
+    }
+    if (user.role === ROLES.ADMIN && countActiveAdmins(users, user.id) === 0) {
+      throw new AppError('At least one active admin is required.', 400, ERROR_TYPES.BUSINESS_LOGIC, { id });
+    }
+  }
+
+  user.disabled = !!disabled;
+  user.updatedAt = new Date().toISOString();
+  writeUsers(users);
+
+  log.auth().info(`[INFO] User account ${disabled ? 'disabled' : 'enabled'}`, {
+    phase: disabled ? 'USER_DISABLED' : 'USER_ENABLED',
+    userId: user.id,
+    username: user.username,
+    changedBy: actingUser ? actingUser.username : null
+  });
+
+  return toPublicUser(user);
+}
+
+/**
+ * Sets a new password for an account
+ * @param {number|string} id - User id
+ * @param {string} password - New plain text password
+ * @returns {Object} Updated user (without password hash)
+ * @throws {AppError} 404 if the account does not exist; 400 if the password is too short
+ */
+function resetPassword(id, password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(
+      ERROR_MESSAGES.INVALID_INPUT,
+      400,
+      ERROR_TYPES.VALIDATION,
+      { password: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` }
+    );
+  }
+
+  const users = readUsers();
+  const user = users.find(u => String(u.id) === String(id));
+  if (!user) {
+    throw new AppError(`User ${id} not found.`, 404, ERROR_TYPES.VALIDATION, { id });
+  }
+
+  user.passwordHash = hashPassword(password);
+  user.updatedAt = new Date().toISOString();
+  writeUsers(users);
+
+  log.auth().info('[INFO] User password reset', {
+    phase: 'PASSWORD_RESET',
+    userId: user.id,
+    username: user.username
+  });
+
+  return toPublicUser(user);
+}
+
+/**
+ * Records a successful login
+ * @param {number|string} id - User id
+ */
+function recordLogin(id) {
+  const users = readUsers();
+  const user = users.find(u => String(u.id) === String(id));
+  if (user) {
+    user.lastLoginAt = new Date().toISOString();
+    writeUsers(users);
+  }
+}
+
+// Initialize service
+log.info('User service initialized', {
+  source: 'UserService',
+  usersFile: getUsersPath(),
+  availableFunctions: [
+    'hasUsers',
+    'runUserWrite',
+    'listUsers',
+    'getUserById',
+    'getUserRecordById',
+    'findUserByUsername',
+    'createUser',
+    'updateUser',
+    'setUserDisabled',
+    'resetPassword',
+    'recordLogin'
+  ],
+  dependentServices: []
+});
+
+module.exports = {
+  hasUsers,
+  runUserWrite,
+  listUsers,
+  getUserById,
+  getUserRecordById,
+  findUserByUsername,
+  createUser,
+  updateUser,
+  setUserDisabled,
+  resetPassword,
+  recordLogin,
+  toPublicUser,
+  hashPassword,
+  verifyPassword,
+  USERNAME_PATTERN,
+  MIN_PASSWORD_LENGTH
+};
@@ -1,10 +1,11 @@
-const { getProfiles } = require('./ProfileService');
+const { getProfiles } = require('./ProfileRepository');
 const { 
   AppError, 
   ERROR_MESSAGES, 
   ERROR_TYPES 
 } = require('../utils/errorHandler');
 const log = require('../utils/logger');
+const { DEFAULT_MATCHING_CONFIG } = require('../utils/matchingConfig');
 
 /**
  * Validation Service
@@ -20,6 +21,21 @@ const VALID_REGIONS = [
   'Others(TN)', 'Others(IND)'
 ];
 
+const VALID_DOSHA_ACTIONS = ['exclude', 'flag', 'off'];
+
+// Maximum matches per member in the batch matching report
+const MAX_BATCH_TOP_N = 50;
+
+// Porutham values in the matching tables range from 4 (lowest mathimam) to 11
+const MIN_PORUTHAM_RANGE = { min: 1, max: 11 };
+
+// Result ordering options and the range of each composite ranking weight
+const VALID_RANK_BY = ['porutham', 'composite'];
+const RANKING_WEIGHT_RANGE = { min: 0, max: 100 };
+
+// Preference filters that can run in soft mode (near misses kept and tagged instead of removed)
+const VALID_SOFT_FILTERS = ['qualification', 'region', 'income', 'agePreference'];
+
 /**
  * Validates search mode parameter
  * @param {string} searchMode - The search mode to validate
@@ -388,6 +404,214 @@ function validateNakshatraPreferences(nakshatraPreferences, logger) {
   }
 }
 
+/**
+ * Validates dosha rule actions (Rajju / Vedhai)
+ * @param {Object} doshaRules - Actions per dosha { rajju, vedhai }; empty values fall back to defaults
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @throws {AppError} If any dosha action is invalid
+ */
+function validateDoshaRules(doshaRules, logger) {
+  logger.trace('[TRACE] Validating dosha rules', {
+    phase: 'DOSHA_RULES_VALIDATION',
+    doshaRules
+  });
+  
+  const invalidRules = Object.keys(doshaRules || {}).filter(dosha =>
+    doshaRules[dosha] && !VALID_DOSHA_ACTIONS.includes(doshaRules[dosha])
+  );
+  
+  if (invalidRules.length > 0) {
+    throw new AppError(
+      `Invalid dosha rule action for: ${invalidRules.join(', ')}.`,
+      400,
+      ERROR_TYPES.VALIDATION,
+      { doshaRules, invalidRules, validOptions: VALID_DOSHA_ACTIONS }
+    );
+  }
+}
+
+/**
+ * Validates minimum porutham score (per-search override or admin setting)
+ * @param {string|number} minPorutham - Minimum porutham value to validate
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {number} Parsed minimum porutham value
+ * @throws {AppError} If the value is not a whole number within the allowed range
+ */
+function validateMinPorutham(minPorutham, logger) {
+  logger.trace('[TRACE] Validating minimum porutham', {
+    phase: 'MIN_PORUTHAM_VALIDATION',
+    minPorutham
+  });
+  
+  const minPoruthamNum = Number(minPorutham);
+  if (minPorutham === '' || minPorutham === null || !Number.isInteger(minPoruthamNum) ||
+      minPoruthamNum < MIN_PORUTHAM_RANGE.min || minPoruthamNum > MIN_PORUTHAM_RANGE.max) {
+    throw new AppError(
+      `Invalid minimum porutham. Must be a whole number between ${MIN_PORUTHAM_RANGE.min} and ${MIN_PORUTHAM_RANGE.max}.`,
+      400,
+      ERROR_TYPES.VALIDATION,
+      { minPorutham, validRange: `${MIN_PORUTHAM_RANGE.min}-${MIN_PORUTHAM_RANGE.max}` }
+    );
+  }
+  return minPoruthamNum;
+}
+
+/**
+ * Validates mutual-match mode, which needs a registered seeker profile
+ * @param {boolean} mutualMatch - Whether mutual-match mode was requested
+ * @param {string} searchMode - The current search mode
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @throws {AppError} If mutual matching is requested outside serial mode
+ */
+function validateMutualMatch(mutualMatch, searchMode, logger) {
+  if (mutualMatch && searchMode !== 'serial') {
+    throw new AppError(
+      'Mutual match mode is only available for serial number searches.',
+      400,
+      ERROR_TYPES.VALIDATION,
+      { mutualMatch, searchMode, validSearchModes: ['serial'] }
+    );
+  }
+}
+
+/**
+ * Validates the number of matches kept per member in the batch matching report
+ * @param {string|number} topN - Number of top matches per member
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {number} Parsed top N value
+ * @throws {AppError} If the value is not a whole number between 1 and MAX_BATCH_TOP_N
+ */
+function validateBatchTopN(topN, logger) {
+  const topNNum = Number(topN);
+  if (topN === '' || topN === null || !Number.isInteger(topNNum) || topNNum < 1 || topNNum > MAX_BATCH_TOP_N) {
+    throw new AppError(
+      `Invalid number of top matches. Must be a whole number between 1 and ${MAX_BATCH_TOP_N}.`,
+      400,
+      ERROR_TYPES.VALIDATION,
+      { topN, validRange: `1-${MAX_BATCH_TOP_N}` }
+    );
+  }
+  return topNNum;
+}
+
+/**
+ * Validates the result ordering option
+ * @param {string} rankBy - 'porutham' (match type, porutham, nakshatra) or 'composite' (weighted score)
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {string} Validated rankBy value
+ * @throws {AppError} If the value is not a known ordering
+ */
+function validateRankBy(rankBy, logger) {
+  logger.trace('[TRACE] Validating rank by option', {
+    phase: 'RANK_BY_VALIDATION',
+    rankBy
+  });
+  
+  if (!VALID_RANK_BY.includes(rankBy)) {
+    throw new AppError(
+      `Invalid ranking option. Must be one of: ${VALID_RANK_BY.join(', ')}.`,
+      400,
+      ERROR_TYPES.VALIDATION,
+      { rankBy, validOptions: VALID_RANK_BY }
+    );
+  }
+  return rankBy;
+}
+
+/**
+ * Validates composite ranking weights (admin setting)
+ * Every component must be present with a number in RANKING_WEIGHT_RANGE, and at least one weight must be positive.
+ * @param {Object} rankingWeights - Weights keyed by component (porutham, ageGap, qualification, income, region)
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {Object} Weights converted to numbers
+ * @throws {AppError} If a component is missing, unknown or out of range, or all weights are zero
+ */
+function validateRankingWeights(rankingWeights, logger) {
+  logger.trace('[TRACE] Validating ranking weights', {
+    phase: 'RANKING_WEIGHTS_VALIDATION',
+    rankingWeights
+  });
+  
+  const components = Object.keys(DEFAULT_MATCHING_CONFIG.rankingWeights);
+  
+  if (!rankingWeights || typeof rankingWeights !== 'object' || Array.isArray(rankingWeights)) {
+    throw new AppError(
+      'Ranking weights must be an object with a weight per component.',
+      400,
+      ERROR_TYPES.VALIDATION,
+      { rankingWeights, components }
+    );
+  }
+  
+  const unknownComponents = Object.keys(rankingWeights).filter(key => !components.includes(key));
+  const invalidComponents = components.filter(key => {
+    const weight = rankingWeights[key];
+    const weightNum = Number(weight);
+    return weight === '' || weight === null || weight === undefined || !Number.isFinite(weightNum) ||
+      weightNum < RANKING_WEIGHT_RANGE.min || weightNum > RANKING_WEIGHT_RANGE.max;
+  });
+  
+  if (unknownComponents.length > 0 || invalidComponents.length > 0) {
+    throw new AppError(
+      `Invalid ranking weights. Each of ${components.join(', ')} needs a number between ${RANKING_WEIGHT_RANGE.min} and ${RANKING_WEIGHT_RANGE.max}.`,
+      400,
+      ERROR_TYPES.VALIDATION,
+      { unknownComponents, invalidComponents, validRange: `${RANKING_WEIGHT_RANGE.min}-${RANKING_WEIGHT_RANGE.max}` }
+    );
+  }
+  
+  const weights = {};
+  components.forEach(key => {
+    weights[key] = Number(rankingWeights[key]);
+  });
+  
+  if (Object.values(weights).every(weight => weight === 0)) {
+    throw new AppError(
+      'At least one ranking weight must be greater than zero.',
+      400,
+      ERROR_TYPES.VALIDATION,
+      { rankingWeights: weights }
+    );
+  }
+  
+  return weights;
+}
+
+/**
+ * Validates the list of preference filters to run in soft mode
+ * @param {Array} softFilters - Filter names from VALID_SOFT_FILTERS
+ * @param {Object} logger - Logger instance for debugging and tracing
+ * @returns {Array} Validated soft filter names without duplicates
+ * @throws {AppError} If the value is not an array or names an unknown filter
+ */
+function validateSoftFilters(softFilters, logger) {
+  logger.trace('[TRACE] Validating soft filters', {
+    phase: 'SOFT_FILTERS_VALIDATION',
+    softFilters
+  });
+  
+  if (!Array.isArray(softFilters)) {
+    throw new AppError(
+      'Soft filters must be a list of filter names.',
+      400,
+      ERROR_TYPES.VALIDATION,
+      { softFilters, validOptions: VALID_SOFT_FILTERS }
+    );
+  }
+  
+  const invalidFilters = softFilters.filter(filter => !VALID_SOFT_FILTERS.includes(filter));
+  if (invalidFilters.length > 0) {
+    throw new AppError(
+      `Invalid soft filter. Must be one of: ${VALID_SOFT_FILTERS.join(', ')}.`,
+      400,
+      ERROR_TYPES.VALIDATION,
+      { invalidFilters, validOptions: VALID_SOFT_FILTERS }
+    );
+  }
+  
+  return [...new Set(softFilters)];
+}
+
 // Initialize service
 log.info('Validation service initialized', {
   source: 'ValidationService',
@@ -403,9 +627,16 @@ log.info('Validation service initialized', {
     'validateRegion',
     'validateRegions',
     'validateIncomeRange',
-    'validateNakshatraPreferences'
+    'validateNakshatraPreferences',
+    'validateDoshaRules',
+    'validateMinPorutham',
+    'validateMutualMatch',
+    'validateBatchTopN',
+    'validateRankBy',
+    'validateRankingWeights',
+    'validateSoftFilters'
   ],
-  dependentServices: ['ProfileService']
+  dependentServices: ['ProfileRepository']
 });
 
 module.exports = {
@@ -420,5 +651,17 @@ module.exports = {
   validateRegion,
   validateRegions,
   validateIncomeRange,
-  validateNakshatraPreferences
+  validateNakshatraPreferences,
+  validateDoshaRules,
+  validateMinPorutham,
+  validateMutualMatch,
+  validateBatchTopN,
+  validateRankBy,
+  validateRankingWeights,
+  validateSoftFilters,
+  MIN_PORUTHAM_RANGE,
+  MAX_BATCH_TOP_N,
+  VALID_RANK_BY,
+  RANKING_WEIGHT_RANGE,
+  VALID_SOFT_FILTERS
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const { readJsonWithRecovery, writeFileAtomic } = require('../../utils/atomicFile');
+
+/**
+ * JSON Profile Store
+ * Keeps all profiles in a single JSON array file (profile.json). Every call reads the file, so
+ * changes made by another process are always seen; lookups are linear scans.
+ * Implements the profile store interface described in ProfileStorageService.
+ */
+
+/**
+ * Normalizes a serial number for case-insensitive comparison
+ * @param {*} serialNo - Serial number
+ * @returns {string} Trimmed, lower-cased serial number
+ */
+function serialKey(serialNo) {
+  return serialNo === undefined || serialNo === null ? '' : String(serialNo).trim().toLowerCase();
+}
+
+/**
+ * Filters profiles by the store find() criteria
+ * @param {Array} profiles - Profiles to filter
+ * @param {Object} criteria - { gender, nakshatraIds }; omitted criteria match everything
+ * @returns {Array} Matching profiles
+ */
+function filterProfiles(profiles, { gender, nakshatraIds } = {}) {
+  const wantedNakshatras = nakshatraIds ? new Set(nakshatraIds.map(n => parseInt(n, 10))) : null;
+  return profiles.filter(p =>
+    (!gender || p.gender === gender) &&
+    (!wantedNakshatras || wantedNakshatras.has(parseInt(p.nakshatraid, 10)))
+  );
+}
+
+/**
+ * Creates a profile store backed by a JSON file
+ * @param {string} filePath - Path of profile.json
+ * @returns {Object} Profile store
+ */
+function createJsonProfileStore(filePath) {
+  function getAll() {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    // Falls back to profile.json.bak if the file was left empty or corrupt (e.g. by a power cut)
+    return readJsonWithRecovery(filePath, { validate: Array.isArray, emptyValue: [] });
+  }
+
+  function replaceAll(profiles) {
+    writeFileAtomic(filePath, JSON.stringify(profiles, null, 2), { validate: Array.isArray });
+  }
+
+  function getById(id) {
+    return getAll().find(p => String(p.id) === String(id)) || null;
+  }
+
+  function findBySerialNo(serialNo) {
+    const key = serialKey(serialNo);
+    return getAll().find(p => p.serial_no && serialKey(p.serial_no) === key) || null;
+  }
+
+  function find(criteria) {
+    return filterProfiles(getAll(), criteria);
+  }
+
+  function count() {
+    return getAll().length;
+  }
+
+  return {
+    backend: 'json',
+    location: filePath,
+    indexed: false,
+    getAll,
+    replaceAll,
+    getById,
+    findBySerialNo,
+    find,
+    count
+  };
+}
+
+module.exports = {
+  createJsonProfileStore,
+  filterProfiles,
+  serialKey
+};
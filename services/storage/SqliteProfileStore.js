@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const log = require('../../utils/logger');
+const { AppError, ERROR_MESSAGES, ERROR_TYPES } = require('../../utils/errorHandler');
+const { replaceFileAtomic } = require('../../utils/atomicFile');
+const { serialKey } = require('./JsonProfileStore');
+
+/**
+ * SQLite Profile Store
+ * Keeps profiles in an embedded SQLite database file (profiles.sqlite) using sql.js, a WebAssembly
+ * build of SQLite that needs no native module and therefore works inside the pkg executable.
+ * The database is held in memory and written back to the file (atomically) after every change.
+ * Each profile is stored as its JSON document plus indexed columns for serial_no, gender and
+ * nakshatraid, so serial-number checks and matching candidate lookups do not scan every profile.
+ * Implements the profile store interface described in ProfileStorageService.
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS profiles (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    serial_key TEXT,
+    gender TEXT,
+    nakshatraid INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_profiles_serial_key ON profiles(serial_key);
+  CREATE INDEX IF NOT EXISTS idx_profiles_gender_nakshatraid ON profiles(gender, nakshatraid);
+  CREATE INDEX IF NOT EXISTS idx_profiles_nakshatraid ON profiles(nakshatraid);
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+/**
+ * Loads the sql.js WebAssembly module from the installed package (also inside the pkg snapshot)
+ * @returns {Promise<Object>} sql.js module
+ */
+function loadSqlJs() {
+  const distDir = path.dirname(require.resolve('sql.js'));
+  return initSqlJs({ locateFile: file => path.join(distDir, file) });
+}
+
+/**
+ * Creates a profile store backed by an SQLite database file
+ * @param {string} filePath - Path of the database file (created if missing)
+ * @returns {Promise<Object>} Profile store
+ * @throws {AppError} DATA_CORRUPTION if the file is not a readable SQLite database
+ */
+async function createSqliteProfileStore(filePath) {
+  const SQL = await loadSqlJs();
+
+  let db;
+  try {
+    db = fs.existsSync(filePath) ? new SQL.Database(fs.readFileSync(filePath)) : new SQL.Database();
+    db.exec(SCHEMA);
+  } catch (error) {
+    log.error('Profile database could not be opened', {
+      source: 'SqliteProfileStore',
+      filePath,
+      errorMessage: error.message
+    }, error);
+    throw new AppError(
+      ERROR_MESSAGES.DATA_CORRUPTION,
+      500,
+      ERROR_TYPES.DATABASE,
+      { file: path.basename(filePath), issue: error.message }
+    );
+  }
+
+  function query(sql, params = []) {
+    const statement = db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.get());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  function persist() {
+    replaceFileAtomic(filePath, Buffer.from(db.export()));
+  }
+
+  function parseRows(rows) {
+    return rows.map(([data]) => JSON.parse(data));
+  }
+
+  function getAll() {
+    return parseRows(query('SELECT data FROM profiles ORDER BY position'));
+  }
+
+  /**
+   * Writes the given profiles as the complete set: changed and new rows are upserted,
+   * rows whose id is no longer present are deleted, unchanged rows are left alone
+   */
+  function replaceAll(profiles) {
+    const existing = new Map(
+      query('SELECT id, position, data FROM profiles').map(([id, position, data]) => [id, { position, data }])
+    );
+    const keep = new Set();
+
+    db.exec('BEGIN');
+    try {
+      profiles.forEach((profile, position) => {
+        const id = String(profile.id);
+        const data = JSON.stringify(profile);
+        keep.add(id);
+        const current = existing.get(id);
+        if (current && current.data === data && current.position === position) {
+          return;
+        }
+        const nakshatraId = parseInt(profile.nakshatraid, 10);
+        db.run(
+          'INSERT OR REPLACE INTO profiles (id, position, serial_key, gender, nakshatraid, data) VALUES (?, ?, ?, ?, ?, ?)',
+          [id, position, serialKey(profile.serial_no), profile.gender || null, isNaN(nakshatraId) ? null : nakshatraId, data]
+        );
+      });
+      existing.forEach((row, id) => {
+        if (!keep.has(id)) {
+          db.run('DELETE FROM profiles WHERE id = ?', [id]);
+        }
+      });
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+
+    persist();
+  }
+
+  function getById(id) {
+    const rows = query('SELECT data FROM profiles WHERE id = ?', [String(id)]);
+    return rows.length > 0 ? JSON.parse(rows[0][0]) : null;
+  }
+
+  function findBySerialNo(serialNo) {
+    const key = serialKey(serialNo);
+    const rows = query('SELECT data FROM profiles WHERE serial_key = ? ORDER BY position LIMIT 1', [key]);
+    return key && rows.length > 0 ? JSON.parse(rows[0][0]) : null;
+  }
+
+  function find({ gender, nakshatraIds } = {}) {
+    const conditions = [];
+    const params = [];
+    if (gender) {
+      conditions.push('gender = ?');
+      params.push(gender);
+    }
+    if (nakshatraIds) {
+      const ids = nakshatraIds.map(n => parseInt(n, 10)).filter(n => !isNaN(n));
+      if (ids.length === 0) {
+        return [];
+      }
+      conditions.push(`nakshatraid IN (${ids.map(() => '?').join(', ')})`);
+      params.push(...ids);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return parseRows(query(`SELECT data FROM profiles ${where} ORDER BY position`, params));
+  }
+
+  function count() {
+    return query('SELECT COUNT(*) FROM profiles')[0][0];
+  }
+
+  function getMeta(key) {
+    const rows = query('SELECT value FROM meta WHERE key = ?', [key]);
+    return rows.length > 0 ? JSON.parse(rows[0][0]) : null;
+  }
+
+  function setMeta(key, value) {
+    db.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, JSON.stringify(value)]);
+    persist();
+  }
+
+  return {
+    backend: 'sqlite',
+    location: filePath,
+    indexed: true,
+    getAll,
+    replaceAll,
+    getById,
+    findBySerialNo,
+    find,
+    count,
+    getMeta,
+    setMeta
+  };
+}
+
+module.exports = {
+  createSqliteProfileStore
+};
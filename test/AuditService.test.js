@@ -0,0 +1,69 @@
+require('./helpers/testEnvironment');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  AUDIT_ACTIONS,
+  actionForUpdate,
+  diffProfiles,
+  getProfileHistory,
+  recordProfileChange
+} = require('../services/AuditService');
+
+const before = {
+  id: 7,
+  serial_no: 'S7',
+  name: 'Priya',
+  monthly_income: 50000,
+  is_active: true,
+  address: '',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z'
+};
+
+describe('AuditService', () => {
+  describe('profile diffs', () => {
+    it('lists changed fields with their old and new values', () => {
+      assert.deepEqual(
+        diffProfiles(before, { ...before, name: 'Priya S', region: 'Chennai', updatedAt: '2024-02-01T00:00:00.000Z' }),
+        [
+          { field: 'name', from: 'Priya', to: 'Priya S' },
+          { field: 'region', from: null, to: 'Chennai' }
+        ]
+      );
+    });
+
+    it('does not report form strings that mean the stored value, or a missing blank field', () => {
+      const { address, ...withoutAddress } = before;
+      assert.deepEqual(diffProfiles(before, { ...withoutAddress, monthly_income: '50000', is_active: 'true' }), []);
+    });
+
+    it('reports a removed field and every field of a new profile', () => {
+      const { name, ...withoutName } = before;
+      assert.deepEqual(diffProfiles(before, withoutName), [{ field: 'name', from: 'Priya', to: null }]);
+      assert.deepEqual(diffProfiles(null, before).map(change => change.field), ['serial_no', 'name', 'monthly_income', 'is_active']);
+    });
+
+    it('records switching is_active as activate or deactivate', () => {
+      assert.equal(actionForUpdate(before, { ...before, is_active: 'false' }), AUDIT_ACTIONS.DEACTIVATE);
+      assert.equal(actionForUpdate({ ...before, is_active: 'false' }, before), AUDIT_ACTIONS.ACTIVATE);
+      assert.equal(actionForUpdate(before, { ...before, name: 'Priya S' }), AUDIT_ACTIONS.UPDATE);
+    });
+  });
+
+  describe('audit log', () => {
+    it('appends changes to the profile history and skips updates that change nothing', () => {
+      const actor = { id: 1, username: 'admin', name: 'Admin', role: 'admin' };
+
+      assert.equal(recordProfileChange({ action: AUDIT_ACTIONS.UPDATE, actor, before, after: { ...before } }), null);
+      recordProfileChange({ action: AUDIT_ACTIONS.UPDATE, actor, before, after: { ...before, name: 'Priya S' } });
+
+      const history = getProfileHistory(7);
+      assert.equal(history.length, 1);
+      assert.equal(history[0].action, AUDIT_ACTIONS.UPDATE);
+      assert.deepEqual(history[0].actor, { id: 1, username: 'admin', name: 'Admin' });
+      assert.deepEqual(history[0].changes, [{ field: 'name', from: 'Priya', to: 'Priya S' }]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+require('./helpers/testEnvironment');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DUPLICATE_THRESHOLD,
+  findDuplicateProfiles,
+  mergeProfileFields,
+  normalizeName,
+  scoreProfilePair
+} = require('../services/DuplicateDetectionService');
+
+const profile = (overrides) => ({
+  id: 1,
+  serial_no: 'S1',
+  name: 'Ramesh Kumar',
+  father_name: 'Krishnan',
+  gender: 'Male',
+  birth_date: '1994-05-12',
+  birth_time: '10:30',
+  contact_no: '9876543210',
+  ...overrides
+});
+
+describe('DuplicateDetectionService', () => {
+  it('ignores case, punctuation, initials and word order in names', () => {
+    assert.equal(normalizeName('K. Ramesh Kumar'), normalizeName('ramesh  kumar K'));
+    assert.equal(normalizeName(''), '');
+  });
+
+  it('scores identical details as 100 whatever their formatting', () => {
+    const { score, matches } = scoreProfilePair(
+      profile(),
+      profile({ id: 2, name: 'KUMAR RAMESH', birth_time: '10.30 AM', contact_no: '+91 98765 43210' })
+    );
+
+    assert.equal(score, 100);
+    assert.deepEqual(matches.map(match => match.field), ['name', 'father_name', 'birth_date', 'birth_time', 'contact_no']);
+  });
+
+  it('gives a near-miss name a proportional score and unrelated names none', () => {
+    const typo = scoreProfilePair(profile(), profile({ id: 2, name: 'Ramesh Kumaar' }));
+    const nameMatch = typo.matches.find(match => match.field === 'name');
+    assert.ok(nameMatch.score > 0 && nameMatch.score < 30, `name score ${nameMatch.score}`);
+
+    const different = scoreProfilePair(profile(), profile({ id: 2, name: 'Suresh Babu' }));
+    assert.equal(different.matches.some(match => match.field === 'name'), false);
+  });
+
+  it('reports pairs above the threshold, highest first, and never pairs different genders', () => {
+    const profiles = [
+      profile(),
+      profile({ id: 2, serial_no: 'S2', contact_no: '' }),
+      profile({ id: 3, serial_no: 'S3', birth_time: '' }),
+      profile({ id: 4, serial_no: 'S4', gender: 'Female' }),
+      profile({ id: 5, serial_no: 'S5', name: 'Priya', father_name: 'Sundaram', birth_date: '1996-01-01', birth_time: '', contact_no: '9000000000' })
+    ];
+
+    const pairs = findDuplicateProfiles(profiles);
+    const pairIds = pairs.map(pair => pair.profiles.map(p => p.id).sort().join('-'));
+
+    assert.deepEqual(pairIds, ['1-3', '1-2', '2-3']);
+    assert.deepEqual(pairs.map(pair => pair.score), [90, 85, 75]);
+    assert.deepEqual(pairs.map(pair => pair.level), ['likely', 'likely', 'possible']);
+    pairs.forEach(pair => assert.ok(pair.score >= DUPLICATE_THRESHOLD));
+  });
+
+  it('merges only the fields chosen from the duplicate', () => {
+    const keep = profile({ id: 1, createdAt: '2024-01-01', contact_no: '9876543210' });
+    const duplicate = profile({ id: 2, createdAt: '2025-01-01', contact_no: '9000000000', address: 'Chennai', birth_time: undefined });
+
+    const { merged, takenFields } = mergeProfileFields(keep, duplicate, {
+      contact_no: 'duplicate',
+      address: 'duplicate',
+      birth_time: 'duplicate',
+      name: 'keep',
+      id: 'duplicate'
+    });
+
+    assert.deepEqual(takenFields.sort(), ['address', 'birth_time', 'contact_no']);
+    assert.equal(merged.id, 1);
+    assert.equal(merged.createdAt, '2024-01-01');
+    assert.equal(merged.contact_no, '9000000000');
+    assert.equal(merged.address, 'Chennai');
+    assert.equal('birth_time' in merged, false);
+  });
+});
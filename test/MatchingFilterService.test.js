@@ -0,0 +1,99 @@
+require('./helpers/testEnvironment');
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { saveRasiRules } = require('../utils/rasiRulesConfig');
+const {
+  applyMutualMatchFilter,
+  applyRasiCompatibilityFilter
+} = require('../services/MatchingFilterService');
+const log = require('../utils/logger');
+
+const logger = log.findMatching();
+
+// Barani (2) groom and Aswini (1) bride: an uthamam pair scoring 8 in both porutham tables
+const seekerProfile = {
+  id: 1,
+  serial_no: 'G1',
+  name: 'Groom One',
+  gender: 'Male',
+  nakshatraid: '2',
+  gothram: 'Kashyapa',
+  birth_date: '1995-01-01'
+};
+
+const candidate = (rasiLagnam) => ({
+  id: 2,
+  serial_no: 'B1',
+  name: 'Bride One',
+  gender: 'Female',
+  nakshatraid: '1',
+  gothram: 'Bharadwaj',
+  age: 25,
+  rasi_lagnam: rasiLagnam
+});
+
+const mutualOptions = { includeMathimam: false, minPorutham: 1, enableRasiCompatibility: true };
+
+describe('MatchingFilterService', () => {
+  before(() => {
+    // One-sided rule: whoever searches with a Suth-only value needs a Suth-only partner
+    saveRasiRules({
+      name: 'Suth-only seeker',
+      rules: [
+        {
+          id: 'suth-only',
+          when: { side: 'male', op: 'only', values: ['Suth'] },
+          require: { side: 'female', op: 'only', values: ['Suth'] },
+          severity: 'reject'
+        }
+      ]
+    });
+  });
+
+  describe('mutual match filter', () => {
+    it('keeps a candidate compatible from both sides, with the reverse porutham', () => {
+      const matches = applyMutualMatchFilter([candidate('Sani')], { ...seekerProfile, rasi_lagnam: 'Sevai' }, mutualOptions, logger);
+
+      assert.equal(matches.length, 1);
+      assert.equal(matches[0].reversePorutham, 8);
+      assert.equal(matches[0].reverseMatchingSource, 'uthamam');
+    });
+
+    it('checks the rasi rules with the candidate as the seeker', () => {
+      const seeker = { ...seekerProfile, rasi_lagnam: 'Sani' };
+
+      // The seeker's own search accepts the candidate...
+      assert.equal(applyRasiCompatibilityFilter([candidate('Suth')], true, seeker, 'serial', logger).length, 1);
+
+      // ...but the candidate's search (Suth only) does not accept the seeker
+      const exclusions = [];
+      assert.deepEqual(applyMutualMatchFilter([candidate('Suth')], seeker, mutualOptions, logger, exclusions), []);
+      assert.deepEqual(exclusions.map(e => [e.stage, e.reason]), [
+        ['MUTUAL_MATCH', "Candidate's Rasi/Lagnam Suth does not accept the seeker's Sani"]
+      ]);
+    });
+
+    it('keeps a candidate whose own search accepts the seeker even when the seeker\'s search would not', () => {
+      const seeker = { ...seekerProfile, rasi_lagnam: 'Suth' };
+
+      assert.equal(applyRasiCompatibilityFilter([candidate('Sani')], true, seeker, 'serial', logger).length, 0);
+      assert.equal(applyMutualMatchFilter([candidate('Sani')], seeker, mutualOptions, logger).length, 1);
+    });
+
+    it('drops candidates with the seeker\'s gothram or an age that does not suit them', () => {
+      const exclusions = [];
+      const sameGothram = { ...candidate('Sani'), gothram: 'kashyapa ' };
+      const older = { ...candidate('Sani'), id: 3, age: 40 };
+
+      assert.deepEqual(
+        applyMutualMatchFilter([sameGothram, older], { ...seekerProfile, rasi_lagnam: 'Sani' }, mutualOptions, logger, exclusions),
+        []
+      );
+      assert.equal(exclusions.length, 2);
+      assert.equal(exclusions[0].reason, 'Same gothram as the seeker');
+      assert.match(exclusions[1].reason, /^Seeker's age \d+ does not suit the candidate's age 40$/);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+require('./helpers/testEnvironment');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PORUTHAM_KEYS,
+  calculatePoruthams,
+  describeDoshas,
+  getPassedPoruthamNames,
+  resolveNakshatra
+} = require('../services/PoruthamService');
+const { findReversePorutham } = require('../services/MatchingAlgorithmService');
+const maleUthamam = require('../data/male_matching_uthamam.json');
+const maleMathimam = require('../data/male_matching_mathimam.json');
+const femaleUthamam = require('../data/female_matching_uthamam.json');
+const femaleMathimam = require('../data/female_matching_mathimam.json');
+
+const NAKSHATRA_IDS = Array.from({ length: 36 }, (_, index) => index + 1);
+
+// Nakshatra IDs from data/nakshatra.json
+const ASWINI = 1;
+const KARTHIGAI_MESHAM = 3;
+const KARTHIGAI_RISHABAM = 4;
+const MAGAM = 13;
+const KETAI = 24;
+
+describe('porutham tables', () => {
+  const tablePairs = [
+    ['uthamam', maleUthamam, femaleUthamam],
+    ['mathimam', maleMathimam, femaleMathimam]
+  ];
+
+  tablePairs.forEach(([name, maleTable, femaleTable]) => {
+    it(`has a ${name} row and column for every nakshatra on both sides`, () => {
+      assert.deepEqual(maleTable.map(row => row.female_nakshatra_id).sort((a, b) => a - b), NAKSHATRA_IDS);
+      assert.deepEqual(femaleTable.map(row => row.male_nakshatra_id).sort((a, b) => a - b), NAKSHATRA_IDS);
+      maleTable.forEach(row => {
+        assert.deepEqual(row.matching.map(entry => entry.male_nakshatra_id).sort((a, b) => a - b), NAKSHATRA_IDS);
+      });
+    });
+
+    it(`gives the same ${name} value for a pair from the bride's and the groom's table`, () => {
+      maleTable.forEach(row => {
+        row.matching.forEach(entry => {
+          const groomRow = femaleTable.find(r => r.male_nakshatra_id === entry.male_nakshatra_id);
+          const mirrored = groomRow.matching.find(e => e.female_nakshatra_id === row.female_nakshatra_id);
+          assert.equal(mirrored.value, entry.value,
+            `bride ${row.female_nakshatra_id} / groom ${entry.male_nakshatra_id}`);
+        });
+      });
+    });
+  });
+
+  it('looks up the reverse porutham in the opposite-gender table', () => {
+    const entry = maleUthamam.find(row => row.female_nakshatra_id === ASWINI)
+      .matching.find(e => e.value > 0);
+
+    assert.deepEqual(
+      findReversePorutham('Female', ASWINI, entry.male_nakshatra_id, false, 1),
+      { value: entry.value, source: 'uthamam' }
+    );
+    assert.equal(findReversePorutham('Female', ASWINI, entry.male_nakshatra_id, false, entry.value + 1), null);
+    assert.equal(findReversePorutham('Other', ASWINI, entry.male_nakshatra_id, true, 1), null);
+  });
+});
+
+describe('PoruthamService', () => {
+  it('resolves a star split across two rasis to one star and two rasis', () => {
+    assert.deepEqual(resolveNakshatra(KARTHIGAI_MESHAM), { star: 3, rasi: 1 });
+    assert.deepEqual(resolveNakshatra(KARTHIGAI_RISHABAM), { star: 3, rasi: 2 });
+    assert.equal(resolveNakshatra(99), null);
+  });
+
+  it('returns no result for an unknown nakshatra', () => {
+    assert.equal(calculatePoruthams(ASWINI, 99), null);
+    assert.equal(describeDoshas('abc', ASWINI), null);
+  });
+
+  it('counts every passed porutham out of ten', () => {
+    NAKSHATRA_IDS.forEach(bride => {
+      NAKSHATRA_IDS.forEach(groom => {
+        const { breakdown, passedCount, totalCount } = calculatePoruthams(bride, groom);
+        assert.deepEqual(Object.keys(breakdown), PORUTHAM_KEYS);
+        assert.equal(totalCount, 10);
+        assert.equal(passedCount, PORUTHAM_KEYS.filter(key => breakdown[key]).length);
+        assert.equal(getPassedPoruthamNames(breakdown).length, passedCount);
+      });
+    });
+  });
+
+  it('scores a pair with the same star', () => {
+    const { breakdown } = calculatePoruthams(ASWINI, ASWINI);
+
+    // Count 1: odd dinam, not beyond the 13th star, same rasi, same rajju, no vedhai with itself
+    assert.equal(breakdown.dinam, false);
+    assert.equal(breakdown.streeDeergham, false);
+    assert.equal(breakdown.rasi, true);
+    assert.equal(breakdown.rajju, false);
+    assert.equal(breakdown.vedhai, true);
+  });
+
+  it('fails rajju for stars in the same rajju and vedhai for obstructing stars', () => {
+    assert.equal(calculatePoruthams(ASWINI, MAGAM).breakdown.rajju, false);
+    assert.equal(calculatePoruthams(ASWINI, KETAI).breakdown.vedhai, false);
+    assert.equal(calculatePoruthams(KETAI, ASWINI).breakdown.vedhai, false);
+  });
+
+  it('describes Rajju and Vedhai doshas the same way in either order', () => {
+    const rajju = describeDoshas(ASWINI, MAGAM);
+    assert.match(rajju.rajju, /Paadha rajju/);
+    assert.equal(rajju.vedhai, null);
+    assert.notEqual(describeDoshas(MAGAM, ASWINI).rajju, null);
+
+    const vedhai = describeDoshas(ASWINI, KETAI);
+    assert.match(vedhai.vedhai, /^Vedhai pair/);
+    assert.notEqual(describeDoshas(KETAI, ASWINI).vedhai, null);
+  });
+});
@@ -0,0 +1,79 @@
+require('./helpers/testEnvironment');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  convertImportRow,
+  suggestColumnMapping,
+  validateColumnMapping
+} = require('../services/ProfileImportService');
+
+describe('ProfileImportService', () => {
+  describe('column mapping', () => {
+    it('recognizes common header spellings and skips unknown columns', () => {
+      assert.deepEqual(
+        suggestColumnMapping(['S.No', 'Full Name', "Father's Name", 'DOB', 'Star', 'Mobile', 'Remarks', 'Lagnam', 'Navamsam']),
+        ['serial_no', 'name', 'father_name', 'birth_date', 'nakshatraid', 'contact_no', '', 'rasi_lagnam', 'navamsam_lagnam']
+      );
+    });
+
+    it('maps each field to one column only', () => {
+      assert.deepEqual(suggestColumnMapping(['Phone', 'Mobile', 'Phone 2']), ['contact_no', '', 'additional_contact_no']);
+    });
+
+    it('reports unknown, repeated and miscounted mappings', () => {
+      assert.deepEqual(validateColumnMapping(['name', '', 'contact_no'], 3), []);
+      assert.deepEqual(validateColumnMapping(['name', 'photo', 'name'], 3), [
+        { field: 'mapping.1', message: 'photo is not a profile field' },
+        { field: 'mapping.2', message: 'name is mapped to more than one column' }
+      ]);
+      assert.equal(validateColumnMapping(['name'], 2)[0].field, 'mapping');
+    });
+  });
+
+  describe('row conversion', () => {
+    const mapping = [
+      'name', 'birth_date', 'birth_time', 'contact_no', 'gender', 'is_remarried',
+      'nakshatraid', 'rasi_lagnam', 'navamsam_lagnam', 'qualification', 'gothram'
+    ];
+
+    it('converts cells to the values the create form submits', () => {
+      const { data, errors } = convertImportRow(
+        [' Priya ', '05/03/1996', '2:15 PM', '+91 98765 43210', 'f', 'No', 'Aswini', 'raaghu/kethu', 'SANI', 'pg'],
+        mapping
+      );
+
+      assert.deepEqual(errors, []);
+      assert.deepEqual(data, {
+        name: 'Priya',
+        birth_date: '1996-03-05',
+        birth_time: '14:15',
+        contact_no: '9876543210',
+        gender: 'Female',
+        is_remarried: 'false',
+        nakshatraid: '1',
+        rasi_lagnam: 'Raaghu/Kethu',
+        navamsam_lagnam: 'Sani',
+        qualification: 'PG'
+      });
+    });
+
+    it('reads Excel date and time numbers', () => {
+      const { data } = convertImportRow(['Priya', 35129, 0.4375], mapping);
+      assert.equal(data.birth_date, '1996-03-05');
+      assert.equal(data.birth_time, '10:30');
+    });
+
+    it('reports dates that do not exist and unknown nakshatras', () => {
+      const { errors } = convertImportRow(['Priya', '31/02/1996', '', '', '', '', 'Unknown star'], mapping);
+      assert.deepEqual(errors.map(error => error.field), ['birth_date', 'nakshatraid']);
+    });
+
+    it('keeps a gothram that is not in the list, with a warning', () => {
+      const { data, warnings } = convertImportRow(['Priya', '', '', '', '', '', '', '', '', '', '  Kashyapa  Gothram '], mapping);
+      assert.equal(data.gothram, 'Kashyapa Gothram');
+      assert.equal(warnings[0].field, 'gothram');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+require('./helpers/testEnvironment');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  checkSingleCompatibility,
+  evaluateRasiCompatibility,
+  validateRuleSet
+} = require('../services/RasiCompatibilityService');
+const { DEFAULT_RASI_RULES } = require('../utils/rasiRulesConfig');
+const { VALIDATION_CONFIG } = require('../utils/validationConfig');
+
+describe('RasiCompatibilityService', () => {
+  describe('default rule set', () => {
+    it('is a valid rule set', () => {
+      assert.deepEqual(validateRuleSet(DEFAULT_RASI_RULES), []);
+    });
+
+    it('requires a Suth-only bride for a Suth-only groom and checks nothing else', () => {
+      assert.equal(checkSingleCompatibility('Suth', 'Suth'), true);
+
+      const result = evaluateRasiCompatibility('Suth', 'Sani', DEFAULT_RASI_RULES);
+      assert.equal(result.compatible, false);
+      assert.deepEqual(result.violations.map(v => v.ruleId), ['suth-only']);
+      assert.equal(result.results.find(r => r.ruleId === 'shared-risk').applied, false);
+    });
+
+    it('requires other pairs to share a risk planet', () => {
+      assert.equal(checkSingleCompatibility('Sani', 'Sani/Sevai'), true);
+      assert.equal(checkSingleCompatibility('Raaghu/Kethu', 'Sani/Kethu/Raaghu'), true);
+
+      const result = evaluateRasiCompatibility('Sevai', 'Raaghu/Kethu', DEFAULT_RASI_RULES);
+      assert.equal(result.compatible, false);
+      assert.deepEqual(result.violations.map(v => v.ruleId), ['shared-risk']);
+      assert.match(result.violations[0].explanation, /^Bride \(Raaghu\/Kethu\) and groom \(Sevai\)/);
+    });
+
+    it('pairs every lagnam choice other than Suth with itself', () => {
+      VALIDATION_CONFIG.ENUMS.lagnam
+        .filter(value => value !== 'Suth')
+        .forEach(value => {
+          assert.equal(evaluateRasiCompatibility(value, value, DEFAULT_RASI_RULES).compatible, true, value);
+        });
+    });
+  });
+
+  describe('custom rule sets', () => {
+    const ruleSet = {
+      name: 'Test rules',
+      sets: { malefic: ['Sani', 'Sevai'] },
+      rules: [
+        {
+          id: 'no-malefic-bride',
+          require: { side: 'female', op: 'excludesAll', set: 'malefic' },
+          severity: 'warning',
+          explanation: 'Bride {female} has a malefic planet'
+        },
+        {
+          id: 'groom-has-kethu',
+          when: { not: { side: 'male', op: 'only', values: ['Suth'] } },
+          require: { side: 'male', op: 'includesAny', values: ['Kethu'] },
+          severity: 'reject'
+        }
+      ]
+    };
+
+    it('reports warnings without making the pair incompatible', () => {
+      const result = evaluateRasiCompatibility('Raaghu/Kethu', 'Sani', ruleSet);
+      assert.equal(result.compatible, true);
+      assert.deepEqual(result.violations, [
+        { ruleId: 'no-malefic-bride', severity: 'warning', explanation: 'Bride Sani has a malefic planet' }
+      ]);
+    });
+
+    it('skips a rule whose condition does not apply', () => {
+      const result = evaluateRasiCompatibility('Suth', 'Suth', ruleSet);
+      assert.equal(result.compatible, true);
+      assert.equal(result.results.find(r => r.ruleId === 'groom-has-kethu').applied, false);
+      assert.equal(evaluateRasiCompatibility('Sani', 'Suth', ruleSet).compatible, false);
+    });
+
+    it('rejects unknown sets, operators, severities and duplicate ids', () => {
+      const errors = validateRuleSet({
+        sets: {},
+        rules: [
+          { id: 'a', require: { op: 'sharesAny', set: 'missing' }, severity: 'reject' },
+          { id: 'a', require: { side: 'male', op: 'equals', values: ['Sani'] }, severity: 'fatal' }
+        ]
+      });
+
+      assert.ok(errors.some(error => error.includes('unknown set "missing"')), errors.join('; '));
+      assert.ok(errors.some(error => error.includes('"a" is duplicated')), errors.join('; '));
+      assert.ok(errors.some(error => error.includes('.severity must be one of')), errors.join('; '));
+      assert.ok(errors.some(error => error.includes('rules[1].require')), errors.join('; '));
+      assert.deepEqual(validateRuleSet({ rules: [] }), ['Rule set must have a non-empty rules array']);
+    });
+  });
+});
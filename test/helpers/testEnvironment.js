@@ -0,0 +1,30 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test environment
+ * Points the AppData directory at a fresh temporary folder, so tests never read or change the real
+ * profiles, accounts or rule files, and keeps the logs quiet. Require it before any application module.
+ */
+
+const appDataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'matrimony-test-'));
+
+// Linux reads XDG_CONFIG_HOME and Windows APPDATA (see utils/appData)
+process.env.XDG_CONFIG_HOME = appDataRoot;
+process.env.APPDATA = appDataRoot;
+
+// Logging configuration read by utils/config: errors only, no log files
+const configPath = path.join(appDataRoot, 'matrimony', 'config');
+fs.mkdirSync(configPath, { recursive: true });
+fs.writeFileSync(path.join(configPath, 'logging.json'), JSON.stringify({
+  logLevel: 'error',
+  consoleLevel: 'error',
+  enableFileLogging: false
+}), 'utf8');
+
+process.on('exit', () => {
+  fs.rmSync(appDataRoot, { recursive: true, force: true });
+});
+
+module.exports = { appDataRoot };
@@ -0,0 +1,60 @@
+require('./helpers/testEnvironment');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const {
+  DEFAULT_RASI_RULES,
+  getRasiRulesFilePath,
+  loadRasiRules
+} = require('../utils/rasiRulesConfig');
+const { VALIDATION_CONFIG } = require('../utils/validationConfig');
+
+describe('rasiRulesConfig', () => {
+  it('spells the default risk planets as the lagnam choices store them', () => {
+    const lagnamPlanets = new Set(VALIDATION_CONFIG.ENUMS.lagnam.flatMap(value => value.split('/')));
+
+    assert.deepEqual([...DEFAULT_RASI_RULES.sets.risk].sort(), ['Kethu', 'Raaghu', 'Sani', 'Sevai']);
+    DEFAULT_RASI_RULES.sets.risk.forEach(planet => assert.ok(lagnamPlanets.has(planet), planet));
+    assert.match(DEFAULT_RASI_RULES.rules.find(rule => rule.id === 'shared-risk').explanation, /Raaghu/);
+  });
+
+  it('corrects the Raghu spelling in a rule file written by an earlier version and keeps its other rules', () => {
+    const legacyRules = {
+      name: 'Edited rules',
+      sets: { risk: ['Sani', 'Sevai', 'Kethu', 'Raghu'] },
+      rules: [
+        {
+          id: 'shared-risk',
+          require: { op: 'sharesAny', set: 'risk' },
+          severity: 'reject',
+          explanation: 'Bride ({female}) and groom ({male}) do not share any of the risk planets Sani, Sevai, Kethu, Raghu'
+        },
+        { id: 'custom', require: { side: 'female', op: 'excludesAll', values: ['Sevai'] }, severity: 'warning' }
+      ]
+    };
+    fs.writeFileSync(getRasiRulesFilePath(), JSON.stringify(legacyRules), 'utf8');
+
+    const loaded = loadRasiRules();
+    const saved = JSON.parse(fs.readFileSync(getRasiRulesFilePath(), 'utf8'));
+
+    [loaded, saved].forEach(rules => {
+      assert.equal(rules.name, 'Edited rules');
+      assert.deepEqual(rules.sets.risk, DEFAULT_RASI_RULES.sets.risk);
+      assert.deepEqual(rules.rules.map(rule => rule.id), ['shared-risk', 'custom']);
+      assert.doesNotMatch(rules.rules[0].explanation, /Raghu/);
+    });
+  });
+
+  it('leaves a rule file with its own risk set unchanged', () => {
+    const rules = {
+      name: 'Own rules',
+      sets: { risk: ['Sani', 'Raghu'] },
+      rules: [{ id: 'shared-risk', require: { op: 'sharesAny', set: 'risk' }, severity: 'reject' }]
+    };
+    fs.writeFileSync(getRasiRulesFilePath(), JSON.stringify(rules), 'utf8');
+
+    assert.deepEqual(loadRasiRules().sets.risk, ['Sani', 'Raghu']);
+  });
+});
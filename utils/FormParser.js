@@ -84,7 +84,23 @@ function createFormObject(req) {
     minIncome: req.body.minIncome || req.query.minIncome || '',
     maxIncome: req.body.maxIncome || req.query.maxIncome || '',
     agePreference: req.body.agePreference || req.query.agePreference || '',
-    enableRasiCompatibility: req.body.enableRasiCompatibility === 'true' || req.query.enableRasiCompatibility === 'true'
+    enableRasiCompatibility: req.body.enableRasiCompatibility === 'true' || req.query.enableRasiCompatibility === 'true',
+    enableNavamsamCompatibility: req.body.enableNavamsamCompatibility === 'true' || req.query.enableNavamsamCompatibility === 'true',
+    rankBy: req.body.rankBy || req.query.rankBy || '',
+    softFilters: (() => {
+      // Preference filters to run in soft mode (array, comma-separated string or single value)
+      const softFilters = req.body.softFilters ?? req.query.softFilters;
+      if (Array.isArray(softFilters)) return softFilters.filter(f => f && f.trim());
+      if (typeof softFilters === 'string' && softFilters.trim()) {
+        return softFilters.split(',').map(f => f.trim()).filter(f => f);
+      }
+      return []; // All filters are hard cuts
+    })(),
+    explain: req.body.explain === 'true' || req.query.explain === 'true',
+    mutualMatch: req.body.mutualMatch === 'true' || req.query.mutualMatch === 'true',
+    rajjuDosha: req.body.rajjuDosha || req.query.rajjuDosha || '',
+    vedhaiDosha: req.body.vedhaiDosha || req.query.vedhaiDosha || '',
+    minPorutham: req.body.minPorutham ?? req.query.minPorutham ?? ''
   };
 }
 
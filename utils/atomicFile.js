@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+const { AppError, ERROR_MESSAGES, ERROR_TYPES } = require('./errorHandler');
+
+/**
+ * Crash-safe file writes for the data files (profile.json, gothram.json, profiles.sqlite)
+ *
+ * A write goes to a temporary file next to the target, is flushed to disk with fsync and is then
+ * renamed over the target, so a power cut leaves either the old or the new file, never a half-written
+ * one. Before each JSON write the current file, if it still parses, is copied to <file>.bak, so there
+ * is always a last good copy. readJsonWithRecovery() falls back to that copy when the file is unreadable.
+ */
+
+/**
+ * Get the rolling backup path of a data file
+ * @param {string} filePath - Data file path
+ * @returns {string} Backup file path (<file>.bak)
+ */
+function getBackupPath(filePath) {
+  return `${filePath}.bak`;
+}
+
+/**
+ * Writes content to a temporary file beside the target, fsyncs it and renames it over the target
+ * @param {string} filePath - Target file path
+ * @param {string|Buffer|Uint8Array} content - File content (strings are written as UTF-8)
+ */
+function replaceFile(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      if (typeof content === 'string') {
+        fs.writeSync(fd, content, null, 'utf8');
+      } else {
+        fs.writeSync(fd, content);
+      }
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      try {
+        fs.unlinkSync(tempPath);
+      } catch (cleanupError) {
+        // The original error is the one worth reporting
+      }
+    }
+    throw error;
+  }
+  syncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Flushes a directory entry so the rename itself survives a power cut
+ * Directories cannot be opened for fsync on Windows, where the rename is already durable enough.
+ * @param {string} dirPath - Directory path
+ */
+function syncDirectory(dirPath) {
+  if (process.platform === 'win32') {
+    return;
+  }
+  let fd;
+  try {
+    fd = fs.openSync(dirPath, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    log.debug('Directory fsync not supported', { source: 'AtomicFile', dirPath, errorMessage: error.message });
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Reads and parses a JSON file, throwing if the content is empty, not JSON or rejected by validate
+ * @param {string} filePath - File path
+ * @param {Function} [validate] - Returns false if the parsed data has the wrong shape
+ * @returns {*} Parsed data
+ */
+function parseJsonFile(filePath, validate) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (!content.trim()) {
+    const error = new Error('File is empty');
+    error.isEmpty = true;
+    throw error;
+  }
+  const data = JSON.parse(content);
+  if (validate && !validate(data)) {
+    throw new Error('File content has an unexpected structure');
+  }
+  return data;
+}
+
+/**
+ * Copies the current file to <file>.bak if it is still good JSON
+ * A file that no longer parses is left alone so it cannot replace the last good backup.
+ * @param {string} filePath - Data file path
+ * @param {Function} [validate] - Shape check for the parsed data
+ */
+function backupCurrentFile(filePath, validate) {
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+  try {
+    parseJsonFile(filePath, validate);
+  } catch (error) {
+    log.warn('Current data file is not valid, keeping the existing backup', {
+      source: 'AtomicFile',
+      filePath,
+      errorMessage: error.message
+    });
+    return;
+  }
+  replaceFile(getBackupPath(filePath), fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Atomically writes a string to a data file, keeping the previous good version as <file>.bak
+ * @param {string} filePath - Target file path
+ * @param {string} content - File content
+ * @param {Object} [options] - { validate } shape check used when deciding whether to back up the current file
+ */
+function writeFileAtomic(filePath, content, options = {}) {
+  backupCurrentFile(filePath, options.validate);
+  replaceFile(filePath, content);
+}
+
+/**
+ * Atomically writes data as pretty-printed JSON (see writeFileAtomic)
+ * @param {string} filePath - Target file path
+ * @param {*} data - Data to serialize
+ * @param {Object} [options] - { validate }
+ */
+function writeJsonAtomic(filePath, data, options = {}) {
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2), options);
+}
+
+/**
+ * Reads a JSON data file, recovering from <file>.bak when the file is empty, corrupt or has the wrong shape
+ * On recovery the damaged file is kept as <file>.corrupt-<timestamp> for inspection and the backup is
+ * written back in its place.
+ * @param {string} filePath - Data file path
+ * @param {Object} [options] - { validate, emptyValue }
+ *   validate: returns false if the parsed data has the wrong shape;
+ *   emptyValue: returned for an empty file when there is no backup to recover from
+ * @returns {*} Parsed data
+ * @throws {AppError} DATA_CORRUPTION if neither the file nor its backup can be read
+ */
+function readJsonWithRecovery(filePath, options = {}) {
+  const { validate, emptyValue } = options;
+
+  let readError;
+  try {
+    return parseJsonFile(filePath, validate);
+  } catch (error) {
+    if (error.code) {
+      // I/O errors such as ENOENT or EACCES are not corruption; leave them to the caller
+      throw error;
+    }
+    readError = error;
+  }
+
+  const backupPath = getBackupPath(filePath);
+  let data;
+  try {
+    data = parseJsonFile(backupPath, validate);
+  } catch (backupError) {
+    if (readError.isEmpty && emptyValue !== undefined) {
+      log.warn('Data file is empty and has no usable backup, using empty value', {
+        source: 'AtomicFile',
+        filePath
+      });
+      return emptyValue;
+    }
+    log.error('Data file is corrupt and no usable backup exists', {
+      source: 'AtomicFile',
+      filePath,
+      errorMessage: readError.message,
+      backupError: backupError.message
+    });
+    throw new AppError(
+      ERROR_MESSAGES.DATA_CORRUPTION,
+      500,
+      ERROR_TYPES.FILE_SYSTEM,
+      { file: path.basename(filePath), issue: readError.message }
+    );
+  }
+
+  const corruptPath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  fs.renameSync(filePath, corruptPath);
+  replaceFile(filePath, fs.readFileSync(backupPath, 'utf8'));
+
+  log.warn('Recovered data file from backup', {
+    source: 'AtomicFile',
+    filePath,
+    corruptCopy: corruptPath,
+    errorMessage: readError.message
+  });
+
+  return data;
+}
+
+module.exports = {
+  replaceFileAtomic: replaceFile,
+  writeFileAtomic,
+  writeJsonAtomic,
+  readJsonWithRecovery,
+  getBackupPath
+};
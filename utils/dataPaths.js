@@ -1,14 +1,10 @@
 const path = require("path");
-const { getDataFilePath } = require('./appData');
 
 /**
  * Data Paths Configuration
  * Centralized configuration for all data file paths used in the matrimony application
  */
 
-// Path to profiles.json using cross-platform AppData utility
-const profilesPath = getDataFilePath("profile.json");
-
 // Paths to matching files
 const maleUthamamPath = path.join(__dirname, "..", "data", "male_matching_uthamam.json");
 const maleMathimamPath = path.join(__dirname, "..", "data", "male_matching_mathimam.json");
@@ -20,7 +16,6 @@ const femaleMathimamPath = path.join(__dirname, "..", "data", "female_matching_m
 const nakshatraPath = path.join(__dirname, "..", "data", "nakshatra.json");
 
 module.exports = {
-  profilesPath,
   maleUthamamPath,
   maleMathimamPath,
   femaleUthamamPath,
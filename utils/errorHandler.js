@@ -1,4 +1,5 @@
 const log = require('./logger');
+const { ROLE_LABELS } = require('./permissions');
 
 /**
  * Comprehensive Error Handling Utilities
@@ -42,6 +43,9 @@ const ERROR_MESSAGES = {
   PROFILE_CREATION_FAILED: 'Unable to create profile. Please try again later.',
   PROFILE_UPDATE_FAILED: 'Unable to update profile. Please try again later.',
   PROFILE_DELETE_FAILED: 'Unable to delete profile. Please try again later.',
+  PROFILE_EDIT_CONFLICT: 'This profile was changed by someone else after you opened it. Review the differences and save again to keep your version.',
+  ARCHIVED_SERIAL_IN_USE: 'This serial number has been given to another profile since this one was archived. Change that profile\'s serial number, then restore this one.',
+  MERGE_CONFLICT: 'One of these profiles was changed after the merge page was opened. Reload the page and review the values again.',
   
   // Search/Matching Errors
   SEARCH_FAILED: 'Search operation failed. Please try again later.',
@@ -111,6 +115,16 @@ class AppError extends Error {
   }
 }
 
+/**
+ * Whether a request expects a JSON response rather than a page
+ * API routes, JSON bodies and fetch() calls (which send Accept: *\/*) get JSON.
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the response should be JSON
+ */
+const wantsJsonResponse = (req) => (req.url && req.url.startsWith('/api/')) ||
+  req.get('Content-Type') === 'application/json' ||
+  req.get('Accept') === '*/*';
+
 /**
  * Centralized error handler for controllers
  */
@@ -224,9 +238,7 @@ const handleControllerError = (error, feature, operation, req, res, customLogger
     });
     
     // Force JSON response for API routes or JSON requests
-    if ((req.url && req.url.startsWith('/api/')) || 
-        req.get('Content-Type') === 'application/json' ||
-        req.get('Accept') === '*/*') {
+    if (wantsJsonResponse(req)) {
       return res.status(statusCode).json(errorResponse);
     }    
     
@@ -251,11 +263,33 @@ const handleControllerError = (error, feature, operation, req, res, customLogger
           results: [],
           searchCriteria: req.query || {}
         });
+      } else if (feature === 'AUTH') {
+        const { password, confirmPassword, ...formData } = req.body || {};
+        return res.status(statusCode).render(operation === 'register' ? 'register' : 'login', {
+          error: userMessage,
+          fieldErrors: error.details || {},
+          formData
+        });
+      } else if (feature === 'USERS' && ['createUser', 'updateUser', 'resetPassword'].includes(operation)) {
+        // Re-show the user form with the entered values (never the passwords)
+        const { password, confirmPassword, ...formData } = req.body || {};
+        return res.status(statusCode).render(operation === 'resetPassword' ? 'user-reset-password' : 'user-form', {
+          error: userMessage,
+          fieldErrors: (error.details && typeof error.details === 'object') ? error.details : {},
+          formData: { ...formData, id: req.params.id },
+          editUser: operation === 'updateUser' ? { id: req.params.id, ...formData } : null,
+          roleLabels: ROLE_LABELS
+        });
+      } else if (feature === 'USERS' && operation !== 'listUsers') {
+        // Account actions from the users list go back to the list with the message
+        return res.redirect(`/users?error=${encodeURIComponent(userMessage)}`);
       } else if (feature === 'FIND_MATCHING') {
         return res.status(statusCode).render('find-matching', {
           error: userMessage,
           profiles: [],
-          form: req.body || req.query || {}
+          form: req.body || req.query || {},
+          // Explain-mode searches that end with no matches still show why candidates were excluded
+          explanation: (error.details && error.details.explanation) || null
         });
       } else {
         return res.status(statusCode).render('error', {
@@ -411,6 +445,7 @@ module.exports = {
   ERROR_TYPES,
   createErrorResponse,
   handleControllerError,
+  wantsJsonResponse,
   asyncHandler,
   handleValidationError,
   handleFileSystemError,
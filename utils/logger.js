@@ -65,7 +65,9 @@ function maskSensitiveData(data) {
     const masked = {};
     for (const [key, value] of Object.entries(data)) {
       // Mask specific fields
-      if (['contact_no', 'additional_contact_no', 'phone', 'mobile'].includes(key.toLowerCase())) {
+      if (['password', 'confirmpassword', 'passwordhash'].includes(key.toLowerCase())) {
+        masked[key] = '[REDACTED]';
+      } else if (['contact_no', 'additional_contact_no', 'phone', 'mobile'].includes(key.toLowerCase())) {
         masked[key] = typeof value === 'string' && value.length > 3 
           ? value.substring(0, 3) + '*'.repeat(Math.max(0, value.length - 6)) + value.substring(Math.max(3, value.length - 3))
           : value;
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const { getConfigFilePath, ensureDirectoryExists, getConfigPath } = require('./appData');
+
+/**
+ * Configuration management for matching rules
+ * Persists admin-editable matching settings next to the logging configuration
+ */
+
+const CONFIG_FILENAME = 'matching.json';
+const CONFIG_FILE_PATH = getConfigFilePath(CONFIG_FILENAME);
+
+/**
+ * Default matching configuration
+ * minPorutham of 4 keeps the original behaviour (porutham value above 3)
+ * rankBy 'porutham' keeps the original sort; 'composite' ranks by rankingWeights
+ * (relative weights of each ranking component, see RankingService)
+ */
+const DEFAULT_MATCHING_CONFIG = {
+  minPorutham: 4,
+  rankBy: 'porutham',
+  rankingWeights: {
+    porutham: 50,
+    ageGap: 20,
+    qualification: 10,
+    income: 10,
+    region: 10
+  },
+  lastUpdated: new Date().toISOString(),
+  version: '1.0.0'
+};
+
+/**
+ * Current configuration cache
+ */
+let currentConfig = null;
+
+/**
+ * Load matching configuration from file or create default
+ * @returns {object} Matching configuration object
+ */
+function loadMatchingConfig() {
+  try {
+    // Ensure config directory exists
+    ensureDirectoryExists(getConfigPath());
+
+    if (fs.existsSync(CONFIG_FILE_PATH)) {
+      const configData = fs.readFileSync(CONFIG_FILE_PATH, 'utf8');
+      const config = JSON.parse(configData);
+
+      // Merge with defaults to ensure all properties exist
+      currentConfig = {
+        ...DEFAULT_MATCHING_CONFIG,
+        ...config,
+        rankingWeights: { ...DEFAULT_MATCHING_CONFIG.rankingWeights, ...(config.rankingWeights || {}) }
+      };
+    } else {
+      // Create default config file
+      currentConfig = { ...DEFAULT_MATCHING_CONFIG };
+      saveMatchingConfig(currentConfig);
+    }
+  } catch (error) {
+    console.error('Error loading matching configuration, using defaults:', error.message);
+    currentConfig = { ...DEFAULT_MATCHING_CONFIG };
+  }
+
+  return currentConfig;
+}
+
+/**
+ * Save matching configuration to file
+ * @param {object} config - Configuration object to save
+ */
+function saveMatchingConfig(config) {
+  try {
+    ensureDirectoryExists(getConfigPath());
+    config.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(config, null, 2), 'utf8');
+    currentConfig = config;
+  } catch (error) {
+    console.error('Error saving matching configuration:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get current matching configuration
+ * @returns {object} Current matching configuration
+ */
+function getMatchingConfig() {
+  if (!currentConfig) {
+    return loadMatchingConfig();
+  }
+  return currentConfig;
+}
+
+/**
+ * Update matching configuration at runtime
+ * Callers are expected to validate values before persisting them.
+ * @param {object} updates - Configuration updates
+ * @returns {object} Updated matching configuration
+ */
+function updateMatchingConfig(updates) {
+  const config = getMatchingConfig();
+  const updatedConfig = { ...config, ...updates };
+  saveMatchingConfig(updatedConfig);
+  return updatedConfig;
+}
+
+/**
+ * Get matching configuration file path
+ * @returns {string} Matching configuration file path
+ */
+function getMatchingConfigFilePath() {
+  return CONFIG_FILE_PATH;
+}
+
+module.exports = {
+  loadMatchingConfig,
+  saveMatchingConfig,
+  getMatchingConfig,
+  updateMatchingConfig,
+  getMatchingConfigFilePath,
+  DEFAULT_MATCHING_CONFIG
+};
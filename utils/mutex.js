@@ -0,0 +1,40 @@
+/**
+ * In-process mutex
+ * Serializes async read-modify-write cycles on a shared data file. Node runs one request at a time,
+ * but a handler that awaits between reading and writing (e.g. a retry delay) lets another request
+ * read the same file in between, and the later write would then drop the earlier one's changes.
+ * Holders run strictly one after another in the order they called acquire().
+ */
+
+/**
+ * Creates a mutex
+ * @returns {Object} { acquire, runExclusive }
+ *   acquire(): resolves to a release() function that must be called exactly once;
+ *   runExclusive(fn): runs fn while holding the lock and returns its result
+ */
+function createMutex() {
+  let tail = Promise.resolve();
+
+  function acquire() {
+    let release;
+    const released = new Promise(resolve => {
+      release = resolve;
+    });
+    const acquired = tail.then(() => release);
+    tail = tail.then(() => released);
+    return acquired;
+  }
+
+  async function runExclusive(fn) {
+    const release = await acquire();
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  return { acquire, runExclusive };
+}
+
+module.exports = { createMutex };
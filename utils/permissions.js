@@ -0,0 +1,61 @@
+/**
+ * Role-based access control configuration
+ * Each login account has one role; routes and views check permissions rather than roles,
+ * so a permission can move between roles without touching the routes.
+ */
+
+const ROLES = {
+  ADMIN: 'admin',
+  COUNSELLOR: 'counsellor',
+  VIEWER: 'viewer'
+};
+
+const VALID_ROLES = Object.values(ROLES);
+
+const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Admin',
+  [ROLES.COUNSELLOR]: 'Counsellor',
+  [ROLES.VIEWER]: 'Viewer'
+};
+
+/**
+ * Permission -> roles allowed
+ * - Viewers can only search profiles and export
+ * - Counsellors can also create/update profiles, run matching and download backups
+ * - Admins can do everything, including restore, deleting profiles, adding gothrams,
+ *   changing matching settings and managing users
+ */
+const PERMISSIONS = {
+  'profile:view': [ROLES.ADMIN, ROLES.COUNSELLOR, ROLES.VIEWER],
+  'export:run': [ROLES.ADMIN, ROLES.COUNSELLOR, ROLES.VIEWER],
+  'profile:edit': [ROLES.ADMIN, ROLES.COUNSELLOR],
+  'matching:run': [ROLES.ADMIN, ROLES.COUNSELLOR],
+  'backup:download': [ROLES.ADMIN, ROLES.COUNSELLOR],
+  'profile:delete': [ROLES.ADMIN],
+  'backup:restore': [ROLES.ADMIN],
+  'gothram:create': [ROLES.ADMIN],
+  'settings:manage': [ROLES.ADMIN],
+  'users:manage': [ROLES.ADMIN]
+};
+
+/**
+ * Checks whether a user's role grants a permission
+ * @param {Object|null} user - Logged-in user (with role)
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @returns {boolean} True if allowed (unknown permissions are denied)
+ */
+function hasPermission(user, permission) {
+  if (!user || !user.role) {
+    return false;
+  }
+  const allowedRoles = PERMISSIONS[permission];
+  return Array.isArray(allowedRoles) && allowedRoles.includes(user.role);
+}
+
+module.exports = {
+  ROLES,
+  VALID_ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  hasPermission
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const { getConfigFilePath, ensureDirectoryExists, getConfigPath } = require('./appData');
+const { VALIDATION_CONFIG } = require('./validationConfig');
+
+/**
+ * Configuration management for rasi/lagnam compatibility rules
+ * The rule file lives in the AppData config directory so astrologers' conventions can be
+ * switched by editing (or uploading) the JSON without a code release.
+ */
+
+const CONFIG_FILENAME = 'rasi-rules.json';
+const CONFIG_FILE_PATH = getConfigFilePath(CONFIG_FILENAME);
+
+/**
+ * Risk planets: every planet named in the lagnam choices offered on the profile forms except Suth,
+ * spelled exactly as the forms store them (Sani, Sevai, Raaghu, Kethu)
+ */
+const RISK_PLANETS = [...new Set(VALIDATION_CONFIG.ENUMS.lagnam.flatMap(value => value.split('/')))]
+  .filter(planet => planet !== 'Suth');
+
+// Risk set and explanation of the default rule file written by earlier versions, which misspelled Raaghu
+const LEGACY_DEFAULT_RISK_SET = ['Sani', 'Sevai', 'Kethu', 'Raghu'];
+const LEGACY_SHARED_RISK_EXPLANATION = 'Bride ({female}) and groom ({male}) do not share any of the risk planets Sani, Sevai, Kethu, Raghu';
+
+/**
+ * Default rule set - reproduces the original hardcoded behaviour:
+ * 1. A Suth-only groom needs a Suth-only bride (no further rules are checked)
+ * 2. Otherwise bride and groom must share at least one risk planet
+ */
+const DEFAULT_RASI_RULES = {
+  name: 'Default (Suth and shared risk planets)',
+  sets: {
+    risk: RISK_PLANETS
+  },
+  rules: [
+    {
+      id: 'suth-only',
+      description: 'Suth-only groom needs a Suth-only bride',
+      when: { side: 'male', op: 'only', values: ['Suth'] },
+      require: { side: 'female', op: 'only', values: ['Suth'] },
+      severity: 'reject',
+      stop: true,
+      explanation: 'Groom is Suth only ({male}), so the bride must also be Suth only (bride: {female})'
+    },
+    {
+      id: 'shared-risk',
+      description: 'Bride and groom share at least one risk planet',
+      require: { op: 'sharesAny', set: 'risk' },
+      severity: 'reject',
+      explanation: `Bride ({female}) and groom ({male}) do not share any of the risk planets ${RISK_PLANETS.join(', ')}`
+    }
+  ],
+  version: '1.0.0'
+};
+
+/**
+ * Current rule set cache and the file modification time it was read at
+ */
+let currentRules = null;
+let loadedMtimeMs = null;
+
+/**
+ * Load rule set from file or create the default file
+ * @returns {object} Rule set object (not validated - see RasiCompatibilityService.validateRuleSet)
+ */
+function loadRasiRules() {
+  try {
+    ensureDirectoryExists(getConfigPath());
+
+    if (fs.existsSync(CONFIG_FILE_PATH)) {
+      const rulesData = fs.readFileSync(CONFIG_FILE_PATH, 'utf8');
+      currentRules = JSON.parse(rulesData);
+      loadedMtimeMs = fs.statSync(CONFIG_FILE_PATH).mtimeMs;
+
+      // A rule file still holding the earlier default risk set: correct the spelling, keep everything else
+      if (currentRules.sets && JSON.stringify(currentRules.sets.risk) === JSON.stringify(LEGACY_DEFAULT_RISK_SET)) {
+        currentRules.sets.risk = RISK_PLANETS;
+        (currentRules.rules || []).forEach(rule => {
+          if (rule.explanation === LEGACY_SHARED_RISK_EXPLANATION) {
+            rule.explanation = DEFAULT_RASI_RULES.rules.find(r => r.id === 'shared-risk').explanation;
+          }
+        });
+        saveRasiRules(currentRules);
+      }
+    } else {
+      saveRasiRules({ ...DEFAULT_RASI_RULES });
+    }
+  } catch (error) {
+    console.error('Error loading rasi compatibility rules, using defaults:', error.message);
+    currentRules = { ...DEFAULT_RASI_RULES };
+    // Remember the broken file's timestamp so it is only re-read after the next edit
+    try {
+      loadedMtimeMs = fs.statSync(CONFIG_FILE_PATH).mtimeMs;
+    } catch (statError) {
+      loadedMtimeMs = null;
+    }
+  }
+
+  return currentRules;
+}
+
+/**
+ * Save rule set to file
+ * @param {object} rules - Rule set to save
+ */
+function saveRasiRules(rules) {
+  ensureDirectoryExists(getConfigPath());
+  rules.lastUpdated = new Date().toISOString();
+  fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(rules, null, 2), 'utf8');
+  currentRules = rules;
+  loadedMtimeMs = fs.statSync(CONFIG_FILE_PATH).mtimeMs;
+}
+
+/**
+ * Get current rule set, re-reading the file if it was edited since the last load
+ * @returns {object} Current rule set
+ */
+function getRasiRules() {
+  if (!currentRules) {
+    return loadRasiRules();
+  }
+
+  try {
+    // A deleted file is recreated with the defaults; an edited file is re-read
+    if (!fs.existsSync(CONFIG_FILE_PATH) || fs.statSync(CONFIG_FILE_PATH).mtimeMs !== loadedMtimeMs) {
+      return loadRasiRules();
+    }
+  } catch (error) {
+    // Keep the cached rule set if the file cannot be checked
+  }
+
+  return currentRules;
+}
+
+/**
+ * Reset rule set to defaults
+ * @returns {object} Default rule set
+ */
+function resetRasiRules() {
+  const rules = { ...DEFAULT_RASI_RULES };
+  saveRasiRules(rules);
+  return rules;
+}
+
+/**
+ * Get rule file path
+ * @returns {string} Rule file path
+ */
+function getRasiRulesFilePath() {
+  return CONFIG_FILE_PATH;
+}
+
+module.exports = {
+  loadRasiRules,
+  saveRasiRules,
+  getRasiRules,
+  resetRasiRules,
+  getRasiRulesFilePath,
+  DEFAULT_RASI_RULES
+};
@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const log = require('./logger');
+const { wantsJsonResponse } = require('./errorHandler');
 
 /**
  * Rate Limiting Configuration
@@ -147,9 +148,47 @@ const exportLimiter = rateLimit({
   }
 });
 
+/**
+ * Strict rate limiting for login attempts (only failed attempts count)
+ */
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 failed logins per 15 minutes
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many failed login attempts. Please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    log.warn('[WARN] Login rate limit exceeded', {
+      ip: req.ip,
+      username: req.body && req.body.username,
+      userAgent: req.get('User-Agent'),
+      source: 'RateLimiting'
+    });
+    
+    // Answer the way the login handler would (JSON for the API, the login page for the form)
+    if (wantsJsonResponse(req)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please try again later.',
+        retryAfter: '15 minutes'
+      });
+    }
+    return res.status(429).render('login', {
+      error: 'Too many failed login attempts. Please try again in 15 minutes.',
+      formData: { username: (req.body && req.body.username) || '', next: (req.body && req.body.next) || '' }
+    });
+  }
+});
+
 module.exports = {
   generalLimiter: RATE_LIMITING_DISABLED ? noOpLimiter : generalLimiter,
   createProfileLimiter: RATE_LIMITING_DISABLED ? noOpLimiter : createProfileLimiter,
   searchLimiter: RATE_LIMITING_DISABLED ? noOpLimiter : searchLimiter,
-  exportLimiter: RATE_LIMITING_DISABLED ? noOpLimiter : exportLimiter
+  exportLimiter: RATE_LIMITING_DISABLED ? noOpLimiter : exportLimiter,
+  loginLimiter: RATE_LIMITING_DISABLED ? noOpLimiter : loginLimiter
 };
\ No newline at end of file
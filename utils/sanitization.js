@@ -254,6 +254,93 @@ const searchValidationRules = [
     .withMessage('Nakshatra ID must be between 1 and 36')
 ];
 
+/**
+ * Validation rules shared by the user management forms
+ * Username format and password length match the rules enforced in UserService.
+ */
+const userRoleRule = body('role')
+  .optional({ values: 'falsy' })
+  .isIn(['admin', 'counsellor', 'viewer'])
+  .withMessage('Role must be one of: admin, counsellor, viewer');
+
+const userNameRule = body('name')
+  .optional({ values: 'falsy' })
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage('Name must be at most 100 characters')
+  .matches(/^[\p{L}\p{M}\s.''\(\)-]*$/u)
+  .withMessage('Name must contain only letters, spaces, and common punctuation');
+
+const newPasswordRules = [
+  body('password')
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be at least 8 characters'),
+
+  body('confirmPassword')
+    .custom((value, { req }) => value === req.body.password)
+    .withMessage('Passwords do not match')
+];
+
+/**
+ * Validation rules for creating a user account
+ */
+const userCreateValidationRules = [
+  body('username')
+    .trim()
+    .matches(/^[a-zA-Z0-9._-]{3,32}$/)
+    .withMessage('Username must be 3-32 letters, numbers, dots, dashes or underscores')
+    .bail()
+    .custom((value) => {
+      // Loaded here to keep this module free of service dependencies at load time
+      const { findUserByUsername } = require('../services/UserService');
+      if (findUserByUsername(value)) {
+        throw new Error('Username is already taken');
+      }
+      return true;
+    }),
+
+  userNameRule,
+  userRoleRule,
+  ...newPasswordRules
+];
+
+/**
+ * Validation rules for editing a user account (username cannot change)
+ */
+const userUpdateValidationRules = [
+  userNameRule,
+  userRoleRule
+];
+
+/**
+ * Validation rules for resetting a user's password
+ */
+const passwordResetValidationRules = [
+  ...newPasswordRules
+];
+
+/**
+ * Collects validation errors as { field: message } for re-rendering a form
+ * (first message per field), or null when the request is valid
+ * @param {Object} req - Express request after the validation rules ran
+ * @returns {Object|null} Field errors
+ */
+const getValidationFieldErrors = (req) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return null;
+  }
+
+  return errors.array().reduce((fieldErrors, error) => {
+    const field = error.path || error.param;
+    if (!fieldErrors[field]) {
+      fieldErrors[field] = error.msg;
+    }
+    return fieldErrors;
+  }, {});
+};
+
 /**
  * Middleware to handle validation errors
  */
@@ -368,7 +455,11 @@ module.exports = {
   sanitizeName,
   profileValidationRules,
   searchValidationRules,
+  userCreateValidationRules,
+  userUpdateValidationRules,
+  passwordResetValidationRules,
   handleValidationErrors,
+  getValidationFieldErrors,
   sanitizeBody,
   sanitizeQuery,
   helmetConfig
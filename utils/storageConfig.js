@@ -0,0 +1,60 @@
+const fs = require('fs');
+const { getConfigFilePath, ensureDirectoryExists, getConfigPath } = require('./appData');
+
+/**
+ * Configuration management for profile storage
+ * Selects where profiles are kept: 'json' (profile.json, the default) or 'sqlite' (profiles.sqlite).
+ * The PROFILE_STORAGE environment variable overrides the saved setting.
+ */
+
+const CONFIG_FILENAME = 'storage.json';
+const CONFIG_FILE_PATH = getConfigFilePath(CONFIG_FILENAME);
+
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Default storage configuration
+ */
+const DEFAULT_STORAGE_CONFIG = {
+  backend: 'json',
+  lastUpdated: new Date().toISOString(),
+  version: '1.0.0'
+};
+
+/**
+ * Load storage configuration from file or create default
+ * @returns {object} Storage configuration object
+ */
+function loadStorageConfig() {
+  let config;
+  try {
+    ensureDirectoryExists(getConfigPath());
+
+    if (fs.existsSync(CONFIG_FILE_PATH)) {
+      config = { ...DEFAULT_STORAGE_CONFIG, ...JSON.parse(fs.readFileSync(CONFIG_FILE_PATH, 'utf8')) };
+    } else {
+      config = { ...DEFAULT_STORAGE_CONFIG };
+      fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(config, null, 2), 'utf8');
+    }
+  } catch (error) {
+    console.error('Error loading storage configuration, using defaults:', error.message);
+    config = { ...DEFAULT_STORAGE_CONFIG };
+  }
+
+  if (process.env.PROFILE_STORAGE) {
+    config.backend = process.env.PROFILE_STORAGE.trim().toLowerCase();
+  }
+  if (!STORAGE_BACKENDS.includes(config.backend)) {
+    console.error(`Unknown profile storage backend "${config.backend}", using json`);
+    config.backend = 'json';
+  }
+
+  return config;
+}
+
+module.exports = {
+  loadStorageConfig,
+  STORAGE_BACKENDS,
+  DEFAULT_STORAGE_CONFIG,
+  CONFIG_FILE_PATH
+};
@@ -45,7 +45,8 @@ const VALIDATION_CONFIG = {
     serial_no: 20,
     gothram: 50,
     birth_place: 100,
-    siblings: 200
+    siblings: 200,
+    archive_note: 500
   },
 
   // Validation patterns
@@ -81,7 +82,13 @@ const VALIDATION_CONFIG = {
       'Andhra Pradesh', 'Other States in India', 'Overseas', 
       'Others(TN)', 'Others(IND)'
     ],
-    boolean: ['true', 'false', '1', '0', 'yes', 'no']
+    boolean: ['true', 'false', '1', '0', 'yes', 'no'],
+    archive_reason: ['married', 'withdrawn', 'duplicate', 'deceased'],
+    // Rasi and navamsam lagnam choices offered on the profile forms
+    lagnam: [
+      'Suth', 'Sani', 'Sevai', 'Raaghu/Kethu', 'Sani/Sevai',
+      'Sani/Kethu/Raaghu', 'Sevai/Kethu/Raaghu', 'Sani/Sevai/Kethu/Raaghu'
+    ]
   },
 
   // Nakshatra configuration